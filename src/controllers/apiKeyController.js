@@ -0,0 +1,74 @@
+import apiKeyService from '../services/apiKeyService.js';
+import { ok, created, noContent, badRequest, notFound } from '../utils/http.mjs';
+import { ownerScope } from '../utils/roles.mjs';
+
+/**
+ * Controller pour gérer les clés d'API des clients machines
+ */
+class ApiKeyController {
+
+    /**
+     * POST /api-keys - Créer une clé d'API
+     * La clé en clair n'est renvoyée que dans cette réponse.
+     */
+    async createApiKey(event, ctx) {
+        const { name, scopes, expiresAt } = ctx.body;
+
+        if (!name || typeof name !== 'string') {
+            return badRequest('Le nom de la clé est requis');
+        }
+
+        if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => typeof scope === 'string')) {
+            return badRequest('scopes doit être une liste non vide de scopes');
+        }
+
+        let expiration = null;
+        if (expiresAt !== undefined && expiresAt !== null) {
+            expiration = new Date(expiresAt);
+            if (typeof expiresAt !== 'string' || Number.isNaN(expiration.getTime())) {
+                return badRequest('expiresAt doit être une date ISO 8601');
+            }
+        }
+
+        const { apiKey, key } = await apiKeyService.createApiKey(ctx.user, { name, scopes, expiresAt: expiration });
+
+        return created({
+            message: 'Clé d\'API créée : conservez-la, elle ne sera plus affichée',
+            data: apiKey,
+            key
+        });
+    }
+
+    /**
+     * GET /api-keys - Lister les clés d'API de l'utilisateur (toutes pour un admin)
+     */
+    async getApiKeys(event, ctx) {
+        const apiKeys = await apiKeyService.getApiKeys({ ownerId: ownerScope(ctx.user) });
+
+        return ok({
+            count: apiKeys.length,
+            data: apiKeys
+        });
+    }
+
+    /**
+     * DELETE /api-keys/{id} - Révoquer une clé d'API
+     */
+    async revokeApiKey(event, ctx) {
+        const apiKeyId = event.pathParameters?.id;
+
+        if (!apiKeyId) {
+            return badRequest('ID de la clé manquant');
+        }
+
+        const apiKey = await apiKeyService.revokeApiKey(apiKeyId, { ownerId: ownerScope(ctx.user) });
+
+        if (!apiKey) {
+            return notFound('Clé d\'API non trouvée');
+        }
+
+        return noContent();
+    }
+}
+
+export default new ApiKeyController();
@@ -0,0 +1,220 @@
+import collectionService from '../services/collectionService.js';
+import { ok, created, noContent, badRequest, notFound } from '../utils/http.mjs';
+import { ownerScope } from '../utils/roles.mjs';
+
+/**
+ * Controller pour gérer les endpoints HTTP des collections de recettes
+ * Le corps JSON est lu par le middleware jsonBody (ctx.body) et les erreurs du service
+ * sont converties en réponses HTTP par le middleware errorHandler.
+ */
+class CollectionController {
+
+    /**
+     * POST /collections - Créer une collection
+     */
+    async createCollection(event, ctx) {
+        const { name, description, recipes = [] } = ctx.body;
+
+        if (!name || typeof name !== 'string') {
+            return badRequest('Le nom de la collection est requis');
+        }
+
+        if (!Array.isArray(recipes)) {
+            return badRequest('recipes doit être une liste d\'IDs de recettes');
+        }
+
+        const collection = await collectionService.createCollection(
+            { name, description, recipes },
+            { ownerId: ctx.user?.id ?? null, viewerId: ownerScope(ctx.user) }
+        );
+
+        return created({
+            message: 'Collection créée avec succès',
+            data: collection
+        });
+    }
+
+    /**
+     * GET /collections - Lister les collections
+     */
+    async getAllCollections(event, ctx) {
+        const queryParams = event.queryStringParameters || {};
+
+        const collections = await collectionService.getAllCollections({
+            limit: parseInt(queryParams.limit) || 50,
+            skip: parseInt(queryParams.skip) || 0,
+            ...this._scope(ctx)
+        });
+
+        return ok({
+            count: collections.length,
+            data: collections
+        });
+    }
+
+    /**
+     * GET /collections/{id} - Récupérer une collection
+     */
+    async getCollection(event, ctx) {
+        const collectionId = event.pathParameters?.id;
+
+        if (!collectionId) {
+            return badRequest('ID de la collection manquant');
+        }
+
+        const collection = await collectionService.getCollectionById(collectionId, this._scope(ctx));
+
+        if (!collection) {
+            return notFound('Collection non trouvée');
+        }
+
+        return ok({
+            data: collection
+        });
+    }
+
+    /**
+     * PATCH /collections/{id} - Renommer une collection ou changer sa description
+     */
+    async updateCollection(event, ctx) {
+        const collectionId = event.pathParameters?.id;
+        const changes = ctx.body;
+
+        if (changes.name === undefined && changes.description === undefined) {
+            return badRequest('Au moins un champ parmi name, description est requis');
+        }
+
+        const collection = await collectionService.updateCollection(collectionId, changes, this._scope(ctx));
+
+        if (!collection) {
+            return notFound('Collection non trouvée');
+        }
+
+        return ok({
+            message: 'Collection mise à jour avec succès',
+            data: collection
+        });
+    }
+
+    /**
+     * DELETE /collections/{id} - Supprimer une collection
+     */
+    async deleteCollection(event, ctx) {
+        const collectionId = event.pathParameters?.id;
+
+        if (!collectionId) {
+            return badRequest('ID de la collection manquant');
+        }
+
+        const deleted = await collectionService.deleteCollection(collectionId, this._scope(ctx));
+
+        if (!deleted) {
+            return notFound('Collection non trouvée');
+        }
+
+        return noContent();
+    }
+
+    /**
+     * GET /collections/{id}/recipes - Recettes de la collection, dans l'ordre de la collection
+     */
+    async getCollectionRecipes(event, ctx) {
+        const collectionId = event.pathParameters?.id;
+        const queryParams = event.queryStringParameters || {};
+
+        const limit = Math.max(Math.min(parseInt(queryParams.limit) || 50, 100), 1);
+        const skip = Math.max(parseInt(queryParams.skip) || 0, 0);
+
+        const page = await collectionService.getCollectionRecipes(collectionId, { limit, skip, ...this._scope(ctx) });
+
+        if (!page) {
+            return notFound('Collection non trouvée');
+        }
+
+        return ok({
+            count: page.recipes.length,
+            total: page.total,
+            data: page.recipes
+        });
+    }
+
+    /**
+     * POST /collections/{id}/recipes - Ajouter une recette à la collection
+     * Une recette inconnue donne une 400, une recette déjà présente une 409 (errorHandler)
+     */
+    async addRecipe(event, ctx) {
+        const collectionId = event.pathParameters?.id;
+        const { recipeId, position } = ctx.body;
+
+        if (!recipeId) {
+            return badRequest('recipeId est requis');
+        }
+
+        if (position !== undefined && (!Number.isInteger(position) || position < 0)) {
+            return badRequest('position doit être un entier positif ou nul');
+        }
+
+        const collection = await collectionService.addRecipe(collectionId, recipeId, position, this._scope(ctx));
+
+        if (!collection) {
+            return notFound('Collection non trouvée');
+        }
+
+        return ok({
+            message: 'Recette ajoutée à la collection',
+            data: collection
+        });
+    }
+
+    /**
+     * PUT /collections/{id}/recipes - Réordonner les recettes de la collection
+     */
+    async reorderRecipes(event, ctx) {
+        const collectionId = event.pathParameters?.id;
+        const { recipes } = ctx.body;
+
+        if (!Array.isArray(recipes)) {
+            return badRequest('recipes doit être la liste des IDs de recettes dans le nouvel ordre');
+        }
+
+        const collection = await collectionService.reorderRecipes(collectionId, recipes, this._scope(ctx));
+
+        if (!collection) {
+            return notFound('Collection non trouvée');
+        }
+
+        return ok({
+            message: 'Collection réordonnée avec succès',
+            data: collection
+        });
+    }
+
+    /**
+     * DELETE /collections/{id}/recipes/{recipeId} - Retirer une recette de la collection
+     */
+    async removeRecipe(event, ctx) {
+        const { id: collectionId, recipeId } = event.pathParameters || {};
+
+        const collection = await collectionService.removeRecipe(collectionId, recipeId, this._scope(ctx));
+
+        if (!collection) {
+            return notFound('Collection ou recette non trouvée');
+        }
+
+        return ok({
+            message: 'Recette retirée de la collection',
+            data: collection
+        });
+    }
+
+    /**
+     * Collections de l'utilisateur (toutes pour les admins) et recettes qu'il peut voir
+     * @private
+     */
+    _scope(ctx) {
+        const scope = ownerScope(ctx.user);
+        return { ownerId: scope, viewerId: scope };
+    }
+}
+
+export default new CollectionController();
@@ -0,0 +1,158 @@
+import importService, { LEGACY_FORMATS } from '../services/importService.js';
+import { ok, badRequest, serverError, getHeader } from '../utils/http.mjs';
+import { ownerScope } from '../utils/roles.mjs';
+
+const IMPORT_MODES = ['create', 'upsert'];
+
+/**
+ * Controller pour gérer l'import de recettes
+ */
+class ImportController {
+
+    /**
+     * POST /recipes/import - Importer une recette schema.org
+     * Le body est soit un objet JSON-LD, soit une page HTML brute (Content-Type text/html)
+     */
+    async importRecipe(event) {
+        try {
+            const payload = this._readPayload(event);
+
+            if (!payload) {
+                return badRequest('Le corps de la requête doit être un objet JSON-LD ou une page HTML');
+            }
+
+            const { recipe, unmappedFields } = await importService.importSchemaOrg(payload, { ownerId: event.user?.id });
+
+            return ok({
+                message: 'Recette importée avec succès',
+                data: recipe,
+                unmappedFields
+            });
+        } catch (error) {
+            console.error('Erreur lors de l\'import de la recette:', error);
+
+            if (error.message.includes('Validation échouée') || error.message.includes('schema.org')) {
+                return badRequest(error.message);
+            }
+
+            return serverError('Erreur interne du serveur');
+        }
+    }
+
+    /**
+     * POST /recipes/import/bulk - Importer une bibliothèque au format NDJSON
+     * ?mode=upsert met à jour les recettes existantes d'après leur id (création par défaut)
+     * La réponse détaille le résultat de chaque ligne.
+     */
+    async importBulk(event) {
+        try {
+            const queryParams = event.queryStringParameters || {};
+            const mode = queryParams.mode || 'create';
+
+            if (!IMPORT_MODES.includes(mode)) {
+                return badRequest(`mode doit être l'une des valeurs suivantes: ${IMPORT_MODES.join(', ')}`);
+            }
+
+            const body = this._readBody(event);
+            if (!body || !body.trim()) {
+                return badRequest('Le corps de la requête doit contenir des recettes au format NDJSON');
+            }
+
+            const { summary, results } = await importService.importNdjson(body, {
+                upsert: mode === 'upsert',
+                ownerId: event.user?.id,
+                userId: ownerScope(event.user)
+            });
+
+            return ok({
+                message: `Import terminé : ${summary.created} créée(s), ${summary.updated} mise(s) à jour, ${summary.failed} en erreur`,
+                summary,
+                results
+            });
+        } catch (error) {
+            console.error('Erreur lors de l\'import NDJSON:', error);
+            return serverError('Erreur interne du serveur');
+        }
+    }
+
+    /**
+     * POST /recipes/import/legacy - Importer un fichier MealMaster ou un export Paprika (.paprikarecipes)
+     * ?format=mealmaster|paprika force le format (détecté sinon)
+     * ?dryRun=true valide et renvoie les recettes lues sans les enregistrer
+     */
+    async importLegacy(event) {
+        try {
+            const queryParams = event.queryStringParameters || {};
+            const format = queryParams.format;
+
+            if (format !== undefined && !LEGACY_FORMATS.includes(format)) {
+                return badRequest(`format doit être l'une des valeurs suivantes: ${LEGACY_FORMATS.join(', ')}`);
+            }
+
+            if (!event.body) {
+                return badRequest('Le corps de la requête doit contenir le fichier à importer');
+            }
+
+            // Les fichiers binaires (Paprika) arrivent encodés en base64 par API Gateway
+            const file = Buffer.from(event.body, event.isBase64Encoded ? 'base64' : 'utf8');
+
+            const result = await importService.importLegacy(file, {
+                format,
+                dryRun: queryParams.dryRun === 'true',
+                ownerId: event.user?.id
+            });
+
+            const { summary } = result;
+            return ok({
+                message: result.dryRun
+                    ? `Analyse terminée : ${summary.valid} recette(s) valide(s), ${summary.failed} en erreur`
+                    : `Import terminé : ${summary.created} créée(s), ${summary.failed} en erreur`,
+                ...result
+            });
+        } catch (error) {
+            console.error('Erreur lors de l\'import du fichier:', error);
+
+            if (['Format de fichier', 'Aucune recette', 'Paprika', 'Validation échouée'].some(marker => error.message.includes(marker))) {
+                return badRequest(error.message);
+            }
+
+            return serverError('Erreur interne du serveur');
+        }
+    }
+
+    /**
+     * Body brut de la requête (décodé si API Gateway l'a encodé en base64)
+     * @private
+     */
+    _readBody(event) {
+        if (!event?.body) return null;
+        return event.isBase64Encoded
+            ? Buffer.from(event.body, 'base64').toString('utf8')
+            : event.body;
+    }
+
+    /**
+     * Lire le body : objet JSON-LD, ou page HTML (texte), null si inexploitable
+     * @private
+     */
+    _readPayload(event) {
+        const body = this._readBody(event);
+        if (!body) return null;
+
+        const contentType = getHeader(event, 'content-type') || '';
+
+        if (contentType.includes('html')) {
+            return body;
+        }
+
+        try {
+            const data = JSON.parse(body);
+            return data && typeof data === 'object' ? data : null;
+        } catch {
+            // Pas du JSON : on accepte une page HTML envoyée sans Content-Type
+            return body.trim().startsWith('<') ? body : null;
+        }
+    }
+}
+
+export default new ImportController();
@@ -0,0 +1,165 @@
+import mealPlanService from '../services/mealPlanService.js';
+import { MEAL_SLOTS } from '../models/MealPlan.js';
+import { ok, created, noContent, badRequest, notFound } from '../utils/http.mjs';
+import { ownerScope } from '../utils/roles.mjs';
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Controller pour gérer les endpoints HTTP du planning des repas
+ * Chaque utilisateur a son propre planning ; le corps JSON arrive dans ctx.body (middleware jsonBody)
+ */
+class MealPlanController {
+
+    /**
+     * POST /meal-plans - Affecter une recette à un jour et un repas
+     */
+    async createEntry(event, ctx) {
+        const { date, slot, recipeId, servings, note } = ctx.body;
+
+        const day = this._parseDay(date);
+        if (!day) {
+            return badRequest('date est requise au format YYYY-MM-DD');
+        }
+
+        if (!MEAL_SLOTS.includes(slot)) {
+            return badRequest(`slot doit valoir ${MEAL_SLOTS.join(', ')}`);
+        }
+
+        if (!recipeId) {
+            return badRequest('recipeId est requis');
+        }
+
+        const entry = await mealPlanService.createEntry({ date: day, slot, recipeId, servings, note }, this._owner(ctx));
+
+        return created({
+            message: 'Repas planifié avec succès',
+            data: entry
+        });
+    }
+
+    /**
+     * GET /meal-plans?from=&to= - Lire le planning sur une période
+     */
+    async getEntries(event, ctx) {
+        const range = this._parseRange(event.queryStringParameters || {});
+        if (range.error) {
+            return badRequest(range.error);
+        }
+
+        const entries = await mealPlanService.getEntries(range.from, range.to, this._owner(ctx));
+
+        return ok({
+            count: entries.length,
+            data: entries
+        });
+    }
+
+    /**
+     * PATCH /meal-plans/{id} - Modifier un repas planifié
+     */
+    async updateEntry(event, ctx) {
+        const entryId = event.pathParameters?.id;
+        const body = ctx.body;
+
+        const changes = {};
+        for (const field of ['slot', 'recipeId', 'servings', 'note']) {
+            if (body[field] !== undefined) changes[field] = body[field];
+        }
+        if (body.date !== undefined) {
+            changes.date = this._parseDay(body.date);
+            if (!changes.date) {
+                return badRequest('date doit être au format YYYY-MM-DD');
+            }
+        }
+
+        if (Object.keys(changes).length === 0) {
+            return badRequest('Aucune modification fournie');
+        }
+
+        const entry = await mealPlanService.updateEntry(entryId, changes, this._owner(ctx));
+
+        if (!entry) {
+            return notFound('Repas planifié non trouvé');
+        }
+
+        return ok({
+            message: 'Repas planifié mis à jour avec succès',
+            data: entry
+        });
+    }
+
+    /**
+     * DELETE /meal-plans/{id} - Retirer un repas du planning
+     */
+    async deleteEntry(event, ctx) {
+        const deleted = await mealPlanService.deleteEntry(event.pathParameters?.id, this._owner(ctx));
+
+        if (!deleted) {
+            return notFound('Repas planifié non trouvé');
+        }
+
+        return noContent();
+    }
+
+    /**
+     * POST /meal-plans/shopping-list - Générer la liste de courses d'une période
+     * Une période sans recette planifiée donne une 400 (errorHandler)
+     */
+    async generateShoppingList(event, ctx) {
+        const body = ctx.body;
+
+        const range = this._parseRange(body);
+        if (range.error) {
+            return badRequest(range.error);
+        }
+
+        const result = await mealPlanService.generateShoppingList(range.from, range.to, { name: body.name, ...this._owner(ctx) });
+
+        return created({
+            message: 'Liste de courses créée avec succès',
+            data: result.shoppingList,
+            skipped: result.skipped
+        });
+    }
+
+    /**
+     * Propriétaire du planning (l'utilisateur authentifié) et recettes qu'il peut utiliser
+     * @private
+     */
+    _owner(ctx) {
+        return { ownerId: ctx.user?.id, viewerId: ownerScope(ctx.user) };
+    }
+
+    /**
+     * Convertir "YYYY-MM-DD" en Date (minuit UTC), null si invalide
+     * @private
+     */
+    _parseDay(value) {
+        if (typeof value !== 'string' || !DAY_PATTERN.test(value)) {
+            return null;
+        }
+        const date = new Date(`${value}T00:00:00.000Z`);
+        return Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value ? null : date;
+    }
+
+    /**
+     * Lire et valider une période { from, to }
+     * @private
+     */
+    _parseRange({ from, to }) {
+        const fromDay = this._parseDay(from);
+        const toDay = this._parseDay(to);
+
+        if (!fromDay || !toDay) {
+            return { error: 'from et to sont requis au format YYYY-MM-DD' };
+        }
+        if (fromDay > toDay) {
+            return { error: 'from doit précéder to' };
+        }
+
+        return { from: fromDay, to: toDay };
+    }
+}
+
+export default new MealPlanController();
@@ -1,99 +1,538 @@
-import recipeService from '../services/recipeService.js';
-import { ok, badRequest, notFound, serverError } from "../utils/http.mjs";
+import recipeService, { SORTABLE_FIELDS } from '../services/recipeService.js';
+import pantryService from '../services/pantryService.js';
+import mealPlanService from '../services/mealPlanService.js';
+import { ok, content, noContent, notModified, badRequest, notFound, notAcceptable, getHeader, negotiate } from "../utils/http.mjs";
+import { recipeEtag, listEtag, etagMatches, ifMatchVersions } from "../utils/etag.mjs";
+import { ownerScope } from "../utils/roles.mjs";
+import { scaleRecipe } from "../utils/scaling.mjs";
+import { UNIT_SYSTEMS, convertRecipeUnits } from "../utils/units.mjs";
+import { EXPORT_MEDIA_TYPES, resolveExportFormat, exportRecipe } from "../utils/recipeExport.mjs";
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Export paginé : une page reste sous la limite de 6 Mo des réponses Lambda
+const DEFAULT_EXPORT_SIZE = 500;
+const MAX_EXPORT_SIZE = 1000;
+const MAX_EXPORT_BYTES = 5 * 1024 * 1024;
 
 /**
  * Controller pour gérer les endpoints HTTP des recettes
  * Ne contient que la gestion HTTP, toute la logique métier est dans le service
+ *
+ * Chaque méthode reçoit l'event et le contexte de la requête (ctx.user, ctx.body lu par le
+ * middleware jsonBody). Les erreurs du service ne sont pas interceptées ici : le middleware
+ * errorHandler les convertit en réponses HTTP.
  */
 class RecipeController {
 
     /**
      * POST /recipes - Créer une nouvelle recette
      */
-    async createRecipe(event) {
-        try {
-            // Parsing du body
-            const recipeData = JSON.parse(event.body);
+    async createRecipe(event, ctx) {
+        const recipeData = ctx.body;
+
+        // Validation basique
+        if (!recipeData || typeof recipeData !== 'object' || Object.keys(recipeData).length === 0) {
+            return badRequest('Le corps de la requête est invalide')
+        }
+
+        // Appel au service (l'utilisateur authentifié devient le propriétaire)
+        const recipe = await recipeService.addRecipe(recipeData, { ownerId: ctx.user?.id });
+
+        return ok({
+            message: 'Recette créée avec succès',
+            data: recipe
+        }, { ETag: recipeEtag(recipe) });
+    }
+
+    /**
+     * GET /recipes/{id} - Récupérer une recette par ID
+     * ?servings=N ajuste les quantités des ingrédients au nombre de portions demandé
+     * ?units=metric|imperial|original convertit les unités (voir _parseUnitsOptions)
+     * ?format=json|jsonld|markdown|html ou le header Accept choisissent le format de la réponse
+     * Réponse 304 si le header If-None-Match contient l'ETag de la version courante
+     */
+    async getRecipe(event, ctx) {
+        const recipeId = event.pathParameters?.id;
+        const queryParams = event.queryStringParameters || {};
 
-            // Validation basique
-            if (!recipeData || typeof recipeData !== 'object') {
-                return badRequest('Le corps de la requête est invalide')
+        if (!recipeId) {
+            return badRequest('ID de la recette manquant')
+        }
+
+        let servings = null;
+        if (queryParams.servings !== undefined) {
+            servings = Number(queryParams.servings);
+            if (!Number.isInteger(servings) || servings < 1) {
+                return badRequest('servings doit être un entier supérieur à 0');
             }
+        }
+
+        const units = this._parseUnitsOptions(queryParams);
+        if (units.error) {
+            return badRequest(units.error);
+        }
+
+        const format = this._negotiateFormat(event);
+        if (format.error) {
+            return format.notAcceptable ? notAcceptable(format.error) : badRequest(format.error);
+        }
+
+        // Appel au service
+        const recipe = await recipeService.getRecipeById(recipeId, { viewerId: ownerScope(ctx.user) });
+
+        if (!recipe) {
+            return badRequest('Recette non trouvée')
+        }
+
+        const etag = recipeEtag(recipe, format.format);
+        if (etagMatches(getHeader(event, 'if-none-match'), etag)) {
+            return notModified(etag);
+        }
+
+        const scaled = servings ? scaleRecipe(recipe, servings) : recipe;
+        const result = this._convertUnits(scaled, units);
+
+        if (format.format !== 'json') {
+            const exported = exportRecipe(result, format.format);
+            return content(exported.body, exported.contentType, { ETag: etag });
+        }
+
+        return ok({
+            data: result
+        }, { ETag: etag });
+    }
+
+    /**
+     * PUT /recipes/{id} - Remplacer entièrement une recette
+     * Avec le header If-Match, la recette n'est modifiée que si elle est toujours dans cette version (sinon 412)
+     */
+    async updateRecipe(event, ctx) {
+        return this._update(event, ctx, { partial: false });
+    }
+
+    /**
+     * PATCH /recipes/{id} - Modifier partiellement une recette
+     */
+    async patchRecipe(event, ctx) {
+        return this._update(event, ctx, { partial: true });
+    }
+
+    /**
+     * GET /recipes/search?q= - Recherche plein texte triée par pertinence
+     */
+    async searchRecipes(event, ctx) {
+        const queryParams = event.queryStringParameters || {};
+        const query = (queryParams.q || '').trim();
+
+        if (!query) {
+            return badRequest('Le paramètre de recherche q est requis');
+        }
 
-            // Appel au service
-            const recipe = await recipeService.addRecipe(recipeData);
+        const units = this._parseUnitsOptions(queryParams);
+        if (units.error) {
+            return badRequest(units.error);
+        }
+
+        const options = {
+            limit: parseInt(queryParams.limit) || 50,
+            skip: parseInt(queryParams.skip) || 0,
+            tags: queryParams.tags ? queryParams.tags.split(',') : null,
+            viewerId: ownerScope(ctx.user)
+        };
+
+        const recipes = await recipeService.searchRecipes(query, options);
 
+        return ok({
+            count: recipes.length,
+            data: recipes.map(recipe => this._convertUnits(recipe, units))
+        });
+    }
+
+    /**
+     * POST /recipes/match - Trouver les recettes réalisables avec les ingrédients disponibles
+     */
+    async matchRecipes(event, ctx) {
+        const { ingredients, maxMissing, ignoreStaples, staples, tags, limit } = ctx.body;
+
+        if (!Array.isArray(ingredients) || ingredients.length === 0
+            || !ingredients.every(name => typeof name === 'string')) {
+            return badRequest('ingredients doit être une liste non vide de noms d\'ingrédients');
+        }
+
+        if (maxMissing !== undefined && (!Number.isInteger(maxMissing) || maxMissing < 0)) {
+            return badRequest('maxMissing doit être un entier positif');
+        }
+
+        if (staples !== undefined && !Array.isArray(staples)) {
+            return badRequest('staples doit être une liste');
+        }
+
+        const results = await pantryService.matchRecipes(ingredients, {
+            maxMissing: maxMissing ?? null,
+            ignoreStaples: ignoreStaples !== false,
+            staples,
+            tags: Array.isArray(tags) ? tags : null,
+            limit: Math.min(parseInt(limit) || 50, 100),
+            viewerId: ownerScope(ctx.user)
+        });
+
+        return ok({
+            count: results.length,
+            data: results
+        });
+    }
+
+    /**
+     * DELETE /recipes/{id} - Mettre une recette à la corbeille
+     * Si la recette est utilisée dans le planning des repas, les repas concernés
+     * sont renvoyés (200) au lieu d'une réponse vide (204)
+     * Le header If-Match est respecté comme pour PUT et PATCH
+     */
+    async deleteRecipe(event, ctx) {
+        const recipeId = event.pathParameters?.id;
+
+        if (!recipeId) {
+            return badRequest('ID de la recette manquant');
+        }
+
+        const recipe = await recipeService.deleteRecipe(recipeId, {
+            userId: ownerScope(ctx.user),
+            expectedVersions: ifMatchVersions(getHeader(event, 'if-match'))
+        });
+
+        if (!recipe) {
+            return notFound('Recette non trouvée');
+        }
+
+        const mealPlans = await mealPlanService.findEntriesForRecipe(recipeId, { ownerId: ctx.user?.id });
+
+        if (mealPlans.length > 0) {
             return ok({
-                message: 'Recette créée avec succès',
-                data: recipe
+                message: 'Recette mise à la corbeille, mais elle est utilisée dans le planning des repas',
+                data: { mealPlans }
             });
-        } catch (error) {
-            console.error('Erreur lors de la création de la recette:', error);
+        }
+
+        return noContent();
+    }
+
+    /**
+     * POST /recipes/{id}/restore - Restaurer une recette depuis la corbeille
+     */
+    async restoreRecipe(event, ctx) {
+        const recipeId = event.pathParameters?.id;
+
+        if (!recipeId) {
+            return badRequest('ID de la recette manquant');
+        }
+
+        const recipe = await recipeService.restoreRecipe(recipeId, { userId: ownerScope(ctx.user) });
+
+        if (!recipe) {
+            return notFound('Recette non trouvée dans la corbeille');
+        }
+
+        return ok({
+            message: 'Recette restaurée avec succès',
+            data: recipe
+        }, { ETag: recipeEtag(recipe) });
+    }
+
+    /**
+     * GET /recipes/export - Exporter la bibliothèque en NDJSON (une recette par ligne), page par page
+     * ?tags=a,b filtre par tags, ?updatedFrom= / ?updatedTo= (dates ISO) par date de modification
+     * ?limit= recettes par page (500 par défaut, 1000 au plus) ; une page s'arrête aussi avant 5 Mo.
+     * La page suivante est donnée par le header Link (rel="next"), absent sur la dernière page.
+     */
+    async exportRecipes(event, ctx) {
+        const queryParams = event.queryStringParameters || {};
+
+        const updatedFrom = this._parseDate(queryParams.updatedFrom);
+        const updatedTo = this._parseDate(queryParams.updatedTo);
+        if (updatedFrom === undefined || updatedTo === undefined) {
+            return badRequest('updatedFrom et updatedTo doivent être des dates ISO 8601');
+        }
+
+        const tags = queryParams.tags
+            ? queryParams.tags.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean)
+            : null;
+
+        const limit = Math.min(Math.max(parseInt(queryParams.limit) || DEFAULT_EXPORT_SIZE, 1), MAX_EXPORT_SIZE);
+
+        // Une recette de plus que la page pour savoir s'il existe une page suivante
+        const recipes = recipeService.exportRecipes({
+            tags,
+            updatedFrom,
+            updatedTo,
+            cursor: queryParams.cursor || null,
+            limit: limit + 1,
+            viewerId: ownerScope(ctx.user)
+        });
 
-            if (error.message.includes('Validation échouée')) {
-                return badRequest(error.message)
+        const lines = [];
+        let size = 0;
+        let last = null;
+        let nextCursor = null;
+        for await (const recipe of recipes) {
+            const line = `${JSON.stringify(recipe)}\n`;
+            const bytes = Buffer.byteLength(line);
+
+            if (lines.length === limit || (last && size + bytes > MAX_EXPORT_BYTES)) {
+                nextCursor = recipeService.exportCursor(last);
+                break;
             }
 
-            return serverError('Erreur interne du serveur')
+            lines.push(line);
+            size += bytes;
+            last = recipe;
         }
+
+        return content(lines.join(''), 'application/x-ndjson', { Link: this._paginationLinks(event, nextCursor) });
     }
 
     /**
-     * GET /recipes/{id} - Récupérer une recette par ID
+     * GET /recipes/trash - Lister les recettes de la corbeille (celles de l'utilisateur)
      */
-    async getRecipe(event) {
-        try {
-            const recipeId = event.pathParameters?.id;
+    async getTrash(event, ctx) {
+        const queryParams = event.queryStringParameters || {};
 
-            if (!recipeId) {
-                return badRequest('ID de la recette manquant')
+        const recipes = await recipeService.getTrash({
+            limit: parseInt(queryParams.limit) || 50,
+            skip: parseInt(queryParams.skip) || 0,
+            viewerId: ownerScope(ctx.user)
+        });
+
+        return ok({
+            count: recipes.length,
+            data: recipes
+        });
+    }
+
+    /**
+     * POST /recipes/trash/purge - Supprimer définitivement les recettes expirées de la corbeille
+     */
+    async purgeTrash(event, ctx) {
+        const { retentionDays } = ctx.body;
+
+        if (retentionDays !== undefined && (!Number.isInteger(retentionDays) || retentionDays < 0)) {
+            return badRequest('retentionDays doit être un entier positif');
+        }
+
+        const result = await recipeService.purgeTrash({ retentionDays });
+
+        return ok({
+            message: 'Corbeille purgée avec succès',
+            data: result
+        });
+    }
+
+    /**
+     * GET /recipes - Récupérer les recettes de l'utilisateur et les recettes publiques
+     * Pagination par curseur : ?cursor= reprend après la page précédente (nextCursor),
+     * ?total=true ajoute le nombre total de recettes du filtre.
+     * ?skip= reste accepté (pagination par décalage) pour les clients existants.
+     * ETag faible calculé sur les versions des recettes de la page : 304 si If-None-Match correspond.
+     */
+    async getAllRecipes(event, ctx) {
+        // Extraction des query parameters
+        const queryParams = event.queryStringParameters || {};
+
+        const units = this._parseUnitsOptions(queryParams);
+        if (units.error) {
+            return badRequest(units.error);
+        }
+
+        const limit = Math.min(Math.max(parseInt(queryParams.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const sortBy = queryParams.sortBy || 'createdAt';
+        const sortOrder = queryParams.sortOrder || 'desc';
+        const tags = queryParams.tags ? queryParams.tags.split(',') : null;
+
+        if (!SORTABLE_FIELDS.includes(sortBy)) {
+            return badRequest(`sortBy doit être l'une des valeurs suivantes: ${SORTABLE_FIELDS.join(', ')}`);
+        }
+
+        let minRating = null;
+        if (queryParams.minRating !== undefined) {
+            minRating = Number(queryParams.minRating);
+            if (!Number.isFinite(minRating) || minRating < 1 || minRating > 5) {
+                return badRequest('minRating doit être un nombre entre 1 et 5');
+            }
+        }
+
+        if (queryParams.skip !== undefined) {
+            if (queryParams.cursor !== undefined) {
+                return badRequest('skip et cursor ne peuvent pas être utilisés ensemble');
             }
 
-            // Appel au service
-            const recipe = await recipeService.getRecipeById(recipeId);
+            // Pagination par décalage, conservée pour les clients existants
+            const recipes = await recipeService.getAllRecipes({
+                limit,
+                skip: parseInt(queryParams.skip) || 0,
+                sortBy,
+                sortOrder,
+                tags,
+                minRating,
+                viewerId: ownerScope(ctx.user)
+            });
 
-            if (!recipe) {
-                return badRequest('Recette non trouvée')
+            const etag = listEtag(recipes);
+            if (etagMatches(getHeader(event, 'if-none-match'), etag)) {
+                return notModified(etag);
             }
 
             return ok({
-                data: recipe
-            });
+                count: recipes.length,
+                data: recipes.map(recipe => this._convertUnits(recipe, units))
+            }, { ETag: etag });
+        }
 
-        } catch (error) {
-            console.error('Erreur lors de la récupération de la recette:', error);
-            return serverError('Erreur interne du serveur')
+        const { recipes, nextCursor, total } = await recipeService.getRecipesPage({
+            limit,
+            sortBy,
+            sortOrder,
+            tags,
+            minRating,
+            cursor: queryParams.cursor || null,
+            withTotal: queryParams.total === 'true',
+            viewerId: ownerScope(ctx.user)
+        });
+
+        const etag = listEtag(recipes, [nextCursor, total]);
+        if (etagMatches(getHeader(event, 'if-none-match'), etag)) {
+            return notModified(etag);
+        }
+
+        const body = {
+            count: recipes.length,
+            data: recipes.map(recipe => this._convertUnits(recipe, units)),
+            nextCursor
+        };
+        if (total !== null) {
+            body.total = total;
         }
+
+        return ok(body, { Link: this._paginationLinks(event, nextCursor), ETag: etag });
     }
 
     /**
-     * GET /recipes - Récupérer toutes les recettes
+     * Header Link (RFC 8288) : première page et page suivante, avec les mêmes filtres
+     * @private
      */
-    async getAllRecipes(event) {
-        try {
-            // Extraction des query parameters
-            const queryParams = event.queryStringParameters || {};
+    _paginationLinks(event, nextCursor) {
+        const path = event.requestContext?.http?.path || event.path || '/recipes';
+        const params = { ...(event.queryStringParameters || {}) };
+        delete params.cursor;
+        delete params.skip;
 
-            const options = {
-                limit: parseInt(queryParams.limit) || 50,
-                skip: parseInt(queryParams.skip) || 0,
-                sortBy: queryParams.sortBy || 'createdAt',
-                sortOrder: queryParams.sortOrder || 'desc',
-                tags: queryParams.tags ? queryParams.tags.split(',') : null
+        const link = (extra, rel) => {
+            const query = new URLSearchParams({ ...params, ...extra }).toString();
+            return `<${path}${query ? `?${query}` : ''}>; rel="${rel}"`;
+        };
+
+        const links = [link({}, 'first')];
+        if (nextCursor) {
+            links.push(link({ cursor: nextCursor }, 'next'));
+        }
+        return links.join(', ');
+    }
+
+    /**
+     * Lire une date ISO : null si absente, undefined si invalide
+     * @private
+     */
+    _parseDate(value) {
+        if (value === undefined || value === '') return null;
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? undefined : date;
+    }
+
+    /**
+     * Choisir le format de la réponse : ?format= est prioritaire sur le header Accept
+     * @private
+     */
+    _negotiateFormat(event) {
+        const requested = event.queryStringParameters?.format;
+
+        if (requested !== undefined) {
+            const format = resolveExportFormat(requested);
+            return format
+                ? { format }
+                : { error: `format doit être l'une des valeurs suivantes: ${Object.keys(EXPORT_MEDIA_TYPES).join(', ')}` };
+        }
+
+        const mediaType = negotiate(getHeader(event, 'accept'), Object.values(EXPORT_MEDIA_TYPES));
+        if (!mediaType) {
+            return {
+                error: `Formats disponibles: ${Object.values(EXPORT_MEDIA_TYPES).join(', ')}`,
+                notAcceptable: true
             };
+        }
 
-            // Appel au service
-            const recipes = await recipeService.getAllRecipes(options);
+        return { format: resolveExportFormat(mediaType) };
+    }
 
-            return ok({
-                count: recipes.length,
-                data: recipes
-            });
+    /**
+     * Lire les options de conversion d'unités : ?units=metric|imperial|original&density=true
+     * @private
+     */
+    _parseUnitsOptions(queryParams) {
+        const system = queryParams.units;
 
-        } catch (error) {
-            console.error('Erreur lors de la récupération des recettes:', error);
-            return serverError('Erreur interne du serveur');
+        if (system === undefined) {
+            return { system: null };
         }
+
+        if (!UNIT_SYSTEMS.includes(system)) {
+            return { error: `units doit valoir ${UNIT_SYSTEMS.join(', ')}` };
+        }
+
+        return { system, useDensity: queryParams.density === 'true' };
+    }
+
+    /**
+     * Appliquer la conversion d'unités si elle est demandée
+     * @private
+     */
+    _convertUnits(recipe, { system, useDensity }) {
+        if (!system) {
+            return recipe;
+        }
+        return convertRecipeUnits(recipe, system, { useDensity });
+    }
+
+    /**
+     * Logique commune à PUT et PATCH
+     * @private
+     */
+    async _update(event, ctx, { partial }) {
+        const recipeId = event.pathParameters?.id;
+
+        if (!recipeId) {
+            return badRequest('ID de la recette manquant');
+        }
+
+        const recipeData = ctx.body;
+
+        if (Array.isArray(recipeData) || Object.keys(recipeData).length === 0) {
+            return badRequest('Le corps de la requête est invalide');
+        }
+
+        const recipe = await recipeService.updateRecipe(recipeId, recipeData, {
+            partial,
+            userId: ownerScope(ctx.user),
+            expectedVersions: ifMatchVersions(getHeader(event, 'if-match'))
+        });
+
+        if (!recipe) {
+            return notFound('Recette non trouvée');
+        }
+
+        return ok({
+            message: 'Recette mise à jour avec succès',
+            data: recipe
+        }, { ETag: recipeEtag(recipe) });
     }
 }
 
@@ -0,0 +1,70 @@
+import reviewService from '../services/reviewService.js';
+import { ok, created, badRequest, notFound } from '../utils/http.mjs';
+import { ownerScope } from '../utils/roles.mjs';
+
+/**
+ * Controller pour gérer les avis et les notes des recettes
+ * Le corps JSON est lu par le middleware jsonBody (ctx.body), les erreurs du service sont
+ * converties par errorHandler.
+ */
+class ReviewController {
+
+    /**
+     * POST /recipes/{id}/reviews - Noter une recette
+     */
+    async addReview(event, ctx) {
+        const recipeId = event.pathParameters?.id;
+        const { rating, comment } = ctx.body;
+
+        if (!recipeId) {
+            return badRequest('ID de la recette manquant');
+        }
+
+        if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+            return badRequest('La note doit être un entier entre 1 et 5');
+        }
+
+        if (comment !== undefined && typeof comment !== 'string') {
+            return badRequest('Le commentaire doit être une chaîne de caractères');
+        }
+
+        const result = await reviewService.addReview(recipeId, { rating, comment }, { viewerId: ownerScope(ctx.user) });
+
+        if (!result) {
+            return notFound('Recette non trouvée');
+        }
+
+        return created({
+            message: 'Avis ajouté avec succès',
+            data: result.review,
+            rating: result.rating,
+            reviewCount: result.reviewCount
+        });
+    }
+
+    /**
+     * GET /recipes/{id}/reviews - Lister les avis d'une recette
+     */
+    async getReviews(event, ctx) {
+        const recipeId = event.pathParameters?.id;
+        const queryParams = event.queryStringParameters || {};
+
+        const limit = Math.max(Math.min(parseInt(queryParams.limit) || 50, 100), 1);
+        const skip = Math.max(parseInt(queryParams.skip) || 0, 0);
+
+        const result = await reviewService.getReviews(recipeId, { limit, skip, viewerId: ownerScope(ctx.user) });
+
+        if (!result) {
+            return notFound('Recette non trouvée');
+        }
+
+        return ok({
+            count: result.reviews.length,
+            total: result.reviewCount,
+            rating: result.rating,
+            data: result.reviews
+        });
+    }
+}
+
+export default new ReviewController();
@@ -0,0 +1,171 @@
+import revisionService from '../services/revisionService.js';
+import recipeService from '../services/recipeService.js';
+import { ok, badRequest, notFound, forbidden, preconditionFailed, serverError, getHeader } from '../utils/http.mjs';
+import { recipeEtag, ifMatchVersions } from '../utils/etag.mjs';
+import { ownerScope } from '../utils/roles.mjs';
+
+/**
+ * Controller pour gérer l'historique des révisions des recettes
+ */
+class RevisionController {
+
+    /**
+     * GET /recipes/{id}/revisions - Lister les révisions d'une recette
+     */
+    async getRevisions(event) {
+        try {
+            const recipeId = event.pathParameters?.id;
+            const queryParams = event.queryStringParameters || {};
+
+            if (await this._isHidden(event, recipeId)) {
+                return notFound('Recette non trouvée');
+            }
+
+            const revisions = await revisionService.getRevisions(recipeId, {
+                limit: parseInt(queryParams.limit) || 50,
+                skip: parseInt(queryParams.skip) || 0
+            });
+
+            return ok({
+                count: revisions.length,
+                data: revisions
+            });
+        } catch (error) {
+            console.error('Erreur lors de la récupération des révisions:', error);
+            return serverError('Erreur interne du serveur');
+        }
+    }
+
+    /**
+     * GET /recipes/{id}/revisions/{rev} - Récupérer une révision
+     */
+    async getRevision(event) {
+        try {
+            const recipeId = event.pathParameters?.id;
+            const rev = this._parseRev(event.pathParameters?.rev);
+
+            if (!rev) {
+                return badRequest('Le numéro de révision doit être un entier supérieur à 0');
+            }
+
+            if (await this._isHidden(event, recipeId)) {
+                return notFound('Recette non trouvée');
+            }
+
+            const revision = await revisionService.getRevision(recipeId, rev);
+
+            if (!revision) {
+                return notFound('Révision non trouvée');
+            }
+
+            return ok({
+                data: revision
+            });
+        } catch (error) {
+            console.error('Erreur lors de la récupération de la révision:', error);
+            return serverError('Erreur interne du serveur');
+        }
+    }
+
+    /**
+     * GET /recipes/{id}/revisions/diff?from=&to= - Comparer deux révisions
+     */
+    async diffRevisions(event) {
+        try {
+            const recipeId = event.pathParameters?.id;
+            const queryParams = event.queryStringParameters || {};
+            const from = this._parseRev(queryParams.from);
+            const to = this._parseRev(queryParams.to);
+
+            if (!from || !to) {
+                return badRequest('from et to doivent être des numéros de révision');
+            }
+
+            if (await this._isHidden(event, recipeId)) {
+                return notFound('Recette non trouvée');
+            }
+
+            const diff = await revisionService.diffRevisions(recipeId, from, to);
+
+            if (!diff) {
+                return notFound('Révision non trouvée');
+            }
+
+            return ok({
+                data: diff
+            });
+        } catch (error) {
+            console.error('Erreur lors de la comparaison des révisions:', error);
+            return serverError('Erreur interne du serveur');
+        }
+    }
+
+    /**
+     * POST /recipes/{id}/revisions/{rev}/revert - Restaurer une révision
+     */
+    async revertRecipe(event) {
+        try {
+            const recipeId = event.pathParameters?.id;
+            const rev = this._parseRev(event.pathParameters?.rev);
+
+            if (!rev) {
+                return badRequest('Le numéro de révision doit être un entier supérieur à 0');
+            }
+
+            const recipe = await recipeService.revertRecipe(recipeId, rev, {
+                userId: ownerScope(event.user),
+                expectedVersions: ifMatchVersions(getHeader(event, 'if-match'))
+            });
+
+            if (!recipe) {
+                return notFound('Recette ou révision non trouvée');
+            }
+
+            return ok({
+                message: `Recette restaurée à la révision ${rev}`,
+                data: recipe
+            }, { ETag: recipeEtag(recipe) });
+        } catch (error) {
+            console.error('Erreur lors de la restauration de la révision:', error);
+
+            if (error.message.includes('Validation échouée')) {
+                return badRequest(error.message);
+            }
+
+            if (error.message.includes('Accès refusé')) {
+                return forbidden(error.message);
+            }
+
+            if (error.message.includes('Précondition échouée')) {
+                return preconditionFailed(error.message);
+            }
+
+            return serverError('Erreur interne du serveur');
+        }
+    }
+
+    /**
+     * L'historique d'une recette n'est visible que par ceux qui peuvent voir la recette
+     * (y compris dans la corbeille ; les admins voient tout)
+     * @private
+     */
+    async _isHidden(event, recipeId) {
+        const viewerId = ownerScope(event.user);
+        if (viewerId === undefined) {
+            return false;
+        }
+        const recipe = await recipeService.getRecipeById(recipeId, { includeDeleted: true, viewerId });
+        return !recipe;
+    }
+
+    /**
+     * Lire un numéro de révision (entier > 0), null si invalide
+     * @private
+     */
+    _parseRev(value) {
+        const rev = Number(value);
+        return Number.isInteger(rev) && rev > 0 ? rev : null;
+    }
+}
+
+export default new RevisionController();
@@ -0,0 +1,178 @@
+import shoppingListService from '../services/shoppingListService.js';
+import { ok, created, noContent, badRequest, notFound } from '../utils/http.mjs';
+import { ownerScope } from '../utils/roles.mjs';
+
+/**
+ * Controller pour gérer les endpoints HTTP des listes de courses
+ * Chaque utilisateur ne voit et ne modifie que ses propres listes
+ */
+class ShoppingListController {
+
+    /**
+     * POST /shopping-lists - Générer une liste de courses à partir de recettes
+     */
+    async createShoppingList(event, ctx) {
+        const { name, recipes = [], items = [] } = ctx.body;
+
+        if (!Array.isArray(recipes) || !Array.isArray(items)) {
+            return badRequest('recipes et items doivent être des listes');
+        }
+
+        if (recipes.length === 0 && items.length === 0) {
+            return badRequest('Au moins une recette ou un article est requis');
+        }
+
+        for (const entry of recipes) {
+            if (!entry?.recipeId) {
+                return badRequest('Chaque recette doit avoir un recipeId');
+            }
+            if (entry.servings !== undefined && (!Number.isInteger(entry.servings) || entry.servings < 1)) {
+                return badRequest('servings doit être un entier supérieur à 0');
+            }
+        }
+
+        const list = await shoppingListService.createShoppingList({ name, recipes, items }, this._owner(ctx));
+
+        return created({
+            message: 'Liste de courses créée avec succès',
+            data: list
+        });
+    }
+
+    /**
+     * GET /shopping-lists/{id} - Récupérer une liste de courses
+     */
+    async getShoppingList(event, ctx) {
+        const listId = event.pathParameters?.id;
+
+        if (!listId) {
+            return badRequest('ID de la liste manquant');
+        }
+
+        const list = await shoppingListService.getShoppingListById(listId, this._owner(ctx));
+
+        if (!list) {
+            return notFound('Liste de courses non trouvée');
+        }
+
+        return ok({
+            data: list
+        });
+    }
+
+    /**
+     * GET /shopping-lists - Lister les listes de courses
+     */
+    async getAllShoppingLists(event, ctx) {
+        const queryParams = event.queryStringParameters || {};
+
+        const lists = await shoppingListService.getAllShoppingLists({
+            limit: parseInt(queryParams.limit) || 50,
+            skip: parseInt(queryParams.skip) || 0,
+            ownerId: ctx.user?.id
+        });
+
+        return ok({
+            count: lists.length,
+            data: lists
+        });
+    }
+
+    /**
+     * DELETE /shopping-lists/{id} - Supprimer une liste de courses
+     */
+    async deleteShoppingList(event, ctx) {
+        const listId = event.pathParameters?.id;
+
+        if (!listId) {
+            return badRequest('ID de la liste manquant');
+        }
+
+        const deleted = await shoppingListService.deleteShoppingList(listId, this._owner(ctx));
+
+        if (!deleted) {
+            return notFound('Liste de courses non trouvée');
+        }
+
+        return noContent();
+    }
+
+    /**
+     * POST /shopping-lists/{id}/items - Ajouter un article personnalisé
+     */
+    async addItem(event, ctx) {
+        const listId = event.pathParameters?.id;
+        const item = ctx.body;
+
+        if (!item.name || typeof item.name !== 'string') {
+            return badRequest('Le nom de l\'article est requis');
+        }
+
+        const list = await shoppingListService.addItem(listId, item, this._owner(ctx));
+
+        if (!list) {
+            return notFound('Liste de courses non trouvée');
+        }
+
+        return created({
+            message: 'Article ajouté avec succès',
+            data: list
+        });
+    }
+
+    /**
+     * PATCH /shopping-lists/{id}/items/{itemId} - Cocher ou modifier un article
+     */
+    async updateItem(event, ctx) {
+        const { id: listId, itemId } = event.pathParameters || {};
+        const changes = ctx.body;
+
+        const editable = ['checked', 'name', 'quantity', 'unit', 'category'];
+        if (!editable.some(field => changes[field] !== undefined)) {
+            return badRequest(`Au moins un champ parmi ${editable.join(', ')} est requis`);
+        }
+
+        if (changes.checked !== undefined && typeof changes.checked !== 'boolean') {
+            return badRequest('checked doit être un booléen');
+        }
+
+        const list = await shoppingListService.updateItem(listId, itemId, changes, this._owner(ctx));
+
+        if (!list) {
+            return notFound('Article non trouvé');
+        }
+
+        return ok({
+            message: 'Article mis à jour avec succès',
+            data: list
+        });
+    }
+
+    /**
+     * DELETE /shopping-lists/{id}/items/{itemId} - Retirer un article
+     */
+    async removeItem(event, ctx) {
+        const { id: listId, itemId } = event.pathParameters || {};
+
+        const list = await shoppingListService.removeItem(listId, itemId, this._owner(ctx));
+
+        if (!list) {
+            return notFound('Article non trouvé');
+        }
+
+        return ok({
+            message: 'Article retiré avec succès',
+            data: list
+        });
+    }
+
+    /**
+     * Propriétaire des listes (l'utilisateur authentifié) et recettes qu'il peut utiliser
+     * @private
+     */
+    _owner(ctx) {
+        return { ownerId: ctx.user?.id, viewerId: ownerScope(ctx.user) };
+    }
+}
+
+export default new ShoppingListController();
@@ -0,0 +1,85 @@
+import tagService from '../services/tagService.js';
+import { ok, badRequest, notFound } from '../utils/http.mjs';
+import { ownerScope } from '../utils/roles.mjs';
+
+/**
+ * Controller pour gérer le vocabulaire des tags
+ * Le corps JSON est lu par le middleware jsonBody (ctx.body), les saisies refusées par le
+ * service deviennent des 400 dans errorHandler.
+ */
+class TagController {
+
+    /**
+     * GET /tags - Lister les tags avec leur nombre de recettes (celles que l'utilisateur peut voir)
+     */
+    async getTags(event, ctx) {
+        const tags = await tagService.getTags({ viewerId: ownerScope(ctx.user) });
+
+        return ok({
+            count: tags.length,
+            data: tags
+        });
+    }
+
+    /**
+     * POST /tags/{tag}/rename - Renommer un tag sur toutes les recettes
+     */
+    async renameTag(event, ctx) {
+        const tag = this._decodeTag(event.pathParameters?.tag);
+        const { to } = ctx.body;
+
+        if (!tag) {
+            return badRequest('Tag invalide');
+        }
+        if (typeof to !== 'string') {
+            return badRequest('Le nouveau nom du tag (to) est requis');
+        }
+
+        const result = await tagService.renameTag(tag, to);
+
+        if (!result) {
+            return notFound('Tag non trouvé');
+        }
+
+        return ok({
+            message: 'Tag renommé avec succès',
+            data: result
+        });
+    }
+
+    /**
+     * POST /tags/merge - Fusionner plusieurs tags en un seul
+     */
+    async mergeTags(event, ctx) {
+        const { tags, into } = ctx.body;
+
+        if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+            return badRequest('tags doit être une liste de tags');
+        }
+        if (typeof into !== 'string') {
+            return badRequest('Le tag cible (into) est requis');
+        }
+
+        const result = await tagService.mergeTags(tags, into);
+
+        return ok({
+            message: 'Tags fusionnés avec succès',
+            data: result
+        });
+    }
+
+    /**
+     * Décoder le tag reçu dans le chemin (encodé en URL)
+     * @private
+     */
+    _decodeTag(value) {
+        if (!value) return null;
+        try {
+            return decodeURIComponent(value);
+        } catch {
+            return null;
+        }
+    }
+}
+
+export default new TagController();
@@ -1,29 +1,136 @@
 import {getDb} from "./utils/db.mjs";
 import recipeController from './controllers/recipeController.js';
 import uploadController from './controllers/uploadController.js';
+import shoppingListController from './controllers/shoppingListController.js';
+import mealPlanController from './controllers/mealPlanController.js';
+import revisionController from './controllers/revisionController.js';
+import importController from './controllers/importController.js';
+import tagController from './controllers/tagController.js';
+import collectionController from './controllers/collectionController.js';
+import reviewController from './controllers/reviewController.js';
+import apiKeyController from './controllers/apiKeyController.js';
 import Router from './utils/router.js';
+import recipeService from './services/recipeService.js';
+import rateLimitService from './services/rateLimitService.js';
+import idempotencyService from './services/idempotencyService.js';
+import { requestLogger, redactEvent } from './middleware/requestLogger.js';
+import { errorHandler } from './middleware/errorHandler.js';
+import { authentication, authorize } from './middleware/auth.js';
+import { database } from './middleware/database.js';
+import { rateLimit, ipRateLimit } from './middleware/rateLimit.js';
+import { idempotency } from './middleware/idempotency.js';
+import { jsonBody } from './middleware/jsonBody.js';
 
-// Initialiser le router
-const router = new Router();
+// Initialiser le router et sa chaîne de middlewares, dans l'ordre d'exécution :
+// logs, conversion des erreurs, connexion MongoDB, limite de débit par adresse IP (avant
+// l'authentification, pour compter aussi les identifiants refusés), authentification, limite de débit
+// par client (configurable par route dans AppConfig), rôles et scopes, rejeu des requêtes Idempotency-Key
+const router = new Router().use(
+    requestLogger(),
+    errorHandler(),
+    database(),
+    ipRateLimit(rateLimitService),
+    authentication(),
+    rateLimit(rateLimitService),
+    authorize(),
+    idempotency(idempotencyService)
+);
+
+// Rôles requis par route (un rôle supérieur est toujours accepté : admin > editor > viewer)
+// et scope demandé aux clés d'API (les routes sans scope leur sont fermées)
+const VIEWER = { roles: ['viewer'] };
+const EDITOR = { roles: ['editor'] };
+const ADMIN = { roles: ['admin'] };
+const READ_RECIPES = { ...VIEWER, scope: 'recipes:read' };
+const WRITE_RECIPES = { ...EDITOR, scope: 'recipes:write' };
+const UPLOAD = { ...ADMIN, scope: 'uploads:write' };
+
+// Corps JSON lu dans ctx.body par les routes des controllers qui en dépendent
+const JSON_BODY = { middleware: [jsonBody()] };
 
 // Définir les routes
-router.addRoute('POST', '/recipes', (event) => recipeController.createRecipe(event));
-router.addRoute('GET', '/recipes/{id}', (event) => recipeController.getRecipe(event));
-router.addRoute('GET', '/recipes', (event) => recipeController.getAllRecipes(event));
+// Les routes statiques (/recipes/search, /recipes/trash, /recipes/export) doivent être déclarées avant /recipes/{id}
+router.addRoute('POST', '/recipes', (event, ctx) => recipeController.createRecipe(event, ctx), { ...WRITE_RECIPES, ...JSON_BODY });
+router.addRoute('GET', '/recipes/search', (event, ctx) => recipeController.searchRecipes(event, ctx), READ_RECIPES);
+router.addRoute('POST', '/recipes/match', (event, ctx) => recipeController.matchRecipes(event, ctx), { ...READ_RECIPES, ...JSON_BODY });
+router.addRoute('POST', '/recipes/import', (event) => importController.importRecipe(event), WRITE_RECIPES);
+router.addRoute('POST', '/recipes/import/bulk', (event) => importController.importBulk(event), WRITE_RECIPES);
+router.addRoute('POST', '/recipes/import/legacy', (event) => importController.importLegacy(event), WRITE_RECIPES);
+router.addRoute('GET', '/recipes/export', (event, ctx) => recipeController.exportRecipes(event, ctx), READ_RECIPES);
+router.addRoute('GET', '/recipes/trash', (event, ctx) => recipeController.getTrash(event, ctx), READ_RECIPES);
+router.addRoute('POST', '/recipes/trash/purge', (event, ctx) => recipeController.purgeTrash(event, ctx), { ...ADMIN, ...JSON_BODY });
+router.addRoute('GET', '/recipes/{id}', (event, ctx) => recipeController.getRecipe(event, ctx), READ_RECIPES);
+router.addRoute('GET', '/recipes', (event, ctx) => recipeController.getAllRecipes(event, ctx), READ_RECIPES);
+router.addRoute('PUT', '/recipes/{id}', (event, ctx) => recipeController.updateRecipe(event, ctx), { ...WRITE_RECIPES, ...JSON_BODY });
+router.addRoute('PATCH', '/recipes/{id}', (event, ctx) => recipeController.patchRecipe(event, ctx), { ...WRITE_RECIPES, ...JSON_BODY });
+router.addRoute('DELETE', '/recipes/{id}', (event, ctx) => recipeController.deleteRecipe(event, ctx), WRITE_RECIPES);
+router.addRoute('POST', '/recipes/{id}/restore', (event, ctx) => recipeController.restoreRecipe(event, ctx), WRITE_RECIPES);
+
+// Routes de l'historique des révisions (diff avant {rev})
+router.addRoute('GET', '/recipes/{id}/revisions', (event) => revisionController.getRevisions(event), READ_RECIPES);
+router.addRoute('GET', '/recipes/{id}/revisions/diff', (event) => revisionController.diffRevisions(event), READ_RECIPES);
+router.addRoute('GET', '/recipes/{id}/revisions/{rev}', (event) => revisionController.getRevision(event), READ_RECIPES);
+router.addRoute('POST', '/recipes/{id}/revisions/{rev}/revert', (event) => revisionController.revertRecipe(event), WRITE_RECIPES);
+
+// Routes des avis
+router.addRoute('POST', '/recipes/{id}/reviews', (event, ctx) => reviewController.addReview(event, ctx), { ...WRITE_RECIPES, ...JSON_BODY });
+router.addRoute('GET', '/recipes/{id}/reviews', (event, ctx) => reviewController.getReviews(event, ctx), READ_RECIPES);
 
 // Routes d'upload
-router.addRoute('POST', '/recipes/upload', (event) => uploadController.getPresignedUrl(event));
+router.addRoute('POST', '/recipes/upload', (event, ctx) => uploadController.getPresignedUrl(event, ctx), { ...UPLOAD, ...JSON_BODY });
+
+// Routes des listes de courses
+router.addRoute('POST', '/shopping-lists', (event, ctx) => shoppingListController.createShoppingList(event, ctx), { ...EDITOR, ...JSON_BODY });
+router.addRoute('GET', '/shopping-lists', (event, ctx) => shoppingListController.getAllShoppingLists(event, ctx), VIEWER);
+router.addRoute('GET', '/shopping-lists/{id}', (event, ctx) => shoppingListController.getShoppingList(event, ctx), VIEWER);
+router.addRoute('DELETE', '/shopping-lists/{id}', (event, ctx) => shoppingListController.deleteShoppingList(event, ctx), EDITOR);
+router.addRoute('POST', '/shopping-lists/{id}/items', (event, ctx) => shoppingListController.addItem(event, ctx), { ...EDITOR, ...JSON_BODY });
+router.addRoute('PATCH', '/shopping-lists/{id}/items/{itemId}', (event, ctx) => shoppingListController.updateItem(event, ctx), { ...EDITOR, ...JSON_BODY });
+router.addRoute('DELETE', '/shopping-lists/{id}/items/{itemId}', (event, ctx) => shoppingListController.removeItem(event, ctx), EDITOR);
+
+// Routes des collections
+router.addRoute('POST', '/collections', (event, ctx) => collectionController.createCollection(event, ctx), { ...EDITOR, ...JSON_BODY });
+router.addRoute('GET', '/collections', (event, ctx) => collectionController.getAllCollections(event, ctx), VIEWER);
+router.addRoute('GET', '/collections/{id}', (event, ctx) => collectionController.getCollection(event, ctx), VIEWER);
+router.addRoute('PATCH', '/collections/{id}', (event, ctx) => collectionController.updateCollection(event, ctx), { ...EDITOR, ...JSON_BODY });
+router.addRoute('DELETE', '/collections/{id}', (event, ctx) => collectionController.deleteCollection(event, ctx), EDITOR);
+router.addRoute('GET', '/collections/{id}/recipes', (event, ctx) => collectionController.getCollectionRecipes(event, ctx), VIEWER);
+router.addRoute('POST', '/collections/{id}/recipes', (event, ctx) => collectionController.addRecipe(event, ctx), { ...EDITOR, ...JSON_BODY });
+router.addRoute('PUT', '/collections/{id}/recipes', (event, ctx) => collectionController.reorderRecipes(event, ctx), { ...EDITOR, ...JSON_BODY });
+router.addRoute('DELETE', '/collections/{id}/recipes/{recipeId}', (event, ctx) => collectionController.removeRecipe(event, ctx), EDITOR);
+
+// Routes des tags
+router.addRoute('GET', '/tags', (event, ctx) => tagController.getTags(event, ctx), VIEWER);
+router.addRoute('POST', '/tags/merge', (event, ctx) => tagController.mergeTags(event, ctx), { ...ADMIN, ...JSON_BODY });
+router.addRoute('POST', '/tags/{tag}/rename', (event, ctx) => tagController.renameTag(event, ctx), { ...ADMIN, ...JSON_BODY });
+
+// Routes des clés d'API (gérées par les utilisateurs, jamais par une clé)
+// La clé en clair n'est renvoyée qu'une fois : pas de rejeu Idempotency-Key, qui la conserverait en base
+router.addRoute('POST', '/api-keys', (event, ctx) => apiKeyController.createApiKey(event, ctx), { ...VIEWER, ...JSON_BODY, idempotent: false });
+router.addRoute('GET', '/api-keys', (event, ctx) => apiKeyController.getApiKeys(event, ctx), VIEWER);
+router.addRoute('DELETE', '/api-keys/{id}', (event, ctx) => apiKeyController.revokeApiKey(event, ctx), VIEWER);
+
+// Routes du planning des repas
+router.addRoute('POST', '/meal-plans/shopping-list', (event, ctx) => mealPlanController.generateShoppingList(event, ctx), { ...EDITOR, ...JSON_BODY });
+router.addRoute('POST', '/meal-plans', (event, ctx) => mealPlanController.createEntry(event, ctx), { ...EDITOR, ...JSON_BODY });
+router.addRoute('GET', '/meal-plans', (event, ctx) => mealPlanController.getEntries(event, ctx), VIEWER);
+router.addRoute('PATCH', '/meal-plans/{id}', (event, ctx) => mealPlanController.updateEntry(event, ctx), { ...EDITOR, ...JSON_BODY });
+router.addRoute('DELETE', '/meal-plans/{id}', (event, ctx) => mealPlanController.deleteEntry(event, ctx), EDITOR);
 
 /**
  * Point d'entrée principal de la Lambda
  * Gère la connexion MongoDB et le routing
  */
 export const handler = async (event) => {
-    console.log('Event:', JSON.stringify(event, null, 2));
-
     try {
-        // Connexion à MongoDB (réutilise la connexion existante si disponible)
-        await getDb();
+        // Invocation planifiée (EventBridge) : purge de la corbeille
+        if (event.source === 'aws.events') {
+            console.log('Event:', JSON.stringify(redactEvent(event), null, 2));
+            await getDb();
+            const result = await recipeService.purgeTrash();
+            console.log('Corbeille purgée:', result);
+            return result;
+        }
 
         // Router la requête vers le bon controller
         return await router.route(event);
@@ -45,3 +152,4 @@ export const handler = async (event) => {
         };
     }
 };
+
@@ -0,0 +1,51 @@
+import { authenticate } from '../utils/auth.mjs';
+import { unauthorized, forbidden, getHeader } from '../utils/http.mjs';
+import { hasRole } from '../utils/roles.mjs';
+import apiKeyService from '../services/apiKeyService.js';
+
+/**
+ * Authentifier la requête par clé d'API (X-Api-Key) ou par jeton Bearer
+ * L'utilisateur est placé dans ctx.user (et event.user pour les controllers qui lisent l'event).
+ * Sans authentification valide, la requête s'arrête sur une réponse 401.
+ * La connexion à MongoDB doit être ouverte avant (middleware database), pour les clés d'API.
+ */
+export function authentication() {
+    return async (ctx, next) => {
+        try {
+            const apiKey = getHeader(ctx.event, 'x-api-key');
+            // Les clés sont vérifiées en base à chaque requête (révocation immédiate)
+            ctx.user = apiKey
+                ? await apiKeyService.authenticate(apiKey)
+                : await authenticate(ctx.event);
+        } catch (error) {
+            if (!error.message.startsWith('Authentification')) {
+                throw error;
+            }
+            console.warn(error.message);
+            return unauthorized(error.message, error.message === 'Authentification requise' ? undefined : 'invalid_token');
+        }
+
+        ctx.event.user = ctx.user;
+        return next();
+    };
+}
+
+/**
+ * Vérifier les droits déclarés par la route (options roles et scope de addRoute)
+ * Une clé d'API doit porter le scope de la route : les routes sans scope lui sont fermées.
+ */
+export function authorize() {
+    return async (ctx, next) => {
+        const { route, user } = ctx;
+
+        if (route && user?.apiKeyId && !(route.scope && user.scopes?.includes(route.scope))) {
+            return forbidden(route.scope
+                ? `Accès refusé: scope requis (${route.scope})`
+                : 'Accès refusé: route non accessible avec une clé d\'API');
+        }
+        if (route?.roles && !hasRole(user, route.roles)) {
+            return forbidden(`Accès refusé: rôle requis (${route.roles.join(', ')})`);
+        }
+        return next();
+    };
+}
@@ -0,0 +1,11 @@
+import { getDb } from '../utils/db.mjs';
+
+/**
+ * Connexion à MongoDB avant la suite de la chaîne (réutilise la connexion existante si disponible)
+ */
+export function database() {
+    return async (ctx, next) => {
+        await getDb();
+        return next();
+    };
+}
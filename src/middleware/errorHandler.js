@@ -0,0 +1,40 @@
+import { badRequest, forbidden, conflict, preconditionFailed, unprocessableEntity, serverError } from '../utils/http.mjs';
+
+// Réponse associée aux erreurs métier, reconnues à leur message (la première correspondance l'emporte)
+const ERROR_RESPONSES = [
+    ['Validation échouée', badRequest],
+    ['ordre des étapes', badRequest],
+    ['Curseur invalide', badRequest],
+    // Fichiers refusés par uploadService
+    ['Type de fichier', badRequest],
+    ['Fichier trop', badRequest],
+    // Recettes référencées dans le corps des collections, plannings et listes de courses
+    ['Recette non trouvée', badRequest],
+    ['fait déjà partie', conflict],
+    ['nouvel ordre', badRequest],
+    ['Aucune recette planifiée', badRequest],
+    // Saisies refusées par tagService
+    ['est requis', badRequest],
+    ['doit être différent', badRequest],
+    ['Accès refusé', forbidden],
+    ['Requête en cours', conflict],
+    ['Précondition échouée', preconditionFailed],
+    ['Requête différente', unprocessableEntity]
+];
+
+/**
+ * Convertir les erreurs levées par la suite de la chaîne en réponses HTTP
+ * Les erreurs métier deviennent des 4xx avec leur message, les autres une 500 sans détail.
+ */
+export function errorHandler() {
+    return async (ctx, next) => {
+        try {
+            return await next();
+        } catch (error) {
+            console.error(`Erreur sur ${ctx.method} ${ctx.path}:`, error);
+
+            const match = ERROR_RESPONSES.find(([message]) => error.message?.includes(message));
+            return match ? match[1](error.message) : serverError('Erreur interne du serveur');
+        }
+    };
+}
@@ -0,0 +1,24 @@
+import { getHeader } from '../utils/http.mjs';
+
+// Méthodes dont les requêtes acceptent un header Idempotency-Key
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Exécuter une seule fois les requêtes d'écriture envoyées avec un header Idempotency-Key
+ * (voir idempotencyService). Les erreurs du service (clé invalide, réutilisée ou en cours)
+ * sont converties en réponses par errorHandler.
+ * Les routes déclarées avec { idempotent: false } ne sont pas concernées : leur réponse, conservée
+ * pour le rejeu, contiendrait un secret (clé d'API en clair).
+ * @param {Object} service - Service d'idempotence (execute(event, key, handler))
+ */
+export function idempotency(service) {
+    return async (ctx, next) => {
+        const idempotencyKey = getHeader(ctx.event, 'idempotency-key');
+        if (!ctx.route || ctx.route.idempotent === false || idempotencyKey === undefined
+            || !MUTATING_METHODS.includes(ctx.route.method)) {
+            return next();
+        }
+
+        return service.execute(ctx.event, idempotencyKey, next);
+    };
+}
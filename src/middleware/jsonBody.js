@@ -0,0 +1,31 @@
+import { badRequest } from '../utils/http.mjs';
+
+/**
+ * Lire le corps JSON de la requête dans ctx.body ({} si la requête n'a pas de corps)
+ * Un corps qui n'est pas du JSON valide, ou qui n'est pas un objet (null, tableau, nombre...),
+ * arrête la requête sur une réponse 400.
+ */
+export function jsonBody() {
+    return async (ctx, next) => {
+        const { body, isBase64Encoded } = ctx.event;
+
+        if (!body) {
+            ctx.body = {};
+            return next();
+        }
+
+        let parsed;
+        try {
+            parsed = JSON.parse(isBase64Encoded ? Buffer.from(body, 'base64').toString('utf8') : body);
+        } catch {
+            return badRequest('Le corps de la requête doit être du JSON valide');
+        }
+
+        if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            return badRequest('Le corps de la requête doit être un objet JSON');
+        }
+
+        ctx.body = parsed;
+        return next();
+    };
+}
@@ -0,0 +1,77 @@
+import { tooManyRequests } from '../utils/http.mjs';
+
+/**
+ * Limiter le débit de chaque client (voir rateLimitService)
+ * Les requêtes refusées reçoivent une réponse 429 avec Retry-After ; les headers RateLimit-*
+ * sont ajoutés à toutes les réponses des routes limitées.
+ * Une panne du stockage des compteurs ne bloque pas l'API : la requête passe sans limite.
+ * @param {Object} rateLimiter - Service de limitation (consume(event, route))
+ */
+export function rateLimit(rateLimiter) {
+    return async (ctx, next) => {
+        if (!ctx.route) {
+            return next();
+        }
+
+        const rate = await consumeSafely(() => rateLimiter.consume(ctx.event, ctx.route));
+        if (rate && !rate.allowed) {
+            return rejected(rate);
+        }
+
+        const response = await next();
+        if (rate && response) {
+            response.headers = { ...response.headers, ...rateLimitHeaders(rate) };
+        }
+        return response;
+    };
+}
+
+/**
+ * Limiter le débit par adresse IP, avant l'authentification
+ * À placer devant authentication() : les requêtes sans identifiants valides (essais de jetons
+ * ou de clés d'API) sont comptées avant d'être refusées.
+ * @param {Object} rateLimiter - Service de limitation (consumeByIp(event))
+ */
+export function ipRateLimit(rateLimiter) {
+    return async (ctx, next) => {
+        const rate = await consumeSafely(() => rateLimiter.consumeByIp(ctx.event));
+        if (rate && !rate.allowed) {
+            return rejected(rate);
+        }
+        return next();
+    };
+}
+
+/**
+ * Compter la requête, sans limite si le stockage des compteurs est indisponible
+ */
+async function consumeSafely(consume) {
+    try {
+        return await consume();
+    } catch (error) {
+        console.error('Limitation de débit indisponible:', error);
+        return null;
+    }
+}
+
+/**
+ * Réponse 429 avec Retry-After
+ */
+function rejected(rate) {
+    return tooManyRequests('Trop de requêtes, réessayez plus tard', {
+        'Retry-After': String(rate.retryAfter),
+        ...rateLimitHeaders(rate)
+    });
+}
+
+/**
+ * Headers RateLimit-* (draft IETF RateLimit header fields)
+ */
+function rateLimitHeaders(rate) {
+    return {
+        'RateLimit-Limit': String(rate.limit),
+        'RateLimit-Remaining': String(rate.remaining),
+        'RateLimit-Reset': String(rate.reset),
+        'RateLimit-Policy': `${rate.limit};w=${rate.windowSeconds}`
+    };
+}
@@ -0,0 +1,31 @@
+// Headers d'authentification masqués dans les logs
+const SECRET_HEADERS = ['authorization', 'x-api-key'];
+
+/**
+ * Journaliser chaque requête (event sans secrets, puis statut et durée)
+ * et renvoyer son identifiant dans le header X-Request-Id
+ */
+export function requestLogger() {
+    return async (ctx, next) => {
+        const start = Date.now();
+        console.log('Event:', JSON.stringify(redactEvent(ctx.event), null, 2));
+
+        const response = await next();
+
+        console.log(`${ctx.method} ${ctx.path} ${response?.statusCode} ${Date.now() - start} ms (requestId ${ctx.requestId}, user ${ctx.user?.id ?? '-'})`);
+        if (response) {
+            response.headers = { ...response.headers, 'X-Request-Id': ctx.requestId };
+        }
+        return response;
+    };
+}
+
+/**
+ * Copie de l'event sans le jeton ni la clé d'API, pour les logs
+ */
+export function redactEvent(event) {
+    if (!event?.headers) return event;
+    const headers = Object.fromEntries(Object.entries(event.headers).map(([name, value]) =>
+        [name, SECRET_HEADERS.includes(name.toLowerCase()) ? '[masqué]' : value]));
+    return { ...event, headers };
+}
@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+
+// Droits qu'une clé d'API peut porter
+export const API_KEY_SCOPES = ['recipes:read', 'recipes:write', 'uploads:write'];
+
+/**
+ * Schéma d'une clé d'API (clients sans connexion interactive : scripts d'import, domotique...)
+ * La clé n'est jamais stockée : seule son empreinte SHA-256 l'est, la clé en clair
+ * n'est renvoyée qu'une fois, à la création.
+ */
+const apiKeySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Le nom de la clé est requis'],
+        trim: true,
+        maxlength: [100, 'Le nom de la clé ne peut pas dépasser 100 caractères']
+    },
+    // Début de la clé, pour la reconnaître dans la liste
+    prefix: {
+        type: String,
+        required: true
+    },
+    hash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Utilisateur (sub du jeton) qui a créé la clé ; la clé agit en son nom
+    ownerId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    // Rôles du propriétaire à la création de la clé
+    roles: {
+        type: [String],
+        default: []
+    },
+    scopes: {
+        type: [{
+            type: String,
+            enum: {
+                values: API_KEY_SCOPES,
+                message: 'Scope inconnu: {VALUE}'
+            }
+        }],
+        validate: {
+            validator: scopes => scopes.length > 0,
+            message: 'Au moins un scope est requis'
+        }
+    },
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true,
+    collection: 'api_keys'
+});
+
+apiKeySchema.set('toJSON', {
+    transform: function(doc, ret) {
+        ret.id = ret._id;
+        delete ret.__v;
+        delete ret.hash;
+        return ret;
+    }
+});
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
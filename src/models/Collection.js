@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+/**
+ * Schéma d'une collection de recettes ("Noël", "Soirs de semaine"...)
+ * Les recettes sont rangées dans l'ordre choisi par l'utilisateur ;
+ * une recette peut appartenir à plusieurs collections.
+ */
+const collectionSchema = new mongoose.Schema({
+    // Propriétaire (sub du jeton) : seuls lui et les admins voient et modifient la collection
+    ownerId: {
+        type: String,
+        default: null
+    },
+    name: {
+        type: String,
+        required: [true, 'Le nom de la collection est requis'],
+        trim: true,
+        maxlength: [100, 'Le nom ne peut pas dépasser 100 caractères']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'La description ne peut pas dépasser 1000 caractères']
+    },
+    // IDs des recettes, dans l'ordre de la collection
+    recipes: {
+        type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Recipe' }],
+        default: []
+    }
+}, {
+    timestamps: true,
+    collection: 'collections'
+});
+
+// Retrouver les collections d'une recette (retrait lors de la suppression)
+collectionSchema.index({ recipes: 1 });
+// Lister les collections d'un utilisateur par nom
+collectionSchema.index({ ownerId: 1, name: 1 });
+
+collectionSchema.set('toJSON', {
+    transform: function(doc, ret) {
+        ret.id = ret._id;
+        delete ret.__v;
+        return ret;
+    }
+});
+
+const Collection = mongoose.model('Collection', collectionSchema);
+
+export default Collection;
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+/**
+ * Clé d'idempotence d'une requête d'écriture (header Idempotency-Key)
+ * Tant que la requête d'origine s'exécute, la clé est "pending" ; sa réponse est ensuite
+ * conservée pour être rejouée aux nouvelles tentatives. L'index TTL supprime les clés expirées.
+ */
+const idempotencyKeySchema = new mongoose.Schema({
+    // Utilisateur ayant envoyé la requête : deux utilisateurs peuvent choisir la même clé
+    ownerId: {
+        type: String,
+        default: null
+    },
+    key: {
+        type: String,
+        required: true
+    },
+    // Empreinte de la méthode, du chemin et du body, pour refuser la réutilisation sur une autre requête
+    requestHash: {
+        type: String,
+        required: true
+    },
+    state: {
+        type: String,
+        enum: ['pending', 'completed'],
+        default: 'pending'
+    },
+    // Réponse de la requête d'origine { statusCode, headers, body, isBase64Encoded }
+    response: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true,
+    collection: 'idempotency_keys'
+});
+
+idempotencyKeySchema.index({ ownerId: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+export default IdempotencyKey;
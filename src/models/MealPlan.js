@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+export const MEAL_SLOTS = ['breakfast', 'lunch', 'dinner'];
+
+/**
+ * Schéma d'une entrée du planning de repas :
+ * une recette affectée à un jour et à un repas
+ */
+const mealPlanSchema = new mongoose.Schema({
+    // Propriétaire (sub du jeton) : le planning est propre à chaque utilisateur
+    ownerId: {
+        type: String,
+        default: null
+    },
+    // Jour du repas (minuit UTC)
+    date: {
+        type: Date,
+        required: [true, 'La date est requise']
+    },
+    slot: {
+        type: String,
+        required: [true, 'Le repas est requis'],
+        enum: {
+            values: MEAL_SLOTS,
+            message: 'Le repas doit être breakfast, lunch ou dinner'
+        }
+    },
+    recipeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Recipe',
+        required: [true, 'La recette est requise']
+    },
+    // Nombre de portions pour ce repas (par défaut celui de la recette)
+    servings: {
+        type: Number,
+        min: [1, 'Le nombre de portions doit être au moins 1']
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'La note ne peut pas dépasser 500 caractères']
+    }
+}, {
+    timestamps: true,
+    collection: 'meal_plans'
+});
+
+mealPlanSchema.index({ ownerId: 1, date: 1, slot: 1 });
+mealPlanSchema.index({ recipeId: 1 });
+
+mealPlanSchema.set('toJSON', {
+    transform: function(doc, ret) {
+        ret.id = ret._id;
+        delete ret.__v;
+        return ret;
+    }
+});
+
+const MealPlan = mongoose.model('MealPlan', mealPlanSchema);
+
+export default MealPlan;
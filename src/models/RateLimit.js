@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+/**
+ * Compteur de requêtes d'un client sur une fenêtre de temps (limitation de débit)
+ * Les compteurs sont partagés par toutes les instances de la Lambda ; MongoDB supprime
+ * les fenêtres expirées grâce à l'index TTL sur expiresAt.
+ */
+const rateLimitSchema = new mongoose.Schema({
+    // Client et groupe de routes : "user:<sub>|POST /recipes/upload"
+    key: {
+        type: String,
+        required: true
+    },
+    windowStart: {
+        type: Date,
+        required: true
+    },
+    count: {
+        type: Number,
+        default: 0
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    collection: 'rate_limits',
+    versionKey: false
+});
+
+rateLimitSchema.index({ key: 1, windowStart: 1 }, { unique: true });
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimit = mongoose.model('RateLimit', rateLimitSchema);
+
+export default RateLimit;
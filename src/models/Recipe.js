@@ -1,5 +1,7 @@
 import mongoose from 'mongoose';
 
+export const VISIBILITIES = ['private', 'public'];
+
 /**
  * Schéma d'un ingrédient
  */
@@ -76,20 +78,99 @@ const recipeSchema = new mongoose.Schema({
     tags: {
         type: [String],
         default: []
+    },
+    // Propriétaire (sub du jeton) ; absent pour les recettes antérieures à l'authentification
+    ownerId: {
+        type: String,
+        default: null,
+        index: true
+    },
+    // Une recette privée n'est visible que par son propriétaire
+    visibility: {
+        type: String,
+        enum: {
+            values: VISIBILITIES,
+            message: 'Visibilité inconnue: {VALUE}'
+        },
+        default: 'private'
+    },
+    // Note moyenne des avis (null tant qu'il n'y a pas d'avis), tenue à jour à chaque avis
+    rating: {
+        type: Number,
+        min: 1,
+        max: 5,
+        default: null
+    },
+    reviewCount: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // Somme des notes, pour recalculer la moyenne de façon atomique
+    ratingTotal: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // Suppression logique : la recette est dans la corbeille tant que deletedAt est renseigné
+    deletedAt: {
+        type: Date,
+        default: null,
+        index: true
     }
 }, {
     timestamps: true, // Active automatiquement createdAt et updatedAt
+    // save() incrémente __v et échoue (VersionError) si la recette a changé depuis sa lecture
+    optimisticConcurrency: true,
     collection: 'recipes'
 });
 
+/**
+ * Index texte pour la recherche plein texte
+ * La version 3 des index texte ignore les accents ("crème" == "creme")
+ * et les poids font remonter les correspondances dans le titre
+ */
+recipeSchema.index({
+    title: 'text',
+    tags: 'text',
+    'ingredients.name': 'text',
+    'steps.text': 'text'
+}, {
+    name: 'recipe_text_search',
+    default_language: 'french',
+    weights: {
+        title: 10,
+        tags: 5,
+        'ingredients.name': 3,
+        'steps.text': 1
+    }
+});
+
+/**
+ * Index de la liste par défaut (hors corbeille, plus récentes d'abord)
+ * _id départage les recettes créées au même instant pour la pagination par curseur
+ */
+recipeSchema.index({ deletedAt: 1, createdAt: -1, _id: -1 });
+
+// Tri par note (sortBy=rating) et filtre minRating
+recipeSchema.index({ deletedAt: 1, rating: -1, _id: -1 });
+
+/**
+ * Condition des recettes visibles par un utilisateur : les siennes, les recettes publiques
+ * et celles sans propriétaire (créées avant l'authentification)
+ */
+recipeSchema.statics.visibleTo = function(userId) {
+    return { $or: [{ ownerId: userId }, { visibility: 'public' }, { ownerId: null }] };
+};
+
 /**
  * Méthode pour transformer le document en JSON
  * (utile pour les réponses API)
  */
+// __v est conservé dans les réponses : c'est la version de la recette, dont dérive son ETag
 recipeSchema.set('toJSON', {
     transform: function(doc, ret) {
         ret.id = ret._id;
-        delete ret.__v;
         return ret;
     }
 });
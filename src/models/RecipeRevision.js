@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+export const REVISION_ACTIONS = ['create', 'update', 'delete', 'restore', 'revert'];
+
+/**
+ * Schéma d'une révision de recette
+ * Une révision est un instantané immuable du contenu de la recette après une modification
+ */
+const recipeRevisionSchema = new mongoose.Schema({
+    recipeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Recipe',
+        required: true
+    },
+    // Numéro de révision, croissant par recette (1, 2, 3...)
+    rev: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    action: {
+        type: String,
+        enum: REVISION_ACTIONS,
+        required: true
+    },
+    // Révision restaurée lors d'un revert
+    revertedFrom: {
+        type: Number
+    },
+    snapshot: {
+        title: String,
+        servings: Number,
+        ingredients: [mongoose.Schema.Types.Mixed],
+        steps: [mongoose.Schema.Types.Mixed],
+        tags: [String]
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+    collection: 'recipe_revisions'
+});
+
+recipeRevisionSchema.index({ recipeId: 1, rev: 1 }, { unique: true });
+
+/**
+ * Les révisions sont immuables : toute tentative de modification est refusée
+ */
+const rejectUpdate = function() {
+    throw new Error('Les révisions sont immuables');
+};
+for (const operation of ['updateOne', 'updateMany', 'findOneAndUpdate', 'findOneAndReplace', 'replaceOne']) {
+    recipeRevisionSchema.pre(operation, rejectUpdate);
+}
+recipeRevisionSchema.pre('save', function() {
+    if (!this.isNew) {
+        throw new Error('Les révisions sont immuables');
+    }
+});
+
+recipeRevisionSchema.set('toJSON', {
+    transform: function(doc, ret) {
+        ret.id = ret._id;
+        delete ret.__v;
+        return ret;
+    }
+});
+
+const RecipeRevision = mongoose.model('RecipeRevision', recipeRevisionSchema);
+
+export default RecipeRevision;
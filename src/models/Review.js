@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+/**
+ * Schéma d'un avis sur une recette
+ * La moyenne et le nombre d'avis sont dénormalisés sur la recette (rating, reviewCount).
+ */
+const reviewSchema = new mongoose.Schema({
+    recipeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Recipe',
+        required: true
+    },
+    rating: {
+        type: Number,
+        required: [true, 'La note est requise'],
+        min: [1, 'La note doit être comprise entre 1 et 5'],
+        max: [5, 'La note doit être comprise entre 1 et 5'],
+        validate: {
+            validator: Number.isInteger,
+            message: 'La note doit être un nombre entier'
+        }
+    },
+    comment: {
+        type: String,
+        trim: true,
+        maxlength: [2000, 'Le commentaire ne peut pas dépasser 2000 caractères']
+    }
+}, {
+    timestamps: true,
+    collection: 'recipe_reviews'
+});
+
+// Avis d'une recette, les plus récents d'abord
+reviewSchema.index({ recipeId: 1, createdAt: -1, _id: -1 });
+
+reviewSchema.set('toJSON', {
+    transform: function(doc, ret) {
+        ret.id = ret._id;
+        delete ret.__v;
+        return ret;
+    }
+});
+
+const Review = mongoose.model('Review', reviewSchema);
+
+export default Review;
@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+import { AISLES } from '../utils/ingredients.mjs';
+
+/**
+ * Schéma d'un article de la liste de courses
+ * Un article garde son _id pour pouvoir être coché ou modifié individuellement
+ */
+const itemSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Le nom de l\'article est requis'],
+        trim: true
+    },
+    quantity: {
+        type: Number,
+        min: [0, 'La quantité ne peut pas être négative']
+    },
+    unit: {
+        type: String,
+        trim: true,
+        lowercase: true
+    },
+    category: {
+        type: String,
+        enum: {
+            values: AISLES,
+            message: 'Rayon inconnu: {VALUE}'
+        },
+        default: 'autres'
+    },
+    checked: {
+        type: Boolean,
+        default: false
+    },
+    // Article ajouté à la main (et non issu d'une recette)
+    custom: {
+        type: Boolean,
+        default: false
+    },
+    // Recettes dont provient l'article
+    recipeIds: {
+        type: [mongoose.Schema.Types.ObjectId],
+        default: []
+    }
+});
+
+/**
+ * Recette utilisée pour générer la liste
+ */
+const sourceRecipeSchema = new mongoose.Schema({
+    recipeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    title: String,
+    servings: {
+        type: Number,
+        min: [1, 'Le nombre de portions doit être au moins 1']
+    }
+}, { _id: false });
+
+/**
+ * Schéma principal d'une liste de courses
+ */
+const shoppingListSchema = new mongoose.Schema({
+    // Propriétaire (sub du jeton) : une liste n'est visible que par lui
+    ownerId: {
+        type: String,
+        default: null,
+        index: true
+    },
+    name: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Le nom ne peut pas dépasser 200 caractères'],
+        default: 'Liste de courses'
+    },
+    recipes: {
+        type: [sourceRecipeSchema],
+        default: []
+    },
+    items: {
+        type: [itemSchema],
+        default: []
+    }
+}, {
+    timestamps: true,
+    collection: 'shopping_lists'
+});
+
+shoppingListSchema.set('toJSON', {
+    transform: function(doc, ret) {
+        ret.id = ret._id;
+        delete ret.__v;
+        return ret;
+    }
+});
+
+const ShoppingList = mongoose.model('ShoppingList', shoppingListSchema);
+
+export default ShoppingList;
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+/**
+ * Schéma d'un alias de tag
+ * Créé lors d'un renommage ou d'une fusion : l'ancien tag (par sa clé de comparaison)
+ * est ensuite réécrit vers le tag canonique à chaque enregistrement de recette.
+ */
+const tagAliasSchema = new mongoose.Schema({
+    // Clé de comparaison de l'ancien tag (voir tagKey)
+    alias: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    tag: {
+        type: String,
+        required: true
+    }
+}, {
+    timestamps: true,
+    collection: 'tag_aliases'
+});
+
+tagAliasSchema.set('toJSON', {
+    transform: function(doc, ret) {
+        ret.id = ret._id;
+        delete ret.__v;
+        return ret;
+    }
+});
+
+const TagAlias = mongoose.model('TagAlias', tagAliasSchema);
+
+export default TagAlias;
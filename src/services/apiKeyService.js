@@ -0,0 +1,159 @@
+import crypto from 'node:crypto';
+import ApiKey from '../models/ApiKey.js';
+import { hasRole } from '../utils/roles.mjs';
+
+// Préfixe des clés, pour les reconnaître (et les repérer si elles fuient dans un dépôt)
+const KEY_PREFIX = 'rk_';
+
+// Nombre de caractères de la clé conservés en clair pour l'affichage
+const DISPLAY_PREFIX_LENGTH = 10;
+
+// Rôle minimum du propriétaire pour chaque scope : une clé n'a jamais plus de droits que son créateur
+const SCOPE_ROLES = {
+    'recipes:read': 'viewer',
+    'recipes:write': 'editor',
+    'uploads:write': 'admin'
+};
+
+/**
+ * Service pour gérer les clés d'API des clients machines
+ */
+class ApiKeyService {
+
+    /**
+     * Créer une clé d'API pour un utilisateur
+     * @param {Object} user - Utilisateur authentifié ({ id, roles })
+     * @param {Object} data - { name, scopes, expiresAt (optionnelle) }
+     * @returns {Promise<Object>} { apiKey: la clé enregistrée (sans empreinte), key: la clé en clair, renvoyée une seule fois }
+     * @throws {Error} Accès refusé si un scope demande un rôle que l'utilisateur n'a pas
+     */
+    async createApiKey(user, data) {
+        const { name, scopes = [], expiresAt = null } = data;
+
+        for (const scope of scopes) {
+            if (SCOPE_ROLES[scope] && !hasRole(user, [SCOPE_ROLES[scope]])) {
+                throw new Error(`Accès refusé: le scope ${scope} demande le rôle ${SCOPE_ROLES[scope]}`);
+            }
+        }
+
+        if (expiresAt && expiresAt.getTime() <= Date.now()) {
+            throw new Error('Validation échouée: La date d\'expiration doit être dans le futur');
+        }
+
+        const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+        try {
+            const apiKey = new ApiKey({
+                name,
+                prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+                hash: this._hash(key),
+                ownerId: user.id,
+                roles: user.roles || [],
+                scopes: [...new Set(scopes)],
+                expiresAt
+            });
+            await apiKey.save();
+
+            return { apiKey: apiKey.toJSON(), key };
+        } catch (error) {
+            if (error.name === 'ValidationError') {
+                throw new Error(`Validation échouée: ${this._formatValidationErrors(error)}`);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Lister les clés d'API, les plus récentes d'abord
+     * @param {Object} options - { ownerId } pour ne lister que les clés d'un utilisateur
+     * @returns {Promise<Array>} Clés (sans empreinte)
+     */
+    async getApiKeys(options = {}) {
+        const { ownerId } = options;
+
+        const filter = ownerId === undefined ? {} : { ownerId };
+        const apiKeys = await ApiKey.find(filter)
+            .select('-hash -__v')
+            .sort({ createdAt: -1 })
+            .lean();
+
+        return apiKeys.map(({ _id, ...fields }) => ({ id: _id, ...fields }));
+    }
+
+    /**
+     * Révoquer une clé d'API
+     * La révocation est immédiate : chaque requête relit la clé en base.
+     * @param {String} apiKeyId - L'ID de la clé
+     * @param {Object} options - { ownerId } pour ne révoquer que les clés de cet utilisateur
+     * @returns {Promise<Object|null>} La clé révoquée ou null si introuvable ou déjà révoquée
+     */
+    async revokeApiKey(apiKeyId, options = {}) {
+        const { ownerId } = options;
+
+        try {
+            const apiKey = await ApiKey.findOneAndUpdate(
+                { _id: apiKeyId, revokedAt: null, ...(ownerId === undefined ? {} : { ownerId }) },
+                { $set: { revokedAt: new Date() } },
+                { returnDocument: 'after' }
+            );
+            return apiKey ? apiKey.toJSON() : null;
+        } catch (error) {
+            if (error.name === 'CastError') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Authentifier une requête par clé d'API et enregistrer son utilisation
+     * @param {String} key - Clé reçue dans le header X-Api-Key
+     * @returns {Promise<Object>} Utilisateur { id, username, roles, scopes, apiKeyId }
+     * @throws {Error} Authentification refusée si la clé est inconnue, expirée ou révoquée
+     */
+    async authenticate(key) {
+        const now = new Date();
+
+        // Une seule requête : recherche de la clé valide et mise à jour de lastUsedAt
+        const apiKey = await ApiKey.findOneAndUpdate(
+            {
+                hash: this._hash(key),
+                revokedAt: null,
+                $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+            },
+            { $set: { lastUsedAt: now } },
+            { returnDocument: 'after', timestamps: false }
+        ).lean();
+
+        if (!apiKey) {
+            throw new Error('Authentification refusée: clé d\'API invalide, expirée ou révoquée');
+        }
+
+        return {
+            id: apiKey.ownerId,
+            username: `api-key:${apiKey.name}`,
+            roles: apiKey.roles,
+            scopes: apiKey.scopes,
+            apiKeyId: String(apiKey._id)
+        };
+    }
+
+    /**
+     * Empreinte SHA-256 d'une clé (les clés sont aléatoires : un sel n'apporte rien)
+     * @private
+     */
+    _hash(key) {
+        return crypto.createHash('sha256').update(String(key)).digest('hex');
+    }
+
+    /**
+     * Formater les erreurs de validation Mongoose
+     * @private
+     */
+    _formatValidationErrors(error) {
+        const errors = Object.values(error.errors).map(err => err.message);
+        return errors.join(', ');
+    }
+}
+
+export default new ApiKeyService();
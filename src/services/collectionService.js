@@ -0,0 +1,304 @@
+import mongoose from 'mongoose';
+import Collection from '../models/Collection.js';
+import Recipe from '../models/Recipe.js';
+
+/**
+ * Service pour gérer les collections de recettes (livres de recettes)
+ * Les options { ownerId } limitent chaque opération aux collections de cet utilisateur
+ * (aucun filtre sans ownerId : admins).
+ */
+class CollectionService {
+
+    /**
+     * Créer une collection
+     * @param {Object} data - { name, description, recipes: [IDs de recettes, dans l'ordre] }
+     * @param {Object} options - { ownerId } propriétaire de la collection,
+     *                           { viewerId } seules les recettes visibles par cet utilisateur peuvent être ajoutées
+     * @returns {Promise<Object>} La collection créée
+     */
+    async createCollection(data, options = {}) {
+        try {
+            const { name, description, recipes = [] } = data;
+            const { ownerId = null, viewerId } = options;
+
+            const recipeIds = [...new Set(recipes.map(String))];
+            for (const recipeId of recipeIds) {
+                await this._assertRecipeExists(recipeId, viewerId);
+            }
+
+            const collection = new Collection({ ownerId, name, description, recipes: recipeIds });
+            await collection.save();
+
+            return collection.toJSON();
+        } catch (error) {
+            if (error.name === 'ValidationError') {
+                throw new Error(`Validation échouée: ${this._formatValidationErrors(error)}`);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Récupérer une collection par son ID
+     * @param {String} collectionId - L'ID de la collection
+     * @param {Object} options - { ownerId }
+     * @returns {Promise<Object|null>} La collection ou null
+     */
+    async getCollectionById(collectionId, options = {}) {
+        try {
+            const collection = await Collection.findOne({ _id: collectionId, ...this._ownerFilter(options.ownerId) });
+            return collection ? collection.toJSON() : null;
+        } catch (error) {
+            if (error.name === 'CastError') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Lister les collections par nom
+     * @param {Object} options - Options de pagination (limit, skip), ownerId
+     * @returns {Promise<Array>} Collections
+     */
+    async getAllCollections(options = {}) {
+        const { limit = 50, skip = 0, ownerId } = options;
+
+        return await Collection.find(this._ownerFilter(ownerId))
+            .sort({ name: 1, _id: 1 })
+            .limit(limit)
+            .skip(skip)
+            .lean();
+    }
+
+    /**
+     * Renommer une collection ou changer sa description
+     * @param {String} collectionId - L'ID de la collection
+     * @param {Object} changes - { name, description }
+     * @param {Object} options - { ownerId }
+     * @returns {Promise<Object|null>} La collection mise à jour ou null
+     */
+    async updateCollection(collectionId, changes, options = {}) {
+        const $set = {};
+        for (const field of ['name', 'description']) {
+            if (changes[field] !== undefined) {
+                $set[field] = changes[field];
+            }
+        }
+
+        return this._update({ _id: collectionId, ...this._ownerFilter(options.ownerId) }, { $set });
+    }
+
+    /**
+     * Supprimer une collection (les recettes ne sont pas supprimées)
+     * @param {String} collectionId - L'ID de la collection
+     * @param {Object} options - { ownerId }
+     * @returns {Promise<Boolean>} true si la collection existait
+     */
+    async deleteCollection(collectionId, options = {}) {
+        try {
+            const result = await Collection.deleteOne({ _id: collectionId, ...this._ownerFilter(options.ownerId) });
+            return result.deletedCount > 0;
+        } catch (error) {
+            if (error.name === 'CastError') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Ajouter une recette à une collection
+     * @param {String} collectionId - L'ID de la collection
+     * @param {String} recipeId - L'ID de la recette
+     * @param {Number} position - Position (à partir de 0) ; à la fin par défaut
+     * @param {Object} options - { ownerId }, { viewerId } seules les recettes visibles par cet utilisateur peuvent être ajoutées
+     * @returns {Promise<Object|null>} La collection mise à jour ou null si la collection est introuvable
+     */
+    async addRecipe(collectionId, recipeId, position, options = {}) {
+        const { ownerId, viewerId } = options;
+        await this._assertRecipeExists(recipeId, viewerId);
+
+        const $push = { recipes: { $each: [recipeId] } };
+        if (position !== undefined) {
+            $push.recipes.$position = position;
+        }
+
+        // La condition sur recipes évite les doublons même en cas d'ajouts simultanés
+        const collection = await this._update(
+            { _id: collectionId, recipes: { $ne: recipeId }, ...this._ownerFilter(ownerId) },
+            { $push }
+        );
+
+        if (!collection && await this._exists(collectionId, ownerId)) {
+            throw new Error('La recette fait déjà partie de la collection');
+        }
+
+        return collection;
+    }
+
+    /**
+     * Retirer une recette d'une collection
+     * @param {String} collectionId - L'ID de la collection
+     * @param {String} recipeId - L'ID de la recette
+     * @param {Object} options - { ownerId }
+     * @returns {Promise<Object|null>} La collection mise à jour ou null si la collection ou la recette est introuvable
+     */
+    async removeRecipe(collectionId, recipeId, options = {}) {
+        if (!mongoose.isValidObjectId(recipeId)) {
+            return null;
+        }
+        return this._update(
+            { _id: collectionId, recipes: recipeId, ...this._ownerFilter(options.ownerId) },
+            { $pull: { recipes: recipeId } }
+        );
+    }
+
+    /**
+     * Réordonner les recettes d'une collection
+     * @param {String} collectionId - L'ID de la collection
+     * @param {Array<String>} recipeIds - Toutes les recettes de la collection, dans le nouvel ordre
+     * @param {Object} options - { ownerId }
+     * @returns {Promise<Object|null>} La collection mise à jour ou null si la collection est introuvable
+     */
+    async reorderRecipes(collectionId, recipeIds, options = {}) {
+        const { ownerId } = options;
+        const ids = recipeIds.map(String);
+        const mismatch = 'Le nouvel ordre doit contenir exactement les recettes de la collection';
+
+        if (new Set(ids).size !== ids.length || !ids.every(id => mongoose.isValidObjectId(id))) {
+            throw new Error(mismatch);
+        }
+
+        // Le remplacement n'a lieu que si la liste contient les mêmes recettes que la collection
+        const recipes = ids.length > 0 ? { $size: ids.length, $all: ids } : { $size: 0 };
+        const collection = await this._update(
+            { _id: collectionId, recipes, ...this._ownerFilter(ownerId) },
+            { $set: { recipes: ids } }
+        );
+
+        if (!collection && await this._exists(collectionId, ownerId)) {
+            throw new Error(mismatch);
+        }
+
+        return collection;
+    }
+
+    /**
+     * Récupérer les recettes d'une collection, dans l'ordre de la collection
+     * Les recettes de la corbeille, et celles que viewerId ne peut pas voir s'il est fourni, sont ignorées.
+     * @param {String} collectionId - L'ID de la collection
+     * @param {Object} options - Options de pagination (limit, skip), ownerId, viewerId
+     * @returns {Promise<Object|null>} { recipes, total (recettes visibles) } ou null si la collection est introuvable
+     */
+    async getCollectionRecipes(collectionId, options = {}) {
+        const { limit = 50, skip = 0, ownerId, viewerId } = options;
+
+        const collection = await this.getCollectionById(collectionId, { ownerId });
+        if (!collection) {
+            return null;
+        }
+
+        const filter = { _id: { $in: collection.recipes }, deletedAt: null };
+        if (viewerId !== undefined) {
+            Object.assign(filter, Recipe.visibleTo(viewerId));
+        }
+
+        // Le total et la pagination ne portent que sur les recettes que l'utilisateur peut voir
+        const visible = new Set((await Recipe.find(filter).select('_id').lean()).map(recipe => String(recipe._id)));
+        const visibleIds = collection.recipes.map(String).filter(id => visible.has(id));
+        const pageIds = visibleIds.slice(skip, skip + limit);
+
+        const recipes = pageIds.length > 0 ? await Recipe.find({ ...filter, _id: { $in: pageIds } }).lean() : [];
+        const byId = new Map(recipes.map(recipe => [String(recipe._id), recipe]));
+
+        return {
+            recipes: pageIds.map(id => byId.get(id)).filter(Boolean),
+            total: visibleIds.length
+        };
+    }
+
+    /**
+     * Retirer des recettes de toutes les collections (suppression de recettes)
+     * @param {Array<String>} recipeIds - IDs des recettes supprimées
+     * @returns {Promise<Number>} Nombre de collections modifiées
+     */
+    async removeRecipesEverywhere(recipeIds) {
+        if (recipeIds.length === 0) {
+            return 0;
+        }
+
+        const result = await Collection.updateMany(
+            { recipes: { $in: recipeIds } },
+            { $pull: { recipes: { $in: recipeIds } } }
+        );
+        return result.modifiedCount;
+    }
+
+    /**
+     * Vérifier qu'une recette existe, n'est pas dans la corbeille et est visible par viewerId s'il est fourni
+     * @private
+     */
+    async _assertRecipeExists(recipeId, viewerId) {
+        if (!mongoose.isValidObjectId(recipeId)) {
+            throw new Error(`Recette non trouvée: ${recipeId}`);
+        }
+
+        const filter = { _id: recipeId, deletedAt: null };
+        if (viewerId !== undefined) {
+            Object.assign(filter, Recipe.visibleTo(viewerId));
+        }
+        if (!await Recipe.exists(filter)) {
+            throw new Error(`Recette non trouvée: ${recipeId}`);
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _exists(collectionId, ownerId) {
+        return mongoose.isValidObjectId(collectionId)
+            && Boolean(await Collection.exists({ _id: collectionId, ...this._ownerFilter(ownerId) }));
+    }
+
+    /**
+     * Filtre des collections d'un propriétaire (aucun filtre sans ownerId)
+     * @private
+     */
+    _ownerFilter(ownerId) {
+        return ownerId === undefined ? {} : { ownerId };
+    }
+
+    /**
+     * Mise à jour atomique avec validation
+     * @private
+     */
+    async _update(filter, update) {
+        try {
+            const collection = await Collection.findOneAndUpdate(filter, update, {
+                returnDocument: 'after',
+                runValidators: true
+            });
+            return collection ? collection.toJSON() : null;
+        } catch (error) {
+            if (error.name === 'ValidationError') {
+                throw new Error(`Validation échouée: ${this._formatValidationErrors(error)}`);
+            }
+            if (error.name === 'CastError') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Formater les erreurs de validation Mongoose
+     * @private
+     */
+    _formatValidationErrors(error) {
+        const errors = Object.values(error.errors).map(err => err.message);
+        return errors.join(', ');
+    }
+}
+
+export default new CollectionService();
@@ -0,0 +1,155 @@
+import crypto from 'node:crypto';
+import IdempotencyKey from '../models/IdempotencyKey.js';
+
+// Durée de conservation des réponses, par défaut (IDEMPOTENCY_TTL_HOURS)
+const DEFAULT_TTL_HOURS = 24;
+
+// Durée de vie d'une clé "pending" : au-delà du timeout de la Lambda (30 s), la requête
+// d'origine a forcément échoué et une nouvelle tentative peut reprendre la clé
+const PENDING_TTL_SECONDS = 60;
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Service d'idempotence des requêtes d'écriture (header Idempotency-Key)
+ * Une requête rejouée avec la même clé reçoit la réponse de la première au lieu d'être exécutée à nouveau.
+ */
+class IdempotencyService {
+
+    /**
+     * Exécuter une requête une seule fois par clé d'idempotence
+     * Les réponses 5xx (et les erreurs du handler) ne sont pas conservées : la clé est libérée
+     * pour permettre une nouvelle tentative.
+     * @param {Object} event - Event API Gateway (event.user renseigné par l'authentification)
+     * @param {String} key - Valeur du header Idempotency-Key
+     * @param {Function} handler - Exécution de la requête, renvoie la réponse HTTP
+     * @returns {Promise<Object>} Réponse du handler, ou réponse conservée (header Idempotent-Replayed)
+     * @throws {Error} Validation échouée si la clé est invalide
+     * @throws {Error} Requête différente si la clé a déjà servi pour une autre requête
+     * @throws {Error} Requête en cours si la requête d'origine n'est pas terminée
+     */
+    async execute(event, key, handler) {
+        if (typeof key !== 'string' || key.length === 0 || key.length > MAX_KEY_LENGTH) {
+            throw new Error(`Validation échouée: Idempotency-Key doit contenir entre 1 et ${MAX_KEY_LENGTH} caractères`);
+        }
+
+        const filter = { ownerId: event.user?.id ?? null, key };
+        const existing = await this._acquire(filter, this._hashRequest(event));
+
+        if (existing) {
+            return {
+                ...existing.response,
+                headers: { ...existing.response.headers, 'Idempotent-Replayed': 'true' }
+            };
+        }
+
+        let response;
+        try {
+            response = await handler();
+        } catch (error) {
+            await this._release(filter);
+            throw error;
+        }
+
+        if (response.statusCode >= 500) {
+            await this._release(filter);
+        } else {
+            await this._complete(filter, response);
+        }
+        return response;
+    }
+
+    /**
+     * Réserver la clé, ou renvoyer la clé terminée dont la réponse doit être rejouée
+     * @returns {Promise<Object|null>} null si la clé vient d'être réservée pour cette requête
+     * @private
+     */
+    async _acquire(filter, requestHash) {
+        const now = new Date();
+
+        // Réservation atomique : seule la première requête crée la clé
+        const existing = await IdempotencyKey.findOneAndUpdate(
+            filter,
+            {
+                $setOnInsert: {
+                    requestHash,
+                    state: 'pending',
+                    expiresAt: new Date(now.getTime() + PENDING_TTL_SECONDS * 1000)
+                }
+            },
+            { upsert: true, returnDocument: 'before' }
+        ).lean();
+
+        if (!existing) {
+            return null;
+        }
+
+        // Clé expirée que l'index TTL n'a pas encore supprimée : elle est libre
+        if (existing.expiresAt <= now) {
+            await IdempotencyKey.deleteOne({ _id: existing._id, expiresAt: existing.expiresAt });
+            return this._acquire(filter, requestHash);
+        }
+
+        if (existing.requestHash !== requestHash) {
+            throw new Error('Requête différente: cette Idempotency-Key a déjà été utilisée pour une autre requête');
+        }
+
+        if (existing.state === 'pending') {
+            throw new Error('Requête en cours: la requête d\'origine de cette Idempotency-Key n\'est pas terminée');
+        }
+
+        return existing;
+    }
+
+    /**
+     * Conserver la réponse de la requête d'origine
+     * Un échec d'enregistrement ne fait pas échouer la requête, déjà exécutée.
+     * @private
+     */
+    async _complete(filter, response) {
+        const ttlHours = parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || DEFAULT_TTL_HOURS;
+        const { statusCode, headers = {}, body = '', isBase64Encoded = false } = response;
+
+        try {
+            await IdempotencyKey.updateOne(
+                { ...filter, state: 'pending' },
+                {
+                    $set: {
+                        state: 'completed',
+                        response: { statusCode, headers, body, isBase64Encoded },
+                        expiresAt: new Date(Date.now() + ttlHours * 60 * 60 * 1000)
+                    }
+                }
+            );
+        } catch (error) {
+            console.error('Erreur lors de l\'enregistrement de la réponse idempotente:', error);
+        }
+    }
+
+    /**
+     * Libérer la clé après un échec, pour qu'une nouvelle tentative soit exécutée
+     * @private
+     */
+    async _release(filter) {
+        try {
+            await IdempotencyKey.deleteOne({ ...filter, state: 'pending' });
+        } catch (error) {
+            console.error('Erreur lors de la libération de la clé d\'idempotence:', error);
+        }
+    }
+
+    /**
+     * Empreinte de la requête : méthode, chemin et body
+     * @private
+     */
+    _hashRequest(event) {
+        const method = event.requestContext?.http?.method || event.httpMethod;
+        const path = event.requestContext?.http?.path || event.path;
+
+        return crypto.createHash('sha256')
+            .update(`${method} ${path}\n${event.body ?? ''}`)
+            .digest('hex');
+    }
+}
+
+export default new IdempotencyService();
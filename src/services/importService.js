@@ -0,0 +1,215 @@
+import mongoose from 'mongoose';
+import recipeService from './recipeService.js';
+import { extractJsonLd, findRecipeNode, mapSchemaOrgRecipe } from '../utils/schemaOrg.mjs';
+import { isMealMaster, parseMealMaster } from '../utils/mealMaster.mjs';
+import { isPaprika, parsePaprika } from '../utils/paprika.mjs';
+
+export const LEGACY_FORMATS = ['mealmaster', 'paprika'];
+
+// Erreurs propres à une ligne d'import, renvoyées telles quelles dans le rapport
+const LINE_ERRORS = ['Ligne invalide', 'Validation échouée', 'ordre des étapes', 'corbeille', 'Accès refusé'];
+
+/**
+ * Service pour importer des recettes depuis des sources externes
+ */
+class ImportService {
+
+    /**
+     * Importer une recette schema.org
+     * @param {Object|String} payload - Objet JSON-LD ou page HTML contenant un bloc JSON-LD
+     * @param {Object} options - { ownerId } propriétaire de la recette importée
+     * @returns {Promise<Object>} { recipe: recette créée, unmappedFields: propriétés non reprises }
+     */
+    async importSchemaOrg(payload, options = {}) {
+        const source = typeof payload === 'string' ? extractJsonLd(payload) : payload;
+        const node = findRecipeNode(source);
+
+        if (!node) {
+            throw new Error('Aucune recette schema.org trouvée');
+        }
+
+        const { recipe, unmappedFields } = mapSchemaOrgRecipe(node);
+
+        // Mêmes validations qu'une création classique
+        const created = await recipeService.addRecipe(recipe, { ownerId: options.ownerId });
+
+        return { recipe: created, unmappedFields };
+    }
+
+    /**
+     * Importer une bibliothèque au format NDJSON (une recette JSON par ligne)
+     * Chaque ligne est traitée indépendamment : une ligne invalide n'interrompt pas l'import.
+     * @param {String} ndjson - Contenu NDJSON (tel que produit par GET /recipes/export)
+     * @param {Object} options - { upsert: true } pour mettre à jour les recettes existantes d'après leur id
+     *                           (et les créer avec cet id sinon), { ownerId } propriétaire des recettes créées,
+     *                           { userId } seules ses recettes peuvent être mises à jour (undefined : admin, aucune restriction)
+     * @returns {Promise<Object>} { summary: { total, created, updated, failed }, results: [{ line, status, id | error }] }
+     */
+    async importNdjson(ndjson, options = {}) {
+        const { upsert = false, ownerId, userId } = options;
+        const results = [];
+
+        const lines = String(ndjson).split(/\r?\n/);
+        for (const [index, raw] of lines.entries()) {
+            if (!raw.trim()) continue;
+
+            const line = index + 1;
+            try {
+                const { status, recipe } = await this._importLine(raw, { upsert, ownerId, userId });
+                results.push({ line, status, id: recipe.id });
+            } catch (error) {
+                results.push({ line, status: 'error', error: this._lineError(error) });
+            }
+        }
+
+        return {
+            summary: {
+                total: results.length,
+                created: results.filter(result => result.status === 'created').length,
+                updated: results.filter(result => result.status === 'updated').length,
+                failed: results.filter(result => result.status === 'error').length
+            },
+            results
+        };
+    }
+
+    /**
+     * Importer un fichier MealMaster ou un export Paprika
+     * @param {Buffer} file - Contenu du fichier
+     * @param {Object} options - { format: mealmaster | paprika (détecté si absent),
+     *                             dryRun: true pour valider et renvoyer les recettes sans les enregistrer,
+     *                             ownerId: propriétaire des recettes importées }
+     * @returns {Promise<Object>} { format, dryRun, summary: { total, created | valid, failed }, results }
+     */
+    async importLegacy(file, options = {}) {
+        const { dryRun = false, ownerId } = options;
+        const format = options.format || this._detectLegacyFormat(file);
+
+        if (!format) {
+            throw new Error('Format de fichier non reconnu (MealMaster ou Paprika attendu)');
+        }
+
+        const recipes = format === 'paprika'
+            ? parsePaprika(file)
+            : parseMealMaster(this._decodeText(file));
+
+        if (recipes.length === 0) {
+            throw new Error('Aucune recette trouvée dans le fichier');
+        }
+
+        const results = [];
+        for (const [index, recipe] of recipes.entries()) {
+            const result = { index: index + 1, title: recipe.title ?? null };
+            try {
+                if (dryRun) {
+                    result.status = 'valid';
+                    result.data = await recipeService.validateRecipe(recipe);
+                } else {
+                    result.status = 'created';
+                    result.id = (await recipeService.addRecipe(recipe, { ownerId })).id;
+                }
+            } catch (error) {
+                result.status = 'error';
+                result.error = this._lineError(error);
+                if (dryRun) result.data = recipe;
+            }
+            results.push(result);
+        }
+
+        const failed = results.filter(result => result.status === 'error').length;
+
+        return {
+            format,
+            dryRun,
+            summary: {
+                total: results.length,
+                [dryRun ? 'valid' : 'created']: results.length - failed,
+                failed
+            },
+            results
+        };
+    }
+
+    /**
+     * Reconnaître le format d'un fichier d'après son contenu
+     * @private
+     */
+    _detectLegacyFormat(file) {
+        if (isPaprika(file)) return 'paprika';
+        if (isMealMaster(this._decodeText(file))) return 'mealmaster';
+        return null;
+    }
+
+    /**
+     * Décoder un fichier texte : UTF-8, ou Latin-1 pour les anciens fichiers
+     * @private
+     */
+    _decodeText(file) {
+        const text = file.toString('utf8');
+        return text.includes('\uFFFD') ? file.toString('latin1') : text;
+    }
+
+    /**
+     * Importer une ligne NDJSON
+     * @private
+     */
+    async _importLine(raw, { upsert, ownerId, userId }) {
+        let data;
+        try {
+            data = JSON.parse(raw);
+        } catch {
+            throw new Error('Ligne invalide: JSON invalide');
+        }
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Ligne invalide: chaque ligne doit être un objet recette');
+        }
+
+        // Les champs gérés par la base ne sont jamais importés tels quels
+        const { _id, id, createdAt, updatedAt, __v, deletedAt, ...fields } = data;
+        const recipeId = id ?? _id;
+
+        if (!upsert || !recipeId) {
+            return { status: 'created', recipe: await recipeService.addRecipe(fields, { ownerId }) };
+        }
+
+        if (!mongoose.isValidObjectId(recipeId)) {
+            throw new Error(`Ligne invalide: id ${recipeId} incorrect`);
+        }
+
+        const existing = await recipeService.getRecipeById(recipeId, { includeDeleted: true });
+
+        if (!existing) {
+            // Création avec l'id d'origine pour que les imports suivants mettent à jour la même recette
+            const recipe = await recipeService.addRecipe({ ...fields, _id: recipeId, createdAt }, { ownerId });
+            return { status: 'created', recipe };
+        }
+
+        // Une recette existante n'est mise à jour que par son propriétaire
+        if (userId !== undefined && existing.ownerId !== userId) {
+            throw new Error('Accès refusé: seul le propriétaire peut modifier cette recette');
+        }
+
+        if (existing.deletedAt) {
+            throw new Error('La recette est dans la corbeille, elle doit être restaurée avant l\'import');
+        }
+
+        return { status: 'updated', recipe: await recipeService.updateRecipe(recipeId, fields, { userId }) };
+    }
+
+    /**
+     * Message d'erreur d'une ligne ou d'une recette importée : les erreurs métier sont renvoyées telles quelles,
+     * les erreurs techniques ne sont pas exposées
+     * @private
+     */
+    _lineError(error) {
+        if (LINE_ERRORS.some(marker => error.message.includes(marker))) {
+            return error.message;
+        }
+
+        console.error('Erreur lors de l\'import d\'une ligne:', error);
+        return 'Erreur interne';
+    }
+}
+
+export default new ImportService();
@@ -0,0 +1,191 @@
+import MealPlan, { MEAL_SLOTS } from '../models/MealPlan.js';
+import Recipe from '../models/Recipe.js';
+import recipeService from './recipeService.js';
+import shoppingListService from './shoppingListService.js';
+
+/**
+ * Service pour gérer le planning des repas
+ * Le planning est propre à chaque utilisateur : les méthodes acceptent { ownerId } pour n'agir que
+ * sur ses entrées (toutes sans ownerId), et { viewerId } pour n'utiliser que les recettes qu'il peut voir.
+ */
+class MealPlanService {
+
+    /**
+     * Affecter une recette à un jour et un repas
+     * @param {Object} data - { date, slot, recipeId, servings, note }
+     * @param {Object} options - { ownerId, viewerId }
+     * @returns {Promise<Object>} L'entrée créée
+     */
+    async createEntry(data, options = {}) {
+        const { ownerId = null, viewerId } = options;
+
+        try {
+            const recipe = await recipeService.getRecipeById(data.recipeId, { viewerId });
+
+            if (!recipe) {
+                throw new Error(`Recette non trouvée: ${data.recipeId}`);
+            }
+
+            const entry = new MealPlan({ ...data, ownerId });
+            await entry.save();
+
+            return {
+                ...entry.toJSON(),
+                recipe: { id: recipe.id, title: recipe.title, servings: recipe.servings }
+            };
+        } catch (error) {
+            if (error.name === 'ValidationError') {
+                throw new Error(`Validation échouée: ${recipeService._formatValidationErrors(error)}`);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Lire le planning sur une période (bornes incluses)
+     * Chaque entrée est complétée par un résumé de la recette ; une recette supprimée
+     * (ou devenue invisible pour viewerId) est signalée par recipeDeleted au lieu de disparaître du planning.
+     * @param {Date} from - Premier jour
+     * @param {Date} to - Dernier jour
+     * @param {Object} options - { ownerId, viewerId }
+     * @returns {Promise<Array>} Entrées triées par jour puis par repas
+     */
+    async getEntries(from, to, options = {}) {
+        const { ownerId, viewerId } = options;
+
+        const entries = await MealPlan.find({ date: { $gte: from, $lte: to }, ...this._ownerFilter(ownerId) })
+            .sort({ date: 1 })
+            .lean();
+
+        const recipeIds = [...new Set(entries.map(entry => String(entry.recipeId)))];
+        const recipeFilter = { _id: { $in: recipeIds } };
+        if (viewerId !== undefined) {
+            Object.assign(recipeFilter, Recipe.visibleTo(viewerId));
+        }
+        const recipes = await Recipe.find(recipeFilter)
+            .select('title servings deletedAt')
+            .lean();
+        const recipesById = new Map(recipes.map(recipe => [String(recipe._id), recipe]));
+
+        return entries
+            .map(entry => {
+                const recipe = recipesById.get(String(entry.recipeId));
+                const available = recipe && !recipe.deletedAt;
+
+                return {
+                    ...entry,
+                    recipe: available ? { id: recipe._id, title: recipe.title, servings: recipe.servings } : null,
+                    recipeDeleted: !available
+                };
+            })
+            .sort((a, b) => a.date - b.date || MEAL_SLOTS.indexOf(a.slot) - MEAL_SLOTS.indexOf(b.slot));
+    }
+
+    /**
+     * Modifier une entrée du planning
+     * @param {String} entryId - L'ID de l'entrée
+     * @param {Object} changes - { date, slot, recipeId, servings, note }
+     * @param {Object} options - { ownerId, viewerId }
+     * @returns {Promise<Object|null>} L'entrée mise à jour ou null
+     */
+    async updateEntry(entryId, changes, options = {}) {
+        const { ownerId, viewerId } = options;
+
+        try {
+            if (changes.recipeId && !(await recipeService.getRecipeById(changes.recipeId, { viewerId }))) {
+                throw new Error(`Recette non trouvée: ${changes.recipeId}`);
+            }
+
+            const entry = await MealPlan.findOneAndUpdate({ _id: entryId, ...this._ownerFilter(ownerId) }, { $set: changes }, {
+                returnDocument: 'after',
+                runValidators: true
+            });
+
+            return entry ? entry.toJSON() : null;
+        } catch (error) {
+            if (error.name === 'ValidationError') {
+                throw new Error(`Validation échouée: ${recipeService._formatValidationErrors(error)}`);
+            }
+            if (error.name === 'CastError') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Supprimer une entrée du planning
+     * @param {String} entryId - L'ID de l'entrée
+     * @param {Object} options - { ownerId }
+     * @returns {Promise<Boolean>} true si l'entrée existait
+     */
+    async deleteEntry(entryId, options = {}) {
+        try {
+            const result = await MealPlan.deleteOne({ _id: entryId, ...this._ownerFilter(options.ownerId) });
+            return result.deletedCount > 0;
+        } catch (error) {
+            if (error.name === 'CastError') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Trouver les entrées du planning qui utilisent une recette
+     * (pour signaler les menus impactés par sa suppression)
+     * @param {String} recipeId - L'ID de la recette
+     * @param {Object} options - { ownerId } pour ne signaler que les entrées de cet utilisateur
+     * @returns {Promise<Array>} Entrées { id, date, slot }
+     */
+    async findEntriesForRecipe(recipeId, options = {}) {
+        const entries = await MealPlan.find({ recipeId, ...this._ownerFilter(options.ownerId) })
+            .select('date slot')
+            .sort({ date: 1 })
+            .lean();
+
+        return entries.map(entry => ({ id: entry._id, date: entry.date, slot: entry.slot }));
+    }
+
+    /**
+     * Générer la liste de courses d'une période du planning
+     * Les entrées dont la recette a été supprimée sont ignorées et signalées.
+     * @param {Date} from - Premier jour
+     * @param {Date} to - Dernier jour
+     * @param {Object} options - { name } nom de la liste, { ownerId, viewerId } comme pour getEntries
+     * @returns {Promise<Object>} { shoppingList, skipped }
+     */
+    async generateShoppingList(from, to, options = {}) {
+        const { ownerId, viewerId } = options;
+        const entries = await this.getEntries(from, to, { ownerId, viewerId });
+        const planned = entries.filter(entry => !entry.recipeDeleted);
+        const skipped = entries
+            .filter(entry => entry.recipeDeleted)
+            .map(entry => ({ id: entry._id, date: entry.date, slot: entry.slot, recipeId: entry.recipeId }));
+
+        if (planned.length === 0) {
+            throw new Error('Aucune recette planifiée sur cette période');
+        }
+
+        const day = (date) => date.toISOString().slice(0, 10);
+        const shoppingList = await shoppingListService.createShoppingList({
+            name: options.name || `Courses du ${day(from)} au ${day(to)}`,
+            recipes: planned.map(entry => ({
+                recipeId: String(entry.recipeId),
+                servings: entry.servings
+            }))
+        }, { ownerId, viewerId });
+
+        return { shoppingList, skipped };
+    }
+
+    /**
+     * Filtre des entrées d'un propriétaire (aucun filtre sans ownerId)
+     * @private
+     */
+    _ownerFilter(ownerId) {
+        return ownerId === undefined ? {} : { ownerId };
+    }
+}
+
+export default new MealPlanService();
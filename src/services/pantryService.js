@@ -0,0 +1,96 @@
+import Recipe from '../models/Recipe.js';
+import { DEFAULT_STAPLES, normalizeIngredientName, ingredientMatches } from '../utils/ingredients.mjs';
+
+/**
+ * Service "Qu'est-ce que je peux cuisiner ?"
+ * Classe les recettes selon la part de leurs ingrédients couverte par ce que l'on a sous la main
+ */
+class PantryService {
+
+    /**
+     * Trouver les recettes réalisables avec les ingrédients disponibles
+     * @param {Array<String>} available - Noms des ingrédients disponibles
+     * @param {Object} options - Options de filtrage
+     * @param {Number} options.maxMissing - Nombre maximum d'ingrédients manquants (illimité par défaut)
+     * @param {Boolean} options.ignoreStaples - Ignorer les ingrédients de base (sel, poivre, eau...)
+     * @param {Array<String>} options.staples - Liste personnalisée d'ingrédients de base
+     * @param {Array<String>} options.tags - Filtrer par tags
+     * @param {Number} options.limit - Nombre maximum de résultats
+     * @returns {Promise<Array>} Recettes classées avec les ingrédients manquants
+     */
+    async matchRecipes(available, options = {}) {
+        const {
+            maxMissing = null,
+            ignoreStaples = true,
+            staples = DEFAULT_STAPLES,
+            tags = null,
+            limit = 50,
+            viewerId
+        } = options;
+
+        const pantry = [...new Set(available.map(normalizeIngredientName).filter(Boolean))];
+        const stapleNames = new Set(ignoreStaples ? staples.map(normalizeIngredientName) : []);
+
+        const filter = { deletedAt: null };
+        if (tags && tags.length > 0) {
+            filter.tags = { $all: tags };
+        }
+        if (viewerId !== undefined) {
+            Object.assign(filter, Recipe.visibleTo(viewerId));
+        }
+
+        const recipes = await Recipe.find(filter)
+            .select('title servings ingredients tags createdAt updatedAt')
+            .lean();
+
+        const results = [];
+        for (const recipe of recipes) {
+            const match = this._matchRecipe(recipe, pantry, stapleNames);
+
+            if (match.totalCount === 0 || match.matchedCount === 0) continue;
+            if (maxMissing !== null && match.missingIngredients.length > maxMissing) continue;
+
+            results.push({ recipe, ...match });
+        }
+
+        // Le plus d'ingrédients couverts d'abord, puis le moins de manquants
+        results.sort((a, b) =>
+            b.matchedCount - a.matchedCount
+            || a.missingIngredients.length - b.missingIngredients.length
+            || b.coverage - a.coverage
+        );
+
+        return results.slice(0, limit);
+    }
+
+    /**
+     * Calculer la couverture d'une recette
+     * @private
+     */
+    _matchRecipe(recipe, pantry, stapleNames) {
+        const missingIngredients = [];
+        let matchedCount = 0;
+        let totalCount = 0;
+
+        for (const ingredient of recipe.ingredients || []) {
+            const name = normalizeIngredientName(ingredient.name);
+            if (stapleNames.has(name)) continue;
+
+            totalCount++;
+            if (pantry.some(available => ingredientMatches(name, available))) {
+                matchedCount++;
+            } else {
+                missingIngredients.push(ingredient.name);
+            }
+        }
+
+        return {
+            matchedCount,
+            totalCount,
+            coverage: totalCount > 0 ? Math.round((matchedCount / totalCount) * 100) / 100 : 0,
+            missingIngredients
+        };
+    }
+}
+
+export default new PantryService();
@@ -0,0 +1,191 @@
+import RateLimit from '../models/RateLimit.js';
+import { getConfigValue } from '../utils/config.appconfig.mjs';
+
+// Limites appliquées sans configuration : une limite par adresse IP avant l'authentification
+// (tentatives de jetons ou de clés d'API), une limite par client pour l'ensemble des routes,
+// plus stricte sur les URLs d'upload (chaque appel signe une URL S3)
+const DEFAULT_LIMITS = {
+    ip: { limit: 600, windowSeconds: 60 },
+    default: { limit: 300, windowSeconds: 60 },
+    routes: {
+        'POST /recipes/upload': { limit: 10, windowSeconds: 60 }
+    }
+};
+
+/**
+ * Service de limitation de débit par client (fenêtre glissante)
+ *
+ * Les compteurs sont stockés dans MongoDB pour être partagés par les instances Lambda concurrentes.
+ * La fenêtre glissante est estimée à partir de deux fenêtres fixes : le compteur de la fenêtre
+ * précédente, pondéré par la part de celle-ci encore couverte, plus le compteur de la fenêtre courante.
+ *
+ * Configuration (variable d'environnement RATE_LIMITS en JSON, sinon profil AppConfig "rate-limits", clé "<env>") :
+ *   { "ip": { "limit": 600, "windowSeconds": 60 },
+ *     "default": { "limit": 300, "windowSeconds": 60 },
+ *     "routes": { "POST /recipes/upload": { "limit": 10, "windowSeconds": 60 } } }
+ * Les routes sont désignées par leur méthode et leur chemin déclaré (ex: "GET /recipes/{id}").
+ * Une route configurée a son propre compteur ; les autres partagent le compteur par défaut du client.
+ * La limite "ip" compte toutes les requêtes d'une adresse avant l'authentification (consumeByIp),
+ * y compris celles qui seront refusées faute d'identifiants valides.
+ * Une limite à null désactive la limitation (globalement ou pour une route).
+ */
+class RateLimitService {
+    constructor() {
+        this.config = null;
+    }
+
+    /**
+     * Compter une requête et indiquer si elle peut passer
+     * @param {Object} event - Event API Gateway (event.user renseigné par l'authentification)
+     * @param {Object} route - Route trouvée par le router ({ method, path })
+     * @returns {Promise<Object|null>} { allowed, limit, remaining, reset, retryAfter, windowSeconds } (délais en secondes),
+     *                                 null si la route n'est pas limitée
+     */
+    async consume(event, route) {
+        const routeKey = `${route.method} ${route.path}`;
+        const config = await this.getConfig();
+        const routeLimit = config.routes?.[routeKey];
+        const policy = routeLimit !== undefined ? routeLimit : config.default;
+
+        if (!policy || !policy.limit) {
+            return null;
+        }
+
+        return this._count(`${this.getClientKey(event)}|${routeLimit !== undefined ? routeKey : '*'}`, policy);
+    }
+
+    /**
+     * Compter une requête pour son adresse IP source, avant toute authentification
+     * @param {Object} event - Event API Gateway
+     * @returns {Promise<Object|null>} Comme consume, null si la limite par IP est désactivée
+     */
+    async consumeByIp(event) {
+        const { ip: policy } = await this.getConfig();
+
+        if (!policy || !policy.limit) {
+            return null;
+        }
+
+        return this._count(`ip:${this._sourceIp(event)}|pre-auth`, policy);
+    }
+
+    /**
+     * Incrémenter le compteur d'une clé et évaluer la fenêtre glissante
+     * @private
+     */
+    async _count(key, policy) {
+        const windowMs = (policy.windowSeconds || 60) * 1000;
+        const now = Date.now();
+        const windowStart = Math.floor(now / windowMs) * windowMs;
+
+        // Incrément atomique de la fenêtre courante (créée au premier appel) et lecture de la précédente
+        const [current, previous] = await Promise.all([
+            RateLimit.findOneAndUpdate(
+                { key, windowStart: new Date(windowStart) },
+                {
+                    $inc: { count: 1 },
+                    $setOnInsert: { expiresAt: new Date(windowStart + 2 * windowMs) }
+                },
+                { upsert: true, returnDocument: 'after' }
+            ).lean(),
+            RateLimit.findOne({ key, windowStart: new Date(windowStart - windowMs) }).lean()
+        ]);
+
+        return this._evaluate({
+            limit: policy.limit,
+            windowMs,
+            elapsed: now - windowStart,
+            count: current.count,
+            previousCount: previous?.count || 0
+        });
+    }
+
+    /**
+     * Identifiant du client : clé d'API, sinon utilisateur, sinon adresse IP source
+     * @param {Object} event - Event API Gateway
+     * @returns {String} Ex: "api-key:<id>", "user:<sub>", "ip:203.0.113.7"
+     */
+    getClientKey(event) {
+        if (event.user?.apiKeyId) {
+            return `api-key:${event.user.apiKeyId}`;
+        }
+        if (event.user?.id) {
+            return `user:${event.user.id}`;
+        }
+        return `ip:${this._sourceIp(event)}`;
+    }
+
+    /**
+     * Configuration des limites (chargée une fois par runtime)
+     * Sans configuration lisible, les limites par défaut s'appliquent.
+     * @returns {Promise<Object>} { ip, default, routes }
+     */
+    async getConfig() {
+        if (this.config) return this.config;
+
+        let config;
+        try {
+            if (process.env.RATE_LIMITS) {
+                config = JSON.parse(process.env.RATE_LIMITS);
+            } else {
+                const env = process.env.ENVIRONMENT || 'preprod';
+                config = await getConfigValue('rate-limits', env);
+            }
+        } catch (error) {
+            console.warn('Configuration des limites de débit illisible, limites par défaut appliquées:', error.message);
+        }
+
+        this.config = {
+            ip: config?.ip !== undefined ? config.ip : DEFAULT_LIMITS.ip,
+            default: config?.default !== undefined ? config.default : DEFAULT_LIMITS.default,
+            routes: { ...DEFAULT_LIMITS.routes, ...config?.routes }
+        };
+        return this.config;
+    }
+
+    /**
+     * Vider la configuration en cache (changement de configuration, tests)
+     */
+    resetConfig() {
+        this.config = null;
+    }
+
+    /**
+     * Adresse IP source de la requête (API Gateway v2, sinon v1)
+     * @private
+     */
+    _sourceIp(event) {
+        return event.requestContext?.http?.sourceIp || event.requestContext?.identity?.sourceIp || 'unknown';
+    }
+
+    /**
+     * Estimer le nombre de requêtes sur la fenêtre glissante et le délai avant la prochaine requête acceptée
+     * @private
+     */
+    _evaluate({ limit, windowMs, elapsed, count, previousCount }) {
+        const estimated = previousCount * (1 - elapsed / windowMs) + count;
+        const allowed = estimated <= limit;
+
+        let retryAfterMs = 0;
+        if (!allowed) {
+            if (count < limit) {
+                // Attendre que le poids de la fenêtre précédente laisse la place à une requête
+                retryAfterMs = windowMs * (1 - (limit - count - 1) / previousCount) - elapsed;
+            } else {
+                // La fenêtre courante suffit à dépasser la limite : elle deviendra la fenêtre précédente
+                retryAfterMs = windowMs - elapsed + windowMs * (1 - (limit - 1) / count);
+            }
+        }
+
+        return {
+            allowed,
+            limit,
+            remaining: Math.max(0, Math.floor(limit - estimated)),
+            reset: Math.ceil((windowMs - elapsed) / 1000),
+            retryAfter: allowed ? 0 : Math.max(1, Math.ceil(retryAfterMs / 1000)),
+            windowSeconds: windowMs / 1000
+        };
+    }
+}
+
+export default new RateLimitService();
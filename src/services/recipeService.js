@@ -1,4 +1,26 @@
+import mongoose from 'mongoose';
 import Recipe from '../models/Recipe.js';
+import revisionService from './revisionService.js';
+import reviewService from './reviewService.js';
+import tagService from './tagService.js';
+import collectionService from './collectionService.js';
+import { encodeCursor, decodeCursor } from '../utils/cursor.mjs';
+import { normalizeTags } from '../utils/tags.mjs';
+
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// Champs autorisés pour le tri des listes de recettes
+export const SORTABLE_FIELDS = ['createdAt', 'updatedAt', 'title', 'servings', 'rating'];
+
+// Champs dénormalisés, tenus à jour par les avis (jamais écrits par l'API des recettes)
+const RATING_FIELDS = ['rating', 'reviewCount', 'ratingTotal'];
+
+// Champs conservés lors d'un remplacement complet (PUT)
+const KEPT_FIELDS = [...RATING_FIELDS, 'ownerId'];
+
+const FORBIDDEN_MESSAGE = 'Accès refusé: seul le propriétaire peut modifier cette recette';
+
+const PRECONDITION_MESSAGE = 'Précondition échouée: la recette a été modifiée depuis sa lecture';
 
 /**
  * Service pour gérer toute la logique métier liée aux recettes
@@ -9,45 +31,165 @@ class RecipeService {
     /**
      * Ajouter une nouvelle recette
      * @param {Object} recipeData - Les données de la recette
+     * @param {Object} options - { ownerId } l'utilisateur propriétaire de la recette
      * @returns {Promise<Object>} La recette créée
      */
-    async addRecipe(recipeData) {
+    async addRecipe(recipeData, options = {}) {
+        const { ownerId = null } = options;
+
         try {
-            // Validation métier supplémentaire si nécessaire
+            // Validation métier et normalisation
+            for (const field of RATING_FIELDS) {
+                delete recipeData[field];
+            }
+            // Une recette n'est jamais créée directement dans la corbeille
+            delete recipeData.deletedAt;
+            // Le propriétaire vient de l'authentification, jamais du corps de la requête
+            recipeData.ownerId = ownerId;
             this._validateRecipeData(recipeData);
+            this._normalizeRecipeData(recipeData, await this._tagAliasesFor(recipeData));
+
+            const recipe = new Recipe(recipeData);
+            await recipe.save();
 
-            // Tri des étapes par ordre
-            if (recipeData.steps && recipeData.steps.length > 0) {
-                recipeData.steps.sort((a, b) => a.order - b.order);
+            const result = recipe.toJSON();
+            await revisionService.recordRevision(result, 'create');
+
+            return result;
+        } catch (error) {
+            if (error.name === 'ValidationError') {
+                throw new Error(`Validation échouée: ${this._formatValidationErrors(error)}`);
             }
+            throw error;
+        }
+    }
 
-            // Normalisation des tags (minuscules, sans doublons)
-            if (recipeData.tags && recipeData.tags.length > 0) {
-                recipeData.tags = [...new Set(recipeData.tags.map(tag => tag.toLowerCase().trim()))];
+    /**
+     * Valider une recette sans l'enregistrer (mêmes règles que addRecipe)
+     * @param {Object} recipeData - Les données de la recette
+     * @returns {Promise<Object>} Les données normalisées, telles qu'elles seraient enregistrées
+     */
+    async validateRecipe(recipeData) {
+        try {
+            const data = structuredClone(recipeData);
+            this._validateRecipeData(data);
+            this._normalizeRecipeData(data, await this._tagAliasesFor(data));
+
+            await new Recipe(data).validate();
+
+            return data;
+        } catch (error) {
+            if (error.name === 'ValidationError') {
+                throw new Error(`Validation échouée: ${this._formatValidationErrors(error)}`);
             }
+            throw error;
+        }
+    }
 
-            const recipe = new Recipe(recipeData);
+    /**
+     * Mettre à jour une recette existante
+     * @param {String} recipeId - L'ID de la recette
+     * @param {Object} recipeData - Les nouvelles données
+     * @param {Object} options - { partial: true } pour fusionner (PATCH), sinon remplacement complet (PUT)
+     *                           { revertedFrom } si la mise à jour restaure une révision
+     *                           { userId } l'utilisateur à l'origine de la modification
+     *                           { expectedVersions } versions (__v) acceptées, d'après le header If-Match
+     * @returns {Promise<Object|null>} La recette mise à jour ou null si introuvable
+     * @throws {Error} Accès refusé si l'utilisateur n'est pas le propriétaire
+     * @throws {Error} Précondition échouée si la recette n'est plus dans une version attendue
+     */
+    async updateRecipe(recipeId, recipeData, options = {}) {
+        const { partial = false, revertedFrom, userId, expectedVersions } = options;
+
+        try {
+            const data = this._stripImmutableFields(recipeData);
+
+            // Mêmes règles métier qu'à la création
+            this._validateRecipeData(data);
+            this._normalizeRecipeData(data, await this._tagAliasesFor(data));
+
+            const recipe = await Recipe.findById(recipeId);
+
+            // Une recette dans la corbeille doit être restaurée avant d'être modifiée
+            if (!recipe || recipe.deletedAt || !this._canView(recipe, userId)) {
+                return null;
+            }
+            this._assertOwner(recipe, userId);
+            if (expectedVersions && !expectedVersions.includes(recipe.__v)) {
+                throw new Error(PRECONDITION_MESSAGE);
+            }
+
+            const previous = recipe.toJSON();
+
+            if (partial) {
+                // PATCH : seuls les champs fournis sont modifiés
+                recipe.set(data);
+            } else {
+                // PUT : le document est entièrement remplacé (l'_id, la date de création, les notes et le propriétaire sont conservés)
+                const kept = Object.fromEntries(KEPT_FIELDS.map(field => [field, recipe[field]]));
+                // La visibilité ne change que si le corps la fournit (un revert ne la contient jamais)
+                if (data.visibility === undefined && recipe.visibility !== undefined) {
+                    kept.visibility = recipe.visibility;
+                }
+                recipe.overwrite({ ...data, ...kept, createdAt: recipe.createdAt });
+            }
+
+            // save() relance les validateurs du schéma, et échoue si la recette a été modifiée entre-temps
             await recipe.save();
 
-            return recipe.toJSON();
+            const result = recipe.toJSON();
+            await revisionService.recordRevision(result, revertedFrom ? 'revert' : 'update', { previous, revertedFrom });
+
+            return result;
         } catch (error) {
             if (error.name === 'ValidationError') {
                 throw new Error(`Validation échouée: ${this._formatValidationErrors(error)}`);
             }
+            if (error.name === 'VersionError') {
+                throw new Error(PRECONDITION_MESSAGE);
+            }
+            if (error.name === 'CastError') {
+                return null;
+            }
             throw error;
         }
     }
 
+    /**
+     * Restaurer le contenu d'une révision précédente
+     * Le revert crée une nouvelle révision : l'historique n'est jamais réécrit.
+     * @param {String} recipeId - L'ID de la recette
+     * @param {Number} rev - Le numéro de la révision à restaurer
+     * @param {Object} options - { userId } l'utilisateur à l'origine de la restauration
+     *                           { expectedVersions } versions (__v) acceptées, d'après le header If-Match
+     * @returns {Promise<Object|null>} La recette mise à jour ou null si la recette ou la révision est introuvable
+     * @throws {Error} Précondition échouée si la recette n'est plus dans une version attendue
+     */
+    async revertRecipe(recipeId, rev, options = {}) {
+        const { userId, expectedVersions } = options;
+        const revision = await revisionService.getRevision(recipeId, rev);
+
+        if (!revision) {
+            return null;
+        }
+
+        return this.updateRecipe(recipeId, revision.snapshot, { revertedFrom: rev, userId, expectedVersions });
+    }
+
     /**
      * Récupérer une recette par son ID
      * @param {String} recipeId - L'ID de la recette
+     * @param {Object} options - { includeDeleted: true } pour voir aussi les recettes de la corbeille
+     *                           { viewerId } pour ne renvoyer que les recettes visibles par cet utilisateur
      * @returns {Promise<Object|null>} La recette trouvée ou null
      */
-    async getRecipeById(recipeId) {
+    async getRecipeById(recipeId, options = {}) {
+        const { includeDeleted = false, viewerId } = options;
+
         try {
             const recipe = await Recipe.findById(recipeId);
 
-            if (!recipe) {
+            if (!recipe || (recipe.deletedAt && !includeDeleted) || !this._canView(recipe, viewerId)) {
                 return null;
             }
 
@@ -62,7 +204,7 @@ class RecipeService {
     }
 
     /**
-     * Récupérer toutes les recettes
+     * Récupérer toutes les recettes (pagination par décalage, voir getRecipesPage)
      * @param {Object} options - Options de pagination et filtrage
      * @returns {Promise<Array>} Liste des recettes
      */
@@ -73,15 +215,12 @@ class RecipeService {
                 skip = 0,
                 sortBy = 'createdAt',
                 sortOrder = 'desc',
-                tags = null
+                tags = null,
+                minRating = null,
+                viewerId
             } = options;
 
-            // Construction du filtre
-            const filter = {};
-            if (tags && tags.length > 0) {
-                // Utiliser $all pour un filtre AND (la recette doit avoir tous les tags)
-                filter.tags = { $all: tags };
-            }
+            const filter = this._buildListFilter({ tags, minRating, viewerId });
 
             // Construction de la requête
              // Utilisation de lean() pour de meilleures performances
@@ -95,6 +234,352 @@ class RecipeService {
         }
     }
 
+    /**
+     * Récupérer une page de recettes (pagination par curseur)
+     * Les recettes sont triées sur le champ demandé puis sur _id, ce qui garde des pages
+     * stables même si des recettes sont ajoutées entre deux appels.
+     * @param {Object} options - limit, sortBy, sortOrder, tags, minRating, cursor (page suivante),
+     *                           withTotal (compter toutes les recettes du filtre), viewerId
+     * @returns {Promise<Object>} { recipes, nextCursor (null sur la dernière page), total (null si non demandé) }
+     */
+    async getRecipesPage(options = {}) {
+        const {
+            limit = 50,
+            sortBy = 'createdAt',
+            sortOrder = 'desc',
+            tags = null,
+            minRating = null,
+            cursor = null,
+            withTotal = false,
+            viewerId
+        } = options;
+
+        const filter = this._buildListFilter({ tags, minRating, viewerId });
+        const direction = sortOrder === 'desc' ? -1 : 1;
+        const query = { ...filter };
+
+        if (cursor) {
+            const position = decodeCursor(cursor);
+            if (!position || position.sortBy !== sortBy || position.sortOrder !== sortOrder
+                || !mongoose.isValidObjectId(position.id)) {
+                throw new Error('Curseur invalide pour ce tri');
+            }
+
+            // Après la dernière recette : valeur strictement suivante, ou même valeur et _id suivant
+            const operator = direction === -1 ? '$lt' : '$gt';
+            if (position.value !== null) {
+                query.$or = [
+                    { [sortBy]: { [operator]: position.value } },
+                    { [sortBy]: position.value, _id: { [operator]: position.id } }
+                ];
+                // En tri décroissant, les recettes sans valeur (sans note) viennent après toutes les autres
+                if (direction === -1) {
+                    query.$or.push({ [sortBy]: null });
+                }
+            } else {
+                // null est la plus petite valeur, et $lt / $gt ne s'appliquent pas à null
+                query.$or = [{ [sortBy]: null, _id: { [operator]: position.id } }];
+                if (direction === 1) {
+                    query.$or.push({ [sortBy]: { $ne: null } });
+                }
+            }
+        }
+
+        // Une recette de plus que demandé pour savoir s'il existe une page suivante
+        const [recipes, total] = await Promise.all([
+            Recipe.find(query)
+                .sort({ [sortBy]: direction, _id: direction })
+                .limit(limit + 1)
+                .lean(),
+            withTotal ? Recipe.countDocuments(filter) : null
+        ]);
+
+        const page = recipes.slice(0, limit);
+        const last = page[page.length - 1];
+        const nextCursor = recipes.length > limit
+            ? encodeCursor({ sortBy, sortOrder, value: last[sortBy] ?? null, id: last._id })
+            : null;
+
+        return { recipes: page, nextCursor, total };
+    }
+
+    /**
+     * Recherche plein texte dans le titre, les tags, les ingrédients et les étapes
+     * Les résultats sont triés par pertinence (score de l'index texte)
+     * @param {String} query - Les termes recherchés
+     * @param {Object} options - Options de pagination et filtrage (limit, skip, tags, viewerId)
+     * @returns {Promise<Array>} Liste des recettes avec leur score
+     */
+    async searchRecipes(query, options = {}) {
+        const {
+            limit = 50,
+            skip = 0,
+            tags = null,
+            viewerId
+        } = options;
+
+        const filter = {
+            ...this._buildListFilter({ tags, viewerId }),
+            $text: { $search: query }
+        };
+
+        return await Recipe.find(filter, { score: { $meta: 'textScore' } })
+            .sort({ score: { $meta: 'textScore' } })
+            .limit(limit)
+            .skip(skip)
+            .lean();
+    }
+
+    /**
+     * Mettre une recette à la corbeille (suppression logique)
+     * @param {String} recipeId - L'ID de la recette
+     * @param {Object} options - { userId } l'utilisateur à l'origine de la suppression
+     *                           { expectedVersions } versions (__v) acceptées, d'après le header If-Match
+     * @returns {Promise<Object|null>} La recette supprimée ou null si introuvable
+     * @throws {Error} Accès refusé si l'utilisateur n'est pas le propriétaire
+     * @throws {Error} Précondition échouée si la recette n'est plus dans une version attendue
+     */
+    async deleteRecipe(recipeId, options = {}) {
+        const { userId, expectedVersions } = options;
+
+        try {
+            const filter = { _id: recipeId, deletedAt: null, ...this._ownerFilter(userId) };
+            const recipe = await Recipe.findOneAndUpdate(
+                expectedVersions ? { ...filter, __v: { $in: expectedVersions } } : filter,
+                { $set: { deletedAt: new Date() }, $inc: { __v: 1 } },
+                { returnDocument: 'after' }
+            );
+
+            if (!recipe) {
+                await this._denyIfVisible({ _id: recipeId, deletedAt: null }, userId);
+                if (expectedVersions && await Recipe.exists(filter)) {
+                    throw new Error(PRECONDITION_MESSAGE);
+                }
+                return null;
+            }
+
+            const result = recipe.toJSON();
+            await revisionService.recordRevision(result, 'delete');
+
+            // La recette quitte toutes ses collections (une restauration ne l'y remet pas)
+            await collectionService.removeRecipesEverywhere([result.id]);
+
+            return result;
+        } catch (error) {
+            if (error.name === 'CastError') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Restaurer une recette depuis la corbeille
+     * @param {String} recipeId - L'ID de la recette
+     * @param {Object} options - { userId } l'utilisateur à l'origine de la restauration
+     * @returns {Promise<Object|null>} La recette restaurée ou null si elle n'est pas dans la corbeille
+     * @throws {Error} Accès refusé si l'utilisateur n'est pas le propriétaire
+     */
+    async restoreRecipe(recipeId, options = {}) {
+        const { userId } = options;
+
+        try {
+            const recipe = await Recipe.findOneAndUpdate(
+                { _id: recipeId, deletedAt: { $ne: null }, ...this._ownerFilter(userId) },
+                { $set: { deletedAt: null }, $inc: { __v: 1 } },
+                { returnDocument: 'after' }
+            );
+
+            if (!recipe) {
+                await this._denyIfVisible({ _id: recipeId, deletedAt: { $ne: null } }, userId);
+                return null;
+            }
+
+            const result = recipe.toJSON();
+            await revisionService.recordRevision(result, 'restore');
+
+            return result;
+        } catch (error) {
+            if (error.name === 'CastError') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Lister les recettes de la corbeille (les plus récemment supprimées d'abord)
+     * @param {Object} options - Options de pagination, viewerId (seules ses recettes sont listées)
+     * @returns {Promise<Array>} Liste des recettes supprimées
+     */
+    async getTrash(options = {}) {
+        const { limit = 50, skip = 0, viewerId } = options;
+
+        return await Recipe.find({ deletedAt: { $ne: null }, ...this._ownerFilter(viewerId) })
+            .sort({ deletedAt: -1 })
+            .limit(limit)
+            .skip(skip)
+            .lean();
+    }
+
+    /**
+     * Supprimer définitivement les recettes restées dans la corbeille
+     * plus longtemps que la durée de rétention, avec leurs révisions et leurs avis
+     * @param {Object} options - { retentionDays } (par défaut TRASH_RETENTION_DAYS ou 30 jours)
+     * @returns {Promise<Object>} { deletedCount, cutoff }
+     */
+    async purgeTrash(options = {}) {
+        const { retentionDays = this._trashRetentionDays() } = options;
+
+        const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+        const expired = { deletedAt: { $ne: null, $lte: cutoff } };
+        const ids = (await Recipe.find(expired).select('_id').lean()).map(recipe => recipe._id);
+
+        if (ids.length === 0) {
+            return { deletedCount: 0, cutoff };
+        }
+
+        const result = await Recipe.deleteMany({ _id: { $in: ids }, ...expired });
+
+        // Une recette restaurée entre-temps n'est pas supprimée : elle garde son historique et ses avis
+        const kept = new Set((await Recipe.distinct('_id', { _id: { $in: ids } })).map(String));
+        const purgedIds = ids.filter(id => !kept.has(String(id)));
+
+        await Promise.all([
+            revisionService.deleteRevisions(purgedIds),
+            reviewService.deleteReviews(purgedIds)
+        ]);
+
+        return {
+            deletedCount: result.deletedCount,
+            cutoff
+        };
+    }
+
+    /**
+     * Parcourir les recettes à exporter (hors corbeille), triées par _id
+     * Les recettes sont lues une par une via un curseur pour ne pas charger toute la bibliothèque.
+     * @param {Object} options - Filtres : tags, updatedFrom, updatedTo (dates incluses), viewerId
+     *                           cursor reprend après la dernière recette d'un export précédent,
+     *                           limit borne le nombre de recettes lues
+     * @returns {AsyncGenerator<Object>} Recettes au format JSON de l'API
+     * @throws {Error} Curseur invalide si le curseur n'a pas été produit par l'export
+     */
+    async *exportRecipes(options = {}) {
+        const { tags = null, updatedFrom = null, updatedTo = null, viewerId, cursor = null, limit = null } = options;
+
+        const filter = this._buildListFilter({ tags, viewerId });
+        if (updatedFrom || updatedTo) {
+            filter.updatedAt = {};
+            if (updatedFrom) filter.updatedAt.$gte = updatedFrom;
+            if (updatedTo) filter.updatedAt.$lte = updatedTo;
+        }
+
+        if (cursor) {
+            const position = decodeCursor(cursor);
+            if (!position || position.sortBy !== '_id' || !mongoose.isValidObjectId(position.id)) {
+                throw new Error('Curseur invalide pour cet export');
+            }
+            filter._id = { $gt: position.id };
+        }
+
+        let query = Recipe.find(filter).sort({ _id: 1 });
+        if (limit) {
+            query = query.limit(limit);
+        }
+
+        for await (const recipe of query.lean().cursor()) {
+            const { _id, __v, ...fields } = recipe;
+            yield { id: _id, ...fields };
+        }
+    }
+
+    /**
+     * Curseur d'export désignant la dernière recette exportée
+     * @param {Object} recipe - Recette renvoyée par exportRecipes
+     * @returns {String} Curseur opaque à passer à exportRecipes
+     */
+    exportCursor(recipe) {
+        return encodeCursor({ sortBy: '_id', sortOrder: 'asc', value: null, id: recipe.id });
+    }
+
+    /**
+     * Durée de rétention configurée par TRASH_RETENTION_DAYS (0 purge dès la mise à la corbeille),
+     * 30 jours si la variable est absente ou invalide
+     * @private
+     */
+    _trashRetentionDays() {
+        const configured = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+        return Number.isNaN(configured) || configured < 0 ? DEFAULT_TRASH_RETENTION_DAYS : configured;
+    }
+
+    /**
+     * Construction du filtre commun aux listes de recettes
+     * (les recettes de la corbeille sont exclues, et celles que viewerId ne peut pas voir s'il est fourni)
+     * @private
+     */
+    _buildListFilter({ tags = null, minRating = null, viewerId } = {}) {
+        const filter = { deletedAt: null };
+        if (viewerId !== undefined) {
+            // $and plutôt que $or à la racine : la pagination par curseur utilise déjà $or
+            filter.$and = [Recipe.visibleTo(viewerId)];
+        }
+        if (tags && tags.length > 0) {
+            // Utiliser $all pour un filtre AND (la recette doit avoir tous les tags)
+            filter.tags = { $all: tags };
+        }
+        if (minRating !== null) {
+            // Les recettes sans avis (rating null) sont exclues
+            filter.rating = { $gte: minRating };
+        }
+        return filter;
+    }
+
+    /**
+     * Une recette est visible par son propriétaire, par tous si elle est publique ou sans propriétaire
+     * (sans userId, l'appel est interne et aucune restriction ne s'applique)
+     * @private
+     */
+    _canView(recipe, userId) {
+        return userId === undefined
+            || !recipe.ownerId
+            || recipe.ownerId === userId
+            || recipe.visibility === 'public';
+    }
+
+    /**
+     * Seul le propriétaire modifie une recette (les recettes sans propriétaire ne sont modifiables par personne)
+     * @private
+     */
+    _assertOwner(recipe, userId) {
+        if (userId !== undefined && recipe.ownerId !== userId) {
+            throw new Error(FORBIDDEN_MESSAGE);
+        }
+    }
+
+    /**
+     * Filtre restreignant une écriture aux recettes de l'utilisateur
+     * @private
+     */
+    _ownerFilter(userId) {
+        return userId === undefined ? {} : { ownerId: userId };
+    }
+
+    /**
+     * Après un échec d'écriture filtrée par propriétaire : 403 si la recette existe et est visible,
+     * sinon la recette reste introuvable (404) pour ne pas révéler son existence
+     * @private
+     */
+    async _denyIfVisible(filter, userId) {
+        if (userId === undefined) {
+            return;
+        }
+        const recipe = await Recipe.findOne(filter).lean();
+        if (recipe && this._canView(recipe, userId)) {
+            throw new Error(FORBIDDEN_MESSAGE);
+        }
+    }
+
     /**
      * Validation métier personnalisée
      * @private
@@ -111,6 +596,43 @@ class RecipeService {
         }
     }
 
+    /**
+     * Normalisation commune à la création et à la mise à jour
+     * @private
+     */
+    _normalizeRecipeData(recipeData, tagAliases) {
+        // Tri des étapes par ordre
+        if (recipeData.steps && recipeData.steps.length > 0) {
+            recipeData.steps.sort((a, b) => a.order - b.order);
+        }
+
+        // Normalisation des tags (minuscules, alias résolus, sans doublons)
+        if (recipeData.tags && recipeData.tags.length > 0) {
+            recipeData.tags = normalizeTags(recipeData.tags, tagAliases);
+        }
+    }
+
+    /**
+     * Alias de tags, chargés seulement si la recette a des tags
+     * @private
+     */
+    async _tagAliasesFor(recipeData) {
+        if (!Array.isArray(recipeData.tags) || recipeData.tags.length === 0) {
+            return undefined;
+        }
+        return tagService.getAliases();
+    }
+
+    /**
+     * Retirer les champs gérés par la base (id, timestamps, version), par les avis, par l'authentification
+     * ou par la corbeille (deletedAt ne change qu'avec la suppression et la restauration)
+     * @private
+     */
+    _stripImmutableFields(recipeData) {
+        const { _id, id, createdAt, updatedAt, __v, rating, reviewCount, ratingTotal, ownerId, deletedAt, ...data } = recipeData;
+        return data;
+    }
+
     /**
      * Formater les erreurs de validation Mongoose
      * @private
@@ -0,0 +1,135 @@
+import mongoose from 'mongoose';
+import Recipe from '../models/Recipe.js';
+import Review from '../models/Review.js';
+
+/**
+ * Service pour gérer les avis et les notes des recettes
+ */
+class ReviewService {
+
+    /**
+     * Ajouter un avis à une recette
+     * L'avis et la note moyenne de la recette sont enregistrés dans une même transaction ;
+     * la moyenne est recalculée par MongoDB à partir de la somme et du nombre d'avis,
+     * ce qui la garde juste même si plusieurs avis arrivent en même temps.
+     * @param {String} recipeId - L'ID de la recette
+     * @param {Object} data - { rating (1 à 5), comment }
+     * @param {Object} options - { viewerId } seules les recettes visibles par cet utilisateur peuvent être notées
+     * @returns {Promise<Object|null>} { review, rating, reviewCount } ou null si la recette est introuvable
+     */
+    async addReview(recipeId, data, options = {}) {
+        if (!mongoose.isValidObjectId(recipeId)) {
+            return null;
+        }
+
+        const review = new Review({ recipeId, rating: data.rating, comment: data.comment });
+
+        try {
+            await review.validate();
+        } catch (error) {
+            if (error.name === 'ValidationError') {
+                throw new Error(`Validation échouée: ${this._formatValidationErrors(error)}`);
+            }
+            throw error;
+        }
+
+        return mongoose.connection.transaction(async (session) => {
+            const recipe = await Recipe.findOneAndUpdate(
+                this._recipeFilter(recipeId, options.viewerId),
+                [
+                    {
+                        $set: {
+                            reviewCount: { $add: [{ $ifNull: ['$reviewCount', 0] }, 1] },
+                            ratingTotal: { $add: [{ $ifNull: ['$ratingTotal', 0] }, review.rating] },
+                            // La note fait partie de la recette : nouvelle version, donc nouvel ETag
+                            __v: { $add: [{ $ifNull: ['$__v', 0] }, 1] }
+                        }
+                    },
+                    { $set: { rating: { $round: [{ $divide: ['$ratingTotal', '$reviewCount'] }, 2] } } }
+                ],
+                // Un avis ne modifie pas le contenu de la recette : updatedAt est conservé
+                { session, updatePipeline: true, returnDocument: 'after', timestamps: false }
+            );
+
+            if (!recipe) {
+                return null;
+            }
+
+            await review.save({ session });
+
+            return {
+                review: review.toJSON(),
+                rating: recipe.rating,
+                reviewCount: recipe.reviewCount
+            };
+        });
+    }
+
+    /**
+     * Lister les avis d'une recette, les plus récents d'abord
+     * @param {String} recipeId - L'ID de la recette
+     * @param {Object} options - Options de pagination (limit, skip), viewerId
+     * @returns {Promise<Object|null>} { reviews, rating, reviewCount } ou null si la recette est introuvable
+     */
+    async getReviews(recipeId, options = {}) {
+        const { limit = 50, skip = 0, viewerId } = options;
+
+        if (!mongoose.isValidObjectId(recipeId)) {
+            return null;
+        }
+
+        const recipe = await Recipe.findOne(this._recipeFilter(recipeId, viewerId))
+            .select('rating reviewCount')
+            .lean();
+
+        if (!recipe) {
+            return null;
+        }
+
+        const reviews = await Review.find({ recipeId })
+            .sort({ createdAt: -1, _id: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean();
+
+        return {
+            reviews,
+            rating: recipe.rating ?? null,
+            reviewCount: recipe.reviewCount ?? 0
+        };
+    }
+
+    /**
+     * Supprimer les avis de recettes supprimées définitivement
+     * @param {Array<String>} recipeIds - IDs des recettes supprimées
+     * @returns {Promise<Number>} Nombre d'avis supprimés
+     */
+    async deleteReviews(recipeIds) {
+        if (recipeIds.length === 0) {
+            return 0;
+        }
+
+        const result = await Review.deleteMany({ recipeId: { $in: recipeIds } });
+        return result.deletedCount;
+    }
+
+    /**
+     * Recette hors corbeille, visible par viewerId s'il est fourni
+     * @private
+     */
+    _recipeFilter(recipeId, viewerId) {
+        const filter = { _id: recipeId, deletedAt: null };
+        return viewerId === undefined ? filter : { ...filter, ...Recipe.visibleTo(viewerId) };
+    }
+
+    /**
+     * Formater les erreurs de validation Mongoose
+     * @private
+     */
+    _formatValidationErrors(error) {
+        const errors = Object.values(error.errors).map(err => err.message);
+        return errors.join(', ');
+    }
+}
+
+export default new ReviewService();
@@ -0,0 +1,153 @@
+import RecipeRevision from '../models/RecipeRevision.js';
+import { diffRecipes } from '../utils/recipeDiff.mjs';
+
+const SNAPSHOT_FIELDS = ['title', 'servings', 'ingredients', 'steps', 'tags'];
+const MAX_RECORD_ATTEMPTS = 3;
+
+/**
+ * Service pour gérer l'historique des révisions des recettes
+ */
+class RevisionService {
+
+    /**
+     * Enregistrer une nouvelle révision d'une recette
+     * Si la recette n'a encore aucune révision (recette antérieure à l'historique),
+     * l'état précédent est d'abord enregistré comme révision 1.
+     * @param {Object} recipe - La recette après modification (JSON)
+     * @param {String} action - create, update, delete, restore ou revert
+     * @param {Object} options - { previous: état avant modification, revertedFrom: révision restaurée }
+     * @returns {Promise<Object>} La révision créée
+     */
+    async recordRevision(recipe, action, options = {}) {
+        const { previous = null, revertedFrom } = options;
+        const recipeId = recipe.id ?? recipe._id;
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                let rev = await this._lastRev(recipeId) + 1;
+
+                if (rev === 1 && previous && action !== 'create') {
+                    await RecipeRevision.create({ recipeId, rev, action: 'create', snapshot: this._snapshot(previous) });
+                    rev++;
+                }
+
+                const revision = await RecipeRevision.create({
+                    recipeId,
+                    rev,
+                    action,
+                    revertedFrom,
+                    snapshot: this._snapshot(recipe)
+                });
+
+                return revision.toJSON();
+            } catch (error) {
+                // Deux écritures simultanées ont pris le même numéro : on recommence
+                if (error.code === 11000 && attempt < MAX_RECORD_ATTEMPTS) {
+                    continue;
+                }
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Lister les révisions d'une recette (sans le contenu), les plus récentes d'abord
+     * @param {String} recipeId - L'ID de la recette
+     * @param {Object} options - Options de pagination
+     * @returns {Promise<Array>} Révisions
+     */
+    async getRevisions(recipeId, options = {}) {
+        const { limit = 50, skip = 0 } = options;
+
+        try {
+            return await RecipeRevision.find({ recipeId })
+                .select('-snapshot')
+                .sort({ rev: -1 })
+                .limit(limit)
+                .skip(skip)
+                .lean();
+        } catch (error) {
+            if (error.name === 'CastError') {
+                return [];
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Récupérer une révision précise
+     * @param {String} recipeId - L'ID de la recette
+     * @param {Number} rev - Le numéro de révision
+     * @returns {Promise<Object|null>} La révision ou null
+     */
+    async getRevision(recipeId, rev) {
+        try {
+            return await RecipeRevision.findOne({ recipeId, rev }).lean();
+        } catch (error) {
+            if (error.name === 'CastError') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Comparer deux révisions d'une recette
+     * @param {String} recipeId - L'ID de la recette
+     * @param {Number} fromRev - Révision de départ
+     * @param {Number} toRev - Révision d'arrivée
+     * @returns {Promise<Object|null>} Le diff structuré ou null si une révision est introuvable
+     */
+    async diffRevisions(recipeId, fromRev, toRev) {
+        const [from, to] = await Promise.all([
+            this.getRevision(recipeId, fromRev),
+            this.getRevision(recipeId, toRev)
+        ]);
+
+        if (!from || !to) {
+            return null;
+        }
+
+        return {
+            from: fromRev,
+            to: toRev,
+            ...diffRecipes(from.snapshot, to.snapshot)
+        };
+    }
+
+    /**
+     * Supprimer l'historique de recettes supprimées définitivement
+     * @param {Array<String>} recipeIds - IDs des recettes supprimées
+     * @returns {Promise<Number>} Nombre de révisions supprimées
+     */
+    async deleteRevisions(recipeIds) {
+        if (recipeIds.length === 0) {
+            return 0;
+        }
+
+        const result = await RecipeRevision.deleteMany({ recipeId: { $in: recipeIds } });
+        return result.deletedCount;
+    }
+
+    /**
+     * Extraire le contenu versionné d'une recette
+     * @private
+     */
+    _snapshot(recipe) {
+        return Object.fromEntries(SNAPSHOT_FIELDS.map(field => [field, recipe[field]]));
+    }
+
+    /**
+     * Dernier numéro de révision d'une recette (0 si aucune)
+     * @private
+     */
+    async _lastRev(recipeId) {
+        const last = await RecipeRevision.findOne({ recipeId })
+            .sort({ rev: -1 })
+            .select('rev')
+            .lean();
+        return last?.rev ?? 0;
+    }
+}
+
+export default new RevisionService();
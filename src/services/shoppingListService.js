@@ -0,0 +1,275 @@
+import ShoppingList from '../models/ShoppingList.js';
+import recipeService from './recipeService.js';
+import { scaleRecipe } from '../utils/scaling.mjs';
+import { findUnit, fromBaseQuantity } from '../utils/units.mjs';
+import { AISLES, categorizeIngredient, normalizeIngredientName } from '../utils/ingredients.mjs';
+
+/**
+ * Service pour gérer les listes de courses générées à partir de recettes
+ * Chaque liste appartient à l'utilisateur qui l'a créée : les méthodes acceptent { ownerId }
+ * pour n'agir que sur ses listes (toutes les listes sans ownerId).
+ */
+class ShoppingListService {
+
+    /**
+     * Créer une liste de courses à partir de plusieurs recettes
+     * @param {Object} data - { name, recipes: [{ recipeId, servings }], items: [articles personnalisés] }
+     * @param {Object} options - { ownerId } propriétaire de la liste,
+     *                           { viewerId } seules les recettes visibles par cet utilisateur sont acceptées
+     * @returns {Promise<Object>} La liste créée
+     */
+    async createShoppingList(data, options = {}) {
+        const { ownerId = null, viewerId } = options;
+
+        try {
+            const { name, recipes = [], items = [] } = data;
+
+            const sources = [];
+            const recipeItems = [];
+            for (const { recipeId, servings } of recipes) {
+                const recipe = await recipeService.getRecipeById(recipeId, { viewerId });
+
+                if (!recipe) {
+                    throw new Error(`Recette non trouvée: ${recipeId}`);
+                }
+
+                const scaled = servings ? scaleRecipe(recipe, servings) : recipe;
+                sources.push({ recipeId: recipe.id, title: recipe.title, servings: scaled.servings });
+                recipeItems.push(...scaled.ingredients.map(ingredient => ({
+                    ...ingredient,
+                    recipeId: recipe.id
+                })));
+            }
+
+            const list = new ShoppingList({
+                ownerId,
+                name,
+                recipes: sources,
+                items: [
+                    ...this.aggregateIngredients(recipeItems),
+                    ...items.map(item => this._customItem(item))
+                ]
+            });
+            await list.save();
+
+            return this._present(list.toJSON());
+        } catch (error) {
+            if (error.name === 'ValidationError') {
+                throw new Error(`Validation échouée: ${recipeService._formatValidationErrors(error)}`);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Regrouper des ingrédients en articles de liste de courses
+     * Les ingrédients de même nom sont fusionnés si leurs unités sont compatibles
+     * (même dimension masse/volume après conversion, ou même unité sinon).
+     * @param {Array} ingredients - Ingrédients { name, quantity, unit, recipeId? }
+     * @returns {Array} Articles { name, quantity, unit, category, recipeIds }
+     */
+    aggregateIngredients(ingredients) {
+        const groups = new Map();
+
+        for (const ingredient of ingredients) {
+            const unit = findUnit(ingredient.unit);
+            const convertible = unit && (unit.dimension === 'mass' || unit.dimension === 'volume');
+            const unitKey = convertible ? unit.dimension : (unit?.key ?? (ingredient.unit || '').toLowerCase());
+            const key = `${normalizeIngredientName(ingredient.name)}|${unitKey}`;
+
+            if (!groups.has(key)) {
+                groups.set(key, {
+                    name: ingredient.name,
+                    dimension: convertible ? unit.dimension : null,
+                    unit: convertible ? null : (unit?.key ?? ingredient.unit),
+                    quantity: 0,
+                    hasQuantity: false,
+                    recipeIds: new Set()
+                });
+            }
+
+            const group = groups.get(key);
+            if (typeof ingredient.quantity === 'number') {
+                group.quantity += convertible ? ingredient.quantity * unit.factor : ingredient.quantity;
+                group.hasQuantity = true;
+            }
+            if (ingredient.recipeId) {
+                group.recipeIds.add(String(ingredient.recipeId));
+            }
+        }
+
+        return [...groups.values()].map(group => {
+            const { quantity, unit } = group.dimension
+                ? fromBaseQuantity(group.quantity, group.dimension)
+                : { quantity: group.quantity, unit: group.unit };
+
+            return {
+                name: group.name,
+                quantity: group.hasQuantity ? quantity : undefined,
+                unit: unit || undefined,
+                category: categorizeIngredient(group.name),
+                recipeIds: [...group.recipeIds]
+            };
+        });
+    }
+
+    /**
+     * Récupérer une liste de courses par son ID
+     * @param {String} listId - L'ID de la liste
+     * @param {Object} options - { ownerId }
+     * @returns {Promise<Object|null>} La liste ou null
+     */
+    async getShoppingListById(listId, options = {}) {
+        try {
+            const list = await ShoppingList.findOne({ _id: listId, ...this._ownerFilter(options.ownerId) });
+            return list ? this._present(list.toJSON()) : null;
+        } catch (error) {
+            if (error.name === 'CastError') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Lister les listes de courses (les plus récentes d'abord)
+     * @param {Object} options - Options de pagination (limit, skip), ownerId
+     * @returns {Promise<Array>} Listes de courses
+     */
+    async getAllShoppingLists(options = {}) {
+        const { limit = 50, skip = 0, ownerId } = options;
+
+        return await ShoppingList.find(this._ownerFilter(ownerId))
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .skip(skip)
+            .lean();
+    }
+
+    /**
+     * Ajouter un article personnalisé à une liste
+     * @param {String} listId - L'ID de la liste
+     * @param {Object} item - { name, quantity, unit, category }
+     * @param {Object} options - { ownerId }
+     * @returns {Promise<Object|null>} La liste mise à jour ou null
+     */
+    async addItem(listId, item, options = {}) {
+        return this._update(
+            { _id: listId, ...this._ownerFilter(options.ownerId) },
+            { $push: { items: this._customItem(item) } }
+        );
+    }
+
+    /**
+     * Modifier un article (cocher, décocher, corriger la quantité...)
+     * @param {String} listId - L'ID de la liste
+     * @param {String} itemId - L'ID de l'article
+     * @param {Object} changes - { checked, name, quantity, unit, category }
+     * @param {Object} options - { ownerId }
+     * @returns {Promise<Object|null>} La liste mise à jour ou null
+     */
+    async updateItem(listId, itemId, changes, options = {}) {
+        const allowed = ['checked', 'name', 'quantity', 'unit', 'category'];
+        const $set = {};
+        for (const field of allowed) {
+            if (changes[field] !== undefined) {
+                $set[`items.$.${field}`] = changes[field];
+            }
+        }
+
+        return this._update({ _id: listId, 'items._id': itemId, ...this._ownerFilter(options.ownerId) }, { $set });
+    }
+
+    /**
+     * Retirer un article d'une liste
+     * @param {String} listId - L'ID de la liste
+     * @param {String} itemId - L'ID de l'article
+     * @param {Object} options - { ownerId }
+     * @returns {Promise<Object|null>} La liste mise à jour ou null
+     */
+    async removeItem(listId, itemId, options = {}) {
+        return this._update(
+            { _id: listId, 'items._id': itemId, ...this._ownerFilter(options.ownerId) },
+            { $pull: { items: { _id: itemId } } }
+        );
+    }
+
+    /**
+     * Supprimer une liste de courses
+     * @param {String} listId - L'ID de la liste
+     * @param {Object} options - { ownerId }
+     * @returns {Promise<Boolean>} true si la liste existait
+     */
+    async deleteShoppingList(listId, options = {}) {
+        try {
+            const result = await ShoppingList.deleteOne({ _id: listId, ...this._ownerFilter(options.ownerId) });
+            return result.deletedCount > 0;
+        } catch (error) {
+            if (error.name === 'CastError') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Mise à jour atomique avec validation
+     * @private
+     */
+    async _update(filter, update) {
+        try {
+            const list = await ShoppingList.findOneAndUpdate(filter, update, {
+                returnDocument: 'after',
+                runValidators: true
+            });
+            return list ? this._present(list.toJSON()) : null;
+        } catch (error) {
+            if (error.name === 'ValidationError') {
+                throw new Error(`Validation échouée: ${recipeService._formatValidationErrors(error)}`);
+            }
+            if (error.name === 'CastError') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Filtre des listes d'un propriétaire (aucun filtre sans ownerId)
+     * @private
+     */
+    _ownerFilter(ownerId) {
+        return ownerId === undefined ? {} : { ownerId };
+    }
+
+    /**
+     * Préparer un article ajouté à la main
+     * @private
+     */
+    _customItem({ name, quantity, unit, category }) {
+        return {
+            name,
+            quantity,
+            unit,
+            category: category || categorizeIngredient(name),
+            custom: true
+        };
+    }
+
+    /**
+     * Ajouter la vue groupée par rayon à la réponse
+     * @private
+     */
+    _present(list) {
+        const aisles = AISLES
+            .map(category => ({
+                category,
+                items: list.items.filter(item => item.category === category)
+            }))
+            .filter(aisle => aisle.items.length > 0);
+
+        return { ...list, aisles };
+    }
+}
+
+export default new ShoppingListService();
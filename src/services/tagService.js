@@ -0,0 +1,171 @@
+import mongoose from 'mongoose';
+import Recipe from '../models/Recipe.js';
+import TagAlias from '../models/TagAlias.js';
+import revisionService from './revisionService.js';
+import { DEFAULT_TAG_ALIASES, cleanTag, tagKey } from '../utils/tags.mjs';
+
+/**
+ * Service pour gérer les tags comme un vocabulaire commun à toutes les recettes
+ */
+class TagService {
+
+    /**
+     * Lister les tags utilisés avec leur nombre de recettes (hors corbeille)
+     * @param {Object} options - { viewerId } pour ne compter que les recettes visibles par cet utilisateur
+     * @returns {Promise<Array>} [{ tag, count }], les plus utilisés d'abord
+     */
+    async getTags(options = {}) {
+        const { viewerId } = options;
+        const match = viewerId === undefined ? { deletedAt: null } : { deletedAt: null, ...Recipe.visibleTo(viewerId) };
+
+        const tags = await Recipe.aggregate([
+            { $match: match },
+            { $unwind: '$tags' },
+            { $group: { _id: '$tags', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } }
+        ]);
+
+        return tags.map(({ _id, count }) => ({ tag: _id, count }));
+    }
+
+    /**
+     * Alias à résoudre lors de l'enregistrement d'une recette
+     * Les alias enregistrés (renommages, fusions) priment sur les alias par défaut.
+     * @returns {Promise<Object>} Clé de comparaison -> tag canonique
+     */
+    async getAliases() {
+        const stored = await TagAlias.find().lean();
+        return {
+            ...DEFAULT_TAG_ALIASES,
+            ...Object.fromEntries(stored.map(({ alias, tag }) => [alias, tag]))
+        };
+    }
+
+    /**
+     * Renommer un tag sur toutes les recettes (corbeille comprise)
+     * @param {String} from - Tag actuel
+     * @param {String} to - Nouveau nom
+     * @returns {Promise<Object|null>} { tag, merged, modifiedCount } ou null si aucune recette n'a ce tag
+     */
+    async renameTag(from, to) {
+        const source = cleanTag(from);
+        const target = cleanTag(to);
+
+        if (!target) {
+            throw new Error('Le nouveau nom du tag est requis');
+        }
+        if (source === target) {
+            throw new Error('Le nouveau nom du tag doit être différent de l\'ancien');
+        }
+
+        return this._rewriteTags([source], target, { requireExisting: true });
+    }
+
+    /**
+     * Fusionner plusieurs tags en un seul sur toutes les recettes (corbeille comprise)
+     * @param {Array<String>} tags - Tags à fusionner
+     * @param {String} into - Tag conservé (peut faire partie des tags fusionnés)
+     * @returns {Promise<Object>} { tag, merged, modifiedCount }
+     */
+    async mergeTags(tags, into) {
+        const target = cleanTag(into);
+
+        if (!target) {
+            throw new Error('Le tag cible est requis');
+        }
+
+        const sources = [...new Set(tags.map(cleanTag))].filter(tag => tag && tag !== target);
+        if (sources.length === 0) {
+            throw new Error('Au moins un tag à fusionner est requis');
+        }
+
+        return this._rewriteTags(sources, target);
+    }
+
+    /**
+     * Remplacer des tags par un tag cible dans une transaction :
+     * les recettes et les alias sont réécrits ensemble ou pas du tout.
+     * Chaque recette modifiée reçoit ensuite une révision, comme toute autre modification.
+     * @private
+     */
+    async _rewriteTags(sources, target, { requireExisting = false } = {}) {
+        let previous = [];
+
+        const result = await mongoose.connection.transaction(async (session) => {
+            if (requireExisting && !await Recipe.exists({ tags: { $in: sources } }).session(session)) {
+                return null;
+            }
+
+            // État avant réécriture (relu à chaque tentative de la transaction)
+            previous = await Recipe.find({ tags: { $in: sources } }).session(session).lean();
+
+            // Remplacement puis dédoublonnage dans le tableau, en conservant l'ordre des tags
+            const { modifiedCount } = await Recipe.updateMany(
+                { tags: { $in: sources } },
+                [{
+                    $set: {
+                        tags: {
+                            $reduce: {
+                                input: {
+                                    $map: {
+                                        input: '$tags',
+                                        in: { $cond: [{ $in: ['$$this', sources] }, target, '$$this'] }
+                                    }
+                                },
+                                initialValue: [],
+                                in: {
+                                    $cond: [
+                                        { $in: ['$$this', '$$value'] },
+                                        '$$value',
+                                        { $concatArrays: ['$$value', ['$$this']] }
+                                    ]
+                                }
+                            }
+                        },
+                        __v: { $add: [{ $ifNull: ['$__v', 0] }, 1] },
+                        // Les pipelines ne passent pas par les timestamps Mongoose
+                        updatedAt: '$$NOW'
+                    }
+                }],
+                { session, updatePipeline: true }
+            );
+
+            // Les anciens tags (et leurs propres alias) pointent désormais vers la cible,
+            // et la cible redevient canonique même si un alias la redirigeait ailleurs
+            await TagAlias.updateMany({ tag: { $in: sources } }, { tag: target }, { session });
+            await TagAlias.bulkWrite(
+                [...sources, target].map(tag => ({
+                    updateOne: {
+                        filter: { alias: tagKey(tag) },
+                        update: { $set: { tag: target } },
+                        upsert: true
+                    }
+                })),
+                { session }
+            );
+
+            return { tag: target, merged: sources, modifiedCount };
+        });
+
+        if (result && previous.length > 0) {
+            await this._recordRevisions(previous);
+        }
+
+        return result;
+    }
+
+    /**
+     * Enregistrer une révision pour chaque recette dont les tags ont été réécrits
+     * @private
+     */
+    async _recordRevisions(previous) {
+        const recipes = await Recipe.find({ _id: { $in: previous.map(recipe => recipe._id) } }).lean();
+        const byId = new Map(previous.map(recipe => [String(recipe._id), recipe]));
+
+        for (const recipe of recipes) {
+            await revisionService.recordRevision(recipe, 'update', { previous: byId.get(String(recipe._id)) });
+        }
+    }
+}
+
+export default new TagService();
@@ -0,0 +1,151 @@
+/**
+ * Authentification des requêtes par jeton Bearer (JWT RS256 vérifié contre un JWKS)
+ *
+ * Configuration (variables d'environnement prioritaires, sinon profil AppConfig "auth",
+ * clés "<env>.JWT_ISSUER", "<env>.JWT_AUDIENCE", "<env>.JWKS_URL", "<env>.JWT_ROLES_CLAIM") :
+ *  - JWT_ISSUER   : émetteur attendu (ex: https://cognito-idp.eu-west-3.amazonaws.com/<pool>)
+ *  - JWT_AUDIENCE : client d'application attendu (aud ou client_id), optionnel
+ *  - JWKS_URL     : clés publiques, par défaut <issuer>/.well-known/jwks.json
+ *  - JWT_ROLES_CLAIM : claim portant les rôles (viewer, editor, admin), par défaut cognito:groups
+ *  - JWKS_FILE    : fichier JWKS local (tests, sam local) ; AppConfig n'est alors pas appelé
+ */
+import fs from "node:fs/promises";
+import {getConfigValue} from "./config.appconfig.mjs";
+import {getHeader} from "./http.mjs";
+import {decodeJwt, jwkToPublicKey, verifyJwt} from "./jwt.mjs";
+import {rolesFromClaims} from "./roles.mjs";
+
+const DEFAULT_ROLES_CLAIM = "cognito:groups";
+
+// Intervalle minimum entre deux rechargements du JWKS (clé inconnue = rotation possible)
+const JWKS_REFRESH_INTERVAL_MS = 60 * 1000;
+
+// Cache pour la durée de vie du runtime Lambda
+const cache = {
+    config: null,
+    configPromise: null,
+    keys: new Map(),  // kid -> KeyObject
+    keysLoadedAt: 0
+};
+
+async function readSetting(name) {
+    if (process.env[name]) return process.env[name];
+    const env = process.env.ENVIRONMENT || "preprod";
+    return getConfigValue("auth", `${env}.${name}`);
+}
+
+/**
+ * Configuration de l'authentification (chargée une fois par runtime)
+ * @returns {Promise<{issuer: string, audience: string|undefined, rolesClaim: string, jwksUrl: string|undefined, jwksFile: string|undefined}>}
+ */
+export async function getAuthConfig() {
+    if (cache.config) return cache.config;
+    if (!cache.configPromise) {
+        cache.configPromise = (async () => {
+            if (process.env.JWKS_FILE) {
+                return {
+                    issuer: process.env.JWT_ISSUER,
+                    audience: process.env.JWT_AUDIENCE,
+                    rolesClaim: process.env.JWT_ROLES_CLAIM || DEFAULT_ROLES_CLAIM,
+                    jwksFile: process.env.JWKS_FILE
+                };
+            }
+
+            const issuer = await readSetting("JWT_ISSUER");
+            if (!issuer) throw new Error("Missing JWT_ISSUER (environment or AppConfig profile 'auth')");
+
+            return {
+                issuer,
+                audience: await readSetting("JWT_AUDIENCE"),
+                rolesClaim: (await readSetting("JWT_ROLES_CLAIM")) || DEFAULT_ROLES_CLAIM,
+                jwksUrl: (await readSetting("JWKS_URL")) || `${issuer.replace(/\/$/, "")}/.well-known/jwks.json`
+            };
+        })().catch(error => {
+            // Nouvel essai à la prochaine requête
+            cache.configPromise = null;
+            throw error;
+        });
+    }
+    cache.config = await cache.configPromise;
+    return cache.config;
+}
+
+async function loadJwks(config) {
+    if (config.jwksFile) {
+        return JSON.parse(await fs.readFile(config.jwksFile, "utf8"));
+    }
+
+    const response = await fetch(config.jwksUrl);
+    if (!response.ok) {
+        throw new Error(`JWKS indisponible (${response.status}) : ${config.jwksUrl}`);
+    }
+    return response.json();
+}
+
+/**
+ * Clé publique correspondant au kid d'un jeton
+ * Le JWKS est rechargé quand le kid est inconnu, au plus une fois par minute.
+ */
+async function getSigningKey(kid, config) {
+    if (!cache.keys.has(kid) && Date.now() - cache.keysLoadedAt > JWKS_REFRESH_INTERVAL_MS) {
+        const jwks = await loadJwks(config);
+        cache.keys = new Map((jwks.keys || [])
+            .filter(jwk => jwk.kty === "RSA" && (!jwk.use || jwk.use === "sig"))
+            .map(jwk => [jwk.kid, jwkToPublicKey(jwk)]));
+        cache.keysLoadedAt = Date.now();
+    }
+    return cache.keys.get(kid) ?? null;
+}
+
+/**
+ * Authentifier une requête API Gateway
+ * Les erreurs d'authentification commencent par "Authentification" (réponse 401),
+ * les autres (configuration, JWKS indisponible) sont des erreurs internes.
+ * @param {Object} event Event API Gateway
+ * @returns {Promise<Object>} Utilisateur { id, username, groups, roles, claims }
+ */
+export async function authenticate(event) {
+    const match = (getHeader(event, "authorization") || "").match(/^Bearer\s+(\S+)$/i);
+    if (!match) {
+        throw new Error("Authentification requise");
+    }
+    const token = match[1];
+
+    let header;
+    try {
+        ({header} = decodeJwt(token));
+    } catch (error) {
+        throw new Error(`Authentification refusée: ${error.message}`);
+    }
+
+    const config = await getAuthConfig();
+    const key = await getSigningKey(header.kid, config);
+    if (!key) {
+        throw new Error("Authentification refusée: clé de signature inconnue");
+    }
+
+    let claims;
+    try {
+        claims = verifyJwt(token, {key, issuer: config.issuer, audience: config.audience});
+    } catch (error) {
+        throw new Error(`Authentification refusée: ${error.message}`);
+    }
+
+    return {
+        id: claims.sub,
+        username: claims["cognito:username"] ?? claims.username ?? claims.email ?? claims.sub,
+        groups: claims["cognito:groups"] ?? [],
+        roles: rolesFromClaims(claims, config.rolesClaim),
+        claims
+    };
+}
+
+/**
+ * Vider le cache (changement de configuration, tests)
+ */
+export function resetAuthCache() {
+    cache.config = null;
+    cache.configPromise = null;
+    cache.keys = new Map();
+    cache.keysLoadedAt = 0;
+}
@@ -0,0 +1,45 @@
+/**
+ * Curseurs de pagination opaques
+ *
+ * Un curseur désigne la dernière recette d'une page par la valeur de son champ de tri
+ * et son _id (départage des égalités). Il est encodé en base64url pour rester opaque
+ * et contient le tri pour lequel il a été créé.
+ */
+
+/**
+ * Encoder la position de la dernière recette d'une page
+ * @param {Object} position { sortBy, sortOrder, value, id }
+ * @returns {string} Curseur opaque
+ */
+export function encodeCursor({sortBy, sortOrder, value, id}) {
+    const payload = {
+        s: sortBy,
+        o: sortOrder,
+        v: value instanceof Date ? value.toISOString() : value,
+        d: value instanceof Date,
+        i: String(id)
+    };
+    return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+/**
+ * Décoder un curseur
+ * @param {string} cursor Curseur reçu du client
+ * @returns {Object|null} { sortBy, sortOrder, value, id } ou null si le curseur est illisible
+ */
+export function decodeCursor(cursor) {
+    try {
+        const payload = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+        if (!payload || typeof payload.s !== "string" || typeof payload.i !== "string" || !("v" in payload)) {
+            return null;
+        }
+        return {
+            sortBy: payload.s,
+            sortOrder: payload.o,
+            value: payload.d ? new Date(payload.v) : payload.v,
+            id: payload.i
+        };
+    } catch {
+        return null;
+    }
+}
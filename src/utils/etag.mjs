@@ -0,0 +1,64 @@
+/**
+ * ETags des recettes et préconditions (If-None-Match, If-Match)
+ *
+ * L'ETag d'une recette est sa clé de version Mongoose (__v), incrémentée à chaque écriture
+ * du document (modification, corbeille, avis, renommage de tags). Les formats autres que JSON
+ * ont leur propre ETag ("3-markdown") puisque leur contenu diffère pour la même version.
+ * L'ETag d'une liste est faible : il est calculé à partir des versions des recettes de la page.
+ */
+import crypto from "node:crypto";
+
+/**
+ * ETag d'une recette
+ * @param {Object} recipe Recette (avec __v)
+ * @param {string} format Format de la réponse, json par défaut
+ * @returns {string} Ex: "3" ou "3-html"
+ */
+export function recipeEtag(recipe, format = "json") {
+    const version = recipe.__v ?? 0;
+    return format === "json" ? `"${version}"` : `"${version}-${format}"`;
+}
+
+/**
+ * ETag faible d'une page de recettes
+ * @param {Array} recipes Recettes de la page (avec _id ou id, et __v)
+ * @param {Array} extra Autres éléments de la réponse (curseur suivant, total...)
+ * @returns {string} Ex: W/"k3J9..."
+ */
+export function listEtag(recipes, extra = []) {
+    const hash = crypto.createHash("sha256");
+    for (const recipe of recipes) {
+        hash.update(`${recipe._id ?? recipe.id}:${recipe.__v ?? 0};`);
+    }
+    hash.update(JSON.stringify(extra));
+    return `W/"${hash.digest("base64url").slice(0, 27)}"`;
+}
+
+/**
+ * Le header If-None-Match désigne-t-il la représentation courante ? (comparaison faible)
+ * @param {string|undefined} header Valeur du header If-None-Match
+ * @param {string} etag ETag de la représentation courante
+ */
+export function etagMatches(header, etag) {
+    if (!header) return false;
+    if (header.trim() === "*") return true;
+
+    const opaque = tag => tag.trim().replace(/^W\//, "");
+    return header.split(",").some(tag => opaque(tag) === opaque(etag));
+}
+
+/**
+ * Versions de recette acceptées par le header If-Match
+ * Seuls les ETags forts de recette sont reconnus (quel que soit le format) ; un ETag faible
+ * ou inconnu ne correspond à aucune version.
+ * @param {string|undefined} header Valeur du header If-Match
+ * @returns {number[]|undefined} undefined sans précondition (header absent ou "*"), sinon les versions acceptées
+ */
+export function ifMatchVersions(header) {
+    if (header === undefined || header.trim() === "*") return undefined;
+
+    return header.split(",")
+        .map(tag => tag.trim().match(/^"(\d+)(?:-[a-z]+)?"$/))
+        .filter(Boolean)
+        .map(match => Number(match[1]));
+}
@@ -1,15 +1,31 @@
-export function ok(body) {
-    return {statusCode: 200, headers: cors(), body: JSON.stringify(body)};
+export function ok(body, headers = {}) {
+    return {statusCode: 200, headers: {...cors(), ...headers}, body: JSON.stringify(body)};
 }
 
 export function created(body) {
     return {statusCode: 201, headers: cors(), body: JSON.stringify(body)};
 }
 
+/**
+ * Réponse 200 dans un autre format que JSON (HTML, Markdown, JSON-LD...)
+ * Le body est envoyé tel quel, seul le Content-Type change.
+ */
+export function content(body, contentType, headers = {}) {
+    return {statusCode: 200, headers: {...cors(contentType), Vary: "Accept", ...headers}, body};
+}
+
 export function noContent() {
     return {statusCode: 204, headers: cors(), body: ""};
 }
 
+/**
+ * Réponse 304 : la représentation connue du client (If-None-Match) est toujours à jour
+ * @param {string} etag ETag de la représentation courante
+ */
+export function notModified(etag) {
+    return {statusCode: 304, headers: {...cors(), ETag: etag}, body: ""};
+}
+
 export function badRequest(msg) {
     return {statusCode: 400, headers: cors(), body: JSON.stringify({error: msg})};
 }
@@ -18,36 +34,99 @@ export function notFound(msg = "Not found") {
     return {statusCode: 404, headers: cors(), body: JSON.stringify({error: msg})};
 }
 
+export function conflict(msg) {
+    return {statusCode: 409, headers: cors(), body: JSON.stringify({error: msg})};
+}
+
+export function unprocessableEntity(msg) {
+    return {statusCode: 422, headers: cors(), body: JSON.stringify({error: msg})};
+}
+
+export function preconditionFailed(msg) {
+    return {statusCode: 412, headers: cors(), body: JSON.stringify({error: msg})};
+}
+
+export function notAcceptable(msg) {
+    return {statusCode: 406, headers: cors(), body: JSON.stringify({error: msg})};
+}
+
 export function serverError(err) {
     console.error(err);
     return {statusCode: 500, headers: cors(), body: JSON.stringify({error: "Internal error"})};
 }
 
-export function unauthorized(message = "Unauthorized", originOrEvent) {
-    const origin = typeof originOrEvent === "string" ? originOrEvent : originFromEvent(originOrEvent);
-    return {statusCode: 401, headers: buildCorsHeaders(origin), body: JSON.stringify({error: message})};
+/**
+ * Réponse 401 avec le défi Bearer (RFC 6750)
+ * @param {string} message Message d'erreur
+ * @param {string} error Code d'erreur Bearer (invalid_token si un jeton a été fourni mais refusé)
+ */
+export function unauthorized(message = "Unauthorized", error) {
+    const challenge = error ? `Bearer realm="recipekeeper", error="${error}"` : 'Bearer realm="recipekeeper"';
+    return {statusCode: 401, headers: {...cors(), "WWW-Authenticate": challenge}, body: JSON.stringify({error: message})};
+}
+
+export function forbidden(msg = "Forbidden") {
+    return {statusCode: 403, headers: cors(), body: JSON.stringify({error: msg})};
+}
+
+/**
+ * Réponse 429 : limite de débit atteinte
+ * @param {string} msg Message d'erreur
+ * @param {Object} headers Retry-After et RateLimit-*
+ */
+export function tooManyRequests(msg = "Too many requests", headers = {}) {
+    return {statusCode: 429, headers: {...cors(), ...headers}, body: JSON.stringify({error: msg})};
 }
 
-export function redirect(location, originOrEvent) {
-    const origin = typeof originOrEvent === "string" ? originOrEvent : originFromEvent(originOrEvent);
-    const headers = buildCorsHeaders(origin);
-    return {statusCode: 302, headers: {...headers, Location: location}, body: ""};
+export function redirect(location) {
+    return {statusCode: 302, headers: {...cors(), Location: location}, body: ""};
 }
 
-export function cors() {
+export function cors(contentType = "application/json") {
     return {
         "Access-Control-Allow-Origin": "*",
-        "Access-Control-Allow-Headers": "authorization,content-type",
-        "Access-Control-Allow-Methods": "GET,POST,PATCH,DELETE,OPTIONS",
-        "Content-Type": "application/json"
+        "Access-Control-Allow-Headers": "authorization,x-api-key,idempotency-key,if-match,if-none-match,content-type,accept",
+        "Content-Type": contentType
     };
 }
 
-export function parseJsonBody(event) {
-    if (!event?.body) return {};
-    try {
-        return JSON.parse(event.body);
-    } catch {
-        return {};
+/**
+ * Lire un header de la requête sans tenir compte de la casse
+ * (API Gateway v2 les passe en minuscules, les events de test non)
+ */
+export function getHeader(event, name) {
+    const headers = event?.headers || {};
+    const key = Object.keys(headers).find(header => header.toLowerCase() === name.toLowerCase());
+    return key ? headers[key] : undefined;
+}
+
+/**
+ * Choisir le type de média à renvoyer d'après le header Accept
+ * Les préférences sont triées par q ; les jokers ("text/*", tout type) sont pris en compte.
+ * @param {string} accept Header Accept (absent = premier type supporté)
+ * @param {Array<string>} supported Types proposés, par ordre de préférence du serveur
+ * @returns {string|null} Type retenu ou null si aucun ne convient
+ */
+export function negotiate(accept, supported) {
+    if (!accept || !accept.trim()) return supported[0];
+
+    const preferences = accept.split(",")
+        .map(part => {
+            const [type, ...params] = part.trim().toLowerCase().split(";");
+            const q = params.map(param => param.trim()).find(param => param.startsWith("q="));
+            return {type: type.trim(), q: q ? Number(q.slice(2)) : 1};
+        })
+        .filter(preference => preference.type && preference.q > 0)
+        .sort((a, b) => b.q - a.q);
+
+    for (const {type} of preferences) {
+        const [main, sub] = type.split("/");
+        const match = supported.find(candidate => {
+            const [candidateMain, candidateSub] = candidate.split("/");
+            return (main === "*" || main === candidateMain) && (sub === "*" || sub === candidateSub);
+        });
+        if (match) return match;
     }
+
+    return null;
 }
\ No newline at end of file
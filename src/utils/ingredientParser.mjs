@@ -0,0 +1,92 @@
+/**
+ * Analyse des lignes d'ingrédients en texte libre ("250 g de farine", "1 ½ cups sugar")
+ */
+import {findUnit} from "./units.mjs";
+
+const UNICODE_FRACTIONS = {"½": 0.5, "¼": 0.25, "¾": 0.75, "⅓": 1 / 3, "⅔": 2 / 3, "⅛": 0.125};
+
+// Fraction avec partie entière éventuelle ("3/4", "1 1/2"), fraction unicode ("½", "1½")
+// ou nombre entier / décimal ("2", "0,5")
+const QUANTITY_PATTERN = /^(?:(\d+)\s+)?(\d+)\/(\d+)|^(\d+(?:[.,]\d+)?)?\s*([½¼¾⅓⅔⅛])|^(\d+(?:[.,]\d+)?)/;
+
+// Fourchette "2-3", "2 à 3" : on garde la borne basse
+const RANGE_PATTERN = /^\s*(?:-|–|à|to)\s*\d+(?:[.,]\d+)?/;
+
+// Mots de liaison entre l'unité et le nom ("de farine", "d'ail", "of flour")
+const LINK_PATTERN = /^(?:de\s+|d['’]\s*|of\s+)/i;
+
+const MAX_UNIT_WORDS = 4;
+
+/**
+ * Lire la quantité en tête de ligne
+ * @returns {{quantity: number|undefined, rest: string}}
+ */
+function readQuantity(line) {
+    const match = line.match(QUANTITY_PATTERN);
+    if (!match || !match[0]) {
+        return {quantity: undefined, rest: line};
+    }
+
+    const [text, mixedWhole, numerator, denominator, unicodeWhole, unicode, number] = match;
+    const whole = mixedWhole ?? unicodeWhole ?? number;
+    let quantity = whole ? parseFloat(whole.replace(",", ".")) : 0;
+    if (numerator && Number(denominator) > 0) {
+        quantity += Number(numerator) / Number(denominator);
+    }
+    if (unicode) {
+        quantity += UNICODE_FRACTIONS[unicode];
+    }
+
+    const rest = line.slice(text.length).replace(RANGE_PATTERN, "").trim();
+    return {quantity: Math.round(quantity * 1000) / 1000, rest};
+}
+
+/**
+ * Lire une quantité isolée ("1 1/2", "¾", "2-3")
+ * @returns {number|undefined} Quantité ou undefined si le texte n'est pas une quantité
+ */
+export function parseQuantity(text) {
+    const {quantity, rest} = readQuantity(String(text ?? "").trim());
+    return rest ? undefined : quantity;
+}
+
+/**
+ * Lire l'unité en tête de ligne (jusqu'à 4 mots : "cuillères à soupe")
+ * L'unité n'est retenue que s'il reste un nom d'ingrédient derrière.
+ * @returns {{unit: string|undefined, rest: string}}
+ */
+function readUnit(text) {
+    const words = text.split(" ");
+    for (let count = Math.min(MAX_UNIT_WORDS, words.length - 1); count > 0; count--) {
+        const unit = findUnit(words.slice(0, count).join(" "));
+        if (unit) {
+            return {unit: unit.key, rest: words.slice(count).join(" ")};
+        }
+    }
+    return {unit: undefined, rest: text};
+}
+
+/**
+ * Transformer une ligne d'ingrédient en { name, quantity, unit }
+ * L'unité est ramenée à la clé du registre ("cuillères à soupe" -> "c. à soupe").
+ * Sans quantité lisible, seul le nom est renseigné (quantité par défaut du modèle).
+ * @param {string} line Ligne libre
+ * @returns {Object|null} Ingrédient ou null si la ligne est vide
+ */
+export function parseIngredientLine(line) {
+    const text = String(line ?? "").replace(/\s+/g, " ").trim();
+    if (!text) return null;
+
+    const {quantity, rest} = readQuantity(text);
+    const {unit, rest: afterUnit} = readUnit(rest);
+    const name = afterUnit.replace(LINK_PATTERN, "").trim();
+
+    if (!name) {
+        return {name: text};
+    }
+
+    const ingredient = {name};
+    if (quantity) ingredient.quantity = quantity;
+    if (unit) ingredient.unit = unit;
+    return ingredient;
+}
@@ -0,0 +1,115 @@
+/**
+ * Utilitaires de comparaison des noms d'ingrédients
+ */
+
+// Ingrédients de base que l'on considère toujours disponibles
+export const DEFAULT_STAPLES = [
+    "sel", "sel fin", "gros sel", "fleur de sel",
+    "poivre", "poivre noir", "poivre blanc",
+    "eau", "eau froide", "eau chaude",
+    "salt", "pepper", "black pepper", "water"
+];
+
+/**
+ * Mettre un mot au singulier (règles simples FR/EN : -s, -x)
+ */
+function singularize(word) {
+    if (word.length > 3 && /[sx]$/.test(word)) {
+        return word.slice(0, -1);
+    }
+    return word;
+}
+
+/**
+ * Normaliser un nom d'ingrédient pour la comparaison :
+ * minuscules, sans accents ni ligatures, ponctuation retirée, mots au singulier
+ * ex: "Œufs frais" -> "oeuf frai", "Crème fraîche" -> "creme fraiche"
+ */
+export function normalizeIngredientName(name) {
+    if (!name) return "";
+    return String(name)
+        .toLowerCase()
+        .replace(/œ/g, "oe")
+        .replace(/æ/g, "ae")
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .replace(/[^a-z0-9]+/g, " ")
+        .trim()
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(singularize)
+        .join(" ");
+}
+
+/**
+ * Vérifier si un ingrédient de recette est couvert par un ingrédient disponible.
+ * Les deux noms doivent être normalisés. L'ingrédient disponible peut être
+ * plus générique que celui de la recette ("tomate" couvre "tomate cerise").
+ */
+export function ingredientMatches(recipeName, availableName) {
+    if (!recipeName || !availableName) return false;
+    if (recipeName === availableName) return true;
+    return ` ${recipeName} `.includes(` ${availableName} `);
+}
+
+// Rayons du magasin, dans l'ordre d'un parcours habituel
+export const AISLES = [
+    "fruits-legumes", "boucherie-poissonnerie", "cremerie", "boulangerie",
+    "epicerie", "epices-condiments", "surgeles", "boissons", "autres"
+];
+
+// Mots-clés permettant de deviner le rayon d'un ingrédient
+const AISLE_KEYWORDS = {
+    "fruits-legumes": [
+        "tomate", "oignon", "ail", "echalote", "carotte", "pomme de terre", "courgette", "aubergine",
+        "poivron", "salade", "laitue", "epinard", "champignon", "poireau", "celeri", "concombre",
+        "citron", "orange", "pomme", "poire", "banane", "fraise", "framboise", "persil", "basilic",
+        "coriandre", "ciboulette", "menthe", "thym", "romarin", "gingembre", "avocat", "chou", "brocoli",
+        "haricot vert", "petit poi", "radis", "potiron", "courge", "navet", "fenouil", "legume", "fruit"
+    ],
+    "boucherie-poissonnerie": [
+        "boeuf", "veau", "porc", "agneau", "poulet", "dinde", "canard", "lardon", "jambon", "bacon",
+        "saucisse", "chorizo", "guanciale", "pancetta", "viande", "steak", "escalope", "saumon", "thon",
+        "cabillaud", "crevette", "moule", "poisson", "filet"
+    ],
+    "cremerie": [
+        "lait", "beurre", "creme", "oeuf", "yaourt", "fromage", "parmesan", "mozzarella", "gruyere",
+        "emmental", "comte", "chevre", "feta", "ricotta", "mascarpone", "pecorino"
+    ],
+    "boulangerie": ["pain", "baguette", "brioche", "pate feuilletee", "pate brisee", "pate sablee"],
+    "epices-condiments": [
+        "sel", "poivre", "paprika", "cumin", "curry", "cannelle", "muscade", "vanille", "epice",
+        "moutarde", "vinaigre", "sauce soja", "ketchup", "mayonnaise", "herbe de provence", "laurier"
+    ],
+    "surgeles": ["surgele", "glace"],
+    "boissons": ["vin", "biere", "jus", "eau", "cidre", "rhum", "cognac"],
+    "epicerie": [
+        "farine", "sucre", "pate", "spaghetti", "tagliatelle", "riz", "semoule", "lentille", "pois chiche",
+        "huile", "chocolat", "cacao", "levure", "miel", "confiture", "amande", "noisette", "noix",
+        "bouillon", "conserve", "coulis", "concentre", "flocon", "cafe", "the", "biscuit"
+    ]
+};
+
+const NORMALIZED_AISLE_KEYWORDS = Object.entries(AISLE_KEYWORDS)
+    .map(([aisle, keywords]) => [aisle, keywords.map(normalizeIngredientName)]);
+
+/**
+ * Deviner le rayon d'un ingrédient à partir de son nom
+ * Le mot-clé le plus long l'emporte ("pate feuilletee" avant "pate")
+ * @param {string} name Nom de l'ingrédient
+ * @returns {string} Rayon (voir AISLES), "autres" si inconnu
+ */
+export function categorizeIngredient(name) {
+    const normalized = normalizeIngredientName(name);
+    let best = {aisle: "autres", length: 0};
+
+    for (const [aisle, keywords] of NORMALIZED_AISLE_KEYWORDS) {
+        for (const keyword of keywords) {
+            if (keyword.length > best.length && ingredientMatches(normalized, keyword)) {
+                best = {aisle, length: keyword.length};
+            }
+        }
+    }
+
+    return best.aisle;
+}
@@ -0,0 +1,82 @@
+/**
+ * Vérification des jetons JWT signés en RS256 (jetons Cognito)
+ * Sans dépendance : la signature est vérifiée avec node:crypto à partir des clés JWKS.
+ */
+import crypto from "node:crypto";
+
+// Décalage d'horloge toléré pour exp / nbf
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+function decodeSegment(segment) {
+    return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+}
+
+/**
+ * Découper un jeton sans le vérifier
+ * @param {string} token Jeton compact (header.payload.signature)
+ * @returns {{header: Object, payload: Object, signingInput: string, signature: Buffer}}
+ */
+export function decodeJwt(token) {
+    const parts = String(token ?? "").split(".");
+    if (parts.length !== 3) {
+        throw new Error("Jeton mal formé");
+    }
+
+    try {
+        return {
+            header: decodeSegment(parts[0]),
+            payload: decodeSegment(parts[1]),
+            signingInput: `${parts[0]}.${parts[1]}`,
+            signature: Buffer.from(parts[2], "base64url")
+        };
+    } catch {
+        throw new Error("Jeton mal formé");
+    }
+}
+
+/**
+ * Convertir une clé JWKS (RSA) en clé publique utilisable par node:crypto
+ */
+export function jwkToPublicKey(jwk) {
+    return crypto.createPublicKey({key: jwk, format: "jwk"});
+}
+
+/**
+ * Vérifier la signature et les dates d'un jeton, puis l'émetteur et l'audience
+ * L'audience est lue dans aud (jetons d'identité) ou client_id (jetons d'accès Cognito).
+ * @param {string} token Jeton compact
+ * @param {Object} options { key: KeyObject, issuer, audience, now (ms) }
+ * @returns {Object} Revendications (claims) du jeton
+ */
+export function verifyJwt(token, {key, issuer, audience, now = Date.now()}) {
+    const {header, payload, signingInput, signature} = decodeJwt(token);
+
+    if (header.alg !== "RS256") {
+        throw new Error(`Algorithme de signature non supporté: ${header.alg}`);
+    }
+
+    if (!crypto.verify("RSA-SHA256", Buffer.from(signingInput), key, signature)) {
+        throw new Error("Signature du jeton invalide");
+    }
+
+    const seconds = Math.floor(now / 1000);
+    if (typeof payload.exp !== "number" || payload.exp + CLOCK_TOLERANCE_SECONDS < seconds) {
+        throw new Error("Jeton expiré");
+    }
+    if (typeof payload.nbf === "number" && payload.nbf - CLOCK_TOLERANCE_SECONDS > seconds) {
+        throw new Error("Jeton pas encore valide");
+    }
+
+    if (issuer && payload.iss !== issuer) {
+        throw new Error("Émetteur du jeton invalide");
+    }
+    if (audience && ![payload.aud, payload.client_id].flat().includes(audience)) {
+        throw new Error("Audience du jeton invalide");
+    }
+
+    if (!payload.sub) {
+        throw new Error("Jeton sans identifiant d'utilisateur (sub)");
+    }
+
+    return payload;
+}
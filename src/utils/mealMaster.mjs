@@ -0,0 +1,179 @@
+/**
+ * Lecture des fichiers texte MealMaster (un ou plusieurs blocs de recettes)
+ *
+ *   MMMMM----- Recipe via Meal-Master (tm) v8.02
+ *         Title: Crêpes
+ *    Categories: Desserts, Rapide
+ *         Yield: 4 servings
+ *
+ *       250 g  Farine
+ *         1 ts Sel
+ *
+ *     Mélanger la farine et le sel.
+ *   MMMMM
+ */
+import {parseQuantity} from "./ingredientParser.mjs";
+
+const RECIPE_START = /^(?:MMMMM|-----).*meal-master/i;
+const RECIPE_END = /^(?:MMMMM|-----)\s*$/;
+const SECTION_HEADER = /^(?:MMMMM|-----)-*.*-+\s*$/;
+const HEADER_FIELD = /^\s*(Title|Categories|Yield|Servings)\s*:\s*(.*)$/i;
+
+// Colonnes fixes d'un ingrédient : quantité (7), espace, unité (2), espace, nom
+const INGREDIENT_COLUMNS = /^([\d\s./]{7}) ([A-Za-z ]{2}) (.+)$/;
+
+// Deuxième colonne des fichiers sur deux colonnes
+const SECOND_COLUMN = 41;
+
+// Codes d'unités MealMaster -> clés du registre d'unités (la casse compte : t = tsp, T = tbsp)
+const UNIT_CODES = {
+    t: "tsp", ts: "tsp", T: "tbsp", tb: "tbsp",
+    c: "cup", pt: "pint", qt: "quart", fl: "fl oz",
+    oz: "oz", lb: "lb",
+    ml: "ml", cl: "cl", dl: "dl", l: "l",
+    mg: "mg", g: "g", kg: "kg",
+    pn: "pincée", ds: "trait", dr: "trait",
+    cn: "boîte", pk: "sachet", sl: "tranche", bn: "botte", ea: "pièce"
+};
+
+// Codes de taille, conservés dans le nom de l'ingrédient
+const SIZE_CODES = {sm: "small", md: "medium", lg: "large"};
+
+/**
+ * Lire un ingrédient au format colonnes, null si la ligne n'en est pas un
+ */
+function parseColumns(line) {
+    const match = line.trimEnd().match(INGREDIENT_COLUMNS);
+    if (!match) return null;
+
+    const [, quantityText, unitText, nameText] = match;
+    const code = unitText.trim();
+    const name = nameText.trim();
+
+    if (code && !UNIT_CODES[code] && !UNIT_CODES[code.toLowerCase()] && !SIZE_CODES[code] && code !== "x") {
+        return null;
+    }
+
+    const ingredient = {name: SIZE_CODES[code] ? `${SIZE_CODES[code]} ${name}` : name};
+    const quantity = parseQuantity(quantityText);
+    if (quantity) ingredient.quantity = quantity;
+
+    const unit = UNIT_CODES[code] ?? UNIT_CODES[code.toLowerCase()];
+    if (unit) ingredient.unit = unit;
+
+    return ingredient;
+}
+
+/**
+ * Lire une ligne de la zone des ingrédients (une ou deux colonnes)
+ * @returns {Array<Object>|null} Ingrédients de la ligne ou null si ce n'est pas une ligne d'ingrédients
+ */
+function parseIngredientRow(line) {
+    if (line.length > SECOND_COLUMN) {
+        const left = parseColumns(line.slice(0, SECOND_COLUMN));
+        const right = parseColumns(line.slice(SECOND_COLUMN));
+        if (left && right) return [left, right];
+    }
+
+    const ingredient = parseColumns(line);
+    return ingredient ? [ingredient] : null;
+}
+
+/**
+ * Transformer un bloc de recette en données de notre modèle
+ */
+function parseRecipeBlock(lines) {
+    const recipe = {ingredients: [], steps: [], tags: []};
+    const paragraphs = [];
+    let index = 0;
+
+    // En-tête : Title, Categories, Yield / Servings
+    for (; index < lines.length; index++) {
+        const line = lines[index];
+        const field = line.match(HEADER_FIELD);
+        if (field) {
+            const [, name, value] = field;
+            const key = name.toLowerCase();
+            if (key === "title") {
+                recipe.title = value.trim();
+            } else if (key === "categories") {
+                recipe.tags = value.split(",").map(tag => tag.trim()).filter(tag => tag && tag.toLowerCase() !== "none");
+            } else {
+                const servings = value.match(/\d+/);
+                if (servings && Number(servings[0]) > 0) recipe.servings = Number(servings[0]);
+            }
+        } else if (line.trim() && recipe.title) {
+            break;
+        }
+    }
+
+    // Ingrédients : jusqu'à la première ligne qui n'en est pas une
+    for (; index < lines.length; index++) {
+        const line = lines[index];
+        if (!line.trim() || SECTION_HEADER.test(line.trim())) continue;
+
+        const ingredients = parseIngredientRow(line);
+        if (!ingredients) break;
+
+        for (const ingredient of ingredients) {
+            const previous = recipe.ingredients[recipe.ingredients.length - 1];
+            // Une ligne "-suite" sans quantité prolonge le nom de l'ingrédient précédent
+            if (previous && ingredient.name.startsWith("-") && !ingredient.quantity && !ingredient.unit) {
+                previous.name = `${previous.name} ${ingredient.name.slice(1).trim()}`;
+            } else {
+                recipe.ingredients.push(ingredient);
+            }
+        }
+    }
+
+    // Instructions : un paragraphe (séparé par une ligne vide) par étape
+    let paragraph = [];
+    for (; index < lines.length; index++) {
+        const line = lines[index].trim();
+        if (line) {
+            paragraph.push(line);
+        } else if (paragraph.length > 0) {
+            paragraphs.push(paragraph.join(" "));
+            paragraph = [];
+        }
+    }
+    if (paragraph.length > 0) paragraphs.push(paragraph.join(" "));
+
+    recipe.steps = paragraphs.map((text, position) => ({order: position + 1, text}));
+    return recipe;
+}
+
+/**
+ * Vérifier si un texte contient des recettes MealMaster
+ */
+export function isMealMaster(text) {
+    return String(text).split(/\r?\n/).some(line => RECIPE_START.test(line));
+}
+
+/**
+ * Lire toutes les recettes d'un fichier MealMaster
+ * @param {string} text Contenu du fichier
+ * @returns {Array<Object>} Données des recettes, dans l'ordre du fichier
+ */
+export function parseMealMaster(text) {
+    const recipes = [];
+    let block = null;
+
+    for (const line of String(text).split(/\r?\n/)) {
+        if (RECIPE_START.test(line)) {
+            block = [];
+        } else if (block && RECIPE_END.test(line)) {
+            recipes.push(parseRecipeBlock(block));
+            block = null;
+        } else if (block) {
+            block.push(line.replace(/\t/g, " "));
+        }
+    }
+
+    // Dernier bloc sans ligne de fin
+    if (block && block.some(line => line.trim())) {
+        recipes.push(parseRecipeBlock(block));
+    }
+
+    return recipes;
+}
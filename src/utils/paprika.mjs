@@ -0,0 +1,88 @@
+/**
+ * Lecture des exports Paprika (.paprikarecipes : archive zip de recettes JSON gzippées)
+ */
+import zlib from "node:zlib";
+import {isZip, readZipEntries, decompressLimited, MAX_UNCOMPRESSED_SIZE} from "./zip.mjs";
+import {parseIngredientLine} from "./ingredientParser.mjs";
+
+/**
+ * Vérifier si un buffer est compressé en gzip
+ */
+function isGzip(buffer) {
+    return buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+}
+
+/**
+ * Vérifier si un buffer ressemble à un export Paprika (archive ou recette seule)
+ */
+export function isPaprika(buffer) {
+    return isZip(buffer) || isGzip(buffer);
+}
+
+function splitLines(text) {
+    return String(text ?? "")
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Convertir une recette Paprika (JSON) vers les données de notre modèle
+ * Les ingrédients et les instructions sont des textes avec une entrée par ligne.
+ * @param {Object} paprika Recette Paprika
+ * @returns {Object} Données de recette
+ */
+export function mapPaprikaRecipe(paprika) {
+    const recipe = {
+        title: paprika.name?.trim(),
+        ingredients: splitLines(paprika.ingredients).map(parseIngredientLine),
+        steps: splitLines(paprika.directions).map((text, index) => ({order: index + 1, text})),
+        tags: (paprika.categories || []).map(category => String(category).trim()).filter(Boolean)
+    };
+
+    const servings = String(paprika.servings ?? "").match(/\d+/);
+    if (servings && Number(servings[0]) > 0) {
+        recipe.servings = Number(servings[0]);
+    }
+
+    return recipe;
+}
+
+/**
+ * Lire un export Paprika
+ * @param {Buffer} buffer Archive .paprikarecipes ou recette .paprikarecipe seule
+ * @returns {Array<Object>} Données des recettes, dans l'ordre de l'archive
+ * @throws {Error} Validation échouée si le contenu décompressé dépasse MAX_UNCOMPRESSED_SIZE
+ */
+export function parsePaprika(buffer) {
+    let files = [{name: "recette", data: buffer}];
+    if (isZip(buffer)) {
+        try {
+            files = readZipEntries(buffer).filter(entry => entry.name.endsWith(".paprikarecipe"));
+        } catch (error) {
+            if (error.message.includes("Validation échouée")) throw error;
+            throw new Error("Archive Paprika illisible");
+        }
+    }
+
+    // Les recettes gzippées de l'archive partagent la même limite de taille décompressée
+    let remaining = MAX_UNCOMPRESSED_SIZE;
+    return files.map(({name, data}) => {
+        let json = data;
+        if (isGzip(data)) {
+            try {
+                json = decompressLimited(zlib.gunzipSync, data, remaining);
+            } catch (error) {
+                if (error.message.includes("Validation échouée")) throw error;
+                throw new Error(`Recette Paprika illisible: ${name}`);
+            }
+            remaining -= json.length;
+        }
+
+        try {
+            return mapPaprikaRecipe(JSON.parse(json.toString("utf8")));
+        } catch {
+            throw new Error(`Recette Paprika illisible: ${name}`);
+        }
+    });
+}
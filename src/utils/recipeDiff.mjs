@@ -0,0 +1,67 @@
+/**
+ * Diff structuré entre deux versions d'une recette
+ */
+import {normalizeIngredientName} from "./ingredients.mjs";
+
+const SCALAR_FIELDS = ["title", "servings"];
+
+/**
+ * Comparer deux listes d'éléments identifiés par une clé
+ * @returns {{added: Array, removed: Array, changed: Array<{before, after}>}}
+ */
+function diffList(before = [], after = [], keyOf, isEqual) {
+    const beforeByKey = new Map(before.map(item => [keyOf(item), item]));
+    const afterByKey = new Map(after.map(item => [keyOf(item), item]));
+
+    const added = after.filter(item => !beforeByKey.has(keyOf(item)));
+    const removed = before.filter(item => !afterByKey.has(keyOf(item)));
+    const changed = after
+        .filter(item => beforeByKey.has(keyOf(item)) && !isEqual(beforeByKey.get(keyOf(item)), item))
+        .map(item => ({before: beforeByKey.get(keyOf(item)), after: item}));
+
+    return {added, removed, changed};
+}
+
+/**
+ * Comparer deux versions d'une recette
+ * - ingrédients identifiés par leur nom normalisé (quantité ou unité modifiée = changed)
+ * - étapes identifiées par leur ordre (texte modifié = changed)
+ * @param {Object} before Version de départ (title, servings, ingredients, steps, tags)
+ * @param {Object} after Version d'arrivée
+ * @returns {Object} { fields, ingredients, steps, tags }
+ */
+export function diffRecipes(before, after) {
+    const fields = {};
+    for (const field of SCALAR_FIELDS) {
+        if (before[field] !== after[field]) {
+            fields[field] = {before: before[field], after: after[field]};
+        }
+    }
+
+    const ingredients = diffList(
+        before.ingredients,
+        after.ingredients,
+        ingredient => normalizeIngredientName(ingredient.name),
+        (a, b) => a.name === b.name && a.quantity === b.quantity && (a.unit || null) === (b.unit || null)
+    );
+
+    const steps = diffList(
+        before.steps,
+        after.steps,
+        step => step.order,
+        (a, b) => a.text === b.text
+    );
+
+    const beforeTags = new Set(before.tags || []);
+    const afterTags = new Set(after.tags || []);
+
+    return {
+        fields,
+        ingredients,
+        steps,
+        tags: {
+            added: [...afterTags].filter(tag => !beforeTags.has(tag)),
+            removed: [...beforeTags].filter(tag => !afterTags.has(tag))
+        }
+    };
+}
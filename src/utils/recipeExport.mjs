@@ -0,0 +1,174 @@
+/**
+ * Export d'une recette en JSON-LD schema.org, Markdown ou page HTML imprimable
+ */
+
+// Format -> type de média, dans l'ordre de préférence pour la négociation
+export const EXPORT_MEDIA_TYPES = {
+    json: "application/json",
+    jsonld: "application/ld+json",
+    markdown: "text/markdown",
+    html: "text/html"
+};
+
+// Valeurs acceptées pour ?format=
+const FORMAT_ALIASES = {
+    json: "json",
+    jsonld: "jsonld",
+    "json-ld": "jsonld",
+    markdown: "markdown",
+    md: "markdown",
+    html: "html"
+};
+
+/**
+ * Retrouver un format d'export à partir de ?format= ou d'un type de média
+ * @returns {string|null} json, jsonld, markdown, html ou null si inconnu
+ */
+export function resolveExportFormat(value) {
+    if (!value) return null;
+    const key = String(value).toLowerCase().trim();
+    return FORMAT_ALIASES[key]
+        || Object.keys(EXPORT_MEDIA_TYPES).find(format => EXPORT_MEDIA_TYPES[format] === key)
+        || null;
+}
+
+/**
+ * Ligne d'ingrédient lisible : "250 g farine"
+ */
+export function formatIngredient(ingredient) {
+    return [ingredient.quantity, ingredient.unit, ingredient.name]
+        .filter(part => part !== undefined && part !== null && part !== "")
+        .join(" ");
+}
+
+function escapeHtml(value) {
+    return String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+function sortedSteps(recipe) {
+    return [...(recipe.steps || [])].sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Recette au format schema.org Recipe (réimportable via POST /recipes/import)
+ */
+export function toSchemaOrg(recipe) {
+    const node = {
+        "@context": "https://schema.org",
+        "@type": "Recipe",
+        name: recipe.title,
+        recipeYield: String(recipe.servings),
+        recipeIngredient: (recipe.ingredients || []).map(formatIngredient),
+        recipeInstructions: sortedSteps(recipe).map((step, index) => ({
+            "@type": "HowToStep",
+            position: index + 1,
+            text: step.text
+        }))
+    };
+
+    if (recipe.tags && recipe.tags.length > 0) {
+        node.keywords = recipe.tags.join(", ");
+    }
+    if (recipe.id ?? recipe._id) {
+        node.identifier = String(recipe.id ?? recipe._id);
+    }
+    if (recipe.createdAt) {
+        node.dateCreated = new Date(recipe.createdAt).toISOString();
+    }
+    if (recipe.updatedAt) {
+        node.dateModified = new Date(recipe.updatedAt).toISOString();
+    }
+
+    return node;
+}
+
+/**
+ * Recette en Markdown
+ */
+export function toMarkdown(recipe) {
+    const lines = [`# ${recipe.title}`, "", `Pour ${recipe.servings} personne${recipe.servings > 1 ? "s" : ""}`];
+
+    if (recipe.tags && recipe.tags.length > 0) {
+        lines.push("", `Tags : ${recipe.tags.join(", ")}`);
+    }
+
+    lines.push("", "## Ingrédients", "");
+    for (const ingredient of recipe.ingredients || []) {
+        lines.push(`- ${formatIngredient(ingredient)}`);
+    }
+
+    lines.push("", "## Préparation", "");
+    sortedSteps(recipe).forEach((step, index) => {
+        lines.push(`${index + 1}. ${step.text}`);
+    });
+
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * Page HTML autonome (styles inclus) prête à imprimer
+ */
+export function toHtml(recipe) {
+    const title = escapeHtml(recipe.title);
+    const tags = recipe.tags && recipe.tags.length > 0
+        ? `\n<p class="tags">${recipe.tags.map(escapeHtml).join(" · ")}</p>`
+        : "";
+    const ingredients = (recipe.ingredients || [])
+        .map(ingredient => `    <li>${escapeHtml(formatIngredient(ingredient))}</li>`)
+        .join("\n");
+    const steps = sortedSteps(recipe)
+        .map(step => `    <li>${escapeHtml(step.text)}</li>`)
+        .join("\n");
+
+    return `<!DOCTYPE html>
+<html lang="fr">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+  body { font-family: Georgia, serif; max-width: 42em; margin: 2em auto; padding: 0 1em; color: #222; }
+  h1 { margin-bottom: 0.2em; }
+  .meta, .tags { color: #666; margin: 0.2em 0; }
+  ol li { margin-bottom: 0.6em; }
+  @media print { body { margin: 0; max-width: none; } }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<p class="meta">Pour ${escapeHtml(recipe.servings)} personne${recipe.servings > 1 ? "s" : ""}</p>${tags}
+<h2>Ingrédients</h2>
+<ul>
+${ingredients}
+</ul>
+<h2>Préparation</h2>
+<ol>
+${steps}
+</ol>
+</body>
+</html>
+`;
+}
+
+/**
+ * Exporter une recette dans un format autre que JSON
+ * @param {Object} recipe Recette (éventuellement mise à l'échelle / convertie)
+ * @param {string} format jsonld, markdown ou html
+ * @returns {{body: string, contentType: string}}
+ */
+export function exportRecipe(recipe, format) {
+    switch (format) {
+        case "jsonld":
+            return {body: JSON.stringify(toSchemaOrg(recipe)), contentType: EXPORT_MEDIA_TYPES.jsonld};
+        case "markdown":
+            return {body: toMarkdown(recipe), contentType: `${EXPORT_MEDIA_TYPES.markdown}; charset=utf-8`};
+        case "html":
+            return {body: toHtml(recipe), contentType: `${EXPORT_MEDIA_TYPES.html}; charset=utf-8`};
+        default:
+            throw new Error(`Format d'export inconnu: ${format}`);
+    }
+}
@@ -0,0 +1,51 @@
+/**
+ * Rôles des utilisateurs
+ *
+ *  - viewer : lecture seule
+ *  - editor : crée des recettes et modifie les siennes
+ *  - admin  : gère toutes les recettes, les tags et les uploads
+ *
+ * Chaque rôle inclut les droits des rôles précédents : une route réservée aux editors
+ * est aussi accessible aux admins.
+ */
+
+export const ROLES = ["viewer", "editor", "admin"];
+
+// Rôle d'un utilisateur authentifié dont le jeton ne porte aucun rôle connu
+export const DEFAULT_ROLE = "viewer";
+
+/**
+ * Lire les rôles dans les revendications du jeton
+ * Le claim peut être une liste (cognito:groups) ou une chaîne séparée par des virgules ou des espaces.
+ * @param {Object} claims Revendications du jeton
+ * @param {string} claimName Nom du claim des rôles
+ * @returns {Array<string>} Rôles connus, ou [DEFAULT_ROLE]
+ */
+export function rolesFromClaims(claims, claimName) {
+    const value = claims?.[claimName];
+    const names = Array.isArray(value) ? value : String(value ?? "").split(/[\s,]+/);
+    const roles = ROLES.filter(role => names.some(name => String(name).toLowerCase() === role));
+    return roles.length > 0 ? roles : [DEFAULT_ROLE];
+}
+
+/**
+ * Vérifier qu'un utilisateur a l'un des rôles demandés (ou un rôle supérieur)
+ * @param {Object} user Utilisateur authentifié ({ roles })
+ * @param {Array<string>} roles Rôles acceptés
+ */
+export function hasRole(user, roles) {
+    const level = Math.max(-1, ...(user?.roles || []).map(role => ROLES.indexOf(role)));
+    return roles.some(role => ROLES.indexOf(role) <= level && ROLES.includes(role));
+}
+
+export function isAdmin(user) {
+    return hasRole(user, ["admin"]);
+}
+
+/**
+ * Utilisateur auquel restreindre l'accès aux recettes : les admins voient et gèrent toutes les recettes
+ * @returns {string|undefined} id de l'utilisateur, undefined pour un admin (aucune restriction)
+ */
+export function ownerScope(user) {
+    return isAdmin(user) ? undefined : user?.id;
+}
@@ -1,69 +1,280 @@
+import crypto from 'node:crypto';
+import { cors } from './http.mjs';
+
 /**
  * Utilitaire pour gérer le routing des requêtes
+ *
+ * Chaque requête traverse une chaîne de middlewares : les middlewares globaux (use), dans l'ordre
+ * d'enregistrement, puis ceux de la route, puis le handler. Un middleware est une fonction
+ * async (ctx, next) => réponse :
+ *  - le code avant `await next()` s'exécute avant le handler, celui d'après peut modifier la réponse ;
+ *  - renvoyer une réponse sans appeler next() court-circuite la suite de la chaîne ;
+ *  - ctx est le contexte partagé de la requête (voir createContext).
+ * Les middlewares globaux s'exécutent aussi quand aucune route ne correspond (ctx.route est alors null).
+ *
+ * Méthodes gérées par le router lui-même, d'après les routes enregistrées :
+ *  - HEAD exécute la route GET du chemin et renvoie sa réponse sans corps ;
+ *  - OPTIONS répond au preflight CORS avec les méthodes du chemin, sans passer par les middlewares
+ *    (le navigateur n'envoie pas d'authentification avec un preflight) ;
+ *  - une méthode non déclarée pour un chemin existant reçoit une 405 avec le header Allow, elle aussi
+ *    sans passer par les middlewares (une 405 ne dépend pas de l'authentification).
  */
 class Router {
     constructor() {
         this.routes = [];
+        this.middleware = [];
+    }
+
+    /**
+     * Ajouter des middlewares globaux, exécutés pour toutes les requêtes
+     * @param {...Function} middleware - async (ctx, next) => réponse
+     */
+    use(...middleware) {
+        this.middleware.push(...middleware);
+        return this;
     }
 
     /**
      * Ajouter une route
+     * Le handler reçoit l'event et le contexte : handler(event, ctx)
+     * @param {Object} options - { roles: ['editor'] } rôles autorisés (les rôles supérieurs le sont aussi),
+     *                           sans roles la route est ouverte à tout utilisateur authentifié
+     *                           { scope: 'recipes:read' } scope demandé aux clés d'API
+     *                           { middleware: [...] } middlewares propres à la route, après les globaux
+     *                           { idempotent: false } header Idempotency-Key ignoré (réponses contenant un secret)
      */
-    addRoute(method, path, handler) {
-        this.routes.push({ method, path, handler });
+    addRoute(method, path, handler, options = {}) {
+        this.routes.push({
+            method,
+            path,
+            handler,
+            roles: options.roles,
+            scope: options.scope,
+            middleware: options.middleware,
+            idempotent: options.idempotent
+        });
     }
 
     /**
-     * Trouver et exécuter le handler correspondant
+     * Trouver la route correspondante et exécuter la chaîne de middlewares puis son handler
      */
     async route(event) {
-        const method = event.requestContext?.http?.method || event.httpMethod;
-        const path = event.requestContext?.http?.path || event.path;
+        const ctx = createContext(event, this._match(event));
 
-        console.log(`Routing: ${method} ${path}`);
+        if (ctx.method === 'OPTIONS' && !ctx.route) {
+            return this._preflight(ctx.path);
+        }
 
-        // Chercher une route exacte
-        for (const route of this.routes) {
-            if (route.method === method) {
-                // Route exacte
-                if (route.path === path) {
-                    return await route.handler(event);
-                }
+        const allowed = ctx.route ? [] : this.allowedMethods(ctx.path);
 
-                // Route avec paramètre (ex: /recipes/{id})
-                const routePattern = route.path.replace(/{[^}]+}/g, '([^/]+)');
-                const regex = new RegExp(`^${routePattern}$`);
-
-                if (regex.test(path)) {
-                    // Extraction des paramètres
-                    const match = path.match(regex);
-                    if (match) {
-                        event.pathParameters = event.pathParameters || {};
-                        const paramNames = route.path.match(/{([^}]+)}/g);
-                        if (paramNames) {
-                            paramNames.forEach((param, index) => {
-                                const paramName = param.slice(1, -1); // Retirer les accolades
-                                event.pathParameters[paramName] = match[index + 1];
-                            });
-                        }
-                    }
-                    return await route.handler(event);
+        const response = allowed.length > 0
+            ? this._methodNotAllowed(ctx, allowed)
+            : await compose(this.middleware, async (ctx) => {
+                if (!ctx.route) {
+                    // Aucune route trouvée
+                    return routeNotFound();
                 }
+
+                return compose(ctx.route.middleware || [], (ctx) => ctx.route.handler(ctx.event, ctx))(ctx);
+            })(ctx);
+
+        if (ctx.method === 'HEAD' && response) {
+            // Mêmes statut et headers que la réponse GET, sans le corps
+            return { ...response, body: '', isBase64Encoded: false };
+        }
+        return response;
+    }
+
+    /**
+     * Méthodes acceptées pour un chemin, dans l'ordre de déclaration des routes
+     * HEAD est ajouté pour les chemins qui ont une route GET, OPTIONS pour tous les chemins connus.
+     * @param {string} path - Chemin de la requête
+     * @returns {string[]} Méthodes (vide si aucune route ne correspond au chemin)
+     */
+    allowedMethods(path) {
+        const methods = [];
+        for (const route of this.routes) {
+            if (!methods.includes(route.method) && this._matchPath(route, path)) {
+                methods.push(route.method);
             }
         }
+        if (methods.length === 0) {
+            return methods;
+        }
+
+        if (methods.includes('GET') && !methods.includes('HEAD')) {
+            methods.splice(methods.indexOf('GET') + 1, 0, 'HEAD');
+        }
+        if (!methods.includes('OPTIONS')) {
+            methods.push('OPTIONS');
+        }
+        return methods;
+    }
 
-        // Aucune route trouvée
+    /**
+     * Réponse 405 : chemin connu, méthode non déclarée
+     * @private
+     */
+    _methodNotAllowed(ctx, allowed) {
         return {
-            statusCode: 404,
-            headers: {
-                'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*',
-            },
+            statusCode: 405,
+            headers: { ...cors(), Allow: allowed.join(', ') },
             body: JSON.stringify({
-                error: 'Route non trouvée'
+                error: `Méthode ${ctx.method} non autorisée sur ${ctx.path}`
             })
         };
     }
+
+    /**
+     * Réponse au preflight CORS (OPTIONS) d'un chemin
+     * @private
+     */
+    _preflight(path) {
+        const allowed = this.allowedMethods(path);
+        if (allowed.length === 0) {
+            return routeNotFound();
+        }
+
+        return {
+            statusCode: 204,
+            headers: {
+                ...cors(),
+                Allow: allowed.join(', '),
+                'Access-Control-Allow-Methods': allowed.join(','),
+                'Access-Control-Max-Age': '600'
+            },
+            body: ''
+        };
+    }
+
+    /**
+     * Chercher la route de la requête et extraire ses paramètres de chemin
+     * @returns {Object|null} La route, ou null si aucune ne correspond
+     * @private
+     */
+    _match(event) {
+        const method = event.requestContext?.http?.method || event.httpMethod;
+        const path = event.requestContext?.http?.path || event.path;
+
+        // Une requête HEAD est servie par la route GET du chemin, sauf si une route HEAD est déclarée
+        const found = this._find(method, path) ?? (method === 'HEAD' ? this._find('GET', path) : null);
+        if (!found) {
+            return null;
+        }
+
+        if (Object.keys(found.params).length > 0) {
+            event.pathParameters = { ...event.pathParameters, ...found.params };
+        }
+        return found.route;
+    }
+
+    /**
+     * Première route déclarée pour une méthode et un chemin
+     * @returns {Object|null} { route, params } ou null
+     * @private
+     */
+    _find(method, path) {
+        for (const route of this.routes) {
+            if (route.method === method) {
+                const params = this._matchPath(route, path);
+                if (params) {
+                    return { route, params };
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Comparer le chemin de la requête à celui d'une route
+     * @returns {Object|null} Paramètres de chemin (ex: /recipes/{id} → { id }), null si le chemin ne correspond pas
+     * @private
+     */
+    _matchPath(route, path) {
+        // Route exacte
+        if (route.path === path) {
+            return {};
+        }
+
+        // Route avec paramètre (ex: /recipes/{id})
+        const routePattern = route.path.replace(/{[^}]+}/g, '([^/]+)');
+        const match = path?.match(new RegExp(`^${routePattern}$`));
+        if (!match) {
+            return null;
+        }
+
+        // Extraction des paramètres
+        const params = {};
+        const paramNames = route.path.match(/{([^}]+)}/g) || [];
+        paramNames.forEach((param, index) => {
+            const paramName = param.slice(1, -1); // Retirer les accolades
+            params[paramName] = match[index + 1];
+        });
+        return params;
+    }
+}
+
+/**
+ * Réponse 404 : aucune route pour ce chemin
+ */
+function routeNotFound() {
+    return {
+        statusCode: 404,
+        headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*',
+        },
+        body: JSON.stringify({
+            error: 'Route non trouvée'
+        })
+    };
+}
+
+/**
+ * Contexte partagé par les middlewares et le handler d'une requête
+ * @param {Object} event - Event API Gateway
+ * @param {Object|null} route - Route trouvée
+ * @returns {Object} { event, route, method, path, requestId, user, body, state }
+ *   user est renseigné par l'authentification, body par la lecture du corps (jsonBody),
+ *   state est libre pour les échanges entre middlewares.
+ */
+export function createContext(event, route = null) {
+    return {
+        event,
+        route,
+        method: event.requestContext?.http?.method || event.httpMethod,
+        path: event.requestContext?.http?.path || event.path,
+        requestId: event.requestContext?.requestId || crypto.randomUUID(),
+        user: event.user ?? null,
+        body: undefined,
+        state: {}
+    };
+}
+
+/**
+ * Composer une chaîne de middlewares autour d'un handler
+ * @param {Function[]} middleware - async (ctx, next) => réponse
+ * @param {Function} handler - async (ctx) => réponse, appelé au bout de la chaîne
+ * @returns {Function} async (ctx) => réponse
+ */
+export function compose(middleware, handler) {
+    return (ctx) => {
+        let last = -1;
+
+        const dispatch = async (index) => {
+            if (index <= last) {
+                throw new Error('next() appelé plusieurs fois dans un même middleware');
+            }
+            last = index;
+
+            if (index === middleware.length) {
+                return handler(ctx);
+            }
+            return middleware[index](ctx, () => dispatch(index + 1));
+        };
+
+        return dispatch(0);
+    };
 }
 
 export default Router;
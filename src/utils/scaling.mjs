@@ -0,0 +1,31 @@
+/**
+ * Mise à l'échelle des quantités d'une recette selon le nombre de portions
+ */
+import {roundQuantity} from "./units.mjs";
+
+/**
+ * Mettre une recette à l'échelle d'un nombre de portions
+ * La recette d'origine n'est pas modifiée.
+ * @param {Object} recipe Recette (JSON) avec servings et ingredients
+ * @param {number} servings Nombre de portions souhaité
+ * @returns {Object} Recette avec les quantités ajustées et un bloc "scaling"
+ */
+export function scaleRecipe(recipe, servings) {
+    const factor = servings / recipe.servings;
+
+    return {
+        ...recipe,
+        servings,
+        ingredients: (recipe.ingredients || []).map(ingredient => ({
+            ...ingredient,
+            quantity: typeof ingredient.quantity === "number"
+                ? roundQuantity(ingredient.quantity * factor, ingredient.unit)
+                : ingredient.quantity
+        })),
+        scaling: {
+            originalServings: recipe.servings,
+            servings,
+            factor: Math.round(factor * 10000) / 10000
+        }
+    };
+}
@@ -0,0 +1,164 @@
+/**
+ * Conversion des recettes schema.org (JSON-LD) vers notre modèle Recipe
+ * https://schema.org/Recipe
+ */
+import {parseIngredientLine} from "./ingredientParser.mjs";
+
+// Propriétés schema.org reprises dans notre modèle
+const MAPPED_PROPERTIES = ["name", "recipeIngredient", "ingredients", "recipeInstructions", "recipeYield", "keywords"];
+
+// Propriétés JSON-LD techniques, jamais signalées comme perdues
+const IGNORED_PROPERTIES = ["@context", "@type", "@id"];
+
+const JSON_LD_SCRIPT = /<script[^>]*type\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script>/gi;
+
+const HTML_ENTITIES = {amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " "};
+
+/**
+ * Décoder les entités HTML courantes et retirer les balises d'un texte
+ */
+function cleanText(value) {
+    return String(value ?? "")
+        .replace(/<[^>]*>/g, " ")
+        .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+        .replace(/&([a-z]+);/gi, (entity, name) => HTML_ENTITIES[name.toLowerCase()] ?? entity)
+        .replace(/\s+/g, " ")
+        .replace(/ ([.,])/g, "$1")
+        .trim();
+}
+
+function hasType(node, type) {
+    const types = Array.isArray(node?.["@type"]) ? node["@type"] : [node?.["@type"]];
+    return types.includes(type);
+}
+
+/**
+ * Extraire les blocs JSON-LD d'une page HTML
+ * Les blocs mal formés sont ignorés (fréquent sur les sites de recettes).
+ * @param {string} html Page HTML brute
+ * @returns {Array} Blocs JSON-LD parsés
+ */
+export function extractJsonLd(html) {
+    const blocks = [];
+    for (const [, content] of String(html).matchAll(JSON_LD_SCRIPT)) {
+        try {
+            blocks.push(JSON.parse(content.trim()));
+        } catch {
+            // bloc invalide : on passe au suivant
+        }
+    }
+    return blocks;
+}
+
+/**
+ * Trouver le premier noeud de type Recipe (tableaux et @graph compris)
+ * @param {Object|Array} data JSON-LD
+ * @returns {Object|null}
+ */
+export function findRecipeNode(data) {
+    if (!data || typeof data !== "object") return null;
+
+    if (Array.isArray(data)) {
+        for (const item of data) {
+            const node = findRecipeNode(item);
+            if (node) return node;
+        }
+        return null;
+    }
+
+    if (hasType(data, "Recipe")) return data;
+    return findRecipeNode(data["@graph"]);
+}
+
+/**
+ * recipeYield : nombre, "4", "4 personnes", ["4", "4 servings"]
+ * @returns {number|null} Premier entier positif trouvé
+ */
+function parseYield(value) {
+    const values = Array.isArray(value) ? value : [value];
+    for (const item of values) {
+        const match = String(item ?? "").match(/\d+/);
+        if (match && Number(match[0]) > 0) {
+            return Number(match[0]);
+        }
+    }
+    return null;
+}
+
+/**
+ * recipeInstructions : texte, liste de textes, HowToStep ou HowToSection
+ * Le nom d'une section préfixe chacune de ses étapes ("Pâte : ...").
+ * @returns {Array<string>} Textes des étapes dans l'ordre
+ */
+function parseInstructions(value, section = null) {
+    if (!value) return [];
+
+    if (typeof value === "string") {
+        return value.split(/\r?\n|<br\s*\/?>/i)
+            .map(cleanText)
+            .filter(Boolean)
+            .map(text => section ? `${section} : ${text}` : text);
+    }
+
+    if (Array.isArray(value)) {
+        return value.flatMap(item => parseInstructions(item, section));
+    }
+
+    if (hasType(value, "HowToSection")) {
+        return parseInstructions(value.itemListElement, cleanText(value.name) || section);
+    }
+
+    if (value.itemListElement) {
+        return parseInstructions(value.itemListElement, section);
+    }
+
+    return parseInstructions(value.text ?? value.name, section);
+}
+
+/**
+ * keywords : "rapide, végétarien" ou ["rapide", "végétarien"]
+ */
+function parseKeywords(value) {
+    const values = Array.isArray(value) ? value : String(value ?? "").split(",");
+    return values.map(cleanText).filter(Boolean);
+}
+
+/**
+ * Convertir un noeud schema.org Recipe vers les données de notre modèle
+ * @param {Object} node Noeud JSON-LD de type Recipe
+ * @returns {{recipe: Object, unmappedFields: Array<string>}}
+ *   unmappedFields liste les propriétés présentes dans la source mais absentes de la recette créée
+ */
+export function mapSchemaOrgRecipe(node) {
+    const recipe = {};
+    const unmappedFields = [];
+
+    const title = cleanText(node.name);
+    if (title) recipe.title = title;
+
+    const ingredientLines = [].concat(node.recipeIngredient ?? node.ingredients ?? []);
+    recipe.ingredients = ingredientLines
+        .map(line => parseIngredientLine(cleanText(line)))
+        .filter(Boolean);
+
+    recipe.steps = parseInstructions(node.recipeInstructions)
+        .map((text, index) => ({order: index + 1, text}));
+
+    const servings = parseYield(node.recipeYield);
+    if (servings) {
+        recipe.servings = servings;
+    } else if (node.recipeYield !== undefined) {
+        unmappedFields.push("recipeYield");
+    }
+
+    recipe.tags = parseKeywords(node.keywords);
+
+    for (const property of Object.keys(node)) {
+        if (!MAPPED_PROPERTIES.includes(property) && !IGNORED_PROPERTIES.includes(property)) {
+            unmappedFields.push(property);
+        }
+    }
+
+    return {recipe, unmappedFields};
+}
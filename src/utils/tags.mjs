@@ -0,0 +1,66 @@
+/**
+ * Normalisation des tags de recettes
+ *
+ * Un tag est rangé sous une clé de comparaison (minuscules, sans accents ni séparateurs
+ * superflus) : "Végétarien", "vegetarien" et "végé-tarien" partagent la même clé.
+ * Les alias associent une clé au tag canonique ("veggie" -> "végétarien").
+ */
+
+// Alias fournis par défaut (clé de comparaison -> tag canonique)
+export const DEFAULT_TAG_ALIASES = {
+    vegetarien: "végétarien",
+    vegetarienne: "végétarien",
+    vegetarian: "végétarien",
+    veggie: "végétarien",
+    vege: "végétarien",
+    vegan: "végan",
+    vegane: "végan",
+    "gluten free": "sans gluten",
+    glutenfree: "sans gluten",
+    "lactose free": "sans lactose",
+    desserts: "dessert"
+};
+
+/**
+ * Forme d'affichage d'un tag : minuscules, espaces superflus retirés
+ */
+export function cleanTag(tag) {
+    return String(tag ?? "").toLowerCase().trim().replace(/\s+/g, " ");
+}
+
+/**
+ * Clé de comparaison d'un tag : sans accents, tirets et soulignés remplacés par des espaces
+ */
+export function tagKey(tag) {
+    return cleanTag(tag)
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .replace(/[-_]+/g, " ")
+        .replace(/\s+/g, " ")
+        .trim();
+}
+
+/**
+ * Normaliser une liste de tags : minuscules, alias résolus, sans doublons (ordre conservé)
+ * @param {Array<string>} tags Tags saisis
+ * @param {Object} aliases Clé de comparaison -> tag canonique (DEFAULT_TAG_ALIASES par défaut)
+ * @returns {Array<string>} Tags canoniques
+ */
+export function normalizeTags(tags, aliases = DEFAULT_TAG_ALIASES) {
+    const result = [];
+    const seen = new Set();
+
+    for (const tag of tags || []) {
+        const cleaned = cleanTag(tag);
+        if (!cleaned) continue;
+
+        const canonical = aliases[tagKey(cleaned)] ?? cleaned;
+        const key = tagKey(canonical);
+        if (!seen.has(key)) {
+            seen.add(key);
+            result.push(canonical);
+        }
+    }
+
+    return result;
+}
@@ -0,0 +1,251 @@
+/**
+ * Registre des unités de mesure et conversions métrique / impérial
+ *
+ * Chaque unité a une dimension (mass, volume, count), un système
+ * (metric, imperial, kitchen pour les mesures de cuisine françaises, neutral)
+ * et un facteur vers l'unité de base de sa dimension (g, ml ou 1).
+ */
+import {normalizeIngredientName} from "./ingredients.mjs";
+
+export const UNIT_SYSTEMS = ["metric", "imperial", "original"];
+
+const UNITS = [
+    // Masse (base : g)
+    {key: "mg", dimension: "mass", system: "metric", factor: 0.001, rounding: "metric", aliases: ["milligramme", "milligrammes"]},
+    {key: "g", dimension: "mass", system: "metric", factor: 1, rounding: "metric", aliases: ["gr", "gramme", "grammes", "gram", "grams"]},
+    {key: "kg", dimension: "mass", system: "metric", factor: 1000, rounding: "decimal", aliases: ["kilo", "kilos", "kilogramme", "kilogrammes"]},
+    {key: "oz", dimension: "mass", system: "imperial", factor: 28.3495, rounding: "quarter", aliases: ["once", "onces", "ounce", "ounces"]},
+    {key: "lb", dimension: "mass", system: "imperial", factor: 453.592, rounding: "quarter", aliases: ["lbs", "livre", "livres", "pound", "pounds"]},
+
+    // Volume (base : ml)
+    {key: "ml", dimension: "volume", system: "metric", factor: 1, rounding: "metric", aliases: ["millilitre", "millilitres"]},
+    {key: "cl", dimension: "volume", system: "metric", factor: 10, rounding: "decimal", aliases: ["centilitre", "centilitres"]},
+    {key: "dl", dimension: "volume", system: "metric", factor: 100, rounding: "decimal", aliases: ["decilitre", "decilitres"]},
+    {key: "l", dimension: "volume", system: "metric", factor: 1000, rounding: "decimal", aliases: ["litre", "litres"]},
+    {key: "tsp", dimension: "volume", system: "imperial", factor: 4.92892, rounding: "spoon", aliases: ["teaspoon", "teaspoons"], equivalents: {metric: "c. à café"}},
+    {key: "tbsp", dimension: "volume", system: "imperial", factor: 14.7868, rounding: "spoon", aliases: ["tablespoon", "tablespoons"], equivalents: {metric: "c. à soupe"}},
+    {key: "fl oz", dimension: "volume", system: "imperial", factor: 29.5735, rounding: "quarter", aliases: ["fluid ounce", "fluid ounces"]},
+    {key: "cup", dimension: "volume", system: "imperial", factor: 236.588, rounding: "quarter", aliases: ["cups"]},
+    {key: "pint", dimension: "volume", system: "imperial", factor: 473.176, rounding: "quarter", aliases: ["pints", "pt"]},
+    {key: "quart", dimension: "volume", system: "imperial", factor: 946.353, rounding: "quarter", aliases: ["quarts", "qt"]},
+
+    // Mesures de cuisine françaises
+    {key: "c. à café", dimension: "volume", system: "kitchen", factor: 5, rounding: "spoon", aliases: ["cuillère à café", "cuillères à café", "cac", "cc", "c à c"], equivalents: {imperial: "tsp"}},
+    {key: "c. à soupe", dimension: "volume", system: "kitchen", factor: 15, rounding: "spoon", aliases: ["cuillère à soupe", "cuillères à soupe", "cas", "cs", "c à s"], equivalents: {imperial: "tbsp"}},
+    {key: "verre", dimension: "volume", system: "kitchen", factor: 200, rounding: "quarter", aliases: ["verres"]},
+    {key: "tasse", dimension: "volume", system: "kitchen", factor: 250, rounding: "quarter", aliases: ["tasses"]},
+    {key: "pincée", dimension: "count", system: "neutral", factor: 1, rounding: "pinch", aliases: ["pincées", "pinch", "pinches"]},
+    {key: "noix", dimension: "count", system: "neutral", factor: 1, rounding: "pinch", aliases: []},
+    {key: "noisette", dimension: "count", system: "neutral", factor: 1, rounding: "pinch", aliases: ["noisettes"]},
+    {key: "trait", dimension: "count", system: "neutral", factor: 1, rounding: "pinch", aliases: ["traits", "dash"]},
+
+    // Éléments comptés
+    {key: "pièce", dimension: "count", system: "neutral", factor: 1, rounding: "count", aliases: ["pièces", "piece", "pieces", "pc", "pcs", "unité", "unités"]},
+    {key: "gousse", dimension: "count", system: "neutral", factor: 1, rounding: "count", aliases: ["gousses", "clove", "cloves"]},
+    {key: "tranche", dimension: "count", system: "neutral", factor: 1, rounding: "count", aliases: ["tranches", "slice", "slices"]},
+    {key: "feuille", dimension: "count", system: "neutral", factor: 1, rounding: "count", aliases: ["feuilles"]},
+    {key: "brin", dimension: "count", system: "neutral", factor: 1, rounding: "count", aliases: ["brins"]},
+    {key: "botte", dimension: "count", system: "neutral", factor: 1, rounding: "count", aliases: ["bottes"]},
+    {key: "sachet", dimension: "count", system: "neutral", factor: 1, rounding: "count", aliases: ["sachets"]},
+    {key: "boîte", dimension: "count", system: "neutral", factor: 1, rounding: "count", aliases: ["boîtes", "can", "cans"]}
+];
+
+// Masse volumique approximative (g/ml) des ingrédients courants
+const DENSITIES = {
+    "farine": 0.53,
+    "sucre": 0.85,
+    "sucre en poudre": 0.85,
+    "sucre glace": 0.5,
+    "cassonade": 0.72,
+    "beurre": 0.91,
+    "lait": 1.03,
+    "creme": 1.0,
+    "creme fraiche": 1.0,
+    "eau": 1.0,
+    "huile": 0.92,
+    "huile d olive": 0.92,
+    "miel": 1.42,
+    "riz": 0.85,
+    "sel": 1.2,
+    "cacao": 0.5,
+    "flocon d avoine": 0.4,
+    "poudre d amande": 0.4,
+    "yaourt": 1.03
+};
+
+// Arrondis par famille d'unités après mise à l'échelle ou conversion
+const ROUNDING = {
+    // g et ml : au demi en dessous de 10, à l'unité jusqu'à 100, puis par 5 et par 10
+    metric: (q) => {
+        if (q < 10) return Math.max(roundTo(q, 0.5), 0.5);
+        if (q < 100) return Math.round(q);
+        if (q < 1000) return roundTo(q, 5);
+        return roundTo(q, 10);
+    },
+    decimal: (q) => Math.max(roundTo(q, q < 1 ? 0.05 : 0.1), 0.05),
+    quarter: (q) => Math.max(roundTo(q, 0.25), 0.25),
+    spoon: (q) => Math.max(roundTo(q, 0.25), 0.25),
+    pinch: (q) => Math.max(Math.round(q), 1),
+    // Éléments comptés : par demi jusqu'à 3, entiers au-delà
+    count: (q) => (q < 3 ? Math.max(roundTo(q, 0.5), 0.5) : Math.round(q))
+};
+
+function roundTo(quantity, step) {
+    return Math.round(Math.round(quantity / step) * step * 1000) / 1000;
+}
+
+/**
+ * Normaliser une unité pour la recherche : minuscules, sans accents ni points
+ */
+function normalizeUnit(unit) {
+    return String(unit)
+        .toLowerCase()
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .replace(/\./g, " ")
+        .replace(/\s+/g, " ")
+        .trim();
+}
+
+const UNIT_INDEX = new Map(
+    UNITS.flatMap(unit => [unit.key, ...unit.aliases].map(alias => [normalizeUnit(alias), unit]))
+);
+
+const UNITS_BY_KEY = new Map(UNITS.map(unit => [unit.key, unit]));
+
+/**
+ * Trouver une unité dans le registre
+ * @param {string} unit Unité libre (ex: "c. à soupe", "Grammes", "tbsp")
+ * @returns {Object|null} Définition de l'unité ou null si inconnue
+ */
+export function findUnit(unit) {
+    if (!unit) return null;
+    return UNIT_INDEX.get(normalizeUnit(unit)) || null;
+}
+
+/**
+ * Arrondir une quantité selon son unité (pas de "0.3333 oeuf")
+ * Les unités inconnues ou absentes sont traitées comme des éléments comptés.
+ * @param {number} quantity Quantité calculée
+ * @param {string} unit Unité de l'ingrédient
+ */
+export function roundQuantity(quantity, unit) {
+    if (!quantity) return quantity;
+    const rounding = findUnit(unit)?.rounding || "count";
+    return ROUNDING[rounding](quantity);
+}
+
+/**
+ * Masse volumique connue d'un ingrédient (g/ml) ou null
+ */
+export function findDensity(ingredientName) {
+    return DENSITIES[normalizeIngredientName(ingredientName)] ?? null;
+}
+
+/**
+ * Choisir l'unité la plus lisible pour une quantité exprimée en unité de base
+ */
+function bestUnit(dimension, system, baseQuantity) {
+    if (system === "metric") {
+        if (dimension === "mass") return baseQuantity >= 1000 ? "kg" : "g";
+        return baseQuantity >= 1000 ? "l" : "ml";
+    }
+    if (dimension === "mass") return baseQuantity >= 453.592 ? "lb" : "oz";
+    if (baseQuantity < 14.7868) return "tsp";
+    if (baseQuantity < 59.147) return "tbsp";
+    return "cup";
+}
+
+/**
+ * Exprimer une quantité en unité de base (g ou ml) dans l'unité la plus lisible
+ * @param {number} baseQuantity Quantité en g ou ml
+ * @param {string} dimension "mass" ou "volume"
+ * @param {string} system "metric" ou "imperial"
+ * @returns {{quantity: number, unit: string}}
+ */
+export function fromBaseQuantity(baseQuantity, dimension, system = "metric") {
+    const unit = UNITS_BY_KEY.get(bestUnit(dimension, system, baseQuantity));
+    return {quantity: roundQuantity(baseQuantity / unit.factor, unit.key), unit: unit.key};
+}
+
+/**
+ * Convertir une quantité d'une unité vers le système demandé
+ * @param {number} quantity Quantité
+ * @param {Object} unit Définition de l'unité (voir findUnit)
+ * @param {string} system "metric" ou "imperial"
+ * @returns {{quantity: number, unit: string}}
+ */
+export function convertQuantity(quantity, unit, system) {
+    if (unit.system === system || unit.system === "neutral" || unit.dimension === "count") {
+        return {quantity, unit: unit.key};
+    }
+    if (system === "metric" && unit.system === "kitchen") {
+        return {quantity, unit: unit.key};
+    }
+
+    // Équivalence directe (tbsp <-> c. à soupe)
+    const equivalent = unit.equivalents?.[system];
+    if (equivalent) {
+        return {quantity, unit: equivalent};
+    }
+
+    const base = quantity * unit.factor;
+    const target = UNITS_BY_KEY.get(bestUnit(unit.dimension, system, base));
+    return {quantity: base / target.factor, unit: target.key};
+}
+
+/**
+ * Convertir les ingrédients d'une recette vers un système d'unités
+ * Les unités inconnues sont conservées telles quelles et signalées.
+ * @param {Object} recipe Recette (JSON)
+ * @param {string} system "metric", "imperial" ou "original"
+ * @param {Object} options - { useDensity: true } convertit volume <-> masse pour les ingrédients connus
+ *                           (en grammes pour le métrique, en volume pour l'impérial)
+ * @returns {Object} Recette convertie avec un bloc "units"
+ */
+export function convertRecipeUnits(recipe, system, options = {}) {
+    const {useDensity = false} = options;
+    const unknownUnits = new Set();
+
+    const ingredients = (recipe.ingredients || []).map(ingredient => {
+        if (!ingredient.unit) return ingredient;
+
+        const unit = findUnit(ingredient.unit);
+        if (!unit) {
+            unknownUnits.add(ingredient.unit);
+            return {...ingredient, unknownUnit: true};
+        }
+        if (system === "original" || typeof ingredient.quantity !== "number") {
+            return ingredient;
+        }
+
+        let quantity = ingredient.quantity;
+        let source = unit;
+
+        // Conversion masse <-> volume grâce à la masse volumique de l'ingrédient
+        const density = useDensity ? findDensity(ingredient.name) : null;
+        if (density && source.dimension === "volume" && system === "metric") {
+            quantity = quantity * source.factor * density;
+            source = UNITS_BY_KEY.get("g");
+        } else if (density && source.dimension === "mass" && system === "imperial") {
+            quantity = quantity * source.factor / density;
+            source = UNITS_BY_KEY.get("ml");
+        }
+
+        const converted = convertQuantity(quantity, source, system);
+        return {
+            ...ingredient,
+            quantity: roundQuantity(converted.quantity, converted.unit),
+            unit: converted.unit
+        };
+    });
+
+    return {
+        ...recipe,
+        ingredients,
+        units: {
+            system,
+            unknownUnits: [...unknownUnits]
+        }
+    };
+}
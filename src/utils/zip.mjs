@@ -0,0 +1,108 @@
+/**
+ * Lecture minimale d'une archive zip (entrées stockées ou compressées en deflate)
+ * Suffisant pour les exports Paprika, sans dépendance supplémentaire.
+ */
+import zlib from "node:zlib";
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// Taille fixe de l'enregistrement de fin + commentaire maximum
+const MAX_END_RECORD_SEARCH = 22 + 0xffff;
+
+const STORED = 0;
+const DEFLATED = 8;
+
+// Taille décompressée maximale : quelques fois la taille maximale d'une requête Lambda (6 Mo),
+// pour qu'une bombe de décompression ne dépasse pas la mémoire de la fonction
+export const MAX_UNCOMPRESSED_SIZE = 32 * 1024 * 1024;
+
+/**
+ * Décompresser avec zlib sans dépasser maxOutputLength octets
+ * @param {Function} decompress zlib.inflateRawSync, zlib.gunzipSync...
+ * @param {Buffer} data Données compressées
+ * @param {number} maxOutputLength Taille décompressée maximale
+ * @returns {Buffer} Données décompressées
+ * @throws {Error} Validation échouée si la taille maximale est dépassée
+ */
+export function decompressLimited(decompress, data, maxOutputLength = MAX_UNCOMPRESSED_SIZE) {
+    try {
+        return decompress(data, {maxOutputLength: Math.max(1, maxOutputLength)});
+    } catch (error) {
+        // RangeError levée par zlib quand la sortie dépasserait maxOutputLength
+        if (error.code === "ERR_BUFFER_TOO_LARGE") {
+            throw new Error(`Validation échouée: le contenu décompressé dépasse ${MAX_UNCOMPRESSED_SIZE / (1024 * 1024)} Mo`);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Vérifier si un buffer commence comme une archive zip
+ */
+export function isZip(buffer) {
+    return buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_FILE_HEADER;
+}
+
+function findEndOfCentralDirectory(buffer) {
+    const min = Math.max(0, buffer.length - MAX_END_RECORD_SEARCH);
+    for (let offset = buffer.length - 22; offset >= min; offset--) {
+        if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+            return offset;
+        }
+    }
+    throw new Error("Archive zip invalide");
+}
+
+/**
+ * Lire toutes les entrées (fichiers) d'une archive zip
+ * @param {Buffer} buffer Contenu de l'archive
+ * @returns {Array<{name: string, data: Buffer}>} Fichiers décompressés (les dossiers sont ignorés)
+ * @throws {Error} Validation échouée si les fichiers décompressés dépassent MAX_UNCOMPRESSED_SIZE au total
+ */
+export function readZipEntries(buffer) {
+    const end = findEndOfCentralDirectory(buffer);
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+
+    const entries = [];
+    let remaining = MAX_UNCOMPRESSED_SIZE;
+    for (let index = 0; index < count; index++) {
+        if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+            throw new Error("Archive zip invalide");
+        }
+
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith("/")) continue;
+
+        // Les longueurs du nom et des extras peuvent différer entre l'en-tête local et le répertoire central
+        const start = localOffset + 30
+            + buffer.readUInt16LE(localOffset + 26)
+            + buffer.readUInt16LE(localOffset + 28);
+        const raw = buffer.subarray(start, start + compressedSize);
+
+        let data;
+        if (method === STORED) {
+            data = raw;
+        } else if (method === DEFLATED) {
+            data = decompressLimited(zlib.inflateRawSync, raw, remaining);
+        } else {
+            throw new Error(`Méthode de compression zip non supportée: ${method}`);
+        }
+
+        remaining -= data.length;
+        entries.push({name, data});
+    }
+
+    return entries;
+}
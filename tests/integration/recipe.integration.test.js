@@ -4,6 +4,12 @@ import mongoose from 'mongoose';
 import Recipe from '../../src/models/Recipe.js';
 import recipeService from '../../src/services/recipeService.js';
 import recipeController from '../../src/controllers/recipeController.js';
+import { compose, createContext } from '../../src/utils/router.js';
+import { errorHandler } from '../../src/middleware/errorHandler.js';
+import { jsonBody } from '../../src/middleware/jsonBody.js';
+
+// Exécuter une méthode du controller derrière les middlewares dont il dépend (corps JSON, conversion des erreurs)
+const invoke = (method, event) => compose([errorHandler(), jsonBody()], (ctx) => recipeController[method](ctx.event, ctx))(createContext(event));
 
 /**
  * Vrais tests d'intégration avec MongoDB en mémoire
@@ -57,7 +63,7 @@ describe('Integration Tests - Recipe API with Real MongoDB', () => {
                 body: JSON.stringify(recipeData)
             };
 
-            const response = await recipeController.createRecipe(event);
+            const response = await invoke('createRecipe', event);
 
             // Vérifier la réponse HTTP
             expect(response.statusCode).toBe(200);
@@ -90,7 +96,7 @@ describe('Integration Tests - Recipe API with Real MongoDB', () => {
                 body: JSON.stringify(incompleteData)
             };
 
-            const response = await recipeController.createRecipe(event);
+            const response = await invoke('createRecipe', event);
 
             expect(response.statusCode).toBe(400);
             const body = JSON.parse(response.body);
@@ -115,7 +121,7 @@ describe('Integration Tests - Recipe API with Real MongoDB', () => {
                 body: JSON.stringify(recipeData)
             };
 
-            const response = await recipeController.createRecipe(event);
+            const response = await invoke('createRecipe', event);
 
             expect(response.statusCode).toBe(400);
             const body = JSON.parse(response.body);
@@ -144,7 +150,7 @@ describe('Integration Tests - Recipe API with Real MongoDB', () => {
                 body: JSON.stringify(recipeData)
             };
 
-            const response = await recipeController.createRecipe(event);
+            const response = await invoke('createRecipe', event);
 
             expect(response.statusCode).toBe(200);
             const body = JSON.parse(response.body);
@@ -185,7 +191,7 @@ describe('Integration Tests - Recipe API with Real MongoDB', () => {
                 }
             };
 
-            const response = await recipeController.getRecipe(event);
+            const response = await invoke('getRecipe', event);
 
             expect(response.statusCode).toBe(200);
             const body = JSON.parse(response.body);
@@ -203,7 +209,7 @@ describe('Integration Tests - Recipe API with Real MongoDB', () => {
                 }
             };
 
-            const response = await recipeController.getRecipe(event);
+            const response = await invoke('getRecipe', event);
 
             expect(response.statusCode).toBe(400);
             const body = JSON.parse(response.body);
@@ -217,7 +223,7 @@ describe('Integration Tests - Recipe API with Real MongoDB', () => {
                 }
             };
 
-            const response = await recipeController.getRecipe(event);
+            const response = await invoke('getRecipe', event);
 
             expect(response.statusCode).toBe(400);
             const body = JSON.parse(response.body);
@@ -263,7 +269,7 @@ describe('Integration Tests - Recipe API with Real MongoDB', () => {
                 queryStringParameters: null
             };
 
-            const response = await recipeController.getAllRecipes(event);
+            const response = await invoke('getAllRecipes', event);
 
             expect(response.statusCode).toBe(200);
             const body = JSON.parse(response.body);
@@ -278,7 +284,7 @@ describe('Integration Tests - Recipe API with Real MongoDB', () => {
                 }
             };
 
-            const response = await recipeController.getAllRecipes(event);
+            const response = await invoke('getAllRecipes', event);
 
             expect(response.statusCode).toBe(200);
             const body = JSON.parse(response.body);
@@ -293,7 +299,7 @@ describe('Integration Tests - Recipe API with Real MongoDB', () => {
                 }
             };
 
-            const response = await recipeController.getAllRecipes(event);
+            const response = await invoke('getAllRecipes', event);
 
             expect(response.statusCode).toBe(200);
             const body = JSON.parse(response.body);
@@ -309,7 +315,7 @@ describe('Integration Tests - Recipe API with Real MongoDB', () => {
                 }
             };
 
-            const response = await recipeController.getAllRecipes(event);
+            const response = await invoke('getAllRecipes', event);
 
             expect(response.statusCode).toBe(200);
             const body = JSON.parse(response.body);
@@ -325,7 +331,7 @@ describe('Integration Tests - Recipe API with Real MongoDB', () => {
                 }
             };
 
-            const response = await recipeController.getAllRecipes(event);
+            const response = await invoke('getAllRecipes', event);
 
             expect(response.statusCode).toBe(200);
             const body = JSON.parse(response.body);
@@ -341,7 +347,7 @@ describe('Integration Tests - Recipe API with Real MongoDB', () => {
                 }
             };
 
-            const response = await recipeController.getAllRecipes(event);
+            const response = await invoke('getAllRecipes', event);
 
             expect(response.statusCode).toBe(200);
             const body = JSON.parse(response.body);
@@ -369,7 +375,7 @@ describe('Integration Tests - Recipe API with Real MongoDB', () => {
                 })
             };
 
-            const createResponse = await recipeController.createRecipe(createEvent);
+            const createResponse = await invoke('createRecipe', createEvent);
             expect(createResponse.statusCode).toBe(200);
             const createdRecipe = JSON.parse(createResponse.body).data;
 
@@ -380,7 +386,7 @@ describe('Integration Tests - Recipe API with Real MongoDB', () => {
                 }
             };
 
-            const getResponse = await recipeController.getRecipe(getEvent);
+            const getResponse = await invoke('getRecipe', getEvent);
             expect(getResponse.statusCode).toBe(200);
             const retrievedRecipe = JSON.parse(getResponse.body).data;
             expect(retrievedRecipe.title).toBe('Quiche Lorraine');
@@ -390,7 +396,7 @@ describe('Integration Tests - Recipe API with Real MongoDB', () => {
                 queryStringParameters: null
             };
 
-            const listResponse = await recipeController.getAllRecipes(listEvent);
+            const listResponse = await invoke('getAllRecipes', listEvent);
             expect(listResponse.statusCode).toBe(200);
             const allRecipes = JSON.parse(listResponse.body);
             expect(allRecipes.count).toBe(1);
@@ -0,0 +1,162 @@
+import { jest } from '@jest/globals';
+import { compose, createContext } from '../../src/utils/router.js';
+import { errorHandler } from '../../src/middleware/errorHandler.js';
+import { jsonBody } from '../../src/middleware/jsonBody.js';
+import crypto from 'node:crypto';
+import ApiKey from '../../src/models/ApiKey.js';
+
+// Mock des méthodes du modèle
+const mockSave = jest.fn();
+const mockFind = jest.fn();
+const mockFindOneAndUpdate = jest.fn();
+
+ApiKey.prototype.save = mockSave;
+ApiKey.find = mockFind;
+ApiKey.findOneAndUpdate = mockFindOneAndUpdate;
+
+// Import des modules après le mock
+const { default: apiKeyService } = await import('../../src/services/apiKeyService.js');
+const { default: apiKeyController } = await import('../../src/controllers/apiKeyController.js');
+
+// Appeler le controller derrière errorHandler et jsonBody, comme le router
+const invoke = (method, event) => compose([errorHandler(), jsonBody()], (ctx) => apiKeyController[method](ctx.event, ctx))(createContext(event));
+
+const editor = { id: 'user-1', roles: ['editor'] };
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const leanResult = (value) => ({ lean: jest.fn().mockResolvedValue(value) });
+
+describe('Unit Tests - ApiKeyService', () => {
+
+    beforeEach(() => {
+        mockSave.mockImplementation(function() {
+            return this.validate();
+        });
+    });
+
+    describe('createApiKey', () => {
+        it('should return the key once and store only its hash', async () => {
+            const { apiKey, key } = await apiKeyService.createApiKey(editor, {
+                name: 'Import nocturne',
+                scopes: ['recipes:read', 'recipes:write', 'recipes:read']
+            });
+
+            expect(key).toMatch(/^rk_[A-Za-z0-9_-]{43}$/);
+            expect(apiKey).not.toHaveProperty('hash');
+            expect(apiKey.prefix).toBe(key.slice(0, 10));
+            expect(apiKey.scopes).toEqual(['recipes:read', 'recipes:write']);
+            expect(apiKey).toMatchObject({ ownerId: 'user-1', roles: ['editor'], expiresAt: null, lastUsedAt: null });
+
+            const saved = mockSave.mock.contexts[0];
+            expect(saved.hash).toBe(sha256(key));
+        });
+
+        it('should refuse scopes beyond the roles of the user', async () => {
+            await expect(apiKeyService.createApiKey(editor, { name: 'Photos', scopes: ['uploads:write'] }))
+                .rejects.toThrow('Accès refusé: le scope uploads:write demande le rôle admin');
+            expect(mockSave).not.toHaveBeenCalled();
+        });
+
+        it('should report unknown scopes and past expiry dates', async () => {
+            await expect(apiKeyService.createApiKey(editor, { name: 'Domotique', scopes: ['recipes:delete'] }))
+                .rejects.toThrow('Validation échouée: Scope inconnu: recipes:delete');
+            await expect(apiKeyService.createApiKey(editor, {
+                name: 'Domotique',
+                scopes: ['recipes:read'],
+                expiresAt: new Date(Date.now() - 1000)
+            })).rejects.toThrow('Validation échouée: La date d\'expiration doit être dans le futur');
+        });
+    });
+
+    describe('authenticate', () => {
+        it('should find a valid key by hash and record its use', async () => {
+            mockFindOneAndUpdate.mockReturnValue(leanResult({
+                _id: '507f1f77bcf86cd799439011',
+                name: 'Import nocturne',
+                ownerId: 'user-1',
+                roles: ['editor'],
+                scopes: ['recipes:read']
+            }));
+
+            const user = await apiKeyService.authenticate('rk_secret');
+
+            expect(user).toEqual({
+                id: 'user-1',
+                username: 'api-key:Import nocturne',
+                roles: ['editor'],
+                scopes: ['recipes:read'],
+                apiKeyId: '507f1f77bcf86cd799439011'
+            });
+            const [filter, update] = mockFindOneAndUpdate.mock.calls[0];
+            expect(filter.hash).toBe(sha256('rk_secret'));
+            expect(filter.revokedAt).toBeNull();
+            expect(filter.$or[0]).toEqual({ expiresAt: null });
+            expect(update.$set.lastUsedAt).toBeInstanceOf(Date);
+        });
+
+        it('should reject unknown, expired or revoked keys', async () => {
+            mockFindOneAndUpdate.mockReturnValue(leanResult(null));
+
+            await expect(apiKeyService.authenticate('rk_revoked'))
+                .rejects.toThrow('Authentification refusée: clé d\'API invalide, expirée ou révoquée');
+        });
+    });
+
+    describe('revokeApiKey', () => {
+        it('should revoke only the keys of the user', async () => {
+            mockFindOneAndUpdate.mockResolvedValue(null);
+
+            const result = await apiKeyService.revokeApiKey('507f1f77bcf86cd799439011', { ownerId: 'user-2' });
+
+            expect(result).toBeNull();
+            const [filter, update] = mockFindOneAndUpdate.mock.calls[0];
+            expect(filter).toEqual({ _id: '507f1f77bcf86cd799439011', revokedAt: null, ownerId: 'user-2' });
+            expect(update.$set.revokedAt).toBeInstanceOf(Date);
+        });
+    });
+
+    describe('ApiKeyController', () => {
+        it('should create a key and return it in the response', async () => {
+            const response = await invoke('createApiKey', {
+                user: editor,
+                body: JSON.stringify({ name: 'Domotique', scopes: ['recipes:read'], expiresAt: '2099-01-01T00:00:00Z' })
+            });
+
+            expect(response.statusCode).toBe(201);
+            const body = JSON.parse(response.body);
+            expect(body.key).toMatch(/^rk_/);
+            expect(body.data.expiresAt).toBe('2099-01-01T00:00:00.000Z');
+        });
+
+        it('should validate the request body', async () => {
+            const noScopes = await invoke('createApiKey', { user: editor, body: JSON.stringify({ name: 'X' }) });
+            const badDate = await invoke('createApiKey', {
+                user: editor,
+                body: JSON.stringify({ name: 'X', scopes: ['recipes:read'], expiresAt: 'demain' })
+            });
+
+            expect(noScopes.statusCode).toBe(400);
+            expect(badDate.statusCode).toBe(400);
+        });
+
+        it('should return 403 when a scope exceeds the roles of the user', async () => {
+            const response = await invoke('createApiKey', {
+                user: { id: 'user-1', roles: ['viewer'] },
+                body: JSON.stringify({ name: 'X', scopes: ['recipes:write'] })
+            });
+
+            expect(response.statusCode).toBe(403);
+        });
+
+        it('should let admins revoke any key', async () => {
+            mockFindOneAndUpdate.mockResolvedValue({ toJSON: () => ({ id: '507f1f77bcf86cd799439011' }) });
+
+            const response = await invoke('revokeApiKey', {
+                user: { id: 'admin-1', roles: ['admin'] },
+                pathParameters: { id: '507f1f77bcf86cd799439011' }
+            });
+
+            expect(response.statusCode).toBe(204);
+            expect(mockFindOneAndUpdate.mock.calls[0][0]).not.toHaveProperty('ownerId');
+        });
+    });
+});
@@ -0,0 +1,135 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { authenticate, resetAuthCache } from '../../src/utils/auth.mjs';
+import { verifyJwt } from '../../src/utils/jwt.mjs';
+
+const ISSUER = 'https://cognito-idp.eu-west-3.amazonaws.com/eu-west-3_test';
+const AUDIENCE = 'recipekeeper-client';
+
+// Paire de clés de test : la clé publique est servie par un JWKS local (JWKS_FILE)
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwksFile = path.join(os.tmpdir(), `recipekeeper-jwks-${process.pid}.json`);
+fs.writeFileSync(jwksFile, JSON.stringify({
+    keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test-key', use: 'sig', alg: 'RS256' }]
+}));
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function sign(claims = {}, { kid = 'test-key', alg = 'RS256', key = privateKey } = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    const payload = {
+        sub: 'user-1',
+        iss: ISSUER,
+        client_id: AUDIENCE,
+        token_use: 'access',
+        'cognito:username': 'alice',
+        'cognito:groups': ['cooks'],
+        iat: now,
+        exp: now + 3600,
+        ...claims
+    };
+    const signingInput = `${encode({ alg, kid, typ: 'JWT' })}.${encode(payload)}`;
+    const signature = crypto.sign('RSA-SHA256', Buffer.from(signingInput), key).toString('base64url');
+    return `${signingInput}.${signature}`;
+}
+
+const eventWith = (token) => ({ headers: { Authorization: `Bearer ${token}` } });
+
+describe('Unit Tests - Auth', () => {
+
+    beforeAll(() => {
+        process.env.JWKS_FILE = jwksFile;
+        process.env.JWT_ISSUER = ISSUER;
+        process.env.JWT_AUDIENCE = AUDIENCE;
+    });
+
+    beforeEach(() => {
+        resetAuthCache();
+    });
+
+    afterAll(() => {
+        delete process.env.JWKS_FILE;
+        delete process.env.JWT_ISSUER;
+        delete process.env.JWT_AUDIENCE;
+        fs.rmSync(jwksFile, { force: true });
+    });
+
+    describe('authenticate', () => {
+        it('should return the user of a valid token', async () => {
+            const user = await authenticate(eventWith(sign()));
+
+            expect(user).toMatchObject({ id: 'user-1', username: 'alice', groups: ['cooks'] });
+            expect(user.claims.iss).toBe(ISSUER);
+        });
+
+        it('should accept the audience from aud (ID tokens)', async () => {
+            const user = await authenticate(eventWith(sign({ client_id: undefined, aud: AUDIENCE })));
+
+            expect(user.id).toBe('user-1');
+        });
+
+        it('should require a bearer token', async () => {
+            await expect(authenticate({ headers: {} })).rejects.toThrow('Authentification requise');
+            await expect(authenticate({ headers: { authorization: 'Basic YWxpY2U6c2VjcmV0' } }))
+                .rejects.toThrow('Authentification requise');
+        });
+
+        it('should reject expired tokens', async () => {
+            const past = Math.floor(Date.now() / 1000) - 3600;
+
+            await expect(authenticate(eventWith(sign({ exp: past }))))
+                .rejects.toThrow(/^Authentification refusée: .*expiré/);
+        });
+
+        it('should reject another issuer or audience', async () => {
+            await expect(authenticate(eventWith(sign({ iss: 'https://example.com' }))))
+                .rejects.toThrow('Authentification refusée');
+            await expect(authenticate(eventWith(sign({ client_id: 'autre-client' }))))
+                .rejects.toThrow('Authentification refusée');
+        });
+
+        it('should reject a token signed with another key', async () => {
+            const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+            await expect(authenticate(eventWith(sign({}, { key: otherKey }))))
+                .rejects.toThrow('Authentification refusée');
+            await expect(authenticate(eventWith(sign({}, { kid: 'unknown-key' }))))
+                .rejects.toThrow('clé de signature inconnue');
+        });
+
+        it('should read the roles from the configured claim', async () => {
+            expect((await authenticate(eventWith(sign()))).roles).toEqual(['viewer']);
+            expect((await authenticate(eventWith(sign({ 'cognito:groups': ['Admin', 'cooks'] })))).roles).toEqual(['admin']);
+
+            process.env.JWT_ROLES_CLAIM = 'custom:roles';
+            resetAuthCache();
+            try {
+                const user = await authenticate(eventWith(sign({ 'custom:roles': 'viewer editor' })));
+                expect(user.roles).toEqual(['viewer', 'editor']);
+            } finally {
+                delete process.env.JWT_ROLES_CLAIM;
+            }
+        });
+
+        it('should reject malformed tokens', async () => {
+            await expect(authenticate(eventWith('pas.un-jeton')))
+                .rejects.toThrow('Authentification refusée: Jeton mal formé');
+        });
+    });
+
+    describe('verifyJwt', () => {
+        it('should only accept RS256', () => {
+            expect(() => verifyJwt(sign({}, { alg: 'HS256' }), { key: publicKey, issuer: ISSUER }))
+                .toThrow('Algorithme de signature non supporté: HS256');
+        });
+
+        it('should tolerate a small clock skew', () => {
+            const now = Math.floor(Date.now() / 1000);
+
+            expect(verifyJwt(sign({ exp: now - 30 }), { key: publicKey, issuer: ISSUER }).sub).toBe('user-1');
+            expect(() => verifyJwt(sign({ nbf: now + 3600 }), { key: publicKey, issuer: ISSUER })).toThrow();
+        });
+    });
+});
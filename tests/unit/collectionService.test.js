@@ -0,0 +1,311 @@
+import { jest } from '@jest/globals';
+import { compose, createContext } from '../../src/utils/router.js';
+import { errorHandler } from '../../src/middleware/errorHandler.js';
+import { jsonBody } from '../../src/middleware/jsonBody.js';
+import Collection from '../../src/models/Collection.js';
+import Recipe from '../../src/models/Recipe.js';
+
+// Mock des méthodes des modèles
+const mockSave = jest.fn();
+const mockFindOne = jest.fn();
+const mockFindOneAndUpdate = jest.fn();
+const mockExists = jest.fn();
+const mockUpdateMany = jest.fn();
+const mockFind = jest.fn();
+const mockDeleteOne = jest.fn();
+const mockRecipeExists = jest.fn();
+const mockRecipeFind = jest.fn();
+
+Collection.prototype.save = mockSave;
+Collection.findOne = mockFindOne;
+Collection.findOneAndUpdate = mockFindOneAndUpdate;
+Collection.exists = mockExists;
+Collection.updateMany = mockUpdateMany;
+Collection.find = mockFind;
+Collection.deleteOne = mockDeleteOne;
+Recipe.exists = mockRecipeExists;
+Recipe.find = mockRecipeFind;
+
+// Import des modules après le mock
+const { default: collectionService } = await import('../../src/services/collectionService.js');
+const { default: collectionController } = await import('../../src/controllers/collectionController.js');
+
+// Appeler le controller derrière errorHandler et jsonBody, comme le router
+const invoke = (method, event) => compose([errorHandler(), jsonBody()], (ctx) => collectionController[method](ctx.event, ctx))(createContext(event));
+
+const COLLECTION_ID = '507f1f77bcf86cd799439011';
+const RECIPE_A = '507f1f77bcf86cd799439021';
+const RECIPE_B = '507f1f77bcf86cd799439022';
+const RECIPE_C = '507f1f77bcf86cd799439023';
+
+const query = (result) => ({
+    select: jest.fn().mockReturnThis(),
+    lean: jest.fn().mockResolvedValue(result)
+});
+
+const collectionDoc = (recipes) => ({
+    toJSON: () => ({ id: COLLECTION_ID, name: 'Noël', recipes })
+});
+
+describe('Unit Tests - CollectionService', () => {
+
+    beforeEach(() => {
+        // save() valide le document comme le ferait Mongoose, sans l'écrire
+        mockSave.mockImplementation(function() {
+            return this.validate();
+        });
+        mockRecipeExists.mockResolvedValue({ _id: RECIPE_A });
+        mockExists.mockResolvedValue({ _id: COLLECTION_ID });
+    });
+
+    describe('createCollection', () => {
+        it('should create a collection with unique recipes in order', async () => {
+            const collection = await collectionService.createCollection({
+                name: 'Noël',
+                recipes: [RECIPE_B, RECIPE_A, RECIPE_B]
+            });
+
+            expect(mockSave).toHaveBeenCalled();
+            expect(collection.recipes.map(String)).toEqual([RECIPE_B, RECIPE_A]);
+        });
+
+        it('should reject unknown or trashed recipes', async () => {
+            mockRecipeExists.mockResolvedValue(null);
+
+            await expect(collectionService.createCollection({ name: 'Noël', recipes: [RECIPE_A] }))
+                .rejects.toThrow(`Recette non trouvée: ${RECIPE_A}`);
+            expect(mockRecipeExists).toHaveBeenCalledWith({ _id: RECIPE_A, deletedAt: null });
+        });
+
+        it('should only accept recipes visible to the user', async () => {
+            mockRecipeExists.mockResolvedValue(null);
+
+            await expect(collectionService.createCollection({ name: 'Noël', recipes: [RECIPE_A] }, { viewerId: 'user-1' }))
+                .rejects.toThrow(`Recette non trouvée: ${RECIPE_A}`);
+            expect(mockRecipeExists).toHaveBeenCalledWith({ _id: RECIPE_A, deletedAt: null, ...Recipe.visibleTo('user-1') });
+        });
+
+        it('should report schema errors', async () => {
+            await expect(collectionService.createCollection({ name: '' }))
+                .rejects.toThrow('Validation échouée');
+        });
+    });
+
+    describe('addRecipe', () => {
+        it('should push the recipe at the requested position unless already present', async () => {
+            mockFindOneAndUpdate.mockResolvedValue(collectionDoc([RECIPE_A, RECIPE_B]));
+
+            await collectionService.addRecipe(COLLECTION_ID, RECIPE_A, 0);
+
+            const [filter, update] = mockFindOneAndUpdate.mock.calls[0];
+            expect(filter).toEqual({ _id: COLLECTION_ID, recipes: { $ne: RECIPE_A } });
+            expect(update).toEqual({ $push: { recipes: { $each: [RECIPE_A], $position: 0 } } });
+        });
+
+        it('should not add a private recipe of another user', async () => {
+            mockRecipeExists.mockResolvedValue(null);
+
+            await expect(collectionService.addRecipe(COLLECTION_ID, RECIPE_A, undefined, { viewerId: 'user-2' }))
+                .rejects.toThrow('Recette non trouvée');
+            expect(mockRecipeExists).toHaveBeenCalledWith({ _id: RECIPE_A, deletedAt: null, ...Recipe.visibleTo('user-2') });
+            expect(mockFindOneAndUpdate).not.toHaveBeenCalled();
+        });
+
+        it('should report a recipe that is already a member', async () => {
+            mockFindOneAndUpdate.mockResolvedValue(null);
+
+            await expect(collectionService.addRecipe(COLLECTION_ID, RECIPE_A))
+                .rejects.toThrow('fait déjà partie');
+        });
+
+        it('should return null for an unknown collection', async () => {
+            mockFindOneAndUpdate.mockResolvedValue(null);
+            mockExists.mockResolvedValue(null);
+
+            expect(await collectionService.addRecipe(COLLECTION_ID, RECIPE_A)).toBeNull();
+        });
+    });
+
+    describe('reorderRecipes', () => {
+        it('should only replace the order when the same recipes are given', async () => {
+            mockFindOneAndUpdate.mockResolvedValue(collectionDoc([RECIPE_B, RECIPE_A]));
+
+            const collection = await collectionService.reorderRecipes(COLLECTION_ID, [RECIPE_B, RECIPE_A]);
+
+            expect(collection.recipes).toEqual([RECIPE_B, RECIPE_A]);
+            const [filter, update] = mockFindOneAndUpdate.mock.calls[0];
+            expect(filter).toEqual({ _id: COLLECTION_ID, recipes: { $size: 2, $all: [RECIPE_B, RECIPE_A] } });
+            expect(update).toEqual({ $set: { recipes: [RECIPE_B, RECIPE_A] } });
+        });
+
+        it('should reject a list that does not match the collection', async () => {
+            mockFindOneAndUpdate.mockResolvedValue(null);
+
+            await expect(collectionService.reorderRecipes(COLLECTION_ID, [RECIPE_A, RECIPE_C]))
+                .rejects.toThrow('nouvel ordre');
+            await expect(collectionService.reorderRecipes(COLLECTION_ID, [RECIPE_A, RECIPE_A]))
+                .rejects.toThrow('nouvel ordre');
+        });
+    });
+
+    describe('getCollectionRecipes', () => {
+        it('should return a page of recipes in collection order, skipping trashed ones', async () => {
+            mockFindOne.mockResolvedValue(collectionDoc([RECIPE_A, RECIPE_B, RECIPE_C]));
+            mockRecipeFind
+                .mockReturnValueOnce(query([{ _id: RECIPE_A }, { _id: RECIPE_B }, { _id: RECIPE_C }]))
+                .mockReturnValueOnce(query([{ _id: RECIPE_C, title: 'C' }, { _id: RECIPE_B, title: 'B' }]));
+
+            const page = await collectionService.getCollectionRecipes(COLLECTION_ID, { limit: 2, skip: 1 });
+
+            expect(mockRecipeFind).toHaveBeenLastCalledWith({ _id: { $in: [RECIPE_B, RECIPE_C] }, deletedAt: null });
+            expect(page.recipes.map(recipe => recipe.title)).toEqual(['B', 'C']);
+            expect(page.total).toBe(3);
+        });
+
+        it('should count and paginate only the recipes the user can see', async () => {
+            mockFindOne.mockResolvedValue(collectionDoc([RECIPE_A, RECIPE_B, RECIPE_C]));
+            // RECIPE_B est une recette privée d'un autre utilisateur
+            mockRecipeFind
+                .mockReturnValueOnce(query([{ _id: RECIPE_A }, { _id: RECIPE_C }]))
+                .mockReturnValueOnce(query([{ _id: RECIPE_C, title: 'C' }]));
+
+            const page = await collectionService.getCollectionRecipes(COLLECTION_ID, { limit: 1, skip: 1, viewerId: 'user-1' });
+
+            expect(mockRecipeFind.mock.calls[0][0]).toEqual({
+                _id: { $in: [RECIPE_A, RECIPE_B, RECIPE_C] },
+                deletedAt: null,
+                ...Recipe.visibleTo('user-1')
+            });
+            expect(page.recipes.map(recipe => recipe.title)).toEqual(['C']);
+            expect(page.total).toBe(2);
+        });
+
+        it('should return null for an unknown collection', async () => {
+            mockFindOne.mockResolvedValue(null);
+
+            expect(await collectionService.getCollectionRecipes(COLLECTION_ID)).toBeNull();
+        });
+    });
+
+    describe('removeRecipesEverywhere', () => {
+        it('should pull the recipes from every collection', async () => {
+            mockUpdateMany.mockResolvedValue({ modifiedCount: 2 });
+
+            expect(await collectionService.removeRecipesEverywhere([RECIPE_A])).toBe(2);
+            expect(mockUpdateMany).toHaveBeenCalledWith(
+                { recipes: { $in: [RECIPE_A] } },
+                { $pull: { recipes: { $in: [RECIPE_A] } } }
+            );
+        });
+    });
+
+    describe('ownership', () => {
+        const editor = (id) => ({ id, roles: ['editor'] });
+        const admin = { id: 'admin-1', roles: ['admin'] };
+
+        it('should record the owner of a new collection', async () => {
+            const response = await invoke('createCollection', {
+                user: editor('user-1'),
+                body: JSON.stringify({ name: 'Noël' })
+            });
+
+            expect(response.statusCode).toBe(201);
+            expect(JSON.parse(response.body).data.ownerId).toBe('user-1');
+        });
+
+        it('should only list the collections of the user, and all of them for admins', async () => {
+            mockFind.mockReturnValue({
+                sort: jest.fn().mockReturnThis(),
+                limit: jest.fn().mockReturnThis(),
+                skip: jest.fn().mockReturnThis(),
+                lean: jest.fn().mockResolvedValue([])
+            });
+
+            await invoke('getAllCollections', { user: editor('user-2') });
+            await invoke('getAllCollections', { user: admin });
+
+            expect(mockFind.mock.calls[0][0]).toEqual({ ownerId: 'user-2' });
+            expect(mockFind.mock.calls[1][0]).toEqual({});
+        });
+
+        it('should return 404 to another editor reading, changing or deleting the collection', async () => {
+            mockFindOne.mockResolvedValue(null);
+            mockFindOneAndUpdate.mockResolvedValue(null);
+            mockDeleteOne.mockResolvedValue({ deletedCount: 0 });
+            mockExists.mockResolvedValue(null);
+            const event = (extra) => ({ user: editor('user-2'), pathParameters: { id: COLLECTION_ID }, ...extra });
+
+            const responses = [
+                await invoke('getCollection', event()),
+                await invoke('updateCollection', event({ body: JSON.stringify({ name: 'Volée' }) })),
+                await invoke('deleteCollection', event()),
+                await invoke('getCollectionRecipes', event()),
+                await invoke('addRecipe', event({ body: JSON.stringify({ recipeId: RECIPE_A }) })),
+                await invoke('reorderRecipes', event({ body: JSON.stringify({ recipes: [] }) })),
+                await invoke('removeRecipe', event({ pathParameters: { id: COLLECTION_ID, recipeId: RECIPE_A } }))
+            ];
+
+            expect(responses.map(response => response.statusCode)).toEqual([404, 404, 404, 404, 404, 404, 404]);
+            expect(mockFindOne).toHaveBeenCalledWith({ _id: COLLECTION_ID, ownerId: 'user-2' });
+            expect(mockDeleteOne).toHaveBeenCalledWith({ _id: COLLECTION_ID, ownerId: 'user-2' });
+            for (const [filter] of mockFindOneAndUpdate.mock.calls) {
+                expect(filter.ownerId).toBe('user-2');
+            }
+        });
+    });
+
+    describe('CollectionController', () => {
+        it('should return 409 when the recipe is already in the collection', async () => {
+            mockFindOneAndUpdate.mockResolvedValue(null);
+
+            const response = await invoke('addRecipe', {
+                pathParameters: { id: COLLECTION_ID },
+                body: JSON.stringify({ recipeId: RECIPE_A })
+            });
+
+            expect(response.statusCode).toBe(409);
+        });
+
+        it('should return 400 for a body that is not valid JSON', async () => {
+            const response = await invoke('createCollection', { body: '{"name": "Noël"' });
+
+            expect(response.statusCode).toBe(400);
+            expect(JSON.parse(response.body).error).toBe('Le corps de la requête doit être du JSON valide');
+            expect(mockSave).not.toHaveBeenCalled();
+        });
+
+        it('should return 400 for an unknown recipe', async () => {
+            mockRecipeExists.mockResolvedValue(null);
+
+            const response = await invoke('addRecipe', {
+                pathParameters: { id: COLLECTION_ID },
+                body: JSON.stringify({ recipeId: RECIPE_A })
+            });
+
+            expect(response.statusCode).toBe(400);
+        });
+
+        it('should return 400 for an invalid position', async () => {
+            const response = await invoke('addRecipe', {
+                pathParameters: { id: COLLECTION_ID },
+                body: JSON.stringify({ recipeId: RECIPE_A, position: -1 })
+            });
+
+            expect(response.statusCode).toBe(400);
+        });
+
+        it('should paginate the collection recipes', async () => {
+            mockFindOne.mockResolvedValue(collectionDoc([RECIPE_A]));
+            mockRecipeFind.mockReturnValue(query([{ _id: RECIPE_A, title: 'A' }]));
+
+            const response = await invoke('getCollectionRecipes', {
+                pathParameters: { id: COLLECTION_ID },
+                queryStringParameters: { limit: '10' }
+            });
+            const body = JSON.parse(response.body);
+
+            expect(response.statusCode).toBe(200);
+            expect(body).toMatchObject({ count: 1, total: 1 });
+        });
+    });
+});
@@ -0,0 +1,132 @@
+import { jest } from '@jest/globals';
+import IdempotencyKey from '../../src/models/IdempotencyKey.js';
+
+// Mock des méthodes du modèle
+const mockFindOneAndUpdate = jest.fn();
+const mockUpdateOne = jest.fn();
+const mockDeleteOne = jest.fn();
+
+IdempotencyKey.findOneAndUpdate = mockFindOneAndUpdate;
+IdempotencyKey.updateOne = mockUpdateOne;
+IdempotencyKey.deleteOne = mockDeleteOne;
+
+// Import du service après le mock
+const { default: idempotencyService } = await import('../../src/services/idempotencyService.js');
+
+const leanResult = (value) => ({ lean: jest.fn().mockResolvedValue(value) });
+const event = (body) => ({
+    requestContext: { http: { method: 'POST', path: '/recipes' } },
+    user: { id: 'user-1' },
+    body
+});
+const createdResponse = { statusCode: 201, headers: { 'Content-Type': 'application/json' }, body: '{"data":{"id":"r1"}}' };
+const inOneMinute = () => new Date(Date.now() + 60 * 1000);
+
+describe('Unit Tests - IdempotencyService', () => {
+
+    beforeEach(() => {
+        mockUpdateOne.mockResolvedValue({ modifiedCount: 1 });
+        mockDeleteOne.mockResolvedValue({ deletedCount: 1 });
+    });
+
+    it('should run the first request and store its response', async () => {
+        mockFindOneAndUpdate.mockReturnValue(leanResult(null));
+        const handler = jest.fn().mockResolvedValue(createdResponse);
+
+        const response = await idempotencyService.execute(event('{"title":"Tarte"}'), 'key-1', handler);
+
+        expect(response).toBe(createdResponse);
+        expect(handler).toHaveBeenCalledTimes(1);
+        const [filter, update, options] = mockFindOneAndUpdate.mock.calls[0];
+        expect(filter).toEqual({ ownerId: 'user-1', key: 'key-1' });
+        expect(update.$setOnInsert.state).toBe('pending');
+        expect(options).toMatchObject({ upsert: true, returnDocument: 'before' });
+
+        const [completedFilter, completion] = mockUpdateOne.mock.calls[0];
+        expect(completedFilter).toEqual({ ownerId: 'user-1', key: 'key-1', state: 'pending' });
+        expect(completion.$set).toMatchObject({
+            state: 'completed',
+            response: { statusCode: 201, headers: createdResponse.headers, body: createdResponse.body, isBase64Encoded: false }
+        });
+        // 24 heures par défaut
+        expect(completion.$set.expiresAt.getTime()).toBeGreaterThan(Date.now() + 23 * 60 * 60 * 1000);
+    });
+
+    it('should replay the stored response without running the handler', async () => {
+        mockFindOneAndUpdate.mockReturnValueOnce(leanResult(null));
+        const handler = jest.fn().mockResolvedValue(createdResponse);
+        await idempotencyService.execute(event('{"title":"Tarte"}'), 'key-1', handler);
+        const { requestHash } = mockFindOneAndUpdate.mock.calls[0][1].$setOnInsert;
+
+        mockFindOneAndUpdate.mockReturnValue(leanResult({
+            requestHash,
+            state: 'completed',
+            response: createdResponse,
+            expiresAt: inOneMinute()
+        }));
+        const replayed = await idempotencyService.execute(event('{"title":"Tarte"}'), 'key-1', handler);
+
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(replayed.statusCode).toBe(201);
+        expect(replayed.body).toBe(createdResponse.body);
+        expect(replayed.headers['Idempotent-Replayed']).toBe('true');
+    });
+
+    it('should refuse a key reused with a different body', async () => {
+        mockFindOneAndUpdate.mockReturnValue(leanResult({
+            requestHash: 'autre-requete',
+            state: 'completed',
+            response: createdResponse,
+            expiresAt: inOneMinute()
+        }));
+        const handler = jest.fn();
+
+        await expect(idempotencyService.execute(event('{"title":"Quiche"}'), 'key-1', handler))
+            .rejects.toThrow('Requête différente');
+        expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a retry while the first request is running', async () => {
+        const pending = { state: 'pending', expiresAt: inOneMinute() };
+        mockFindOneAndUpdate.mockReturnValueOnce(leanResult(null));
+        await idempotencyService.execute(event('{}'), 'key-2', async () => {
+            pending.requestHash = mockFindOneAndUpdate.mock.calls[0][1].$setOnInsert.requestHash;
+            mockFindOneAndUpdate.mockReturnValueOnce(leanResult(pending));
+            await expect(idempotencyService.execute(event('{}'), 'key-2', jest.fn()))
+                .rejects.toThrow('Requête en cours');
+            return createdResponse;
+        });
+    });
+
+    it('should release the key when the request fails', async () => {
+        mockFindOneAndUpdate.mockReturnValue(leanResult(null));
+
+        await idempotencyService.execute(event('{}'), 'key-3', jest.fn().mockResolvedValue({ statusCode: 500, body: '' }));
+        await expect(idempotencyService.execute(event('{}'), 'key-3', jest.fn().mockRejectedValue(new Error('Timeout'))))
+            .rejects.toThrow('Timeout');
+
+        expect(mockUpdateOne).not.toHaveBeenCalled();
+        expect(mockDeleteOne).toHaveBeenCalledTimes(2);
+        expect(mockDeleteOne).toHaveBeenCalledWith({ ownerId: 'user-1', key: 'key-3', state: 'pending' });
+    });
+
+    it('should take over an expired key', async () => {
+        mockFindOneAndUpdate
+            .mockReturnValueOnce(leanResult({ _id: 'k1', requestHash: 'autre-requete', state: 'completed', expiresAt: new Date(Date.now() - 1000) }))
+            .mockReturnValueOnce(leanResult(null));
+        const handler = jest.fn().mockResolvedValue(createdResponse);
+
+        await idempotencyService.execute(event('{}'), 'key-4', handler);
+
+        expect(mockDeleteOne.mock.calls[0][0]).toMatchObject({ _id: 'k1' });
+        expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    it('should validate the key', async () => {
+        await expect(idempotencyService.execute(event('{}'), '', jest.fn()))
+            .rejects.toThrow('Validation échouée');
+        await expect(idempotencyService.execute(event('{}'), 'x'.repeat(256), jest.fn()))
+            .rejects.toThrow('Validation échouée');
+        expect(mockFindOneAndUpdate).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,325 @@
+import { jest } from '@jest/globals';
+import zlib from 'node:zlib';
+import recipeService from '../../src/services/recipeService.js';
+import { MAX_UNCOMPRESSED_SIZE } from '../../src/utils/zip.mjs';
+
+// Mock du service de recettes
+const mockAddRecipe = jest.fn();
+const mockUpdateRecipe = jest.fn();
+const mockGetRecipeById = jest.fn();
+const mockValidateRecipe = jest.fn();
+recipeService.addRecipe = mockAddRecipe;
+recipeService.validateRecipe = mockValidateRecipe;
+recipeService.updateRecipe = mockUpdateRecipe;
+recipeService.getRecipeById = mockGetRecipeById;
+
+// Import des modules après le mock
+const { default: importService } = await import('../../src/services/importService.js');
+const { default: importController } = await import('../../src/controllers/importController.js');
+
+const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'Recipe',
+    name: 'Omelette',
+    recipeYield: '2 personnes',
+    recipeIngredient: ['4 oeufs', '10 cl de lait'],
+    recipeInstructions: 'Battre les oeufs.\nCuire à la poêle.',
+    prepTime: 'PT5M'
+};
+
+describe('Unit Tests - ImportService', () => {
+
+    beforeEach(() => {
+        mockAddRecipe.mockImplementation(async (data) => ({ id: '507f1f77bcf86cd799439011', ...data }));
+    });
+
+    describe('importSchemaOrg', () => {
+        it('should create the recipe through the normal creation path', async () => {
+            const result = await importService.importSchemaOrg(jsonLd, { ownerId: 'user-1' });
+
+            expect(mockAddRecipe).toHaveBeenCalledWith({
+                title: 'Omelette',
+                servings: 2,
+                ingredients: [
+                    { name: 'oeufs', quantity: 4 },
+                    { name: 'lait', quantity: 10, unit: 'cl' }
+                ],
+                steps: [
+                    { order: 1, text: 'Battre les oeufs.' },
+                    { order: 2, text: 'Cuire à la poêle.' }
+                ],
+                tags: []
+            }, { ownerId: 'user-1' });
+            expect(result.recipe.id).toBe('507f1f77bcf86cd799439011');
+            expect(result.unmappedFields).toEqual(['prepTime']);
+        });
+
+        it('should extract the recipe from an HTML page', async () => {
+            const html = `<html><script type="application/ld+json">${JSON.stringify(jsonLd)}</script></html>`;
+
+            const result = await importService.importSchemaOrg(html);
+
+            expect(result.recipe.title).toBe('Omelette');
+        });
+
+        it('should fail when no recipe is found', async () => {
+            await expect(importService.importSchemaOrg('<html></html>'))
+                .rejects.toThrow('Aucune recette schema.org trouvée');
+            expect(mockAddRecipe).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('importNdjson', () => {
+        const EXISTING = '507f1f77bcf86cd799439012';
+        const MISSING = '507f1f77bcf86cd799439013';
+        const line = (data) => JSON.stringify({
+            title: 'Crêpes',
+            servings: 4,
+            ingredients: [{ name: 'Farine', quantity: 250, unit: 'g' }],
+            steps: [{ order: 1, text: 'Mélanger' }],
+            ...data
+        });
+
+        beforeEach(() => {
+            mockUpdateRecipe.mockImplementation(async (id, data) => ({ id, ...data }));
+            mockGetRecipeById.mockImplementation(async (id) => (id === EXISTING ? { id } : null));
+        });
+
+        it('should create every recipe and ignore ids by default', async () => {
+            const ndjson = `${line({ id: EXISTING, createdAt: '2020-01-01' })}\n\n${line({ title: 'Gaufres' })}\n`;
+
+            const result = await importService.importNdjson(ndjson);
+
+            expect(mockAddRecipe).toHaveBeenCalledTimes(2);
+            expect(mockAddRecipe.mock.calls[0][0]).not.toHaveProperty('id');
+            expect(mockAddRecipe.mock.calls[0][0]).not.toHaveProperty('createdAt');
+            expect(result.summary).toEqual({ total: 2, created: 2, updated: 0, failed: 0 });
+            expect(result.results.map(r => r.line)).toEqual([1, 3]);
+        });
+
+        it('should update existing recipes and keep ids of new ones in upsert mode', async () => {
+            const ndjson = [line({ id: EXISTING }), line({ _id: MISSING }), line({})].join('\n');
+
+            const result = await importService.importNdjson(ndjson, { upsert: true });
+
+            expect(mockUpdateRecipe).toHaveBeenCalledWith(EXISTING, expect.objectContaining({ title: 'Crêpes' }), { userId: undefined });
+            expect(mockAddRecipe.mock.calls[0][0]._id).toBe(MISSING);
+            expect(result.results.map(r => r.status)).toEqual(['updated', 'created', 'created']);
+            expect(result.summary).toMatchObject({ created: 2, updated: 1 });
+        });
+
+        it('should report errors per line without stopping the import', async () => {
+            mockAddRecipe
+                .mockRejectedValueOnce(new Error('Validation échouée: Le nombre de portions est requis'))
+                .mockRejectedValueOnce(new Error('connection reset'));
+            const ndjson = ['{pas du json', line({ servings: undefined }), '[1, 2]', line({}), line({})].join('\n');
+
+            const result = await importService.importNdjson(ndjson);
+
+            expect(result.results).toEqual([
+                { line: 1, status: 'error', error: 'Ligne invalide: JSON invalide' },
+                { line: 2, status: 'error', error: 'Validation échouée: Le nombre de portions est requis' },
+                { line: 3, status: 'error', error: 'Ligne invalide: chaque ligne doit être un objet recette' },
+                { line: 4, status: 'error', error: 'Erreur interne' },
+                { line: 5, status: 'created', id: '507f1f77bcf86cd799439011' }
+            ]);
+            expect(result.summary.failed).toBe(4);
+        });
+
+        it('should refuse to overwrite a recipe that is in the trash', async () => {
+            mockGetRecipeById.mockResolvedValue({ id: EXISTING, deletedAt: new Date() });
+
+            const result = await importService.importNdjson(line({ id: EXISTING }), { upsert: true });
+
+            expect(result.results[0].status).toBe('error');
+            expect(result.results[0].error).toContain('corbeille');
+            expect(mockUpdateRecipe).not.toHaveBeenCalled();
+        });
+
+        it('should refuse to update a recipe owned by another user', async () => {
+            mockGetRecipeById.mockResolvedValue({ id: EXISTING, ownerId: 'user-2', deletedAt: null });
+
+            const result = await importService.importNdjson(line({ id: EXISTING }), { upsert: true, ownerId: 'user-1', userId: 'user-1' });
+
+            expect(result.results[0].status).toBe('error');
+            expect(result.results[0].error).toContain('Accès refusé');
+            expect(mockUpdateRecipe).not.toHaveBeenCalled();
+        });
+
+        it('should update the recipes of the importing user', async () => {
+            mockGetRecipeById.mockResolvedValue({ id: EXISTING, ownerId: 'user-1', deletedAt: null });
+
+            const result = await importService.importNdjson(line({ id: EXISTING }), { upsert: true, ownerId: 'user-1', userId: 'user-1' });
+
+            expect(result.results[0].status).toBe('updated');
+            expect(mockUpdateRecipe).toHaveBeenCalledWith(EXISTING, expect.any(Object), { userId: 'user-1' });
+        });
+
+        it('should let an admin upsert the recipes of other users and legacy recipes', async () => {
+            mockGetRecipeById
+                .mockResolvedValueOnce({ id: EXISTING, ownerId: 'user-2', deletedAt: null })
+                .mockResolvedValueOnce({ id: EXISTING, ownerId: null, deletedAt: null });
+            mockUpdateRecipe.mockResolvedValue({ id: EXISTING });
+
+            const response = await importController.importBulk({
+                user: { id: 'admin-1', roles: ['admin'] },
+                queryStringParameters: { mode: 'upsert' },
+                body: `${line({ id: EXISTING })}\n${line({ id: EXISTING })}`
+            });
+            const body = JSON.parse(response.body);
+
+            expect(response.statusCode).toBe(200);
+            expect(body.results.map(result => result.status)).toEqual(['updated', 'updated']);
+            expect(mockUpdateRecipe).toHaveBeenCalledWith(EXISTING, expect.any(Object), { userId: undefined });
+        });
+    });
+
+    describe('importLegacy', () => {
+        const mealMaster = Buffer.from([
+            'MMMMM----- Recipe via Meal-Master (tm) v8.02',
+            '      Title: Toast',
+            '   Servings: 1',
+            '      1 sl Bread',
+            '  Toast the bread.',
+            'MMMMM',
+            'MMMMM----- Recipe via Meal-Master (tm) v8.02',
+            '      Title: Nothing',
+            'MMMMM'
+        ].join('\n'));
+
+        beforeEach(() => {
+            mockValidateRecipe.mockImplementation(async (data) => {
+                if (!data.servings) throw new Error('Validation échouée: Le nombre de portions est requis');
+                return data;
+            });
+        });
+
+        it('should validate without saving in dry-run mode', async () => {
+            const result = await importService.importLegacy(mealMaster, { dryRun: true });
+
+            expect(mockAddRecipe).not.toHaveBeenCalled();
+            expect(result.format).toBe('mealmaster');
+            expect(result.summary).toEqual({ total: 2, valid: 1, failed: 1 });
+            expect(result.results[0]).toMatchObject({ index: 1, title: 'Toast', status: 'valid' });
+            expect(result.results[0].data.ingredients).toEqual([{ name: 'Bread', quantity: 1, unit: 'tranche' }]);
+            expect(result.results[1]).toMatchObject({
+                index: 2,
+                status: 'error',
+                error: 'Validation échouée: Le nombre de portions est requis'
+            });
+        });
+
+        it('should save the recipes otherwise', async () => {
+            const result = await importService.importLegacy(mealMaster, { format: 'mealmaster' });
+
+            expect(mockAddRecipe).toHaveBeenCalledTimes(2);
+            expect(result.summary).toEqual({ total: 2, created: 2, failed: 0 });
+            expect(result.results[0]).toEqual({ index: 1, title: 'Toast', status: 'created', id: '507f1f77bcf86cd799439011' });
+        });
+
+        it('should reject unknown files', async () => {
+            await expect(importService.importLegacy(Buffer.from('hello')))
+                .rejects.toThrow('Format de fichier non reconnu');
+        });
+
+        it('should decode Latin-1 files', async () => {
+            const latin1 = Buffer.from('MMMMM----- Recipe via Meal-Master\n      Title: Crème brûlée\nMMMMM', 'latin1');
+
+            const result = await importService.importLegacy(latin1, { dryRun: true });
+
+            expect(result.results[0].title).toBe('Crème brûlée');
+        });
+    });
+
+    describe('ImportController.importLegacy', () => {
+        it('should return 400 for a decompression bomb', async () => {
+            const bomb = zlib.gzipSync(Buffer.alloc(MAX_UNCOMPRESSED_SIZE + 1));
+
+            const response = await importController.importLegacy({
+                queryStringParameters: { format: 'paprika' },
+                body: bomb.toString('base64'),
+                isBase64Encoded: true
+            });
+
+            expect(response.statusCode).toBe(400);
+            expect(JSON.parse(response.body).error).toContain('Validation échouée');
+        });
+
+        it('should pass the decoded file and the dry-run flag to the service', async () => {
+            mockValidateRecipe.mockImplementation(async (data) => data);
+            const file = 'MMMMM----- Recipe via Meal-Master\n      Title: Toast\n   Servings: 1\nMMMMM';
+
+            const response = await importController.importLegacy({
+                queryStringParameters: { dryRun: 'true' },
+                body: Buffer.from(file).toString('base64'),
+                isBase64Encoded: true
+            });
+
+            expect(response.statusCode).toBe(200);
+            const body = JSON.parse(response.body);
+            expect(body.dryRun).toBe(true);
+            expect(body.message).toBe('Analyse terminée : 1 recette(s) valide(s), 0 en erreur');
+            expect(mockAddRecipe).not.toHaveBeenCalled();
+        });
+
+        it('should return 400 for an unknown format or an unreadable file', async () => {
+            expect((await importController.importLegacy({ queryStringParameters: { format: 'cookbook' }, body: 'x' })).statusCode).toBe(400);
+            expect((await importController.importLegacy({ body: 'hello' })).statusCode).toBe(400);
+        });
+    });
+
+    describe('ImportController.importBulk', () => {
+        it('should import the NDJSON body and return the per-line report', async () => {
+            const response = await importController.importBulk({
+                queryStringParameters: { mode: 'upsert' },
+                body: Buffer.from(JSON.stringify(jsonLd)).toString('base64'),
+                isBase64Encoded: true
+            });
+
+            expect(response.statusCode).toBe(200);
+            const body = JSON.parse(response.body);
+            expect(body.summary).toEqual({ total: 1, created: 1, updated: 0, failed: 0 });
+            expect(body.results[0]).toEqual({ line: 1, status: 'created', id: '507f1f77bcf86cd799439011' });
+        });
+
+        it('should return 400 for an unknown mode or an empty body', async () => {
+            expect((await importController.importBulk({ queryStringParameters: { mode: 'merge' }, body: '{}' })).statusCode).toBe(400);
+            expect((await importController.importBulk({ body: '\n' })).statusCode).toBe(400);
+        });
+    });
+
+    describe('ImportController.importRecipe', () => {
+        it('should accept a raw HTML body', async () => {
+            const response = await importController.importRecipe({
+                headers: { 'content-type': 'text/html; charset=utf-8' },
+                body: `<script type="application/ld+json">${JSON.stringify(jsonLd)}</script>`
+            });
+
+            expect(response.statusCode).toBe(200);
+            const body = JSON.parse(response.body);
+            expect(body.message).toBe('Recette importée avec succès');
+            expect(body.unmappedFields).toEqual(['prepTime']);
+        });
+
+        it('should return 400 when the page has no recipe', async () => {
+            const response = await importController.importRecipe({ body: '<html></html>' });
+
+            expect(response.statusCode).toBe(400);
+        });
+
+        it('should return 400 on validation errors', async () => {
+            mockAddRecipe.mockRejectedValue(new Error('Validation échouée: Le nombre de portions est requis'));
+
+            const response = await importController.importRecipe({ body: JSON.stringify(jsonLd) });
+
+            expect(response.statusCode).toBe(400);
+            expect(JSON.parse(response.body).error).toContain('portions');
+        });
+
+        it('should return 400 for an empty body', async () => {
+            const response = await importController.importRecipe({ body: null });
+
+            expect(response.statusCode).toBe(400);
+        });
+    });
+});
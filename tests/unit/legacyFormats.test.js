@@ -0,0 +1,212 @@
+import zlib from 'node:zlib';
+import { parseMealMaster, isMealMaster } from '../../src/utils/mealMaster.mjs';
+import { parsePaprika, isPaprika } from '../../src/utils/paprika.mjs';
+import { readZipEntries, MAX_UNCOMPRESSED_SIZE } from '../../src/utils/zip.mjs';
+
+/**
+ * Construire une archive zip minimale (sans CRC, non vérifié par le lecteur)
+ */
+function buildZip(files, { deflate = true } = {}) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const { name, data } of files) {
+        const nameBuffer = Buffer.from(name);
+        const content = deflate ? zlib.deflateRawSync(data) : data;
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(deflate ? 8 : 0, 8);
+        local.writeUInt32LE(content.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+        locals.push(local, nameBuffer, content);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(deflate ? 8 : 0, 10);
+        central.writeUInt32LE(content.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centrals.push(central, nameBuffer);
+
+        offset += 30 + nameBuffer.length + content.length;
+    }
+
+    const centralDirectory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, centralDirectory, end]);
+}
+
+describe('Unit Tests - Legacy Formats', () => {
+
+    describe('MealMaster', () => {
+        const file = [
+            'MMMMM----- Recipe via Meal-Master (tm) v8.02',
+            ' ',
+            '      Title: Chocolate Chip Cookies',
+            ' Categories: Cookies, Desserts',
+            '      Yield: 48 cookies',
+            ' ',
+            // Fichier sur deux colonnes : la seconde commence à la colonne 41
+            '      1 c  Butter'.padEnd(41) + '      1 ts Vanilla',
+            '    3/4 c  Sugar',
+            '  2 1/4 c  Flour',
+            '      1 T  Milk',
+            '      2    Eggs',
+            '      1 lg Onion, finely',
+            '           -chopped',
+            ' ',
+            'MMMMM---------------------TOPPING-----------------------',
+            '      1 pn Salt',
+            ' ',
+            '  Cream butter and sugar.',
+            '  Beat in eggs.',
+            ' ',
+            '  Add flour and bake.',
+            'MMMMM',
+            '',
+            '---------- Recipe via Meal-Master (tm) v8.05',
+            '      Title: Plain Toast',
+            ' Categories: None',
+            '   Servings: 1',
+            '      1 sl Bread',
+            '  Toast the bread.',
+            '-----'
+        ].join('\r\n');
+
+        it('should detect MealMaster files', () => {
+            expect(isMealMaster(file)).toBe(true);
+            expect(isMealMaster('just text')).toBe(false);
+        });
+
+        it('should read every recipe of the file', () => {
+            const recipes = parseMealMaster(file);
+
+            expect(recipes).toHaveLength(2);
+            expect(recipes[1]).toEqual({
+                title: 'Plain Toast',
+                servings: 1,
+                tags: [],
+                ingredients: [{ name: 'Bread', quantity: 1, unit: 'tranche' }],
+                steps: [{ order: 1, text: 'Toast the bread.' }]
+            });
+        });
+
+        it('should parse the ingredient columns, unit codes and continuations', () => {
+            const [recipe] = parseMealMaster(file);
+
+            expect(recipe.title).toBe('Chocolate Chip Cookies');
+            expect(recipe.servings).toBe(48);
+            expect(recipe.tags).toEqual(['Cookies', 'Desserts']);
+            expect(recipe.ingredients).toEqual([
+                { name: 'Butter', quantity: 1, unit: 'cup' },
+                { name: 'Vanilla', quantity: 1, unit: 'tsp' },
+                { name: 'Sugar', quantity: 0.75, unit: 'cup' },
+                { name: 'Flour', quantity: 2.25, unit: 'cup' },
+                { name: 'Milk', quantity: 1, unit: 'tbsp' },
+                { name: 'Eggs', quantity: 2 },
+                { name: 'large Onion, finely chopped', quantity: 1 },
+                { name: 'Salt', quantity: 1, unit: 'pincée' }
+            ]);
+        });
+
+        it('should turn each paragraph of the directions into a step', () => {
+            const [recipe] = parseMealMaster(file);
+
+            expect(recipe.steps).toEqual([
+                { order: 1, text: 'Cream butter and sugar. Beat in eggs.' },
+                { order: 2, text: 'Add flour and bake.' }
+            ]);
+        });
+    });
+
+    describe('Paprika', () => {
+        const paprikaRecipe = {
+            name: 'Crêpes',
+            servings: '4 servings',
+            categories: ['Desserts', 'Breakfast'],
+            ingredients: '250 g farine\n3 oeufs\n\n50 cl lait',
+            directions: 'Mélanger la farine et les oeufs.\nAjouter le lait.\n',
+            photo_data: 'iVBORw0KGgo='
+        };
+        const gzipped = zlib.gzipSync(Buffer.from(JSON.stringify(paprikaRecipe)));
+
+        it('should read a .paprikarecipes archive', () => {
+            const archive = buildZip([
+                { name: 'Crêpes.paprikarecipe', data: gzipped },
+                { name: 'Gaufres.paprikarecipe', data: zlib.gzipSync(Buffer.from(JSON.stringify({ ...paprikaRecipe, name: 'Gaufres' }))) }
+            ]);
+
+            expect(isPaprika(archive)).toBe(true);
+            const recipes = parsePaprika(archive);
+
+            expect(recipes.map(recipe => recipe.title)).toEqual(['Crêpes', 'Gaufres']);
+            expect(recipes[0]).toEqual({
+                title: 'Crêpes',
+                servings: 4,
+                tags: ['Desserts', 'Breakfast'],
+                ingredients: [
+                    { name: 'farine', quantity: 250, unit: 'g' },
+                    { name: 'oeufs', quantity: 3 },
+                    { name: 'lait', quantity: 50, unit: 'cl' }
+                ],
+                steps: [
+                    { order: 1, text: 'Mélanger la farine et les oeufs.' },
+                    { order: 2, text: 'Ajouter le lait.' }
+                ]
+            });
+        });
+
+        it('should read a single gzipped recipe', () => {
+            expect(parsePaprika(gzipped)[0].title).toBe('Crêpes');
+        });
+
+        it('should report unreadable entries', () => {
+            const archive = buildZip([{ name: 'Broken.paprikarecipe', data: Buffer.from('not gzip') }], { deflate: false });
+
+            expect(() => parsePaprika(archive)).toThrow('Recette Paprika illisible: Broken.paprikarecipe');
+        });
+
+        it('should refuse gzip bombs', () => {
+            // Quelques dizaines de Ko compressés, plus que la limite une fois décompressés
+            const bomb = zlib.gzipSync(Buffer.alloc(MAX_UNCOMPRESSED_SIZE + 1));
+
+            expect(() => parsePaprika(bomb)).toThrow('Validation échouée');
+            expect(() => parsePaprika(buildZip([{ name: 'Bomb.paprikarecipe', data: bomb }], { deflate: false })))
+                .toThrow('Validation échouée');
+        });
+    });
+
+    describe('readZipEntries', () => {
+        it('should read stored and deflated entries and skip directories', () => {
+            const archive = buildZip([
+                { name: 'dir/', data: Buffer.alloc(0) },
+                { name: 'dir/a.txt', data: Buffer.from('hello') }
+            ], { deflate: true });
+
+            expect(readZipEntries(archive)).toEqual([{ name: 'dir/a.txt', data: Buffer.from('hello') }]);
+            expect(readZipEntries(buildZip([{ name: 'b.txt', data: Buffer.from('stored') }], { deflate: false }))[0].data.toString())
+                .toBe('stored');
+        });
+
+        it('should refuse zip bombs', () => {
+            const half = Buffer.alloc(MAX_UNCOMPRESSED_SIZE / 2 + 1);
+            const archive = buildZip([{ name: 'a.bin', data: half }, { name: 'b.bin', data: half }], { deflate: true });
+
+            expect(() => readZipEntries(archive)).toThrow('Validation échouée');
+        });
+
+        it('should reject buffers that are not zip archives', () => {
+            expect(() => readZipEntries(Buffer.from('not a zip file at all, definitely not'))).toThrow('Archive zip invalide');
+        });
+    });
+});
@@ -0,0 +1,135 @@
+import { jest } from '@jest/globals';
+import MealPlan from '../../src/models/MealPlan.js';
+import Recipe from '../../src/models/Recipe.js';
+import recipeService from '../../src/services/recipeService.js';
+import shoppingListService from '../../src/services/shoppingListService.js';
+
+// Mock des modèles et des services utilisés
+const mockSave = jest.fn();
+const mockFindPlans = jest.fn();
+const mockFindRecipes = jest.fn();
+const mockGetRecipeById = jest.fn();
+const mockCreateShoppingList = jest.fn();
+
+MealPlan.prototype.save = mockSave;
+MealPlan.find = mockFindPlans;
+Recipe.find = mockFindRecipes;
+recipeService.getRecipeById = mockGetRecipeById;
+shoppingListService.createShoppingList = mockCreateShoppingList;
+
+// Import du service après les mocks
+const { default: mealPlanService } = await import('../../src/services/mealPlanService.js');
+
+const RECIPE_A = '507f1f77bcf86cd799439011';
+const RECIPE_B = '507f1f77bcf86cd799439012';
+
+const query = (result) => ({
+    select: jest.fn().mockReturnThis(),
+    sort: jest.fn().mockReturnThis(),
+    lean: jest.fn().mockResolvedValue(result)
+});
+
+describe('Unit Tests - MealPlanService', () => {
+
+    const from = new Date('2026-10-19T00:00:00.000Z');
+    const to = new Date('2026-10-25T00:00:00.000Z');
+
+    beforeEach(() => {
+        mockFindPlans.mockReturnValue(query([
+            { _id: 'p2', date: new Date('2026-10-19T00:00:00.000Z'), slot: 'dinner', recipeId: RECIPE_B },
+            { _id: 'p1', date: new Date('2026-10-19T00:00:00.000Z'), slot: 'lunch', recipeId: RECIPE_A, servings: 6 },
+            { _id: 'p3', date: new Date('2026-10-20T00:00:00.000Z'), slot: 'breakfast', recipeId: RECIPE_A }
+        ]));
+        mockFindRecipes.mockReturnValue(query([
+            { _id: RECIPE_A, title: 'Crêpes', servings: 4, deletedAt: null },
+            { _id: RECIPE_B, title: 'Gratin', servings: 4, deletedAt: new Date() }
+        ]));
+    });
+
+    describe('createEntry', () => {
+        it('should reject an unknown recipe', async () => {
+            mockGetRecipeById.mockResolvedValue(null);
+
+            await expect(mealPlanService.createEntry({
+                date: from, slot: 'lunch', recipeId: RECIPE_A
+            })).rejects.toThrow('Recette non trouvée');
+            expect(mockSave).not.toHaveBeenCalled();
+        });
+
+        it('should save the entry with a recipe summary', async () => {
+            mockGetRecipeById.mockResolvedValue({ id: RECIPE_A, title: 'Crêpes', servings: 4 });
+            mockSave.mockResolvedValue(undefined);
+
+            const entry = await mealPlanService.createEntry({
+                date: from, slot: 'lunch', recipeId: RECIPE_A, servings: 2
+            });
+
+            expect(mockSave).toHaveBeenCalled();
+            expect(entry.slot).toBe('lunch');
+            expect(entry.servings).toBe(2);
+            expect(entry.recipe.title).toBe('Crêpes');
+        });
+
+        it('should check the recipe as the owner sees it and record the owner', async () => {
+            mockGetRecipeById.mockResolvedValue({ id: RECIPE_A, title: 'Crêpes', servings: 4 });
+            mockSave.mockResolvedValue(undefined);
+
+            const entry = await mealPlanService.createEntry(
+                { date: from, slot: 'lunch', recipeId: RECIPE_A },
+                { ownerId: 'user-1', viewerId: 'user-1' }
+            );
+
+            expect(mockGetRecipeById).toHaveBeenCalledWith(RECIPE_A, { viewerId: 'user-1' });
+            expect(entry.ownerId).toBe('user-1');
+        });
+    });
+
+    describe('getEntries', () => {
+        it('should sort by day then slot and flag deleted recipes', async () => {
+            const entries = await mealPlanService.getEntries(from, to);
+
+            expect(mockFindPlans).toHaveBeenCalledWith({ date: { $gte: from, $lte: to } });
+            expect(entries.map(entry => entry._id)).toEqual(['p1', 'p2', 'p3']);
+            expect(entries[0].recipe.title).toBe('Crêpes');
+            expect(entries[1]).toMatchObject({ recipe: null, recipeDeleted: true });
+        });
+
+        it('should only read the owner entries and the recipes they can see', async () => {
+            await mealPlanService.getEntries(from, to, { ownerId: 'user-1', viewerId: 'user-1' });
+
+            expect(mockFindPlans).toHaveBeenCalledWith({ date: { $gte: from, $lte: to }, ownerId: 'user-1' });
+            expect(mockFindRecipes).toHaveBeenCalledWith({
+                _id: { $in: [RECIPE_B, RECIPE_A] },
+                ...Recipe.visibleTo('user-1')
+            });
+        });
+    });
+
+    describe('generateShoppingList', () => {
+        it('should build a shopping list from the planned recipes and report skipped ones', async () => {
+            mockCreateShoppingList.mockResolvedValue({ id: 'list' });
+
+            const result = await mealPlanService.generateShoppingList(from, to, { ownerId: 'user-1', viewerId: 'user-1' });
+
+            expect(mockCreateShoppingList).toHaveBeenCalledWith({
+                name: 'Courses du 2026-10-19 au 2026-10-25',
+                recipes: [
+                    { recipeId: RECIPE_A, servings: 6 },
+                    { recipeId: RECIPE_A, servings: undefined }
+                ]
+            }, { ownerId: 'user-1', viewerId: 'user-1' });
+            expect(result.shoppingList).toEqual({ id: 'list' });
+            expect(result.skipped).toEqual([
+                { id: 'p2', date: new Date('2026-10-19T00:00:00.000Z'), slot: 'dinner', recipeId: RECIPE_B }
+            ]);
+        });
+
+        it('should fail when nothing is planned', async () => {
+            mockFindPlans.mockReturnValue(query([]));
+            mockFindRecipes.mockReturnValue(query([]));
+
+            await expect(mealPlanService.generateShoppingList(from, to))
+                .rejects.toThrow('Aucune recette planifiée sur cette période');
+        });
+    });
+});
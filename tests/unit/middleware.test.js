@@ -0,0 +1,158 @@
+import { jest } from '@jest/globals';
+import { compose, createContext } from '../../src/utils/router.js';
+import { authentication } from '../../src/middleware/auth.js';
+import { errorHandler } from '../../src/middleware/errorHandler.js';
+import { jsonBody } from '../../src/middleware/jsonBody.js';
+import { requestLogger, redactEvent } from '../../src/middleware/requestLogger.js';
+import { ipRateLimit } from '../../src/middleware/rateLimit.js';
+
+const event = (extra = {}) => ({
+    requestContext: { http: { method: 'POST', path: '/recipes' }, requestId: 'req-1' },
+    ...extra
+});
+
+// Exécuter un middleware devant un handler de test
+const run = (middleware, handler, ctx) => compose([middleware], handler)(ctx);
+
+describe('Unit Tests - Middleware', () => {
+
+    describe('jsonBody', () => {
+        it('should parse the body into ctx.body', async () => {
+            const ctx = createContext(event({ body: '{"title":"Tarte"}' }));
+
+            await run(jsonBody(), async () => ({ statusCode: 200 }), ctx);
+
+            expect(ctx.body).toEqual({ title: 'Tarte' });
+        });
+
+        it('should decode base64 bodies', async () => {
+            const ctx = createContext(event({ body: Buffer.from('{"title":"Tarte"}').toString('base64'), isBase64Encoded: true }));
+
+            await run(jsonBody(), async () => ({ statusCode: 200 }), ctx);
+
+            expect(ctx.body).toEqual({ title: 'Tarte' });
+        });
+
+        it('should default to an empty object without body', async () => {
+            const ctx = createContext(event({ body: null }));
+
+            await run(jsonBody(), async () => ({ statusCode: 200 }), ctx);
+
+            expect(ctx.body).toEqual({});
+        });
+
+        it('should return 400 without calling the handler when the body is not JSON', async () => {
+            const handler = jest.fn();
+
+            const result = await run(jsonBody(), handler, createContext(event({ body: '{title' })));
+
+            expect(result.statusCode).toBe(400);
+            expect(JSON.parse(result.body).error).toBe('Le corps de la requête doit être du JSON valide');
+            expect(handler).not.toHaveBeenCalled();
+        });
+
+        it('should return 400 when the body is not a JSON object', async () => {
+            const handler = jest.fn();
+
+            for (const body of ['null', '[]', '42', '"Tarte"']) {
+                const result = await run(jsonBody(), handler, createContext(event({ body })));
+
+                expect(result.statusCode).toBe(400);
+                expect(JSON.parse(result.body).error).toBe('Le corps de la requête doit être un objet JSON');
+            }
+            expect(handler).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('errorHandler', () => {
+        const fail = (message) => async () => { throw new Error(message); };
+
+        it('should map business errors to their status code', async () => {
+            const cases = [
+                ['Validation échouée: Le titre est requis', 400],
+                ['Curseur invalide', 400],
+                ['Accès refusé: vous n\'êtes pas le propriétaire de cette recette', 403],
+                ['Précondition échouée: la recette a été modifiée depuis sa lecture', 412],
+                ['Type de fichier non autorisé', 400],
+                ['Recette non trouvée: 507f1f77bcf86cd799439011', 400],
+                ['La recette fait déjà partie de la collection', 409],
+                ['Le nouveau nom du tag doit être différent de l\'ancien', 400]
+            ];
+
+            for (const [message, statusCode] of cases) {
+                const result = await run(errorHandler(), fail(message), createContext(event()));
+                expect(result.statusCode).toBe(statusCode);
+                expect(JSON.parse(result.body).error).toBe(message);
+            }
+        });
+
+        it('should hide unexpected errors behind a 500', async () => {
+            const result = await run(errorHandler(), fail('MongoNetworkError: connexion perdue'), createContext(event()));
+
+            expect(result.statusCode).toBe(500);
+            expect(JSON.parse(result.body).error).toBe('Internal error');
+        });
+
+        it('should return the response untouched when nothing fails', async () => {
+            const response = { statusCode: 201 };
+
+            expect(await run(errorHandler(), async () => response, createContext(event()))).toBe(response);
+        });
+    });
+
+    describe('requestLogger', () => {
+        it('should add the request id to the response', async () => {
+            const result = await run(requestLogger(), async () => ({ statusCode: 200, headers: { 'Content-Type': 'application/json' } }), createContext(event()));
+
+            expect(result.headers).toEqual({ 'Content-Type': 'application/json', 'X-Request-Id': 'req-1' });
+        });
+
+        it('should redact authentication headers', () => {
+            const redacted = redactEvent(event({ headers: { Authorization: 'Bearer secret', 'x-api-key': 'rk_secret', accept: 'text/html' } }));
+
+            expect(redacted.headers).toEqual({ Authorization: '[masqué]', 'x-api-key': '[masqué]', accept: 'text/html' });
+        });
+    });
+
+    describe('ipRateLimit', () => {
+        const rate = { allowed: true, limit: 600, remaining: 599, reset: 30, retryAfter: 0, windowSeconds: 60 };
+
+        it('should refuse a source IP over its limit before authentication runs', async () => {
+            const limiter = { consumeByIp: jest.fn().mockResolvedValue({ ...rate, allowed: false, remaining: 0, retryAfter: 9 }) };
+            const next = jest.fn();
+
+            const result = await run(ipRateLimit(limiter), next, createContext(event()));
+
+            expect(result.statusCode).toBe(429);
+            expect(result.headers['Retry-After']).toBe('9');
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        it('should let requests through when the limiter fails', async () => {
+            const limiter = { consumeByIp: jest.fn().mockRejectedValue(new Error('MongoNetworkError')) };
+
+            const result = await run(ipRateLimit(limiter), async () => ({ statusCode: 401 }), createContext(event()));
+
+            expect(result.statusCode).toBe(401);
+        });
+    });
+
+    describe('authentication', () => {
+        it('should return 401 without credentials', async () => {
+            const handler = jest.fn();
+
+            const result = await run(authentication(), handler, createContext(event()));
+
+            expect(result.statusCode).toBe(401);
+            expect(result.headers['WWW-Authenticate']).toBe('Bearer realm="recipekeeper"');
+            expect(handler).not.toHaveBeenCalled();
+        });
+
+        it('should return 401 invalid_token for a malformed token', async () => {
+            const result = await run(authentication(), jest.fn(), createContext(event({ headers: { authorization: 'Bearer pas-un-jwt' } })));
+
+            expect(result.statusCode).toBe(401);
+            expect(result.headers['WWW-Authenticate']).toContain('error="invalid_token"');
+        });
+    });
+});
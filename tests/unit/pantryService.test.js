@@ -0,0 +1,98 @@
+import { jest } from '@jest/globals';
+import Recipe from '../../src/models/Recipe.js';
+
+// Mock des méthodes du modèle
+const mockFind = jest.fn();
+Recipe.find = mockFind;
+
+// Import du service après le mock
+const { default: pantryService } = await import('../../src/services/pantryService.js');
+
+const mockRecipes = [
+    {
+        _id: '1',
+        title: 'Omelette',
+        ingredients: [
+            { name: 'Oeufs', quantity: 3 },
+            { name: 'Sel' },
+            { name: 'Poivre' },
+            { name: 'Beurre', quantity: 10, unit: 'g' }
+        ]
+    },
+    {
+        _id: '2',
+        title: 'Crème brûlée',
+        ingredients: [
+            { name: 'Crème fraîche', quantity: 50, unit: 'cl' },
+            { name: 'Œufs', quantity: 6 },
+            { name: 'Sucre', quantity: 100, unit: 'g' },
+            { name: 'Vanille', quantity: 1 }
+        ]
+    },
+    {
+        _id: '3',
+        title: 'Salade de tomates',
+        ingredients: [
+            { name: 'Tomates cerises', quantity: 250, unit: 'g' },
+            { name: 'Huile d\'olive' }
+        ]
+    }
+];
+
+const mockQuery = (recipes) => ({
+    select: jest.fn().mockReturnThis(),
+    lean: jest.fn().mockResolvedValue(recipes)
+});
+
+describe('Unit Tests - PantryService', () => {
+
+    beforeEach(() => {
+        mockFind.mockReset();
+        mockFind.mockReturnValue(mockQuery(mockRecipes));
+    });
+
+    it('should rank recipes by covered ingredients and list missing ones', async () => {
+        const results = await pantryService.matchRecipes(['oeuf', 'beurre', 'creme fraiche']);
+
+        expect(results.map(r => r.recipe.title)).toEqual(['Omelette', 'Crème brûlée']);
+        expect(results[0]).toMatchObject({ matchedCount: 2, totalCount: 2, coverage: 1, missingIngredients: [] });
+        expect(results[1]).toMatchObject({
+            matchedCount: 2,
+            totalCount: 4,
+            coverage: 0.5,
+            missingIngredients: ['Sucre', 'Vanille']
+        });
+    });
+
+    it('should tolerate case, plurals and accents', async () => {
+        const results = await pantryService.matchRecipes(['CRÈME FRAÎCHE', 'œuf', 'Sucres', 'vanille']);
+
+        expect(results[0].recipe.title).toBe('Crème brûlée');
+        expect(results[0].missingIngredients).toEqual([]);
+    });
+
+    it('should let a generic ingredient cover a more specific one', async () => {
+        const results = await pantryService.matchRecipes(['tomate']);
+
+        expect(results).toHaveLength(1);
+        expect(results[0].missingIngredients).toEqual(['Huile d\'olive']);
+    });
+
+    it('should count staples when ignoreStaples is false', async () => {
+        const results = await pantryService.matchRecipes(['oeufs', 'beurre'], { ignoreStaples: false });
+
+        expect(results[0]).toMatchObject({ totalCount: 4, missingIngredients: ['Sel', 'Poivre'] });
+    });
+
+    it('should filter out recipes with too many missing ingredients', async () => {
+        const results = await pantryService.matchRecipes(['oeufs'], { maxMissing: 1 });
+
+        expect(results.map(r => r.recipe.title)).toEqual(['Omelette']);
+    });
+
+    it('should exclude deleted recipes and filter by tags', async () => {
+        await pantryService.matchRecipes(['oeufs'], { tags: ['dessert'] });
+
+        expect(mockFind).toHaveBeenCalledWith({ deletedAt: null, tags: { $all: ['dessert'] } });
+    });
+});
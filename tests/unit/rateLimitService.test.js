@@ -0,0 +1,128 @@
+import { jest } from '@jest/globals';
+import RateLimit from '../../src/models/RateLimit.js';
+
+// Mock des méthodes du modèle
+const mockFindOneAndUpdate = jest.fn();
+const mockFindOne = jest.fn();
+
+RateLimit.findOneAndUpdate = mockFindOneAndUpdate;
+RateLimit.findOne = mockFindOne;
+
+// Import du service après le mock
+const { default: rateLimitService } = await import('../../src/services/rateLimitService.js');
+
+const leanResult = (value) => ({ lean: jest.fn().mockResolvedValue(value) });
+const upload = { method: 'POST', path: '/recipes/upload' };
+const getRecipe = { method: 'GET', path: '/recipes/{id}' };
+
+describe('Unit Tests - RateLimitService', () => {
+
+    beforeEach(() => {
+        process.env.RATE_LIMITS = JSON.stringify({ default: { limit: 100, windowSeconds: 60 } });
+        rateLimitService.resetConfig();
+        jest.useFakeTimers({ now: new Date('2026-03-01T10:00:15Z') });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        delete process.env.RATE_LIMITS;
+    });
+
+    describe('getClientKey', () => {
+        it('should prefer the API key, then the user, then the source IP', () => {
+            expect(rateLimitService.getClientKey({ user: { id: 'user-1', apiKeyId: 'key-1' } })).toBe('api-key:key-1');
+            expect(rateLimitService.getClientKey({ user: { id: 'user-1' } })).toBe('user:user-1');
+            expect(rateLimitService.getClientKey({ requestContext: { http: { sourceIp: '203.0.113.7' } } })).toBe('ip:203.0.113.7');
+            expect(rateLimitService.getClientKey({ requestContext: { identity: { sourceIp: '198.51.100.2' } } })).toBe('ip:198.51.100.2');
+        });
+    });
+
+    describe('consume', () => {
+        it('should count the request in the current window of the route', async () => {
+            mockFindOneAndUpdate.mockReturnValue(leanResult({ count: 3 }));
+            mockFindOne.mockReturnValue(leanResult(null));
+
+            const rate = await rateLimitService.consume({ user: { id: 'user-1' } }, upload);
+
+            expect(rate).toEqual({ allowed: true, limit: 10, remaining: 7, reset: 45, retryAfter: 0, windowSeconds: 60 });
+            const [filter, update, options] = mockFindOneAndUpdate.mock.calls[0];
+            expect(filter).toEqual({ key: 'user:user-1|POST /recipes/upload', windowStart: new Date('2026-03-01T10:00:00Z') });
+            expect(update).toEqual({ $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date('2026-03-01T10:02:00Z') } });
+            expect(options).toMatchObject({ upsert: true });
+            expect(mockFindOne).toHaveBeenCalledWith({ key: 'user:user-1|POST /recipes/upload', windowStart: new Date('2026-03-01T09:59:00Z') });
+        });
+
+        it('should share the default counter between routes without their own limit', async () => {
+            mockFindOneAndUpdate.mockReturnValue(leanResult({ count: 1 }));
+            mockFindOne.mockReturnValue(leanResult(null));
+
+            const rate = await rateLimitService.consume({ user: { id: 'user-1' } }, getRecipe);
+
+            expect(rate.limit).toBe(100);
+            expect(mockFindOneAndUpdate.mock.calls[0][0].key).toBe('user:user-1|*');
+        });
+
+        it('should weight the previous window and compute Retry-After', async () => {
+            // 15 s écoulées : la fenêtre précédente compte pour 75 %, 8 * 0.75 + 5 = 11 > 10
+            mockFindOneAndUpdate.mockReturnValue(leanResult({ count: 5 }));
+            mockFindOne.mockReturnValue(leanResult({ count: 8 }));
+
+            const rate = await rateLimitService.consume({ user: { id: 'user-1' } }, upload);
+
+            expect(rate.allowed).toBe(false);
+            expect(rate.remaining).toBe(0);
+            // Une requête de plus passe quand 8 * poids + 5 + 1 <= 10, soit un poids de 50 % (30 s) : 15 s à attendre
+            expect(rate.retryAfter).toBe(15);
+        });
+
+        it('should wait for the next window when the current one is full', async () => {
+            mockFindOneAndUpdate.mockReturnValue(leanResult({ count: 11 }));
+            mockFindOne.mockReturnValue(leanResult(null));
+
+            const rate = await rateLimitService.consume({ user: { id: 'user-1' } }, upload);
+
+            expect(rate.allowed).toBe(false);
+            // 45 s jusqu'à la fenêtre suivante, puis 11 * (1 - t/60) + 1 <= 10 pour t >= 120/11 (≈ 11 s)
+            expect(rate.retryAfter).toBe(56);
+        });
+
+        it('should apply limits configured per route and disable limits set to null', async () => {
+            process.env.RATE_LIMITS = JSON.stringify({
+                default: null,
+                routes: { 'POST /recipes/upload': { limit: 2, windowSeconds: 3600 } }
+            });
+            rateLimitService.resetConfig();
+            mockFindOneAndUpdate.mockReturnValue(leanResult({ count: 1 }));
+            mockFindOne.mockReturnValue(leanResult(null));
+
+            const unlimited = await rateLimitService.consume({ user: { id: 'user-1' } }, getRecipe);
+            const rate = await rateLimitService.consume({ user: { id: 'user-1' } }, upload);
+
+            expect(unlimited).toBeNull();
+            expect(rate).toMatchObject({ allowed: true, limit: 2, remaining: 1, windowSeconds: 3600 });
+            expect(mockFindOneAndUpdate).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('consumeByIp', () => {
+        const anonymous = { requestContext: { http: { sourceIp: '203.0.113.7' } } };
+
+        it('should count every request of the source IP against the ip limit', async () => {
+            mockFindOneAndUpdate.mockReturnValue(leanResult({ count: 601 }));
+            mockFindOne.mockReturnValue(leanResult(null));
+
+            const rate = await rateLimitService.consumeByIp(anonymous);
+
+            expect(rate).toMatchObject({ allowed: false, limit: 600, remaining: 0 });
+            expect(mockFindOneAndUpdate.mock.calls[0][0].key).toBe('ip:203.0.113.7|pre-auth');
+        });
+
+        it('should be disabled by an ip limit set to null', async () => {
+            process.env.RATE_LIMITS = JSON.stringify({ ip: null });
+            rateLimitService.resetConfig();
+
+            expect(await rateLimitService.consumeByIp(anonymous)).toBeNull();
+            expect(mockFindOneAndUpdate).not.toHaveBeenCalled();
+        });
+    });
+});
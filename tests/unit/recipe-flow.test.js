@@ -1,5 +1,11 @@
 import { jest } from '@jest/globals';
+import { compose, createContext } from '../../src/utils/router.js';
+import { errorHandler } from '../../src/middleware/errorHandler.js';
+import { jsonBody } from '../../src/middleware/jsonBody.js';
 import Recipe from '../../src/models/Recipe.js';
+import revisionService from '../../src/services/revisionService.js';
+import tagService from '../../src/services/tagService.js';
+import collectionService from '../../src/services/collectionService.js';
 
 // Mock des méthodes Recipe
 const mockSave = jest.fn();
@@ -10,10 +16,23 @@ Recipe.prototype.save = mockSave;
 Recipe.find = mockFind;
 Recipe.findById = mockFindById;
 
+// L'historique des révisions est testé séparément
+const mockRecordRevision = jest.fn();
+revisionService.recordRevision = mockRecordRevision;
+
+// Les alias de tags par défaut suffisent (pas d'alias enregistrés)
+tagService.getAliases = jest.fn();
+
+// Le retrait des collections est testé séparément
+collectionService.removeRecipesEverywhere = jest.fn();
+
 // Import des modules après les mocks
 const { default: recipeService } = await import('../../src/services/recipeService.js');
 const { default: recipeController } = await import('../../src/controllers/recipeController.js');
 
+// Exécuter une méthode du controller derrière les middlewares dont il dépend (corps JSON, conversion des erreurs)
+const invoke = (method, event) => compose([errorHandler(), jsonBody()], (ctx) => recipeController[method](ctx.event, ctx))(createContext(event));
+
 describe('Integration Tests - Recipe Flow (Controller + Service)', () => {
     
     beforeEach(() => {
@@ -51,7 +70,7 @@ describe('Integration Tests - Recipe Flow (Controller + Service)', () => {
                 body: JSON.stringify(recipeData)
             };
 
-            const response = await recipeController.createRecipe(event);
+            const response = await invoke('createRecipe', event);
 
             expect(response.statusCode).toBe(200);
             const body = JSON.parse(response.body);
@@ -77,12 +96,12 @@ describe('Integration Tests - Recipe Flow (Controller + Service)', () => {
                 body: JSON.stringify(recipeData)
             };
 
-            const response = await recipeController.createRecipe(event);
+            const response = await invoke('createRecipe', event);
 
-            // L'erreur est lancée avant la validation Mongoose, donc c'est une erreur 500
-            expect(response.statusCode).toBe(500);
+            // L'erreur est lancée avant la validation Mongoose, errorHandler la convertit en 400
+            expect(response.statusCode).toBe(400);
             const body = JSON.parse(response.body);
-            expect(body.error).toBe('Internal error');
+            expect(body.error).toContain('ordre des étapes');
         });
 
         it('should handle validation errors', async () => {
@@ -101,7 +120,7 @@ describe('Integration Tests - Recipe Flow (Controller + Service)', () => {
                 })
             };
 
-            const response = await recipeController.createRecipe(event);
+            const response = await invoke('createRecipe', event);
 
             expect(response.statusCode).toBe(400);
             const body = JSON.parse(response.body);
@@ -138,7 +157,7 @@ describe('Integration Tests - Recipe Flow (Controller + Service)', () => {
                 }
             };
 
-            const response = await recipeController.getRecipe(event);
+            const response = await invoke('getRecipe', event);
 
             expect(response.statusCode).toBe(200);
             const body = JSON.parse(response.body);
@@ -155,7 +174,7 @@ describe('Integration Tests - Recipe Flow (Controller + Service)', () => {
                 }
             };
 
-            const response = await recipeController.getRecipe(event);
+            const response = await invoke('getRecipe', event);
 
             expect(response.statusCode).toBe(400);
             const body = JSON.parse(response.body);
@@ -173,7 +192,7 @@ describe('Integration Tests - Recipe Flow (Controller + Service)', () => {
                 }
             };
 
-            const response = await recipeController.getRecipe(event);
+            const response = await invoke('getRecipe', event);
 
             expect(response.statusCode).toBe(400);
             const body = JSON.parse(response.body);
@@ -218,7 +237,7 @@ describe('Integration Tests - Recipe Flow (Controller + Service)', () => {
                 }
             };
 
-            const response = await recipeController.getAllRecipes(event);
+            const response = await invoke('getAllRecipes', event);
 
             expect(response.statusCode).toBe(200);
             const body = JSON.parse(response.body);
@@ -252,7 +271,7 @@ describe('Integration Tests - Recipe Flow (Controller + Service)', () => {
                 }
             };
 
-            const response = await recipeController.getAllRecipes(event);
+            const response = await invoke('getAllRecipes', event);
 
             expect(response.statusCode).toBe(200);
             const body = JSON.parse(response.body);
@@ -279,7 +298,7 @@ describe('Integration Tests - Recipe Flow (Controller + Service)', () => {
                 queryStringParameters: null
             };
 
-            const response = await recipeController.getAllRecipes(event);
+            const response = await invoke('getAllRecipes', event);
 
             expect(response.statusCode).toBe(200);
             const body = JSON.parse(response.body);
@@ -301,7 +320,7 @@ describe('Integration Tests - Recipe Flow (Controller + Service)', () => {
                 })
             };
 
-            const response = await recipeController.createRecipe(event);
+            const response = await invoke('createRecipe', event);
 
             expect(response.statusCode).toBe(500);
             const body = JSON.parse(response.body);
@@ -313,9 +332,9 @@ describe('Integration Tests - Recipe Flow (Controller + Service)', () => {
                 body: 'not valid json'
             };
 
-            const response = await recipeController.createRecipe(event);
+            const response = await invoke('createRecipe', event);
 
-            expect(response.statusCode).toBe(500);
+            expect(response.statusCode).toBe(400);
         });
 
         it('should handle null body', async () => {
@@ -323,7 +342,7 @@ describe('Integration Tests - Recipe Flow (Controller + Service)', () => {
                 body: null
             };
 
-            const response = await recipeController.createRecipe(event);
+            const response = await invoke('createRecipe', event);
 
             expect(response.statusCode).toBe(400);
         });
@@ -349,7 +368,7 @@ describe('Integration Tests - Recipe Flow (Controller + Service)', () => {
                 body: JSON.stringify(recipeData)
             };
 
-            await recipeController.createRecipe(event);
+            await invoke('createRecipe', event);
 
             // Vérifier que les tags ont été normalisés
             expect(mockSave).toHaveBeenCalled();
@@ -377,7 +396,7 @@ describe('Integration Tests - Recipe Flow (Controller + Service)', () => {
                 body: JSON.stringify(recipeData)
             };
 
-            await recipeController.createRecipe(event);
+            await invoke('createRecipe', event);
 
             expect(mockSave).toHaveBeenCalled();
         });
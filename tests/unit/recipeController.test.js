@@ -1,24 +1,56 @@
 import { jest } from '@jest/globals';
+import { compose, createContext } from '../../src/utils/router.js';
+import { errorHandler } from '../../src/middleware/errorHandler.js';
+import { jsonBody } from '../../src/middleware/jsonBody.js';
 import recipeService from '../../src/services/recipeService.js';
+import pantryService from '../../src/services/pantryService.js';
+import mealPlanService from '../../src/services/mealPlanService.js';
 
 // Mock des méthodes du service
 const mockAddRecipe = jest.fn();
 const mockGetRecipeById = jest.fn();
 const mockGetAllRecipes = jest.fn();
+const mockUpdateRecipe = jest.fn();
+const mockDeleteRecipe = jest.fn();
+const mockRestoreRecipe = jest.fn();
+const mockSearchRecipes = jest.fn();
+const mockMatchRecipes = jest.fn();
+const mockFindEntriesForRecipe = jest.fn();
+const mockExportRecipes = jest.fn();
+const mockGetRecipesPage = jest.fn();
 
 recipeService.addRecipe = mockAddRecipe;
 recipeService.getRecipeById = mockGetRecipeById;
 recipeService.getAllRecipes = mockGetAllRecipes;
+recipeService.updateRecipe = mockUpdateRecipe;
+recipeService.deleteRecipe = mockDeleteRecipe;
+recipeService.restoreRecipe = mockRestoreRecipe;
+recipeService.searchRecipes = mockSearchRecipes;
+recipeService.exportRecipes = mockExportRecipes;
+recipeService.getRecipesPage = mockGetRecipesPage;
+pantryService.matchRecipes = mockMatchRecipes;
+mealPlanService.findEntriesForRecipe = mockFindEntriesForRecipe;
 
 // Import du controller après le mock
 const { default: recipeController } = await import('../../src/controllers/recipeController.js');
 
+// Exécuter une méthode du controller derrière les middlewares dont il dépend (corps JSON, conversion des erreurs)
+const invoke = (method, event) => compose([errorHandler(), jsonBody()], (ctx) => recipeController[method](ctx.event, ctx))(createContext(event));
+
 describe('Unit Tests - RecipeController', () => {
     
     beforeEach(() => {
         mockAddRecipe.mockClear();
         mockGetRecipeById.mockClear();
         mockGetAllRecipes.mockClear();
+        mockGetRecipesPage.mockClear();
+        mockUpdateRecipe.mockClear();
+        mockDeleteRecipe.mockClear();
+        mockRestoreRecipe.mockClear();
+        mockSearchRecipes.mockClear();
+        mockMatchRecipes.mockClear();
+        mockFindEntriesForRecipe.mockReset();
+        mockFindEntriesForRecipe.mockResolvedValue([]);
     });
 
     describe('createRecipe', () => {
@@ -44,7 +76,7 @@ describe('Unit Tests - RecipeController', () => {
                 })
             };
 
-            const response = await recipeController.createRecipe(event);
+            const response = await invoke('createRecipe', event);
 
             expect(response.statusCode).toBe(200);
             expect(response.headers['Content-Type']).toBe('application/json');
@@ -55,16 +87,31 @@ describe('Unit Tests - RecipeController', () => {
             expect(mockAddRecipe).toHaveBeenCalledTimes(1);
         });
 
+        it('should make the authenticated user the owner', async () => {
+            mockAddRecipe.mockResolvedValue({ id: '507f1f77bcf86cd799439011', ownerId: 'user-1' });
+
+            await invoke('createRecipe', {
+                user: { id: 'user-1' },
+                body: JSON.stringify({ title: 'Test Recipe', servings: 4, ingredients: [], steps: [] })
+            });
+
+            expect(mockAddRecipe).toHaveBeenCalledWith(
+                expect.objectContaining({ title: 'Test Recipe' }),
+                { ownerId: 'user-1' }
+            );
+        });
+
         it('should return 400 when body is invalid', async () => {
             const event = {
                 body: 'invalid json'
             };
 
-            const response = await recipeController.createRecipe(event);
+            const response = await invoke('createRecipe', event);
 
-            expect(response.statusCode).toBe(500);
+            expect(response.statusCode).toBe(400);
             const body = JSON.parse(response.body);
-            expect(body.error).toBe('Internal error');
+            expect(body.error).toBe('Le corps de la requête doit être du JSON valide');
+            expect(mockAddRecipe).not.toHaveBeenCalled();
         });
 
         it('should return 400 when body is null', async () => {
@@ -72,7 +119,7 @@ describe('Unit Tests - RecipeController', () => {
                 body: null
             };
 
-            const response = await recipeController.createRecipe(event);
+            const response = await invoke('createRecipe', event);
 
             expect(response.statusCode).toBe(400);
         });
@@ -86,7 +133,7 @@ describe('Unit Tests - RecipeController', () => {
                 body: JSON.stringify({ servings: 4 })
             };
 
-            const response = await recipeController.createRecipe(event);
+            const response = await invoke('createRecipe', event);
 
             expect(response.statusCode).toBe(400);
             const body = JSON.parse(response.body);
@@ -107,7 +154,7 @@ describe('Unit Tests - RecipeController', () => {
                 })
             };
 
-            const response = await recipeController.createRecipe(event);
+            const response = await invoke('createRecipe', event);
 
             expect(response.statusCode).toBe(500);
             const body = JSON.parse(response.body);
@@ -126,17 +173,142 @@ describe('Unit Tests - RecipeController', () => {
             mockGetRecipeById.mockResolvedValue(mockRecipe);
 
             const event = {
+                user: { id: 'user-1' },
                 pathParameters: {
                     id: '507f1f77bcf86cd799439011'
                 }
             };
 
-            const response = await recipeController.getRecipe(event);
+            const response = await invoke('getRecipe', event);
 
             expect(response.statusCode).toBe(200);
             const body = JSON.parse(response.body);
             expect(body.data).toEqual(mockRecipe);
-            expect(mockGetRecipeById).toHaveBeenCalledWith('507f1f77bcf86cd799439011');
+            expect(mockGetRecipeById).toHaveBeenCalledWith('507f1f77bcf86cd799439011', { viewerId: 'user-1' });
+        });
+
+        it('should scale ingredients when servings is provided', async () => {
+            mockGetRecipeById.mockResolvedValue({
+                id: '507f1f77bcf86cd799439011',
+                title: 'Test Recipe',
+                servings: 4,
+                ingredients: [{ name: 'Oeufs', quantity: 2 }, { name: 'Farine', quantity: 200, unit: 'g' }]
+            });
+
+            const event = {
+                pathParameters: { id: '507f1f77bcf86cd799439011' },
+                queryStringParameters: { servings: '6' }
+            };
+
+            const response = await invoke('getRecipe', event);
+
+            expect(response.statusCode).toBe(200);
+            const body = JSON.parse(response.body);
+            expect(body.data.servings).toBe(6);
+            expect(body.data.ingredients.map(i => i.quantity)).toEqual([3, 300]);
+            expect(body.data.scaling).toEqual({ originalServings: 4, servings: 6, factor: 1.5 });
+        });
+
+        it('should convert units when requested', async () => {
+            mockGetRecipeById.mockResolvedValue({
+                id: '507f1f77bcf86cd799439011',
+                servings: 4,
+                ingredients: [{ name: 'Farine', quantity: 500, unit: 'g' }, { name: 'Sel', quantity: 1, unit: 'poignée' }]
+            });
+
+            const event = {
+                pathParameters: { id: '507f1f77bcf86cd799439011' },
+                queryStringParameters: { units: 'imperial' }
+            };
+
+            const response = await invoke('getRecipe', event);
+
+            expect(response.statusCode).toBe(200);
+            const body = JSON.parse(response.body);
+            expect(body.data.ingredients[0]).toEqual({ name: 'Farine', quantity: 1, unit: 'lb' });
+            expect(body.data.units).toEqual({ system: 'imperial', unknownUnits: ['poignée'] });
+        });
+
+        it('should return 400 when units is not a known system', async () => {
+            const event = {
+                pathParameters: { id: '507f1f77bcf86cd799439011' },
+                queryStringParameters: { units: 'nautical' }
+            };
+
+            const response = await invoke('getRecipe', event);
+
+            expect(response.statusCode).toBe(400);
+        });
+
+        it('should return 400 when servings is invalid', async () => {
+            const event = {
+                pathParameters: { id: '507f1f77bcf86cd799439011' },
+                queryStringParameters: { servings: '0' }
+            };
+
+            const response = await invoke('getRecipe', event);
+
+            expect(response.statusCode).toBe(400);
+            expect(mockGetRecipeById).not.toHaveBeenCalled();
+        });
+
+        it('should export as Markdown with ?format=', async () => {
+            mockGetRecipeById.mockResolvedValue({
+                id: '507f1f77bcf86cd799439011',
+                title: 'Omelette',
+                servings: 2,
+                ingredients: [{ name: 'Oeufs', quantity: 4 }],
+                steps: [{ order: 1, text: 'Battre les oeufs' }]
+            });
+
+            const response = await invoke('getRecipe', {
+                pathParameters: { id: '507f1f77bcf86cd799439011' },
+                queryStringParameters: { format: 'md' }
+            });
+
+            expect(response.statusCode).toBe(200);
+            expect(response.headers['Content-Type']).toBe('text/markdown; charset=utf-8');
+            expect(response.body).toContain('# Omelette');
+            expect(response.body).toContain('1. Battre les oeufs');
+        });
+
+        it('should negotiate the format from the Accept header', async () => {
+            mockGetRecipeById.mockResolvedValue({
+                id: '507f1f77bcf86cd799439011',
+                title: 'Omelette',
+                servings: 2,
+                ingredients: [{ name: 'Oeufs', quantity: 4 }],
+                steps: [{ order: 1, text: 'Battre les oeufs' }]
+            });
+
+            const response = await invoke('getRecipe', {
+                pathParameters: { id: '507f1f77bcf86cd799439011' },
+                headers: { Accept: 'application/ld+json, application/json;q=0.5' }
+            });
+
+            expect(response.headers['Content-Type']).toBe('application/ld+json');
+            const body = JSON.parse(response.body);
+            expect(body['@type']).toBe('Recipe');
+            expect(body.recipeIngredient).toEqual(['4 Oeufs']);
+        });
+
+        it('should return 406 when no requested format is available', async () => {
+            const response = await invoke('getRecipe', {
+                pathParameters: { id: '507f1f77bcf86cd799439011' },
+                headers: { accept: 'application/pdf' }
+            });
+
+            expect(response.statusCode).toBe(406);
+            expect(mockGetRecipeById).not.toHaveBeenCalled();
+        });
+
+        it('should return 400 when format is unknown', async () => {
+            const response = await invoke('getRecipe', {
+                pathParameters: { id: '507f1f77bcf86cd799439011' },
+                queryStringParameters: { format: 'pdf' }
+            });
+
+            expect(response.statusCode).toBe(400);
         });
 
         it('should return 400 when id is missing', async () => {
@@ -144,7 +316,7 @@ describe('Unit Tests - RecipeController', () => {
                 pathParameters: null
             };
 
-            const response = await recipeController.getRecipe(event);
+            const response = await invoke('getRecipe', event);
 
             expect(response.statusCode).toBe(400);
             const body = JSON.parse(response.body);
@@ -160,7 +332,7 @@ describe('Unit Tests - RecipeController', () => {
                 }
             };
 
-            const response = await recipeController.getRecipe(event);
+            const response = await invoke('getRecipe', event);
 
             expect(response.statusCode).toBe(400);
             const body = JSON.parse(response.body);
@@ -178,7 +350,7 @@ describe('Unit Tests - RecipeController', () => {
                 }
             };
 
-            const response = await recipeController.getRecipe(event);
+            const response = await invoke('getRecipe', event);
 
             expect(response.statusCode).toBe(500);
             const body = JSON.parse(response.body);
@@ -186,35 +358,408 @@ describe('Unit Tests - RecipeController', () => {
         });
     });
 
+    describe('updateRecipe / patchRecipe', () => {
+        it('should replace a recipe with PUT', async () => {
+            const mockRecipe = { id: '507f1f77bcf86cd799439011', title: 'Updated' };
+            mockUpdateRecipe.mockResolvedValue(mockRecipe);
+
+            const event = {
+                pathParameters: { id: '507f1f77bcf86cd799439011' },
+                body: JSON.stringify({ title: 'Updated' })
+            };
+
+            const response = await invoke('updateRecipe', event);
+
+            expect(response.statusCode).toBe(200);
+            const body = JSON.parse(response.body);
+            expect(body.message).toBe('Recette mise à jour avec succès');
+            expect(body.data).toEqual(mockRecipe);
+            expect(mockUpdateRecipe).toHaveBeenCalledWith(
+                '507f1f77bcf86cd799439011',
+                { title: 'Updated' },
+                { partial: false }
+            );
+        });
+
+        it('should merge a recipe with PATCH', async () => {
+            mockUpdateRecipe.mockResolvedValue({ id: '507f1f77bcf86cd799439011' });
+
+            const event = {
+                pathParameters: { id: '507f1f77bcf86cd799439011' },
+                body: JSON.stringify({ servings: 2 })
+            };
+
+            const response = await invoke('patchRecipe', event);
+
+            expect(response.statusCode).toBe(200);
+            expect(mockUpdateRecipe).toHaveBeenCalledWith(
+                '507f1f77bcf86cd799439011',
+                { servings: 2 },
+                { partial: true }
+            );
+        });
+
+        it('should return 400 when body is empty or invalid', async () => {
+            const event = {
+                pathParameters: { id: '507f1f77bcf86cd799439011' },
+                body: 'invalid json'
+            };
+
+            const response = await invoke('patchRecipe', event);
+
+            expect(response.statusCode).toBe(400);
+            expect(mockUpdateRecipe).not.toHaveBeenCalled();
+        });
+
+        it('should return 404 when recipe not found', async () => {
+            mockUpdateRecipe.mockResolvedValue(null);
+
+            const event = {
+                pathParameters: { id: '507f1f77bcf86cd799439011' },
+                body: JSON.stringify({ title: 'Updated' })
+            };
+
+            const response = await invoke('updateRecipe', event);
+
+            expect(response.statusCode).toBe(404);
+            expect(JSON.parse(response.body).error).toBe('Recette non trouvée');
+        });
+
+        it('should return 400 when validation fails', async () => {
+            mockUpdateRecipe.mockRejectedValue(
+                new Error('Validation échouée: Le titre est requis')
+            );
+
+            const event = {
+                pathParameters: { id: '507f1f77bcf86cd799439011' },
+                body: JSON.stringify({ title: '' })
+            };
+
+            const response = await invoke('updateRecipe', event);
+
+            expect(response.statusCode).toBe(400);
+            expect(JSON.parse(response.body).error).toContain('Validation échouée');
+        });
+
+        it('should return 403 when the user does not own the recipe', async () => {
+            mockUpdateRecipe.mockRejectedValue(
+                new Error('Accès refusé: seul le propriétaire peut modifier cette recette')
+            );
+
+            const event = {
+                user: { id: 'user-2' },
+                pathParameters: { id: '507f1f77bcf86cd799439011' },
+                body: JSON.stringify({ title: 'Updated' })
+            };
+
+            const response = await invoke('patchRecipe', event);
+
+            expect(response.statusCode).toBe(403);
+            expect(JSON.parse(response.body).error).toContain('Accès refusé');
+            expect(mockUpdateRecipe).toHaveBeenCalledWith(
+                '507f1f77bcf86cd799439011',
+                { title: 'Updated' },
+                { partial: true, userId: 'user-2' }
+            );
+        });
+    });
+
+    describe('searchRecipes', () => {
+        it('should search with query, tags and pagination', async () => {
+            mockSearchRecipes.mockResolvedValue([{ id: '1', title: 'Crème brûlée' }]);
+
+            const response = await invoke('searchRecipes', {
+                queryStringParameters: { q: ' crème ', tags: 'dessert', limit: '5', skip: '10' }
+            });
+
+            expect(response.statusCode).toBe(200);
+            expect(JSON.parse(response.body).count).toBe(1);
+            expect(mockSearchRecipes).toHaveBeenCalledWith('crème', {
+                limit: 5,
+                skip: 10,
+                tags: ['dessert']
+            });
+        });
+
+        it('should return 400 when q is missing', async () => {
+            const response = await invoke('searchRecipes', { queryStringParameters: null });
+
+            expect(response.statusCode).toBe(400);
+            expect(mockSearchRecipes).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('matchRecipes', () => {
+        it('should match recipes against available ingredients', async () => {
+            mockMatchRecipes.mockResolvedValue([
+                { recipe: { title: 'Omelette' }, matchedCount: 2, totalCount: 2, coverage: 1, missingIngredients: [] }
+            ]);
+
+            const response = await invoke('matchRecipes', {
+                body: JSON.stringify({ ingredients: ['oeufs', 'beurre'], maxMissing: 2 })
+            });
+
+            expect(response.statusCode).toBe(200);
+            expect(JSON.parse(response.body).count).toBe(1);
+            expect(mockMatchRecipes).toHaveBeenCalledWith(['oeufs', 'beurre'], {
+                maxMissing: 2,
+                ignoreStaples: true,
+                staples: undefined,
+                tags: null,
+                limit: 50
+            });
+        });
+
+        it('should return 400 when ingredients are missing', async () => {
+            const response = await invoke('matchRecipes', { body: JSON.stringify({}) });
+
+            expect(response.statusCode).toBe(400);
+            expect(mockMatchRecipes).not.toHaveBeenCalled();
+        });
+
+        it('should return 400 when maxMissing is invalid', async () => {
+            const response = await invoke('matchRecipes', {
+                body: JSON.stringify({ ingredients: ['oeufs'], maxMissing: -1 })
+            });
+
+            expect(response.statusCode).toBe(400);
+        });
+    });
+
+    describe('deleteRecipe / restoreRecipe', () => {
+        it('should return 204 when recipe is moved to the trash', async () => {
+            mockDeleteRecipe.mockResolvedValue({ id: '507f1f77bcf86cd799439011' });
+
+            const response = await invoke('deleteRecipe', {
+                user: { id: 'user-1' },
+                pathParameters: { id: '507f1f77bcf86cd799439011' }
+            });
+
+            expect(response.statusCode).toBe(204);
+            expect(response.body).toBe('');
+            expect(mockDeleteRecipe).toHaveBeenCalledWith('507f1f77bcf86cd799439011', { userId: 'user-1' });
+        });
+
+        it('should let admins delete any recipe', async () => {
+            mockDeleteRecipe.mockResolvedValue({ id: '507f1f77bcf86cd799439011' });
+
+            const response = await invoke('deleteRecipe', {
+                user: { id: 'admin-1', roles: ['admin'] },
+                pathParameters: { id: '507f1f77bcf86cd799439011' }
+            });
+
+            expect(response.statusCode).toBe(204);
+            expect(mockDeleteRecipe).toHaveBeenCalledWith('507f1f77bcf86cd799439011', { userId: undefined });
+        });
+
+        it('should return 403 when deleting a recipe of another user', async () => {
+            mockDeleteRecipe.mockRejectedValue(
+                new Error('Accès refusé: seul le propriétaire peut modifier cette recette')
+            );
+
+            const response = await invoke('deleteRecipe', {
+                user: { id: 'user-2' },
+                pathParameters: { id: '507f1f77bcf86cd799439011' }
+            });
+
+            expect(response.statusCode).toBe(403);
+        });
+
+        it('should report meal plans that still use the deleted recipe', async () => {
+            mockDeleteRecipe.mockResolvedValue({ id: '507f1f77bcf86cd799439011' });
+            mockFindEntriesForRecipe.mockResolvedValue([
+                { id: 'plan1', date: '2026-10-20T00:00:00.000Z', slot: 'dinner' }
+            ]);
+
+            const response = await invoke('deleteRecipe', {
+                pathParameters: { id: '507f1f77bcf86cd799439011' }
+            });
+
+            expect(response.statusCode).toBe(200);
+            const body = JSON.parse(response.body);
+            expect(body.data.mealPlans).toHaveLength(1);
+            expect(body.message).toContain('planning des repas');
+        });
+
+        it('should return 404 when deleting an unknown recipe', async () => {
+            mockDeleteRecipe.mockResolvedValue(null);
+
+            const response = await invoke('deleteRecipe', {
+                pathParameters: { id: '507f1f77bcf86cd799439011' }
+            });
+
+            expect(response.statusCode).toBe(404);
+        });
+
+        it('should restore a recipe', async () => {
+            mockRestoreRecipe.mockResolvedValue({ id: '507f1f77bcf86cd799439011', deletedAt: null });
+
+            const response = await invoke('restoreRecipe', {
+                pathParameters: { id: '507f1f77bcf86cd799439011' }
+            });
+
+            expect(response.statusCode).toBe(200);
+            expect(JSON.parse(response.body).message).toBe('Recette restaurée avec succès');
+        });
+
+        it('should return 404 when the recipe is not in the trash', async () => {
+            mockRestoreRecipe.mockResolvedValue(null);
+
+            const response = await invoke('restoreRecipe', {
+                pathParameters: { id: '507f1f77bcf86cd799439011' }
+            });
+
+            expect(response.statusCode).toBe(404);
+            expect(JSON.parse(response.body).error).toBe('Recette non trouvée dans la corbeille');
+        });
+    });
+
+    describe('exportRecipes', () => {
+        it('should return one JSON recipe per line', async () => {
+            mockExportRecipes.mockImplementation(async function* () {
+                yield { id: '1', title: 'Recipe 1' };
+                yield { id: '2', title: 'Recipe 2' };
+            });
+
+            const response = await invoke('exportRecipes', {
+                queryStringParameters: { tags: 'Dessert, rapide', updatedTo: '2026-10-01' }
+            });
+
+            expect(response.statusCode).toBe(200);
+            expect(response.headers['Content-Type']).toBe('application/x-ndjson');
+            expect(response.body).toBe('{"id":"1","title":"Recipe 1"}\n{"id":"2","title":"Recipe 2"}\n');
+            expect(mockExportRecipes).toHaveBeenCalledWith({
+                tags: ['dessert', 'rapide'],
+                updatedFrom: null,
+                updatedTo: new Date('2026-10-01'),
+                cursor: null,
+                limit: 501
+            });
+            expect(response.headers.Link).not.toContain('rel="next"');
+        });
+
+        it('should stop at the page size and link to the next page', async () => {
+            mockExportRecipes.mockImplementation(async function* () {
+                yield { id: '507f1f77bcf86cd799439011', title: 'Recipe 1' };
+                yield { id: '507f1f77bcf86cd799439012', title: 'Recipe 2' };
+                yield { id: '507f1f77bcf86cd799439013', title: 'Recipe 3' };
+            });
+
+            const response = await invoke('exportRecipes', {
+                requestContext: { http: { path: '/recipes/export' } },
+                queryStringParameters: { limit: '2' }
+            });
+
+            expect(response.body.trim().split('\n')).toHaveLength(2);
+            const cursor = recipeService.exportCursor({ id: '507f1f77bcf86cd799439012' });
+            expect(response.headers.Link).toContain(`</recipes/export?limit=2&cursor=${cursor}>; rel="next"`);
+            expect(mockExportRecipes.mock.calls[0][0].limit).toBe(3);
+        });
+
+        it('should cut the page before the Lambda response size limit', async () => {
+            const steps = [{ order: 1, text: 'x'.repeat(3 * 1024 * 1024) }];
+            mockExportRecipes.mockImplementation(async function* () {
+                yield { id: '507f1f77bcf86cd799439011', steps };
+                yield { id: '507f1f77bcf86cd799439012', steps };
+            });
+
+            const response = await invoke('exportRecipes', { queryStringParameters: null });
+
+            expect(response.body.trim().split('\n')).toHaveLength(1);
+            expect(response.headers.Link).toContain('rel="next"');
+        });
+
+        it('should return 400 when a date is invalid', async () => {
+            const response = await invoke('exportRecipes', {
+                queryStringParameters: { updatedFrom: 'hier' }
+            });
+
+            expect(response.statusCode).toBe(400);
+            expect(mockExportRecipes).not.toHaveBeenCalled();
+        });
+    });
+
     describe('getAllRecipes', () => {
-        it('should return all recipes with default options', async () => {
+        it('should return the first page with default options', async () => {
             const mockRecipes = [
                 { id: '1', title: 'Recipe 1', servings: 4 },
                 { id: '2', title: 'Recipe 2', servings: 2 }
             ];
 
-            mockGetAllRecipes.mockResolvedValue(mockRecipes);
+            mockGetRecipesPage.mockResolvedValue({ recipes: mockRecipes, nextCursor: null, total: null });
 
             const event = {
+                user: { id: 'user-1' },
                 queryStringParameters: null
             };
 
-            const response = await recipeController.getAllRecipes(event);
+            const response = await invoke('getAllRecipes', event);
 
             expect(response.statusCode).toBe(200);
             const body = JSON.parse(response.body);
             expect(body.count).toBe(2);
             expect(body.data).toEqual(mockRecipes);
-            expect(mockGetAllRecipes).toHaveBeenCalledWith({
+            expect(body.nextCursor).toBeNull();
+            expect(body).not.toHaveProperty('total');
+            expect(mockGetRecipesPage).toHaveBeenCalledWith({
                 limit: 50,
-                skip: 0,
                 sortBy: 'createdAt',
                 sortOrder: 'desc',
-                tags: null
+                tags: null,
+                minRating: null,
+                cursor: null,
+                withTotal: false,
+                viewerId: 'user-1'
             });
+            expect(response.headers.Link).toBe('</recipes>; rel="first"');
+        });
+
+        it('should pass the cursor and return the next one with Link headers', async () => {
+            mockGetRecipesPage.mockResolvedValue({ recipes: [{ id: '3' }], nextCursor: 'abc', total: 12 });
+
+            const response = await invoke('getAllRecipes', {
+                rawPath: '/recipes',
+                requestContext: { http: { method: 'GET', path: '/recipes' } },
+                queryStringParameters: { cursor: 'xyz', limit: '1', tags: 'italien', total: 'true' }
+            });
+
+            expect(response.statusCode).toBe(200);
+            const body = JSON.parse(response.body);
+            expect(body.nextCursor).toBe('abc');
+            expect(body.total).toBe(12);
+            expect(mockGetRecipesPage).toHaveBeenCalledWith(expect.objectContaining({
+                limit: 1,
+                cursor: 'xyz',
+                tags: ['italien'],
+                withTotal: true
+            }));
+            expect(response.headers.Link).toBe(
+                '</recipes?limit=1&tags=italien&total=true>; rel="first", ' +
+                '</recipes?limit=1&tags=italien&total=true&cursor=abc>; rel="next"'
+            );
+        });
+
+        it('should clamp limit to 100', async () => {
+            mockGetRecipesPage.mockResolvedValue({ recipes: [], nextCursor: null, total: null });
+
+            await invoke('getAllRecipes', { queryStringParameters: { limit: '5000' } });
+
+            expect(mockGetRecipesPage).toHaveBeenCalledWith(expect.objectContaining({ limit: 100 }));
+        });
+
+        it('should return 400 for an invalid cursor or sort field', async () => {
+            mockGetRecipesPage.mockRejectedValue(new Error('Curseur invalide pour ce tri'));
+
+            const badCursor = await invoke('getAllRecipes', { queryStringParameters: { cursor: 'nope' } });
+            const badSort = await invoke('getAllRecipes', { queryStringParameters: { sortBy: 'password' } });
+            const both = await invoke('getAllRecipes', { queryStringParameters: { cursor: 'a', skip: '10' } });
+
+            expect(badCursor.statusCode).toBe(400);
+            expect(badSort.statusCode).toBe(400);
+            expect(both.statusCode).toBe(400);
         });
 
-        it('should apply query parameters', async () => {
+        it('should keep offset pagination when skip is provided', async () => {
             const mockRecipes = [{ id: '1', title: 'Recipe 1', servings: 4 }];
 
             mockGetAllRecipes.mockResolvedValue(mockRecipes);
@@ -229,28 +774,41 @@ describe('Unit Tests - RecipeController', () => {
                 }
             };
 
-            const response = await recipeController.getAllRecipes(event);
+            const response = await invoke('getAllRecipes', event);
 
             expect(response.statusCode).toBe(200);
+            expect(mockGetRecipesPage).not.toHaveBeenCalled();
             expect(mockGetAllRecipes).toHaveBeenCalledWith({
                 limit: 10,
                 skip: 5,
                 sortBy: 'title',
                 sortOrder: 'asc',
-                tags: ['italien', 'rapide']
+                tags: ['italien', 'rapide'],
+                minRating: null
             });
         });
 
-        it('should handle empty query parameters', async () => {
-            const mockRecipes = [];
+        it('should sort by rating and filter on minRating', async () => {
+            mockGetRecipesPage.mockResolvedValue({ recipes: [], nextCursor: null, total: null });
 
-            mockGetAllRecipes.mockResolvedValue(mockRecipes);
+            const response = await invoke('getAllRecipes', {
+                queryStringParameters: { sortBy: 'rating', minRating: '3.5' }
+            });
+            const invalid = await invoke('getAllRecipes', { queryStringParameters: { minRating: '6' } });
+
+            expect(response.statusCode).toBe(200);
+            expect(mockGetRecipesPage).toHaveBeenCalledWith(expect.objectContaining({ sortBy: 'rating', minRating: 3.5 }));
+            expect(invalid.statusCode).toBe(400);
+        });
+
+        it('should handle empty query parameters', async () => {
+            mockGetRecipesPage.mockResolvedValue({ recipes: [], nextCursor: null, total: null });
 
             const event = {
                 queryStringParameters: {}
             };
 
-            const response = await recipeController.getAllRecipes(event);
+            const response = await invoke('getAllRecipes', event);
 
             expect(response.statusCode).toBe(200);
             const body = JSON.parse(response.body);
@@ -259,7 +817,7 @@ describe('Unit Tests - RecipeController', () => {
         });
 
         it('should return 500 on service error', async () => {
-            mockGetAllRecipes.mockRejectedValue(
+            mockGetRecipesPage.mockRejectedValue(
                 new Error('Database error')
             );
 
@@ -267,11 +825,82 @@ describe('Unit Tests - RecipeController', () => {
                 queryStringParameters: null
             };
 
-            const response = await recipeController.getAllRecipes(event);
+            const response = await invoke('getAllRecipes', event);
 
             expect(response.statusCode).toBe(500);
             const body = JSON.parse(response.body);
             expect(body.error).toBe('Internal error');
         });
     });
+
+    describe('ETags', () => {
+        const recipe = { id: '507f1f77bcf86cd799439011', _id: '507f1f77bcf86cd799439011', title: 'Tarte', __v: 3, ingredients: [], steps: [] };
+
+        it('should return the ETag of the recipe and 304 when it is unchanged', async () => {
+            mockGetRecipeById.mockResolvedValue(recipe);
+
+            const response = await invoke('getRecipe', { pathParameters: { id: recipe.id } });
+            const notModified = await invoke('getRecipe', {
+                pathParameters: { id: recipe.id },
+                headers: { 'If-None-Match': '"2", "3"' }
+            });
+            const markdown = await invoke('getRecipe', {
+                pathParameters: { id: recipe.id },
+                queryStringParameters: { format: 'markdown' },
+                headers: { 'If-None-Match': '"3"' }
+            });
+
+            expect(response.headers.ETag).toBe('"3"');
+            expect(JSON.parse(response.body).data.__v).toBe(3);
+            expect(notModified.statusCode).toBe(304);
+            expect(notModified.body).toBe('');
+            expect(markdown.statusCode).toBe(200);
+            expect(markdown.headers.ETag).toBe('"3-markdown"');
+        });
+
+        it('should return a weak ETag for the page of recipes', async () => {
+            mockGetRecipesPage.mockResolvedValue({ recipes: [recipe], nextCursor: null, total: null });
+
+            const response = await invoke('getAllRecipes', { queryStringParameters: {} });
+            const etag = response.headers.ETag;
+            const notModified = await invoke('getAllRecipes', { queryStringParameters: {}, headers: { 'if-none-match': etag } });
+
+            mockGetRecipesPage.mockResolvedValue({ recipes: [{ ...recipe, __v: 4 }], nextCursor: null, total: null });
+            const changed = await invoke('getAllRecipes', { queryStringParameters: {}, headers: { 'if-none-match': etag } });
+
+            expect(etag).toMatch(/^W\/"/);
+            expect(notModified.statusCode).toBe(304);
+            expect(changed.statusCode).toBe(200);
+            expect(changed.headers.ETag).not.toBe(etag);
+        });
+
+        it('should pass If-Match versions to updates and deletes and return 412 on mismatch', async () => {
+            mockUpdateRecipe.mockResolvedValue({ ...recipe, __v: 4 });
+
+            const response = await invoke('patchRecipe', {
+                pathParameters: { id: recipe.id },
+                headers: { 'If-Match': '"3"' },
+                body: JSON.stringify({ title: 'Tarte fine' })
+            });
+
+            expect(response.statusCode).toBe(200);
+            expect(response.headers.ETag).toBe('"4"');
+            expect(mockUpdateRecipe.mock.calls[0][2].expectedVersions).toEqual([3]);
+
+            mockUpdateRecipe.mockRejectedValue(new Error('Précondition échouée: la recette a été modifiée depuis sa lecture'));
+            mockDeleteRecipe.mockRejectedValue(new Error('Précondition échouée: la recette a été modifiée depuis sa lecture'));
+
+            const conflict = await invoke('updateRecipe', {
+                pathParameters: { id: recipe.id },
+                headers: { 'if-match': 'W/"3"' },
+                body: JSON.stringify({ title: 'Tarte fine' })
+            });
+            const deleted = await invoke('deleteRecipe', { pathParameters: { id: recipe.id }, headers: { 'if-match': '"3"' } });
+
+            expect(conflict.statusCode).toBe(412);
+            expect(mockUpdateRecipe.mock.calls[1][2].expectedVersions).toEqual([]);
+            expect(deleted.statusCode).toBe(412);
+            expect(mockDeleteRecipe.mock.calls[0][1].expectedVersions).toEqual([3]);
+        });
+    });
 });
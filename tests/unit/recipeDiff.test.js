@@ -0,0 +1,72 @@
+import { diffRecipes } from '../../src/utils/recipeDiff.mjs';
+
+describe('Unit Tests - Recipe Diff', () => {
+    const before = {
+        title: 'Crêpes',
+        servings: 4,
+        ingredients: [
+            { name: 'Farine', quantity: 250, unit: 'g' },
+            { name: 'Oeufs', quantity: 4 },
+            { name: 'Sucre', quantity: 50, unit: 'g' }
+        ],
+        steps: [
+            { order: 1, text: 'Mélanger la farine et les oeufs' },
+            { order: 2, text: 'Ajouter le lait' }
+        ],
+        tags: ['dessert', 'rapide']
+    };
+
+    const after = {
+        title: 'Crêpes légères',
+        servings: 4,
+        ingredients: [
+            { name: 'Farine', quantity: 200, unit: 'g' },
+            { name: 'Oeufs', quantity: 4 },
+            { name: 'Lait', quantity: 50, unit: 'cl' }
+        ],
+        steps: [
+            { order: 1, text: 'Mélanger la farine et les oeufs' },
+            { order: 2, text: 'Ajouter le lait petit à petit' },
+            { order: 3, text: 'Laisser reposer 1h' }
+        ],
+        tags: ['dessert', 'vegetarien']
+    };
+
+    it('should report changed scalar fields only', () => {
+        expect(diffRecipes(before, after).fields).toEqual({
+            title: { before: 'Crêpes', after: 'Crêpes légères' }
+        });
+    });
+
+    it('should report added, removed and changed ingredients', () => {
+        const { ingredients } = diffRecipes(before, after);
+
+        expect(ingredients.added).toEqual([{ name: 'Lait', quantity: 50, unit: 'cl' }]);
+        expect(ingredients.removed).toEqual([{ name: 'Sucre', quantity: 50, unit: 'g' }]);
+        expect(ingredients.changed).toEqual([{
+            before: { name: 'Farine', quantity: 250, unit: 'g' },
+            after: { name: 'Farine', quantity: 200, unit: 'g' }
+        }]);
+    });
+
+    it('should report added and changed steps by order', () => {
+        const { steps } = diffRecipes(before, after);
+
+        expect(steps.added).toEqual([{ order: 3, text: 'Laisser reposer 1h' }]);
+        expect(steps.removed).toEqual([]);
+        expect(steps.changed).toHaveLength(1);
+        expect(steps.changed[0].after.order).toBe(2);
+    });
+
+    it('should report tag changes', () => {
+        expect(diffRecipes(before, after).tags).toEqual({ added: ['vegetarien'], removed: ['rapide'] });
+    });
+
+    it('should return an empty diff for identical versions', () => {
+        const diff = diffRecipes(before, before);
+
+        expect(diff.fields).toEqual({});
+        expect(diff.ingredients).toEqual({ added: [], removed: [], changed: [] });
+        expect(diff.steps).toEqual({ added: [], removed: [], changed: [] });
+    });
+});
@@ -0,0 +1,107 @@
+import { toSchemaOrg, toMarkdown, toHtml, resolveExportFormat } from '../../src/utils/recipeExport.mjs';
+import { mapSchemaOrgRecipe } from '../../src/utils/schemaOrg.mjs';
+import { negotiate } from '../../src/utils/http.mjs';
+
+describe('Unit Tests - Recipe Export', () => {
+    const recipe = {
+        id: '507f1f77bcf86cd799439011',
+        title: 'Gratin <dauphinois>',
+        servings: 4,
+        ingredients: [
+            { name: 'pommes de terre', quantity: 1, unit: 'kg' },
+            { name: 'crème', quantity: 50, unit: 'cl' },
+            { name: 'ail', quantity: 1, unit: 'gousse' }
+        ],
+        steps: [
+            { order: 2, text: 'Enfourner 1h à 180°C' },
+            { order: 1, text: 'Éplucher & trancher les pommes de terre' }
+        ],
+        tags: ['plat', 'four']
+    };
+
+    describe('toSchemaOrg', () => {
+        it('should produce a schema.org Recipe that our importer reads back', () => {
+            const node = toSchemaOrg(recipe);
+
+            expect(node).toMatchObject({
+                '@type': 'Recipe',
+                name: 'Gratin <dauphinois>',
+                recipeYield: '4',
+                keywords: 'plat, four',
+                identifier: '507f1f77bcf86cd799439011'
+            });
+            expect(node.recipeInstructions[0]).toEqual({
+                '@type': 'HowToStep', position: 1, text: 'Éplucher & trancher les pommes de terre'
+            });
+
+            const { recipe: imported } = mapSchemaOrgRecipe(node);
+            expect(imported.servings).toBe(4);
+            expect(imported.ingredients).toEqual(recipe.ingredients);
+        });
+    });
+
+    describe('toMarkdown', () => {
+        it('should list ingredients and numbered steps in order', () => {
+            expect(toMarkdown(recipe)).toBe([
+                '# Gratin <dauphinois>',
+                '',
+                'Pour 4 personnes',
+                '',
+                'Tags : plat, four',
+                '',
+                '## Ingrédients',
+                '',
+                '- 1 kg pommes de terre',
+                '- 50 cl crème',
+                '- 1 gousse ail',
+                '',
+                '## Préparation',
+                '',
+                '1. Éplucher & trancher les pommes de terre',
+                '2. Enfourner 1h à 180°C',
+                ''
+            ].join('\n'));
+        });
+    });
+
+    describe('toHtml', () => {
+        it('should build a self-contained page with escaped content', () => {
+            const html = toHtml(recipe);
+
+            expect(html).toMatch(/^<!DOCTYPE html>/);
+            expect(html).toContain('<style>');
+            expect(html).toContain('<h1>Gratin &lt;dauphinois&gt;</h1>');
+            expect(html).toContain('<li>Éplucher &amp; trancher les pommes de terre</li>');
+            expect(html.indexOf('Éplucher')).toBeLessThan(html.indexOf('Enfourner'));
+        });
+    });
+
+    describe('resolveExportFormat', () => {
+        it('should accept aliases and media types', () => {
+            expect(resolveExportFormat('MD')).toBe('markdown');
+            expect(resolveExportFormat('json-ld')).toBe('jsonld');
+            expect(resolveExportFormat('text/html')).toBe('html');
+            expect(resolveExportFormat('pdf')).toBeNull();
+        });
+    });
+
+    describe('negotiate', () => {
+        const supported = ['application/json', 'application/ld+json', 'text/markdown', 'text/html'];
+
+        it('should default to the first supported type', () => {
+            expect(negotiate(undefined, supported)).toBe('application/json');
+            expect(negotiate('*/*', supported)).toBe('application/json');
+        });
+
+        it('should honour q values and wildcards', () => {
+            expect(negotiate('text/html;q=0.5, text/markdown', supported)).toBe('text/markdown');
+            expect(negotiate('text/*', supported)).toBe('text/markdown');
+            expect(negotiate('text/html, */*;q=0.8', supported)).toBe('text/html');
+        });
+
+        it('should return null when nothing matches', () => {
+            expect(negotiate('application/pdf', supported)).toBeNull();
+            expect(negotiate('text/html;q=0', supported)).toBeNull();
+        });
+    });
+});
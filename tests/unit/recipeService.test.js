@@ -1,17 +1,49 @@
 import { jest } from '@jest/globals';
 import Recipe from '../../src/models/Recipe.js';
+import revisionService from '../../src/services/revisionService.js';
+import tagService from '../../src/services/tagService.js';
+import collectionService from '../../src/services/collectionService.js';
+import reviewService from '../../src/services/reviewService.js';
+import { encodeCursor, decodeCursor } from '../../src/utils/cursor.mjs';
 
 // Mock des méthodes du modèle
 const mockSave = jest.fn();
 const mockFind = jest.fn();
 const mockFindById = jest.fn();
+const mockFindOneAndUpdate = jest.fn();
+const mockFindOne = jest.fn();
+const mockDeleteMany = jest.fn();
+const mockExists = jest.fn();
+const mockDistinct = jest.fn();
 
 Recipe.prototype.save = mockSave;
 Recipe.find = mockFind;
 Recipe.findById = mockFindById;
+Recipe.findOneAndUpdate = mockFindOneAndUpdate;
+Recipe.findOne = mockFindOne;
+Recipe.deleteMany = mockDeleteMany;
+Recipe.exists = mockExists;
+Recipe.distinct = mockDistinct;
+
+// L'historique des révisions est testé séparément
+const mockRecordRevision = jest.fn();
+revisionService.recordRevision = mockRecordRevision;
+
+// Les alias de tags par défaut suffisent (pas d'alias enregistrés)
+tagService.getAliases = jest.fn();
+
+// Le retrait des collections est testé séparément
+collectionService.removeRecipesEverywhere = jest.fn();
+
+// Suppression de l'historique et des avis lors de la purge de la corbeille
+const mockDeleteRevisions = jest.fn();
+const mockDeleteReviews = jest.fn();
+revisionService.deleteRevisions = mockDeleteRevisions;
+reviewService.deleteReviews = mockDeleteReviews;
 
 // Import du service après le mock
 const { default: recipeService } = await import('../../src/services/recipeService.js');
+const { default: revisionController } = await import('../../src/controllers/revisionController.js');
 
 describe('Unit Tests - RecipeService', () => {
     
@@ -19,6 +51,9 @@ describe('Unit Tests - RecipeService', () => {
         mockSave.mockClear();
         mockFind.mockClear();
         mockFindById.mockClear();
+        mockFindOneAndUpdate.mockClear();
+        mockFindOne.mockClear();
+        mockDeleteMany.mockClear();
     });
 
     describe('addRecipe', () => {
@@ -41,6 +76,7 @@ describe('Unit Tests - RecipeService', () => {
 
             expect(mockSave).toHaveBeenCalled();
             expect(result.title).toBe('Test Recipe');
+            expect(mockRecordRevision).toHaveBeenCalledWith(result, 'create');
         });
 
         it('should throw error when steps have duplicate orders', async () => {
@@ -80,6 +116,186 @@ describe('Unit Tests - RecipeService', () => {
         });
     });
 
+    describe('updateRecipe', () => {
+        const buildDoc = (overrides = {}) => ({
+            set: jest.fn(),
+            overwrite: jest.fn(),
+            save: jest.fn().mockResolvedValue(undefined),
+            toJSON: () => ({ id: '507f1f77bcf86cd799439011', title: 'Updated' }),
+            ...overrides
+        });
+
+        it('should merge fields on partial update', async () => {
+            const doc = buildDoc();
+            mockFindById.mockResolvedValue(doc);
+
+            const result = await recipeService.updateRecipe(
+                '507f1f77bcf86cd799439011',
+                { title: 'Updated', tags: ['Rapide', 'rapide '] },
+                { partial: true }
+            );
+
+            expect(doc.set).toHaveBeenCalledWith({ title: 'Updated', tags: ['rapide'] });
+            expect(doc.overwrite).not.toHaveBeenCalled();
+            expect(doc.save).toHaveBeenCalled();
+            expect(result.title).toBe('Updated');
+            expect(mockRecordRevision).toHaveBeenCalledWith(result, 'update', expect.objectContaining({
+                previous: expect.any(Object)
+            }));
+        });
+
+        it('should overwrite the document on full replacement', async () => {
+            const doc = buildDoc();
+            mockFindById.mockResolvedValue(doc);
+
+            await recipeService.updateRecipe('507f1f77bcf86cd799439011', {
+                _id: 'ignored',
+                createdAt: '2020-01-01',
+                title: 'Updated',
+                servings: 2,
+                ingredients: [{ name: 'Test' }],
+                steps: [{ order: 2, text: 'B' }, { order: 1, text: 'A' }]
+            });
+
+            const data = doc.overwrite.mock.calls[0][0];
+            expect(data._id).toBeUndefined();
+            expect(data.createdAt).toBeUndefined();
+            expect(data.steps.map(step => step.order)).toEqual([1, 2]);
+            expect(doc.set).not.toHaveBeenCalled();
+        });
+
+        it('should keep the review summary when replacing or patching', async () => {
+            const doc = buildDoc({ rating: 4.5, reviewCount: 2, ratingTotal: 9 });
+            mockFindById.mockResolvedValue(doc);
+
+            await recipeService.updateRecipe('507f1f77bcf86cd799439011', {
+                title: 'Updated',
+                servings: 2,
+                ingredients: [{ name: 'Test' }],
+                steps: [{ order: 1, text: 'A' }],
+                rating: 1,
+                reviewCount: 100
+            });
+
+            expect(doc.overwrite.mock.calls[0][0]).toMatchObject({ rating: 4.5, reviewCount: 2, ratingTotal: 9 });
+
+            await recipeService.updateRecipe('507f1f77bcf86cd799439011', { rating: 5 }, { partial: true });
+
+            expect(doc.set).toHaveBeenCalledWith({});
+        });
+
+        it('should reject duplicate step orders before touching the database', async () => {
+            await expect(recipeService.updateRecipe('507f1f77bcf86cd799439011', {
+                steps: [{ order: 1, text: 'A' }, { order: 1, text: 'B' }]
+            }, { partial: true })).rejects.toThrow('Les numéros d\'ordre des étapes doivent être uniques');
+
+            expect(mockFindById).not.toHaveBeenCalled();
+        });
+
+        it('should format mongoose validation errors', async () => {
+            const doc = buildDoc({
+                save: jest.fn().mockRejectedValue({
+                    name: 'ValidationError',
+                    errors: { servings: { message: 'Le nombre de portions doit être au moins 1' } }
+                })
+            });
+            mockFindById.mockResolvedValue(doc);
+
+            await expect(recipeService.updateRecipe('507f1f77bcf86cd799439011', { servings: 0 }, { partial: true }))
+                .rejects.toThrow('Validation échouée: Le nombre de portions doit être au moins 1');
+        });
+
+        it('should return null when recipe not found', async () => {
+            mockFindById.mockResolvedValue(null);
+
+            const result = await recipeService.updateRecipe('507f1f77bcf86cd799439011', { title: 'X' });
+
+            expect(result).toBeNull();
+        });
+    });
+
+    describe('validateRecipe', () => {
+        it('should return the normalized data without saving', async () => {
+            const data = await recipeService.validateRecipe({
+                title: 'Test Recipe',
+                servings: 4,
+                ingredients: [{ name: 'Test', quantity: 100, unit: 'g' }],
+                steps: [{ order: 2, text: 'B' }, { order: 1, text: 'A' }],
+                tags: ['Rapide']
+            });
+
+            expect(data.steps.map(step => step.order)).toEqual([1, 2]);
+            expect(data.tags).toEqual(['rapide']);
+            expect(mockSave).not.toHaveBeenCalled();
+        });
+
+        it('should resolve stored tag aliases', async () => {
+            tagService.getAliases.mockResolvedValue({ pasta: 'pâtes', veggie: 'végétarien' });
+
+            const data = await recipeService.validateRecipe({
+                title: 'Test Recipe',
+                servings: 4,
+                ingredients: [{ name: 'Test' }],
+                steps: [{ order: 1, text: 'A' }],
+                tags: ['Pasta', 'Pâtes', 'Veggie']
+            });
+
+            expect(data.tags).toEqual(['pâtes', 'végétarien']);
+        });
+
+        it('should report schema errors like addRecipe', async () => {
+            await expect(recipeService.validateRecipe({ title: 'Sans portions', ingredients: [], steps: [] }))
+                .rejects.toThrow('Validation échouée');
+        });
+    });
+
+    describe('revertRecipe', () => {
+        it('should replace the recipe with the revision snapshot and record a revert', async () => {
+            const snapshot = {
+                title: 'Old title',
+                servings: 2,
+                ingredients: [{ name: 'Test' }],
+                steps: [{ order: 1, text: 'A' }],
+                tags: []
+            };
+            revisionService.getRevision = jest.fn().mockResolvedValue({ rev: 2, snapshot });
+            const doc = {
+                set: jest.fn(),
+                overwrite: jest.fn(),
+                save: jest.fn().mockResolvedValue(undefined),
+                toJSON: () => ({ id: '507f1f77bcf86cd799439011', title: 'Old title' })
+            };
+            mockFindById.mockResolvedValue(doc);
+
+            const result = await recipeService.revertRecipe('507f1f77bcf86cd799439011', 2);
+
+            expect(result.title).toBe('Old title');
+            expect(doc.overwrite.mock.calls[0][0].title).toBe('Old title');
+            expect(mockRecordRevision).toHaveBeenCalledWith(result, 'revert', expect.objectContaining({ revertedFrom: 2 }));
+        });
+
+        it('should return null when the revision does not exist', async () => {
+            revisionService.getRevision = jest.fn().mockResolvedValue(null);
+
+            expect(await recipeService.revertRecipe('507f1f77bcf86cd799439011', 9)).toBeNull();
+            expect(mockFindById).not.toHaveBeenCalled();
+        });
+
+        it('should only revert a recipe still in the version given by If-Match', async () => {
+            revisionService.getRevision = jest.fn().mockResolvedValue({ rev: 2, snapshot: { title: 'Old title', servings: 2 } });
+            const doc = { __v: 5, overwrite: jest.fn(), save: jest.fn() };
+            mockFindById.mockResolvedValue(doc);
+
+            const response = await revisionController.revertRecipe({
+                pathParameters: { id: '507f1f77bcf86cd799439011', rev: '2' },
+                headers: { 'If-Match': '"4"' }
+            });
+
+            expect(response.statusCode).toBe(412);
+            expect(doc.save).not.toHaveBeenCalled();
+        });
+    });
+
     describe('getRecipeById', () => {
         it('should return a recipe by id', async () => {
             const mockRecipe = {
@@ -107,6 +323,19 @@ describe('Unit Tests - RecipeService', () => {
             expect(result).toBeNull();
         });
 
+        it('should hide recipes that are in the trash', async () => {
+            const mockRecipe = {
+                deletedAt: new Date(),
+                toJSON: () => ({ id: '507f1f77bcf86cd799439011', title: 'Test Recipe' })
+            };
+
+            mockFindById.mockResolvedValue(mockRecipe);
+
+            expect(await recipeService.getRecipeById('507f1f77bcf86cd799439011')).toBeNull();
+            expect(await recipeService.getRecipeById('507f1f77bcf86cd799439011', { includeDeleted: true }))
+                .toEqual({ id: '507f1f77bcf86cd799439011', title: 'Test Recipe' });
+        });
+
         it('should return null on invalid ObjectId format', async () => {
             mockFindById.mockRejectedValue({
                 name: 'CastError'
@@ -137,7 +366,7 @@ describe('Unit Tests - RecipeService', () => {
             const result = await recipeService.getAllRecipes();
 
             expect(result).toEqual(mockRecipes);
-            expect(mockFind).toHaveBeenCalledWith({});
+            expect(mockFind).toHaveBeenCalledWith({ deletedAt: null });
             expect(mockQuery.sort).toHaveBeenCalledWith({ createdAt: -1 });
             expect(mockQuery.limit).toHaveBeenCalledWith(50);
             expect(mockQuery.skip).toHaveBeenCalledWith(0);
@@ -189,8 +418,534 @@ describe('Unit Tests - RecipeService', () => {
             await recipeService.getAllRecipes(options);
 
             expect(mockFind).toHaveBeenCalledWith({
+                deletedAt: null,
                 tags: { $all: ['italien', 'rapide'] }
             });
         });
     });
+
+    describe('getRecipesPage', () => {
+        const pageQuery = (recipes) => ({
+            sort: jest.fn().mockReturnThis(),
+            limit: jest.fn().mockReturnThis(),
+            lean: jest.fn().mockResolvedValue(recipes)
+        });
+
+        it('should sort on the field plus _id and return a cursor when more recipes exist', async () => {
+            const mockQuery = pageQuery([
+                { _id: 'a', createdAt: new Date('2026-10-03T00:00:00.000Z') },
+                { _id: 'b', createdAt: new Date('2026-10-02T00:00:00.000Z') },
+                { _id: 'c', createdAt: new Date('2026-10-01T00:00:00.000Z') }
+            ]);
+            mockFind.mockReturnValue(mockQuery);
+
+            const result = await recipeService.getRecipesPage({ limit: 2 });
+
+            expect(mockFind).toHaveBeenCalledWith({ deletedAt: null });
+            expect(mockQuery.sort).toHaveBeenCalledWith({ createdAt: -1, _id: -1 });
+            expect(mockQuery.limit).toHaveBeenCalledWith(3);
+            expect(result.recipes.map(recipe => recipe._id)).toEqual(['a', 'b']);
+            expect(result.total).toBeNull();
+            expect(decodeCursor(result.nextCursor)).toEqual({
+                sortBy: 'createdAt',
+                sortOrder: 'desc',
+                value: new Date('2026-10-02T00:00:00.000Z'),
+                id: 'b'
+            });
+        });
+
+        it('should resume after the cursor position', async () => {
+            mockFind.mockReturnValue(pageQuery([{ _id: 'd', title: 'Tarte' }]));
+            const cursor = encodeCursor({ sortBy: 'title', sortOrder: 'asc', value: 'Pizza', id: '507f1f77bcf86cd799439011' });
+
+            const result = await recipeService.getRecipesPage({ sortBy: 'title', sortOrder: 'asc', cursor, tags: ['rapide'] });
+
+            expect(mockFind).toHaveBeenCalledWith({
+                deletedAt: null,
+                tags: { $all: ['rapide'] },
+                $or: [
+                    { title: { $gt: 'Pizza' } },
+                    { title: 'Pizza', _id: { $gt: '507f1f77bcf86cd799439011' } }
+                ]
+            });
+            expect(result.nextCursor).toBeNull();
+        });
+
+        it('should continue past recipes without rating', async () => {
+            const id = '507f1f77bcf86cd799439011';
+            const desc = encodeCursor({ sortBy: 'rating', sortOrder: 'desc', value: 3, id });
+            const nullDesc = encodeCursor({ sortBy: 'rating', sortOrder: 'desc', value: null, id });
+            const nullAsc = encodeCursor({ sortBy: 'rating', sortOrder: 'asc', value: null, id });
+            mockFind.mockReturnValue(pageQuery([]));
+
+            await recipeService.getRecipesPage({ sortBy: 'rating', cursor: desc });
+            await recipeService.getRecipesPage({ sortBy: 'rating', cursor: nullDesc });
+            await recipeService.getRecipesPage({ sortBy: 'rating', sortOrder: 'asc', cursor: nullAsc });
+
+            expect(mockFind.mock.calls.map(([query]) => query.$or)).toEqual([
+                [{ rating: { $lt: 3 } }, { rating: 3, _id: { $lt: id } }, { rating: null }],
+                [{ rating: null, _id: { $lt: id } }],
+                [{ rating: null, _id: { $gt: id } }, { rating: { $ne: null } }]
+            ]);
+        });
+
+        it('should encode unrated recipes in the next cursor', async () => {
+            mockFind.mockReturnValue(pageQuery([{ _id: 'a', rating: 4 }, { _id: 'b' }, { _id: 'c' }]));
+
+            const result = await recipeService.getRecipesPage({ sortBy: 'rating', limit: 2 });
+
+            expect(decodeCursor(result.nextCursor)).toMatchObject({ value: null, id: 'b' });
+        });
+
+        it('should filter on the minimum rating', async () => {
+            mockFind.mockReturnValue(pageQuery([]));
+
+            await recipeService.getRecipesPage({ minRating: 4 });
+
+            expect(mockFind).toHaveBeenCalledWith({ deletedAt: null, rating: { $gte: 4 } });
+        });
+
+        it('should count the recipes only when asked', async () => {
+            mockFind.mockReturnValue(pageQuery([]));
+            const mockCount = jest.fn().mockResolvedValue(42);
+            Recipe.countDocuments = mockCount;
+
+            const result = await recipeService.getRecipesPage({ withTotal: true, tags: ['rapide'] });
+
+            expect(result.total).toBe(42);
+            expect(mockCount).toHaveBeenCalledWith({ deletedAt: null, tags: { $all: ['rapide'] } });
+        });
+
+        it('should reject a cursor created for another sort', async () => {
+            const cursor = encodeCursor({ sortBy: 'title', sortOrder: 'asc', value: 'Pizza', id: '1' });
+
+            await expect(recipeService.getRecipesPage({ cursor }))
+                .rejects.toThrow('Curseur invalide');
+            await expect(recipeService.getRecipesPage({ cursor: 'pas-un-curseur' }))
+                .rejects.toThrow('Curseur invalide');
+        });
+
+        it('should reject a forged cursor whose id is not an ObjectId', async () => {
+            const cursor = encodeCursor({ sortBy: 'createdAt', sortOrder: 'desc', value: new Date(), id: 'pas-un-id' });
+
+            await expect(recipeService.getRecipesPage({ cursor })).rejects.toThrow('Curseur invalide');
+            expect(mockFind).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('exportRecipes', () => {
+        it('should iterate over the filtered recipes with a cursor', async () => {
+            const mockQuery = {
+                sort: jest.fn().mockReturnThis(),
+                lean: jest.fn().mockReturnThis(),
+                cursor: jest.fn().mockReturnValue([
+                    { _id: '1', __v: 0, title: 'Recipe 1' },
+                    { _id: '2', __v: 0, title: 'Recipe 2' }
+                ])
+            };
+            mockFind.mockReturnValue(mockQuery);
+            const updatedFrom = new Date('2026-01-01T00:00:00.000Z');
+
+            const recipes = [];
+            for await (const recipe of recipeService.exportRecipes({ tags: ['dessert'], updatedFrom })) {
+                recipes.push(recipe);
+            }
+
+            expect(mockFind).toHaveBeenCalledWith({
+                deletedAt: null,
+                tags: { $all: ['dessert'] },
+                updatedAt: { $gte: updatedFrom }
+            });
+            expect(mockQuery.sort).toHaveBeenCalledWith({ _id: 1 });
+            expect(recipes).toEqual([
+                { id: '1', title: 'Recipe 1' },
+                { id: '2', title: 'Recipe 2' }
+            ]);
+        });
+
+        it('should resume after the cursor of a previous page', async () => {
+            const mockQuery = {
+                sort: jest.fn().mockReturnThis(),
+                limit: jest.fn().mockReturnThis(),
+                lean: jest.fn().mockReturnThis(),
+                cursor: jest.fn().mockReturnValue([])
+            };
+            mockFind.mockReturnValue(mockQuery);
+            const cursor = recipeService.exportCursor({ id: '507f1f77bcf86cd799439011' });
+
+            for await (const recipe of recipeService.exportRecipes({ cursor, limit: 10 })) {
+                expect(recipe).toBeUndefined();
+            }
+
+            expect(mockFind).toHaveBeenCalledWith({ deletedAt: null, _id: { $gt: '507f1f77bcf86cd799439011' } });
+            expect(mockQuery.limit).toHaveBeenCalledWith(10);
+        });
+
+        it('should reject a cursor that does not come from the export', async () => {
+            const cursor = encodeCursor({ sortBy: 'title', sortOrder: 'asc', value: 'Pizza', id: '1' });
+            const recipes = recipeService.exportRecipes({ cursor });
+
+            await expect(recipes.next()).rejects.toThrow('Curseur invalide');
+        });
+    });
+
+    describe('searchRecipes', () => {
+        it('should run a text search sorted by relevance and combined with tags', async () => {
+            const mockQuery = {
+                sort: jest.fn().mockReturnThis(),
+                limit: jest.fn().mockReturnThis(),
+                skip: jest.fn().mockReturnThis(),
+                lean: jest.fn().mockResolvedValue([{ _id: '1', title: 'Crème brûlée', score: 12 }])
+            };
+            mockFind.mockReturnValue(mockQuery);
+
+            const result = await recipeService.searchRecipes('creme', { tags: ['dessert'], limit: 10, skip: 20 });
+
+            expect(result[0].score).toBe(12);
+            expect(mockFind).toHaveBeenCalledWith(
+                { deletedAt: null, tags: { $all: ['dessert'] }, $text: { $search: 'creme' } },
+                { score: { $meta: 'textScore' } }
+            );
+            expect(mockQuery.sort).toHaveBeenCalledWith({ score: { $meta: 'textScore' } });
+            expect(mockQuery.limit).toHaveBeenCalledWith(10);
+            expect(mockQuery.skip).toHaveBeenCalledWith(20);
+        });
+    });
+
+    describe('trash', () => {
+        it('should soft-delete a recipe', async () => {
+            mockFindOneAndUpdate.mockResolvedValue({
+                toJSON: () => ({ id: '507f1f77bcf86cd799439011', deletedAt: new Date() })
+            });
+
+            const result = await recipeService.deleteRecipe('507f1f77bcf86cd799439011');
+
+            expect(result.deletedAt).toBeDefined();
+            const [filter, update] = mockFindOneAndUpdate.mock.calls[0];
+            expect(filter).toEqual({ _id: '507f1f77bcf86cd799439011', deletedAt: null });
+            expect(update.$set.deletedAt).toBeInstanceOf(Date);
+            expect(collectionService.removeRecipesEverywhere).toHaveBeenCalledWith(['507f1f77bcf86cd799439011']);
+        });
+
+        it('should return null when deleting an unknown or already deleted recipe', async () => {
+            mockFindOneAndUpdate.mockResolvedValue(null);
+
+            expect(await recipeService.deleteRecipe('507f1f77bcf86cd799439011')).toBeNull();
+            expect(collectionService.removeRecipesEverywhere).not.toHaveBeenCalled();
+        });
+
+        it('should restore a recipe from the trash', async () => {
+            mockFindOneAndUpdate.mockResolvedValue({
+                toJSON: () => ({ id: '507f1f77bcf86cd799439011', deletedAt: null })
+            });
+
+            const result = await recipeService.restoreRecipe('507f1f77bcf86cd799439011');
+
+            expect(result.deletedAt).toBeNull();
+            expect(mockFindOneAndUpdate).toHaveBeenCalledWith(
+                { _id: '507f1f77bcf86cd799439011', deletedAt: { $ne: null } },
+                { $set: { deletedAt: null }, $inc: { __v: 1 } },
+                { returnDocument: 'after' }
+            );
+        });
+
+        it('should list deleted recipes', async () => {
+            const mockQuery = {
+                sort: jest.fn().mockReturnThis(),
+                limit: jest.fn().mockReturnThis(),
+                skip: jest.fn().mockReturnThis(),
+                lean: jest.fn().mockResolvedValue([])
+            };
+            mockFind.mockReturnValue(mockQuery);
+
+            await recipeService.getTrash();
+
+            expect(mockFind).toHaveBeenCalledWith({ deletedAt: { $ne: null } });
+            expect(mockQuery.sort).toHaveBeenCalledWith({ deletedAt: -1 });
+        });
+
+        it('should purge recipes older than the retention period', async () => {
+            mockFind.mockReturnValue({
+                select: jest.fn().mockReturnThis(),
+                lean: jest.fn().mockResolvedValue([{ _id: 'a' }, { _id: 'b' }, { _id: 'c' }])
+            });
+            mockDeleteMany.mockResolvedValue({ deletedCount: 3 });
+            mockDistinct.mockResolvedValue([]);
+
+            const before = Date.now();
+            const result = await recipeService.purgeTrash({ retentionDays: 7 });
+            const after = Date.now();
+
+            expect(result.deletedCount).toBe(3);
+            const filter = mockDeleteMany.mock.calls[0][0];
+            const cutoff = filter.deletedAt.$lte.getTime();
+            expect(before - cutoff).toBeLessThanOrEqual(7 * 24 * 60 * 60 * 1000);
+            expect(after - cutoff).toBeGreaterThanOrEqual(7 * 24 * 60 * 60 * 1000);
+            expect(filter.deletedAt.$ne).toBeNull();
+            expect(filter._id).toEqual({ $in: ['a', 'b', 'c'] });
+        });
+
+        it('should delete the revisions and reviews of purged recipes only', async () => {
+            mockFind.mockReturnValue({
+                select: jest.fn().mockReturnThis(),
+                lean: jest.fn().mockResolvedValue([{ _id: 'a' }, { _id: 'b' }])
+            });
+            mockDeleteMany.mockResolvedValue({ deletedCount: 1 });
+            // 'b' a été restaurée entre la recherche et la suppression
+            mockDistinct.mockResolvedValue(['b']);
+
+            await recipeService.purgeTrash({ retentionDays: 7 });
+
+            expect(mockDeleteRevisions).toHaveBeenCalledWith(['a']);
+            expect(mockDeleteReviews).toHaveBeenCalledWith(['a']);
+        });
+
+        it('should not touch anything when no recipe expired', async () => {
+            mockFind.mockReturnValue({
+                select: jest.fn().mockReturnThis(),
+                lean: jest.fn().mockResolvedValue([])
+            });
+
+            const result = await recipeService.purgeTrash();
+
+            expect(result.deletedCount).toBe(0);
+            expect(mockDeleteMany).not.toHaveBeenCalled();
+            expect(mockDeleteRevisions).not.toHaveBeenCalled();
+        });
+
+        it('should honour a configured retention of 0 days and fall back to 30 days when invalid', async () => {
+            const previous = process.env.TRASH_RETENTION_DAYS;
+            mockFind.mockReturnValue({
+                select: jest.fn().mockReturnThis(),
+                lean: jest.fn().mockResolvedValue([])
+            });
+
+            try {
+                process.env.TRASH_RETENTION_DAYS = '0';
+                const before = Date.now();
+                const immediate = await recipeService.purgeTrash();
+                expect(immediate.cutoff.getTime()).toBeGreaterThanOrEqual(before);
+
+                process.env.TRASH_RETENTION_DAYS = 'jamais';
+                const after = Date.now();
+                const fallback = await recipeService.purgeTrash();
+                expect(after - fallback.cutoff.getTime()).toBeGreaterThanOrEqual(30 * 24 * 60 * 60 * 1000);
+            } finally {
+                if (previous === undefined) delete process.env.TRASH_RETENTION_DAYS;
+                else process.env.TRASH_RETENTION_DAYS = previous;
+            }
+        });
+    });
+
+    describe('ownership', () => {
+        const FORBIDDEN = 'Accès refusé: seul le propriétaire peut modifier cette recette';
+        const buildDoc = (overrides = {}) => ({
+            set: jest.fn(),
+            overwrite: jest.fn(),
+            save: jest.fn().mockResolvedValue(undefined),
+            toJSON: () => ({ id: '507f1f77bcf86cd799439011', title: 'Updated' }),
+            ...overrides
+        });
+        const leanResult = (value) => ({ lean: jest.fn().mockResolvedValue(value) });
+
+        it('should set the owner from the options, never from the data', async () => {
+            mockSave.mockResolvedValue(undefined);
+
+            const result = await recipeService.addRecipe({
+                title: 'Test Recipe',
+                servings: 4,
+                ingredients: [],
+                steps: [],
+                ownerId: 'intrus'
+            }, { ownerId: 'user-1' });
+
+            expect(result.ownerId).toBe('user-1');
+            expect(result.visibility).toBe('private');
+        });
+
+        it('should never move a recipe to the trash through an update', async () => {
+            const doc = buildDoc({ ownerId: 'user-1' });
+            mockFindById.mockResolvedValue(doc);
+
+            await recipeService.updateRecipe('507f1f77bcf86cd799439011', {
+                title: 'Updated',
+                deletedAt: '2026-01-01T00:00:00.000Z'
+            }, { partial: true, userId: 'user-1' });
+
+            expect(doc.set).toHaveBeenCalledWith({ title: 'Updated' });
+        });
+
+        it('should let the owner update the recipe and keep the owner on replacement', async () => {
+            const doc = buildDoc({ ownerId: 'user-1', visibility: 'private' });
+            mockFindById.mockResolvedValue(doc);
+
+            await recipeService.updateRecipe('507f1f77bcf86cd799439011', {
+                title: 'Updated',
+                servings: 2,
+                ingredients: [{ name: 'Test' }],
+                steps: [{ order: 1, text: 'A' }],
+                ownerId: 'user-2'
+            }, { userId: 'user-1' });
+
+            expect(doc.overwrite.mock.calls[0][0].ownerId).toBe('user-1');
+        });
+
+        it('should keep a public recipe public on a replacement without visibility', async () => {
+            const doc = buildDoc({ ownerId: 'user-1', visibility: 'public' });
+            mockFindById.mockResolvedValue(doc);
+            const recipe = { title: 'Updated', servings: 2, ingredients: [{ name: 'Test' }], steps: [{ order: 1, text: 'A' }] };
+
+            await recipeService.updateRecipe('507f1f77bcf86cd799439011', recipe, { userId: 'user-1' });
+            await recipeService.updateRecipe('507f1f77bcf86cd799439011', { ...recipe, visibility: 'private' }, { userId: 'user-1' });
+
+            expect(doc.overwrite.mock.calls[0][0].visibility).toBe('public');
+            expect(doc.overwrite.mock.calls[1][0].visibility).toBe('private');
+        });
+
+        it('should keep a public recipe public when reverting to a revision', async () => {
+            revisionService.getRevision = jest.fn().mockResolvedValue({
+                rev: 1,
+                snapshot: { title: 'Old title', servings: 2, ingredients: [{ name: 'Test' }], steps: [{ order: 1, text: 'A' }], tags: [] }
+            });
+            const doc = buildDoc({ ownerId: 'user-1', visibility: 'public' });
+            mockFindById.mockResolvedValue(doc);
+
+            await recipeService.revertRecipe('507f1f77bcf86cd799439011', 1, { userId: 'user-1' });
+
+            expect(doc.overwrite.mock.calls[0][0]).toMatchObject({ title: 'Old title', visibility: 'public' });
+        });
+
+        it('should refuse updates from other users on visible recipes', async () => {
+            mockFindById.mockResolvedValue(buildDoc({ ownerId: 'user-1', visibility: 'public' }));
+
+            await expect(recipeService.updateRecipe('507f1f77bcf86cd799439011', { title: 'X' }, {
+                partial: true,
+                userId: 'user-2'
+            })).rejects.toThrow(FORBIDDEN);
+
+            mockFindById.mockResolvedValue(buildDoc({ ownerId: null }));
+
+            await expect(recipeService.updateRecipe('507f1f77bcf86cd799439011', { title: 'X' }, {
+                partial: true,
+                userId: 'user-2'
+            })).rejects.toThrow(FORBIDDEN);
+        });
+
+        it('should treat private recipes of other users as missing', async () => {
+            const doc = buildDoc({ ownerId: 'user-1', visibility: 'private' });
+            mockFindById.mockResolvedValue(doc);
+
+            expect(await recipeService.updateRecipe('507f1f77bcf86cd799439011', { title: 'X' }, {
+                partial: true,
+                userId: 'user-2'
+            })).toBeNull();
+            expect(await recipeService.getRecipeById('507f1f77bcf86cd799439011', { viewerId: 'user-2' })).toBeNull();
+            expect(await recipeService.getRecipeById('507f1f77bcf86cd799439011', { viewerId: 'user-1' })).not.toBeNull();
+            expect(doc.save).not.toHaveBeenCalled();
+        });
+
+        it('should scope lists to the own and public recipes of the viewer', async () => {
+            const mockQuery = {
+                sort: jest.fn().mockReturnThis(),
+                limit: jest.fn().mockReturnThis(),
+                lean: jest.fn().mockResolvedValue([])
+            };
+            mockFind.mockReturnValue(mockQuery);
+            const cursor = encodeCursor({ sortBy: 'createdAt', sortOrder: 'desc', value: new Date(), id: '507f1f77bcf86cd799439011' });
+
+            await recipeService.getRecipesPage({ viewerId: 'user-1', cursor });
+
+            const filter = mockFind.mock.calls[0][0];
+            expect(filter.$and).toEqual([
+                { $or: [{ ownerId: 'user-1' }, { visibility: 'public' }, { ownerId: null }] }
+            ]);
+            expect(filter.$or).toHaveLength(3);
+        });
+
+        it('should delete only the recipes of the user', async () => {
+            mockFindOneAndUpdate.mockResolvedValue(null);
+            mockFindOne.mockReturnValue(leanResult({ ownerId: 'user-1', visibility: 'public' }));
+
+            await expect(recipeService.deleteRecipe('507f1f77bcf86cd799439011', { userId: 'user-2' }))
+                .rejects.toThrow(FORBIDDEN);
+            expect(mockFindOneAndUpdate.mock.calls[0][0]).toEqual({
+                _id: '507f1f77bcf86cd799439011',
+                deletedAt: null,
+                ownerId: 'user-2'
+            });
+
+            mockFindOne.mockReturnValue(leanResult({ ownerId: 'user-1', visibility: 'private' }));
+
+            expect(await recipeService.deleteRecipe('507f1f77bcf86cd799439011', { userId: 'user-2' })).toBeNull();
+        });
+
+        it('should list only the trash of the user', async () => {
+            const mockQuery = {
+                sort: jest.fn().mockReturnThis(),
+                limit: jest.fn().mockReturnThis(),
+                skip: jest.fn().mockReturnThis(),
+                lean: jest.fn().mockResolvedValue([])
+            };
+            mockFind.mockReturnValue(mockQuery);
+
+            await recipeService.getTrash({ viewerId: 'user-1' });
+
+            expect(mockFind).toHaveBeenCalledWith({ deletedAt: { $ne: null }, ownerId: 'user-1' });
+        });
+    });
+
+    describe('versions', () => {
+        const PRECONDITION = 'Précondition échouée: la recette a été modifiée depuis sa lecture';
+        const buildDoc = (overrides = {}) => ({
+            __v: 3,
+            set: jest.fn(),
+            overwrite: jest.fn(),
+            save: jest.fn().mockResolvedValue(undefined),
+            toJSON: () => ({ id: '507f1f77bcf86cd799439011', title: 'Updated', __v: 4 }),
+            ...overrides
+        });
+
+        it('should update only a recipe still in an expected version', async () => {
+            const doc = buildDoc();
+            mockFindById.mockResolvedValue(doc);
+
+            const result = await recipeService.updateRecipe('507f1f77bcf86cd799439011', { title: 'Updated' }, {
+                partial: true,
+                expectedVersions: [3]
+            });
+
+            expect(result.__v).toBe(4);
+
+            await expect(recipeService.updateRecipe('507f1f77bcf86cd799439011', { title: 'Updated' }, {
+                partial: true,
+                expectedVersions: [2]
+            })).rejects.toThrow(PRECONDITION);
+            expect(doc.save).toHaveBeenCalledTimes(1);
+        });
+
+        it('should report a concurrent modification detected by save', async () => {
+            const versionError = new Error('No matching document found');
+            versionError.name = 'VersionError';
+            mockFindById.mockResolvedValue(buildDoc({ save: jest.fn().mockRejectedValue(versionError) }));
+
+            await expect(recipeService.updateRecipe('507f1f77bcf86cd799439011', { title: 'Updated' }, { partial: true }))
+                .rejects.toThrow(PRECONDITION);
+        });
+
+        it('should delete only a recipe still in an expected version', async () => {
+            mockFindOneAndUpdate.mockResolvedValue(null);
+            mockExists.mockResolvedValue({ _id: '507f1f77bcf86cd799439011' });
+
+            await expect(recipeService.deleteRecipe('507f1f77bcf86cd799439011', { expectedVersions: [2] }))
+                .rejects.toThrow(PRECONDITION);
+
+            const [filter, update] = mockFindOneAndUpdate.mock.calls[0];
+            expect(filter).toEqual({ _id: '507f1f77bcf86cd799439011', deletedAt: null, __v: { $in: [2] } });
+            expect(update.$inc).toEqual({ __v: 1 });
+
+            mockExists.mockResolvedValue(null);
+
+            expect(await recipeService.deleteRecipe('507f1f77bcf86cd799439011', { expectedVersions: [2] })).toBeNull();
+        });
+    });
 });
@@ -0,0 +1,157 @@
+import { jest } from '@jest/globals';
+import { compose, createContext } from '../../src/utils/router.js';
+import { errorHandler } from '../../src/middleware/errorHandler.js';
+import { jsonBody } from '../../src/middleware/jsonBody.js';
+import mongoose from 'mongoose';
+import Recipe from '../../src/models/Recipe.js';
+import Review from '../../src/models/Review.js';
+
+// Mock des méthodes des modèles
+const mockFindOneAndUpdate = jest.fn();
+const mockFindOne = jest.fn();
+const mockReviewFind = jest.fn();
+const mockReviewSave = jest.fn();
+
+Recipe.findOneAndUpdate = mockFindOneAndUpdate;
+Recipe.findOne = mockFindOne;
+Review.find = mockReviewFind;
+Review.prototype.save = mockReviewSave;
+
+// La transaction exécute directement la fonction avec une session factice
+const session = { id: 'session' };
+mongoose.connection.transaction = jest.fn();
+
+// Import des modules après le mock
+const { default: reviewService } = await import('../../src/services/reviewService.js');
+const { default: reviewController } = await import('../../src/controllers/reviewController.js');
+
+// Appeler le controller derrière errorHandler et jsonBody, comme le router
+const invoke = (method, event) => compose([errorHandler(), jsonBody()], (ctx) => reviewController[method](ctx.event, ctx))(createContext(event));
+
+const RECIPE_ID = '507f1f77bcf86cd799439011';
+
+/**
+ * Évaluer le pipeline de mise à jour sur un état de recette, comme le ferait MongoDB
+ */
+function applyRatingPipeline(pipeline, recipe) {
+    const [{ $set: counters }, { $set: average }] = pipeline;
+    const rating = counters.ratingTotal.$add[1];
+    const reviewCount = (recipe.reviewCount ?? 0) + 1;
+    const ratingTotal = (recipe.ratingTotal ?? 0) + rating;
+    const [, decimals] = average.rating.$round;
+    return {
+        reviewCount,
+        ratingTotal,
+        rating: Number((ratingTotal / reviewCount).toFixed(decimals))
+    };
+}
+
+describe('Unit Tests - ReviewService', () => {
+
+    beforeEach(() => {
+        mongoose.connection.transaction.mockImplementation(async (fn) => fn(session));
+        mockReviewSave.mockResolvedValue();
+    });
+
+    describe('addReview', () => {
+        it('should save the review and update the recipe average in the same transaction', async () => {
+            mockFindOneAndUpdate.mockImplementation(async (filter, pipeline) =>
+                applyRatingPipeline(pipeline, { reviewCount: 2, ratingTotal: 9 }));
+
+            const result = await reviewService.addReview(RECIPE_ID, { rating: 3, comment: ' Bon ' });
+
+            expect(result.rating).toBe(4);
+            expect(result.reviewCount).toBe(3);
+            expect(result.review).toMatchObject({ rating: 3, comment: 'Bon' });
+
+            const [filter, , options] = mockFindOneAndUpdate.mock.calls[0];
+            expect(filter).toEqual({ _id: RECIPE_ID, deletedAt: null });
+            expect(options).toMatchObject({ session, updatePipeline: true, timestamps: false });
+            expect(mockReviewSave).toHaveBeenCalledWith({ session });
+        });
+
+        it('should compute the first average from recipes without reviews', async () => {
+            mockFindOneAndUpdate.mockImplementation(async (filter, pipeline) => applyRatingPipeline(pipeline, {}));
+
+            const result = await reviewService.addReview(RECIPE_ID, { rating: 5 });
+
+            expect(result).toMatchObject({ rating: 5, reviewCount: 1 });
+        });
+
+        it('should not save the review for an unknown or trashed recipe', async () => {
+            mockFindOneAndUpdate.mockResolvedValue(null);
+
+            expect(await reviewService.addReview(RECIPE_ID, { rating: 4 })).toBeNull();
+            expect(mockReviewSave).not.toHaveBeenCalled();
+        });
+
+        it('should reject ratings outside 1 to 5 before writing', async () => {
+            await expect(reviewService.addReview(RECIPE_ID, { rating: 6 })).rejects.toThrow('Validation échouée');
+            await expect(reviewService.addReview(RECIPE_ID, { rating: 2.5 })).rejects.toThrow('entier');
+            expect(mongoose.connection.transaction).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('getReviews', () => {
+        it('should list the reviews with the recipe summary', async () => {
+            mockFindOne.mockReturnValue({
+                select: jest.fn().mockReturnThis(),
+                lean: jest.fn().mockResolvedValue({ rating: 4.5, reviewCount: 12 })
+            });
+            const query = {
+                sort: jest.fn().mockReturnThis(),
+                skip: jest.fn().mockReturnThis(),
+                limit: jest.fn().mockReturnThis(),
+                lean: jest.fn().mockResolvedValue([{ rating: 5 }, { rating: 4 }])
+            };
+            mockReviewFind.mockReturnValue(query);
+
+            const result = await reviewService.getReviews(RECIPE_ID, { limit: 2, skip: 10 });
+
+            expect(result).toEqual({ reviews: [{ rating: 5 }, { rating: 4 }], rating: 4.5, reviewCount: 12 });
+            expect(mockReviewFind).toHaveBeenCalledWith({ recipeId: RECIPE_ID });
+            expect(query.sort).toHaveBeenCalledWith({ createdAt: -1, _id: -1 });
+            expect(query.skip).toHaveBeenCalledWith(10);
+        });
+
+        it('should return null for an invalid id', async () => {
+            expect(await reviewService.getReviews('abc')).toBeNull();
+            expect(mockFindOne).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('ReviewController', () => {
+        it('should return 201 with the new average', async () => {
+            reviewService.addReview = jest.fn().mockResolvedValue({ review: { rating: 4 }, rating: 4.2, reviewCount: 5 });
+
+            const response = await invoke('addReview', {
+                pathParameters: { id: RECIPE_ID },
+                body: JSON.stringify({ rating: 4, comment: 'Très bon' })
+            });
+            const body = JSON.parse(response.body);
+
+            expect(response.statusCode).toBe(201);
+            expect(body).toMatchObject({ rating: 4.2, reviewCount: 5 });
+        });
+
+        it('should return 400 for an invalid rating', async () => {
+            reviewService.addReview = jest.fn();
+
+            const response = await invoke('addReview', {
+                pathParameters: { id: RECIPE_ID },
+                body: JSON.stringify({ rating: '5' })
+            });
+
+            expect(response.statusCode).toBe(400);
+            expect(reviewService.addReview).not.toHaveBeenCalled();
+        });
+
+        it('should return 404 for an unknown recipe', async () => {
+            reviewService.getReviews = jest.fn().mockResolvedValue(null);
+
+            const response = await invoke('getReviews', { pathParameters: { id: RECIPE_ID } });
+
+            expect(response.statusCode).toBe(404);
+        });
+    });
+});
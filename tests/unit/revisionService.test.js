@@ -0,0 +1,88 @@
+import { jest } from '@jest/globals';
+import RecipeRevision from '../../src/models/RecipeRevision.js';
+
+// Mock des méthodes du modèle
+const mockCreate = jest.fn();
+const mockFindOne = jest.fn();
+
+RecipeRevision.create = mockCreate;
+RecipeRevision.findOne = mockFindOne;
+
+// Import du service après le mock
+const { default: revisionService } = await import('../../src/services/revisionService.js');
+
+const RECIPE_ID = '507f1f77bcf86cd799439011';
+
+const lastRevQuery = (rev) => ({
+    sort: jest.fn().mockReturnThis(),
+    select: jest.fn().mockReturnThis(),
+    lean: jest.fn().mockResolvedValue(rev ? { rev } : null)
+});
+
+const recipe = {
+    id: RECIPE_ID,
+    title: 'Crêpes',
+    servings: 4,
+    ingredients: [{ name: 'Farine', quantity: 250, unit: 'g' }],
+    steps: [{ order: 1, text: 'Mélanger' }],
+    tags: ['dessert'],
+    createdAt: new Date()
+};
+
+describe('Unit Tests - RevisionService', () => {
+
+    beforeEach(() => {
+        mockCreate.mockReset();
+        mockFindOne.mockReset();
+        mockCreate.mockImplementation(async (data) => ({ toJSON: () => data }));
+    });
+
+    describe('recordRevision', () => {
+        it('should store the next revision number with a content snapshot', async () => {
+            mockFindOne.mockReturnValue(lastRevQuery(3));
+
+            const revision = await revisionService.recordRevision(recipe, 'update');
+
+            expect(revision).toMatchObject({ recipeId: RECIPE_ID, rev: 4, action: 'update' });
+            expect(revision.snapshot).toEqual({
+                title: 'Crêpes',
+                servings: 4,
+                ingredients: recipe.ingredients,
+                steps: recipe.steps,
+                tags: ['dessert']
+            });
+        });
+
+        it('should record the previous state first for recipes without history', async () => {
+            mockFindOne.mockReturnValue(lastRevQuery(null));
+
+            const revision = await revisionService.recordRevision(recipe, 'update', {
+                previous: { ...recipe, title: 'Crepes' }
+            });
+
+            expect(mockCreate).toHaveBeenCalledTimes(2);
+            expect(mockCreate.mock.calls[0][0]).toMatchObject({ rev: 1, action: 'create', snapshot: { title: 'Crepes' } });
+            expect(revision).toMatchObject({ rev: 2, action: 'update' });
+        });
+
+        it('should retry when another write took the same revision number', async () => {
+            mockFindOne
+                .mockReturnValueOnce(lastRevQuery(1))
+                .mockReturnValueOnce(lastRevQuery(2));
+            mockCreate
+                .mockRejectedValueOnce(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+            const revision = await revisionService.recordRevision(recipe, 'update');
+
+            expect(revision.rev).toBe(3);
+        });
+    });
+
+    describe('diffRevisions', () => {
+        it('should return null when a revision is missing', async () => {
+            mockFindOne.mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
+
+            expect(await revisionService.diffRevisions(RECIPE_ID, 1, 2)).toBeNull();
+        });
+    });
+});
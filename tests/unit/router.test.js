@@ -1,5 +1,9 @@
 import { jest } from '@jest/globals';
 import Router from '../../src/utils/router.js';
+import { authorize } from '../../src/middleware/auth.js';
+import { rateLimit } from '../../src/middleware/rateLimit.js';
+import { idempotency } from '../../src/middleware/idempotency.js';
+import { errorHandler } from '../../src/middleware/errorHandler.js';
 
 describe('Unit Tests - Router', () => {
     let router;
@@ -48,7 +52,7 @@ describe('Unit Tests - Router', () => {
 
             const result = await router.route(event);
 
-            expect(handler).toHaveBeenCalledWith(event);
+            expect(handler).toHaveBeenCalledWith(event, expect.objectContaining({ event }));
             expect(result).toEqual({ statusCode: 200 });
         });
 
@@ -177,8 +181,10 @@ describe('Unit Tests - Router', () => {
             expect(JSON.parse(result.body).error).toBe('Route non trouvée');
         });
 
-        it('should return 404 when method does not match', async () => {
-            router.addRoute('GET', '/recipes', jest.fn());
+        it('should return 405 with the Allow header when method does not match', async () => {
+            const handler = jest.fn();
+            router.addRoute('GET', '/recipes', handler);
+            router.addRoute('POST', '/recipes', handler);
 
             const event = {
                 requestContext: {
@@ -191,8 +197,363 @@ describe('Unit Tests - Router', () => {
 
             const result = await router.route(event);
 
+            expect(result.statusCode).toBe(405);
+            expect(result.headers.Allow).toBe('GET, HEAD, POST, OPTIONS');
+            expect(handler).not.toHaveBeenCalled();
+        });
+
+        it('should list the methods of parameterized paths', async () => {
+            router.addRoute('GET', '/recipes/{id}', jest.fn());
+            router.addRoute('PUT', '/recipes/{id}', jest.fn());
+            router.addRoute('DELETE', '/recipes/{id}', jest.fn());
+            router.addRoute('POST', '/recipes/{id}/restore', jest.fn());
+
+            const result = await router.route({ requestContext: { http: { method: 'POST', path: '/recipes/42' } } });
+
+            expect(result.statusCode).toBe(405);
+            expect(result.headers.Allow).toBe('GET, HEAD, PUT, DELETE, OPTIONS');
+        });
+
+        it('should return 405 before the middleware chain, so without authentication', async () => {
+            const authentication = jest.fn().mockResolvedValue({ statusCode: 401 });
+            router.use(authentication);
+            router.addRoute('GET', '/recipes', jest.fn());
+
+            const result = await router.route({ requestContext: { http: { method: 'DELETE', path: '/recipes' } } });
+
+            expect(result.statusCode).toBe(405);
+            expect(result.headers.Allow).toBe('GET, HEAD, OPTIONS');
+            expect(authentication).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('route - OPTIONS and HEAD', () => {
+        const event = (method, path) => ({ requestContext: { http: { method, path } } });
+
+        it('should answer preflight requests with the methods of the path', async () => {
+            const middleware = jest.fn();
+            router.use(middleware);
+            router.addRoute('GET', '/collections/{id}', jest.fn());
+            router.addRoute('PATCH', '/collections/{id}', jest.fn());
+            router.addRoute('DELETE', '/collections/{id}', jest.fn());
+
+            const result = await router.route(event('OPTIONS', '/collections/7'));
+
+            expect(result.statusCode).toBe(204);
+            expect(result.headers['Access-Control-Allow-Methods']).toBe('GET,HEAD,PATCH,DELETE,OPTIONS');
+            expect(result.headers.Allow).toBe('GET, HEAD, PATCH, DELETE, OPTIONS');
+            expect(result.headers['Access-Control-Allow-Headers']).toContain('authorization');
+            // Le preflight n'est pas authentifié : il ne traverse pas les middlewares
+            expect(middleware).not.toHaveBeenCalled();
+        });
+
+        it('should return 404 to preflight requests on unknown paths', async () => {
+            router.addRoute('GET', '/recipes', jest.fn());
+
+            const result = await router.route(event('OPTIONS', '/unknown'));
+
             expect(result.statusCode).toBe(404);
         });
+
+        it('should serve HEAD from the GET route without the body', async () => {
+            const handler = jest.fn().mockResolvedValue({ statusCode: 200, headers: { ETag: '"3"' }, body: '{"data":{}}' });
+            router.addRoute('GET', '/recipes/{id}', handler);
+
+            const result = await router.route(event('HEAD', '/recipes/42'));
+
+            expect(handler).toHaveBeenCalledWith(expect.objectContaining({ pathParameters: { id: '42' } }), expect.objectContaining({ method: 'HEAD' }));
+            expect(result).toEqual({ statusCode: 200, headers: { ETag: '"3"' }, body: '', isBase64Encoded: false });
+        });
+
+        it('should refuse HEAD on paths without a GET route', async () => {
+            router.addRoute('POST', '/recipes/match', jest.fn());
+
+            const result = await router.route(event('HEAD', '/recipes/match'));
+
+            expect(result.statusCode).toBe(405);
+            expect(result.headers.Allow).toBe('POST, OPTIONS');
+            expect(result.body).toBe('');
+        });
+    });
+
+    describe('route - middleware', () => {
+        const event = (method, path) => ({ requestContext: { http: { method, path }, requestId: 'req-1' } });
+
+        it('should run global then route middleware around the handler', async () => {
+            const calls = [];
+            const trace = (name) => async (ctx, next) => {
+                calls.push(`${name}:avant`);
+                const response = await next();
+                calls.push(`${name}:après`);
+                return response;
+            };
+            router.use(trace('global'));
+            router.addRoute('GET', '/recipes', async () => {
+                calls.push('handler');
+                return { statusCode: 200 };
+            }, { middleware: [trace('route')] });
+
+            await router.route(event('GET', '/recipes'));
+
+            expect(calls).toEqual(['global:avant', 'route:avant', 'handler', 'route:après', 'global:après']);
+        });
+
+        it('should short-circuit when a middleware returns a response', async () => {
+            const handler = jest.fn();
+            router.use(async () => ({ statusCode: 401 }));
+            router.addRoute('GET', '/recipes', handler);
+
+            const result = await router.route(event('GET', '/recipes'));
+
+            expect(result).toEqual({ statusCode: 401 });
+            expect(handler).not.toHaveBeenCalled();
+        });
+
+        it('should let after hooks change the response', async () => {
+            router.use(async (ctx, next) => {
+                const response = await next();
+                return { ...response, headers: { 'X-Trace': ctx.state.trace } };
+            });
+            router.addRoute('GET', '/recipes', async (event, ctx) => {
+                ctx.state.trace = 'handler';
+                return { statusCode: 200 };
+            });
+
+            const result = await router.route(event('GET', '/recipes'));
+
+            expect(result.headers).toEqual({ 'X-Trace': 'handler' });
+        });
+
+        it('should share the request context with the handler', async () => {
+            const handler = jest.fn().mockResolvedValue({ statusCode: 200 });
+            router.use(async (ctx, next) => {
+                ctx.user = { id: 'user-1' };
+                return next();
+            });
+            router.addRoute('GET', '/recipes/{id}', handler);
+
+            await router.route(event('GET', '/recipes/42'));
+
+            const ctx = handler.mock.calls[0][1];
+            expect(ctx).toMatchObject({
+                method: 'GET',
+                path: '/recipes/42',
+                requestId: 'req-1',
+                user: { id: 'user-1' },
+                route: expect.objectContaining({ path: '/recipes/{id}' })
+            });
+        });
+
+        it('should run global middleware for unknown routes', async () => {
+            const middleware = jest.fn((ctx, next) => next());
+            router.use(middleware);
+
+            const result = await router.route(event('GET', '/unknown'));
+
+            expect(result.statusCode).toBe(404);
+            expect(middleware.mock.calls[0][0].route).toBeNull();
+        });
+
+        it('should refuse a middleware calling next() twice', async () => {
+            router.use(async (ctx, next) => {
+                await next();
+                return next();
+            });
+            router.addRoute('GET', '/recipes', jest.fn().mockResolvedValue({ statusCode: 200 }));
+
+            await expect(router.route(event('GET', '/recipes'))).rejects.toThrow('next() appelé plusieurs fois');
+        });
+    });
+
+    describe('route - roles', () => {
+        const eventFor = (method, path, roles) => ({
+            requestContext: { http: { method, path } },
+            user: roles && { id: 'user-1', roles }
+        });
+
+        beforeEach(() => {
+            router.use(authorize());
+        });
+
+        it('should run the handler when the user has a required role', async () => {
+            const handler = jest.fn().mockResolvedValue({ statusCode: 200 });
+            router.addRoute('POST', '/recipes', handler, { roles: ['editor'] });
+
+            const result = await router.route(eventFor('POST', '/recipes', ['editor']));
+
+            expect(result.statusCode).toBe(200);
+            expect(router.routes[0].roles).toEqual(['editor']);
+        });
+
+        it('should accept higher roles', async () => {
+            const handler = jest.fn().mockResolvedValue({ statusCode: 200 });
+            router.addRoute('GET', '/recipes/{id}', handler, { roles: ['viewer'] });
+            router.addRoute('POST', '/recipes', handler, { roles: ['editor'] });
+
+            expect((await router.route(eventFor('GET', '/recipes/42', ['editor']))).statusCode).toBe(200);
+            expect((await router.route(eventFor('POST', '/recipes', ['admin']))).statusCode).toBe(200);
+        });
+
+        it('should return 403 without calling the handler when the role is missing', async () => {
+            const handler = jest.fn();
+            router.addRoute('POST', '/tags/{tag}/rename', handler, { roles: ['admin'] });
+
+            const result = await router.route(eventFor('POST', '/tags/dessert/rename', ['viewer', 'editor']));
+
+            expect(result.statusCode).toBe(403);
+            expect(JSON.parse(result.body)).toEqual({ error: 'Accès refusé: rôle requis (admin)' });
+            expect(handler).not.toHaveBeenCalled();
+        });
+
+        it('should refuse unauthenticated events on protected routes', async () => {
+            const handler = jest.fn();
+            router.addRoute('GET', '/recipes', handler, { roles: ['viewer'] });
+
+            const result = await router.route(eventFor('GET', '/recipes'));
+
+            expect(result.statusCode).toBe(403);
+            expect(handler).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('route - API keys', () => {
+        const keyEvent = (method, path, scopes) => ({
+            requestContext: { http: { method, path } },
+            user: { id: 'user-1', roles: ['editor'], scopes, apiKeyId: 'key-1' }
+        });
+
+        beforeEach(() => {
+            router.use(authorize());
+        });
+
+        it('should accept a key carrying the scope of the route', async () => {
+            const handler = jest.fn().mockResolvedValue({ statusCode: 200 });
+            router.addRoute('GET', '/recipes', handler, { roles: ['viewer'], scope: 'recipes:read' });
+
+            const result = await router.route(keyEvent('GET', '/recipes', ['recipes:read']));
+
+            expect(result.statusCode).toBe(200);
+        });
+
+        it('should return 403 when the key lacks the scope', async () => {
+            const handler = jest.fn();
+            router.addRoute('POST', '/recipes', handler, { roles: ['editor'], scope: 'recipes:write' });
+
+            const result = await router.route(keyEvent('POST', '/recipes', ['recipes:read']));
+
+            expect(result.statusCode).toBe(403);
+            expect(JSON.parse(result.body).error).toBe('Accès refusé: scope requis (recipes:write)');
+            expect(handler).not.toHaveBeenCalled();
+        });
+
+        it('should close routes without scope to keys', async () => {
+            const handler = jest.fn();
+            router.addRoute('GET', '/api-keys', handler, { roles: ['viewer'] });
+
+            const result = await router.route(keyEvent('GET', '/api-keys', ['recipes:read']));
+
+            expect(result.statusCode).toBe(403);
+            expect(handler).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('route - rate limiting', () => {
+        const event = { requestContext: { http: { method: 'POST', path: '/recipes/upload' } }, user: { id: 'user-1' } };
+        const rate = { allowed: true, limit: 10, remaining: 7, reset: 42, retryAfter: 0, windowSeconds: 60 };
+
+        it('should add RateLimit headers to accepted requests', async () => {
+            const rateLimiter = { consume: jest.fn().mockResolvedValue(rate) };
+            const handler = jest.fn().mockResolvedValue({ statusCode: 200, headers: { 'Content-Type': 'application/json' } });
+            router = new Router().use(rateLimit(rateLimiter));
+            router.addRoute('POST', '/recipes/upload', handler);
+
+            const result = await router.route(event);
+
+            expect(result.statusCode).toBe(200);
+            expect(rateLimiter.consume).toHaveBeenCalledWith(event, expect.objectContaining({ method: 'POST', path: '/recipes/upload' }));
+            expect(result.headers).toEqual({
+                'Content-Type': 'application/json',
+                'RateLimit-Limit': '10',
+                'RateLimit-Remaining': '7',
+                'RateLimit-Reset': '42',
+                'RateLimit-Policy': '10;w=60'
+            });
+        });
+
+        it('should return 429 with Retry-After without calling the handler', async () => {
+            const rateLimiter = { consume: jest.fn().mockResolvedValue({ ...rate, allowed: false, remaining: 0, retryAfter: 12 }) };
+            const handler = jest.fn();
+            router = new Router().use(rateLimit(rateLimiter));
+            router.addRoute('POST', '/recipes/upload', handler);
+
+            const result = await router.route(event);
+
+            expect(result.statusCode).toBe(429);
+            expect(result.headers['Retry-After']).toBe('12');
+            expect(result.headers['RateLimit-Remaining']).toBe('0');
+            expect(handler).not.toHaveBeenCalled();
+        });
+
+        it('should let requests through when the limiter fails', async () => {
+            const rateLimiter = { consume: jest.fn().mockRejectedValue(new Error('MongoNetworkError')) };
+            const handler = jest.fn().mockResolvedValue({ statusCode: 200, headers: {} });
+            router = new Router().use(rateLimit(rateLimiter));
+            router.addRoute('POST', '/recipes/upload', handler);
+
+            const result = await router.route(event);
+
+            expect(result.statusCode).toBe(200);
+            expect(result.headers).not.toHaveProperty('RateLimit-Limit');
+        });
+    });
+
+    describe('route - idempotency', () => {
+        const event = (method, headers) => ({ requestContext: { http: { method, path: '/recipes' } }, headers });
+
+        it('should run writes carrying an Idempotency-Key through the idempotency service', async () => {
+            const service = { execute: jest.fn((event, key, run) => run()) };
+            const handler = jest.fn().mockResolvedValue({ statusCode: 201 });
+            router = new Router().use(errorHandler(), idempotency(service));
+            router.addRoute('POST', '/recipes', handler);
+            router.addRoute('GET', '/recipes', handler);
+
+            await router.route(event('POST', { 'Idempotency-Key': 'key-1' }));
+            await router.route(event('POST', {}));
+            await router.route(event('GET', { 'Idempotency-Key': 'key-1' }));
+
+            expect(service.execute).toHaveBeenCalledTimes(1);
+            expect(service.execute.mock.calls[0][1]).toBe('key-1');
+            expect(handler).toHaveBeenCalledTimes(3);
+        });
+
+        it('should ignore the Idempotency-Key on routes declared not idempotent', async () => {
+            const service = { execute: jest.fn() };
+            const handler = jest.fn().mockResolvedValue({ statusCode: 201 });
+            router = new Router().use(errorHandler(), idempotency(service));
+            router.addRoute('POST', '/recipes', handler, { idempotent: false });
+
+            const result = await router.route(event('POST', { 'Idempotency-Key': 'key-1' }));
+
+            expect(result.statusCode).toBe(201);
+            expect(service.execute).not.toHaveBeenCalled();
+        });
+
+        it('should map idempotency errors to 400, 422 and 409', async () => {
+            const service = { execute: jest.fn() };
+            router = new Router().use(errorHandler(), idempotency(service));
+            router.addRoute('POST', '/recipes', jest.fn());
+
+            service.execute.mockRejectedValueOnce(new Error('Validation échouée: Idempotency-Key invalide'));
+            const invalid = await router.route(event('POST', { 'idempotency-key': '' }));
+            service.execute.mockRejectedValueOnce(new Error('Requête différente: clé déjà utilisée'));
+            const mismatch = await router.route(event('POST', { 'idempotency-key': 'key-1' }));
+            service.execute.mockRejectedValueOnce(new Error('Requête en cours: requête d\'origine non terminée'));
+            const inFlight = await router.route(event('POST', { 'idempotency-key': 'key-1' }));
+
+            expect(invalid.statusCode).toBe(400);
+            expect(mismatch.statusCode).toBe(422);
+            expect(inFlight.statusCode).toBe(409);
+        });
     });
 
     describe('route - error handling', () => {
@@ -0,0 +1,36 @@
+import { scaleRecipe } from '../../src/utils/scaling.mjs';
+
+describe('Unit Tests - Scaling', () => {
+    const recipe = {
+        id: '507f1f77bcf86cd799439011',
+        title: 'Omelette',
+        servings: 3,
+        ingredients: [
+            { name: 'Oeufs', quantity: 6 },
+            { name: 'Lait', quantity: 10, unit: 'cl' },
+            { name: 'Beurre', quantity: 20, unit: 'g' },
+            { name: 'Sel', quantity: 1, unit: 'pincée' }
+        ]
+    };
+
+    it('should scale every quantity and report the factor', () => {
+        const scaled = scaleRecipe(recipe, 2);
+
+        expect(scaled.servings).toBe(2);
+        expect(scaled.ingredients.map(i => i.quantity)).toEqual([4, 6.7, 13, 1]);
+        expect(scaled.scaling).toEqual({ originalServings: 3, servings: 2, factor: 0.6667 });
+    });
+
+    it('should never return fractions of counted items', () => {
+        const scaled = scaleRecipe({ ...recipe, ingredients: [{ name: 'Oeuf', quantity: 1 }] }, 1);
+
+        expect(scaled.ingredients[0].quantity).toBe(0.5);
+    });
+
+    it('should not mutate the original recipe', () => {
+        scaleRecipe(recipe, 6);
+
+        expect(recipe.servings).toBe(3);
+        expect(recipe.ingredients[0].quantity).toBe(6);
+    });
+});
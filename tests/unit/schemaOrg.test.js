@@ -0,0 +1,101 @@
+import { extractJsonLd, findRecipeNode, mapSchemaOrgRecipe } from '../../src/utils/schemaOrg.mjs';
+import { parseIngredientLine } from '../../src/utils/ingredientParser.mjs';
+
+describe('Unit Tests - Schema.org Import', () => {
+
+    describe('parseIngredientLine', () => {
+        it('should read quantity, unit and name', () => {
+            expect(parseIngredientLine('250 g de farine')).toEqual({ name: 'farine', quantity: 250, unit: 'g' });
+            expect(parseIngredientLine('250g farine')).toEqual({ name: 'farine', quantity: 250, unit: 'g' });
+            expect(parseIngredientLine('2 cuillères à soupe d\'huile d\'olive'))
+                .toEqual({ name: 'huile d\'olive', quantity: 2, unit: 'c. à soupe' });
+            expect(parseIngredientLine('1 1/2 cups sugar')).toEqual({ name: 'sugar', quantity: 1.5, unit: 'cup' });
+            expect(parseIngredientLine('3/4 cup milk')).toEqual({ name: 'milk', quantity: 0.75, unit: 'cup' });
+        });
+
+        it('should handle unicode fractions and ranges', () => {
+            expect(parseIngredientLine('½ tsp salt')).toEqual({ name: 'salt', quantity: 0.5, unit: 'tsp' });
+            expect(parseIngredientLine('2-3 gousses d’ail')).toEqual({ name: 'ail', quantity: 2, unit: 'gousse' });
+        });
+
+        it('should keep lines without quantity or unit as names', () => {
+            expect(parseIngredientLine('3 oeufs')).toEqual({ name: 'oeufs', quantity: 3 });
+            expect(parseIngredientLine('Sel, poivre')).toEqual({ name: 'Sel, poivre' });
+            expect(parseIngredientLine('  ')).toBeNull();
+        });
+    });
+
+    describe('extractJsonLd / findRecipeNode', () => {
+        it('should find the recipe in an HTML page with @graph and invalid blocks', () => {
+            const html = `
+                <html><head>
+                <script type="application/ld+json">{ invalid json </script>
+                <script type="application/ld+json">
+                    {"@context": "https://schema.org", "@graph": [
+                        {"@type": "WebPage", "name": "Page"},
+                        {"@type": ["Recipe", "NewsArticle"], "name": "Crêpes"}
+                    ]}
+                </script>
+                </head><body></body></html>`;
+
+            const node = findRecipeNode(extractJsonLd(html));
+
+            expect(node.name).toBe('Crêpes');
+        });
+
+        it('should return null when there is no recipe', () => {
+            expect(findRecipeNode(extractJsonLd('<html></html>'))).toBeNull();
+            expect(findRecipeNode({ '@type': 'Person' })).toBeNull();
+        });
+    });
+
+    describe('mapSchemaOrgRecipe', () => {
+        const node = {
+            '@context': 'https://schema.org',
+            '@type': 'Recipe',
+            name: 'Tarte aux pommes &amp; cannelle',
+            image: 'https://example.com/tarte.jpg',
+            author: { '@type': 'Person', name: 'Alice' },
+            recipeYield: ['6', '6 parts'],
+            keywords: 'dessert, Automne',
+            recipeIngredient: ['1 pâte brisée', '4 pommes', '1 c. à café de cannelle'],
+            recipeInstructions: [
+                {
+                    '@type': 'HowToSection',
+                    name: 'Garniture',
+                    itemListElement: [
+                        { '@type': 'HowToStep', text: 'Éplucher les pommes.' },
+                        { '@type': 'HowToStep', text: 'Les couper en <b>lamelles</b>.' }
+                    ]
+                },
+                { '@type': 'HowToStep', text: 'Enfourner 30 min.' }
+            ]
+        };
+
+        it('should map title, servings, ingredients, steps and tags', () => {
+            const { recipe } = mapSchemaOrgRecipe(node);
+
+            expect(recipe.title).toBe('Tarte aux pommes & cannelle');
+            expect(recipe.servings).toBe(6);
+            expect(recipe.tags).toEqual(['dessert', 'Automne']);
+            expect(recipe.ingredients[2]).toEqual({ name: 'cannelle', quantity: 1, unit: 'c. à café' });
+            expect(recipe.steps).toEqual([
+                { order: 1, text: 'Garniture : Éplucher les pommes.' },
+                { order: 2, text: 'Garniture : Les couper en lamelles.' },
+                { order: 3, text: 'Enfourner 30 min.' }
+            ]);
+        });
+
+        it('should report the properties that could not be mapped', () => {
+            const { unmappedFields } = mapSchemaOrgRecipe({ ...node, recipeYield: 'un gâteau' });
+
+            expect(unmappedFields).toEqual(['recipeYield', 'image', 'author']);
+        });
+
+        it('should split plain text instructions by line', () => {
+            const { recipe } = mapSchemaOrgRecipe({ '@type': 'Recipe', recipeInstructions: 'Mélanger.\nCuire.' });
+
+            expect(recipe.steps.map(step => step.text)).toEqual(['Mélanger.', 'Cuire.']);
+        });
+    });
+});
@@ -0,0 +1,153 @@
+import { jest } from '@jest/globals';
+import ShoppingList from '../../src/models/ShoppingList.js';
+import recipeService from '../../src/services/recipeService.js';
+
+// Mock du modèle et du service de recettes
+const mockSave = jest.fn();
+const mockFindOneAndUpdate = jest.fn();
+const mockGetRecipeById = jest.fn();
+
+ShoppingList.prototype.save = mockSave;
+ShoppingList.findOneAndUpdate = mockFindOneAndUpdate;
+recipeService.getRecipeById = mockGetRecipeById;
+
+// Import du service après les mocks
+const { default: shoppingListService } = await import('../../src/services/shoppingListService.js');
+
+describe('Unit Tests - ShoppingListService', () => {
+
+    beforeEach(() => {
+        mockSave.mockReset();
+        mockFindOneAndUpdate.mockReset();
+        mockGetRecipeById.mockReset();
+    });
+
+    describe('aggregateIngredients', () => {
+        it('should merge same ingredients with compatible units', () => {
+            const items = shoppingListService.aggregateIngredients([
+                { name: 'Farine', quantity: 500, unit: 'g' },
+                { name: 'farine', quantity: 1, unit: 'kg' },
+                { name: 'Lait', quantity: 25, unit: 'cl' },
+                { name: 'Lait', quantity: 2, unit: 'c. à soupe' }
+            ]);
+
+            expect(items).toHaveLength(2);
+            expect(items[0]).toMatchObject({ name: 'Farine', quantity: 1.5, unit: 'kg', category: 'epicerie' });
+            expect(items[1]).toMatchObject({ name: 'Lait', quantity: 280, unit: 'ml', category: 'cremerie' });
+        });
+
+        it('should keep incompatible units as separate items', () => {
+            const items = shoppingListService.aggregateIngredients([
+                { name: 'Beurre', quantity: 100, unit: 'g' },
+                { name: 'Beurre', quantity: 1, unit: 'noisette' },
+                { name: 'Oeufs', quantity: 2 },
+                { name: 'Œuf', quantity: 3 }
+            ]);
+
+            expect(items).toHaveLength(3);
+            expect(items[2]).toMatchObject({ name: 'Oeufs', quantity: 5, category: 'cremerie' });
+        });
+
+        it('should track the recipes each item comes from', () => {
+            const items = shoppingListService.aggregateIngredients([
+                { name: 'Sucre', quantity: 100, unit: 'g', recipeId: 'a' },
+                { name: 'Sucre', quantity: 50, unit: 'g', recipeId: 'b' }
+            ]);
+
+            expect(items[0].recipeIds).toEqual(['a', 'b']);
+        });
+    });
+
+    describe('createShoppingList', () => {
+        it('should scale recipes, aggregate and group by aisle', async () => {
+            mockGetRecipeById
+                .mockResolvedValueOnce({
+                    id: '507f1f77bcf86cd799439011',
+                    title: 'Crêpes',
+                    servings: 4,
+                    ingredients: [{ name: 'Farine', quantity: 250, unit: 'g' }, { name: 'Oeufs', quantity: 4 }]
+                })
+                .mockResolvedValueOnce({
+                    id: '507f1f77bcf86cd799439012',
+                    title: 'Gâteau',
+                    servings: 6,
+                    ingredients: [{ name: 'Farine', quantity: 200, unit: 'g' }]
+                });
+            mockSave.mockResolvedValue(undefined);
+
+            const result = await shoppingListService.createShoppingList({
+                name: 'Dimanche',
+                recipes: [
+                    { recipeId: '507f1f77bcf86cd799439011', servings: 8 },
+                    { recipeId: '507f1f77bcf86cd799439012' }
+                ],
+                items: [{ name: 'Sacs poubelle' }]
+            });
+
+            expect(result.name).toBe('Dimanche');
+            expect(result.recipes.map(r => r.servings)).toEqual([8, 6]);
+
+            const farine = result.items.find(item => item.name === 'Farine');
+            expect(farine.quantity).toBe(700);
+            expect(result.items.find(item => item.custom).category).toBe('autres');
+            expect(result.aisles.map(aisle => aisle.category)).toEqual(['cremerie', 'epicerie', 'autres']);
+        });
+
+        it('should reject unknown recipes', async () => {
+            mockGetRecipeById.mockResolvedValue(null);
+
+            await expect(shoppingListService.createShoppingList({
+                recipes: [{ recipeId: '507f1f77bcf86cd799439011' }]
+            })).rejects.toThrow('Recette non trouvée: 507f1f77bcf86cd799439011');
+        });
+
+        it('should only use recipes visible to the owner', async () => {
+            mockGetRecipeById.mockResolvedValue(null);
+
+            await expect(shoppingListService.createShoppingList({
+                recipes: [{ recipeId: '507f1f77bcf86cd799439011' }]
+            }, { ownerId: 'user-1', viewerId: 'user-1' })).rejects.toThrow('Recette non trouvée');
+            expect(mockGetRecipeById).toHaveBeenCalledWith('507f1f77bcf86cd799439011', { viewerId: 'user-1' });
+        });
+
+        it('should record the owner of the list', async () => {
+            mockSave.mockResolvedValue(undefined);
+
+            const list = await shoppingListService.createShoppingList({
+                items: [{ name: 'Sucre' }]
+            }, { ownerId: 'user-1' });
+
+            expect(list.ownerId).toBe('user-1');
+        });
+    });
+
+    describe('updateItem', () => {
+        it('should update an item atomically with the positional operator', async () => {
+            mockFindOneAndUpdate.mockResolvedValue({
+                toJSON: () => ({ id: 'list', items: [{ _id: 'item', name: 'Sucre', checked: true, category: 'epicerie' }] })
+            });
+
+            const result = await shoppingListService.updateItem('list', 'item', { checked: true, ignored: 'x' });
+
+            expect(mockFindOneAndUpdate).toHaveBeenCalledWith(
+                { _id: 'list', 'items._id': 'item' },
+                { $set: { 'items.$.checked': true } },
+                { returnDocument: 'after', runValidators: true }
+            );
+            expect(result.aisles[0].items[0].checked).toBe(true);
+        });
+
+        it('should return null when the item does not exist', async () => {
+            mockFindOneAndUpdate.mockResolvedValue(null);
+
+            expect(await shoppingListService.updateItem('list', 'missing', { checked: true })).toBeNull();
+        });
+
+        it('should only update the lists of the owner', async () => {
+            mockFindOneAndUpdate.mockResolvedValue(null);
+
+            expect(await shoppingListService.updateItem('list', 'item', { checked: true }, { ownerId: 'user-2' })).toBeNull();
+            expect(mockFindOneAndUpdate.mock.calls[0][0]).toEqual({ _id: 'list', 'items._id': 'item', ownerId: 'user-2' });
+        });
+    });
+});
@@ -0,0 +1,225 @@
+import { jest } from '@jest/globals';
+import { compose, createContext } from '../../src/utils/router.js';
+import { errorHandler } from '../../src/middleware/errorHandler.js';
+import { jsonBody } from '../../src/middleware/jsonBody.js';
+import mongoose from 'mongoose';
+import Recipe from '../../src/models/Recipe.js';
+import TagAlias from '../../src/models/TagAlias.js';
+import revisionService from '../../src/services/revisionService.js';
+import { normalizeTags, tagKey, DEFAULT_TAG_ALIASES } from '../../src/utils/tags.mjs';
+
+// Mock des méthodes des modèles
+const mockAggregate = jest.fn();
+const mockExists = jest.fn();
+const mockUpdateMany = jest.fn();
+const mockFind = jest.fn();
+const mockRecordRevision = jest.fn();
+const mockAliasFind = jest.fn();
+const mockAliasUpdateMany = jest.fn();
+const mockAliasBulkWrite = jest.fn();
+
+Recipe.aggregate = mockAggregate;
+Recipe.exists = mockExists;
+Recipe.updateMany = mockUpdateMany;
+Recipe.find = mockFind;
+revisionService.recordRevision = mockRecordRevision;
+TagAlias.find = mockAliasFind;
+TagAlias.updateMany = mockAliasUpdateMany;
+TagAlias.bulkWrite = mockAliasBulkWrite;
+
+// La transaction exécute directement la fonction avec une session factice
+const session = { id: 'session' };
+mongoose.connection.transaction = jest.fn();
+
+// Import des modules après le mock
+const { default: tagService } = await import('../../src/services/tagService.js');
+const { default: tagController } = await import('../../src/controllers/tagController.js');
+
+// Appeler le controller derrière errorHandler et jsonBody, comme le router
+const invoke = (method, event) => compose([errorHandler(), jsonBody()], (ctx) => tagController[method](ctx.event, ctx))(createContext(event));
+
+/**
+ * Appliquer le pipeline de mise à jour à un tableau de tags (remplacement puis dédoublonnage)
+ */
+function applyRewrite(pipeline, tags) {
+    const { $reduce } = pipeline[0].$set.tags;
+    const [condition, target] = $reduce.input.$map.in.$cond;
+    const sources = condition.$in[1];
+    const mapped = tags.map(tag => (sources.includes(tag) ? target : tag));
+    return mapped.filter((tag, index) => mapped.indexOf(tag) === index);
+}
+
+const query = (result) => ({
+    session: jest.fn().mockReturnThis(),
+    lean: jest.fn().mockResolvedValue(result)
+});
+
+describe('Unit Tests - Tags', () => {
+
+    beforeEach(() => {
+        mongoose.connection.transaction.mockImplementation(async (fn) => fn(session));
+        mockExists.mockReturnValue({ session: jest.fn().mockResolvedValue({ _id: 'r1' }) });
+        mockUpdateMany.mockResolvedValue({ modifiedCount: 3 });
+        mockAliasUpdateMany.mockResolvedValue({});
+        mockAliasBulkWrite.mockResolvedValue({});
+        mockFind.mockReturnValue(query([]));
+    });
+
+    describe('normalizeTags', () => {
+        it('should collapse aliases and accent variants to one canonical tag', () => {
+            expect(normalizeTags(['Végétarien', 'vegetarien', 'veggie', 'Rapide']))
+                .toEqual(['végétarien', 'rapide']);
+        });
+
+        it('should compare tags without accents or separators', () => {
+            expect(tagKey(' Sans-Gluten ')).toBe('sans gluten');
+            expect(normalizeTags(['crème', 'creme'], {})).toEqual(['crème']);
+        });
+
+        it('should use the given aliases and drop empty tags', () => {
+            expect(normalizeTags(['pasta', '  ', 'Pâtes'], { pasta: 'pâtes' })).toEqual(['pâtes']);
+        });
+    });
+
+    describe('getTags', () => {
+        it('should count active recipes per tag', async () => {
+            mockAggregate.mockResolvedValue([{ _id: 'dessert', count: 4 }, { _id: 'rapide', count: 2 }]);
+
+            const tags = await tagService.getTags();
+
+            expect(tags).toEqual([{ tag: 'dessert', count: 4 }, { tag: 'rapide', count: 2 }]);
+            expect(mockAggregate.mock.calls[0][0][0]).toEqual({ $match: { deletedAt: null } });
+        });
+
+        it('should only count the recipes the user can see', async () => {
+            mockAggregate.mockResolvedValue([]);
+
+            await tagService.getTags({ viewerId: 'user-1' });
+
+            expect(mockAggregate.mock.calls[0][0][0]).toEqual({
+                $match: { deletedAt: null, ...Recipe.visibleTo('user-1') }
+            });
+        });
+    });
+
+    describe('getAliases', () => {
+        it('should let stored aliases override the defaults', async () => {
+            mockAliasFind.mockReturnValue({
+                lean: jest.fn().mockResolvedValue([{ alias: 'veggie', tag: 'végé' }, { alias: 'pasta', tag: 'pâtes' }])
+            });
+
+            const aliases = await tagService.getAliases();
+
+            expect(aliases.veggie).toBe('végé');
+            expect(aliases.pasta).toBe('pâtes');
+            expect(aliases.vegan).toBe(DEFAULT_TAG_ALIASES.vegan);
+        });
+    });
+
+    describe('renameTag', () => {
+        it('should rewrite the tag on every recipe and record the old name as an alias', async () => {
+            const result = await tagService.renameTag('Veggie', 'Végétarien');
+
+            expect(result).toEqual({ tag: 'végétarien', merged: ['veggie'], modifiedCount: 3 });
+
+            const [filter, pipeline, options] = mockUpdateMany.mock.calls[0];
+            expect(filter).toEqual({ tags: { $in: ['veggie'] } });
+            expect(options).toMatchObject({ session, updatePipeline: true });
+            expect(applyRewrite(pipeline, ['veggie', 'rapide', 'végétarien'])).toEqual(['végétarien', 'rapide']);
+            expect(pipeline[0].$set.updatedAt).toBe('$$NOW');
+
+            expect(mockAliasUpdateMany).toHaveBeenCalledWith(
+                { tag: { $in: ['veggie'] } }, { tag: 'végétarien' }, { session }
+            );
+            const aliases = mockAliasBulkWrite.mock.calls[0][0].map(op => op.updateOne);
+            expect(aliases.map(op => [op.filter.alias, op.update.$set.tag])).toEqual([
+                ['veggie', 'végétarien'],
+                ['vegetarien', 'végétarien']
+            ]);
+        });
+
+        it('should record a revision for every rewritten recipe', async () => {
+            mockFind
+                .mockReturnValueOnce(query([{ _id: 'r1', title: 'Gratin', tags: ['veggie', 'rapide'] }]))
+                .mockReturnValueOnce(query([{ _id: 'r1', title: 'Gratin', tags: ['végétarien', 'rapide'] }]));
+
+            await tagService.renameTag('Veggie', 'Végétarien');
+
+            expect(mockFind.mock.calls[0][0]).toEqual({ tags: { $in: ['veggie'] } });
+            expect(mockFind.mock.calls[1][0]).toEqual({ _id: { $in: ['r1'] } });
+            expect(mockRecordRevision).toHaveBeenCalledWith(
+                { _id: 'r1', title: 'Gratin', tags: ['végétarien', 'rapide'] },
+                'update',
+                { previous: { _id: 'r1', title: 'Gratin', tags: ['veggie', 'rapide'] } }
+            );
+        });
+
+        it('should return null when no recipe has the tag', async () => {
+            mockExists.mockReturnValue({ session: jest.fn().mockResolvedValue(null) });
+
+            expect(await tagService.renameTag('inconnu', 'autre')).toBeNull();
+            expect(mockUpdateMany).not.toHaveBeenCalled();
+            expect(mockRecordRevision).not.toHaveBeenCalled();
+        });
+
+        it('should reject an identical name', async () => {
+            await expect(tagService.renameTag('Rapide', 'rapide ')).rejects.toThrow('doit être différent');
+        });
+    });
+
+    describe('mergeTags', () => {
+        it('should merge every source into the target', async () => {
+            const result = await tagService.mergeTags(['veggie', 'Vegetarien', 'végétarien'], 'végétarien');
+
+            expect(result.merged).toEqual(['veggie', 'vegetarien']);
+            expect(mockUpdateMany.mock.calls[0][0]).toEqual({ tags: { $in: ['veggie', 'vegetarien'] } });
+        });
+
+        it('should require at least one tag other than the target', async () => {
+            await expect(tagService.mergeTags(['dessert'], 'dessert')).rejects.toThrow('est requis');
+            expect(mongoose.connection.transaction).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('TagController', () => {
+        it('should decode the path parameter when renaming', async () => {
+            tagService.renameTag = jest.fn().mockResolvedValue({ tag: 'végé', merged: ['végétarien'], modifiedCount: 1 });
+
+            const response = await invoke('renameTag', {
+                pathParameters: { tag: 'v%C3%A9g%C3%A9tarien' },
+                body: JSON.stringify({ to: 'végé' })
+            });
+
+            expect(response.statusCode).toBe(200);
+            expect(tagService.renameTag).toHaveBeenCalledWith('végétarien', 'végé');
+        });
+
+        it('should return 404 for an unknown tag', async () => {
+            tagService.renameTag = jest.fn().mockResolvedValue(null);
+
+            const response = await invoke('renameTag', {
+                pathParameters: { tag: 'inconnu' },
+                body: JSON.stringify({ to: 'autre' })
+            });
+
+            expect(response.statusCode).toBe(404);
+        });
+
+        it('should return 400 when the service rejects the new name', async () => {
+            tagService.renameTag = jest.fn().mockRejectedValue(new Error('Le nouveau nom du tag doit être différent de l\'ancien'));
+
+            const response = await invoke('renameTag', {
+                pathParameters: { tag: 'végé' },
+                body: JSON.stringify({ to: 'végé' })
+            });
+
+            expect(response.statusCode).toBe(400);
+        });
+
+        it('should return 400 for an invalid merge body', async () => {
+            const response = await invoke('mergeTags', { body: JSON.stringify({ tags: 'veggie', into: 'végé' }) });
+
+            expect(response.statusCode).toBe(400);
+        });
+    });
+});
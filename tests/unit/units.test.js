@@ -0,0 +1,94 @@
+import { findUnit, roundQuantity, convertQuantity, convertRecipeUnits } from '../../src/utils/units.mjs';
+
+describe('Unit Tests - Units', () => {
+
+    describe('findUnit', () => {
+        it('should resolve aliases regardless of case, accents and dots', () => {
+            expect(findUnit('Grammes').key).toBe('g');
+            expect(findUnit('c. à soupe').key).toBe('c. à soupe');
+            expect(findUnit('C.A.S').key).toBe('c. à soupe');
+            expect(findUnit('cuillère à café').key).toBe('c. à café');
+            expect(findUnit('pincee').key).toBe('pincée');
+        });
+
+        it('should return null for unknown units', () => {
+            expect(findUnit('poignée')).toBeNull();
+            expect(findUnit(undefined)).toBeNull();
+        });
+    });
+
+    describe('roundQuantity', () => {
+        it('should round counted items to halves then integers', () => {
+            expect(roundQuantity(1 / 3, undefined)).toBe(0.5);
+            expect(roundQuantity(1.3333, 'pièces')).toBe(1.5);
+            expect(roundQuantity(4.6667, 'gousses')).toBe(5);
+        });
+
+        it('should round grams and millilitres to sensible steps', () => {
+            expect(roundQuantity(33.3333, 'g')).toBe(33);
+            expect(roundQuantity(266.6667, 'g')).toBe(265);
+            expect(roundQuantity(1333.3333, 'ml')).toBe(1330);
+        });
+
+        it('should round spoons to quarters and keep at least one pinch', () => {
+            expect(roundQuantity(0.6667, 'c. à soupe')).toBe(0.75);
+            expect(roundQuantity(0.05, 'cc')).toBe(0.25);
+            expect(roundQuantity(0.5, 'pincée')).toBe(1);
+        });
+    });
+
+    describe('convertQuantity', () => {
+        it('should convert imperial to metric with a readable unit', () => {
+            expect(convertQuantity(2, findUnit('lb'), 'metric')).toEqual({ quantity: 907.184, unit: 'g' });
+            expect(convertQuantity(2, findUnit('cups'), 'metric').unit).toBe('ml');
+        });
+
+        it('should map spoons to their equivalent', () => {
+            expect(convertQuantity(2, findUnit('c. à soupe'), 'imperial')).toEqual({ quantity: 2, unit: 'tbsp' });
+            expect(convertQuantity(1, findUnit('tsp'), 'metric')).toEqual({ quantity: 1, unit: 'c. à café' });
+        });
+
+        it('should keep French kitchen units in metric', () => {
+            expect(convertQuantity(1, findUnit('verre'), 'metric')).toEqual({ quantity: 1, unit: 'verre' });
+        });
+    });
+
+    describe('convertRecipeUnits', () => {
+        const recipe = {
+            title: 'Gâteau',
+            servings: 6,
+            ingredients: [
+                { name: 'Farine', quantity: 250, unit: 'g' },
+                { name: 'Lait', quantity: 25, unit: 'cl' },
+                { name: 'Oeufs', quantity: 3 },
+                { name: 'Chocolat', quantity: 2, unit: 'poignées' }
+            ]
+        };
+
+        it('should convert to imperial and flag unknown units', () => {
+            const converted = convertRecipeUnits(recipe, 'imperial');
+
+            expect(converted.ingredients[0]).toEqual({ name: 'Farine', quantity: 8.75, unit: 'oz' });
+            expect(converted.ingredients[1]).toEqual({ name: 'Lait', quantity: 1, unit: 'cup' });
+            expect(converted.ingredients[2]).toEqual({ name: 'Oeufs', quantity: 3 });
+            expect(converted.ingredients[3]).toEqual({ name: 'Chocolat', quantity: 2, unit: 'poignées', unknownUnit: true });
+            expect(converted.units).toEqual({ system: 'imperial', unknownUnits: ['poignées'] });
+        });
+
+        it('should use densities to convert volumes to grams in metric', () => {
+            const converted = convertRecipeUnits({
+                ingredients: [{ name: 'Farine', quantity: 1, unit: 'cup' }, { name: 'Sable', quantity: 1, unit: 'cup' }]
+            }, 'metric', { useDensity: true });
+
+            expect(converted.ingredients[0]).toEqual({ name: 'Farine', quantity: 125, unit: 'g' });
+            expect(converted.ingredients[1].unit).toBe('ml');
+        });
+
+        it('should leave quantities untouched with the original system', () => {
+            const converted = convertRecipeUnits(recipe, 'original');
+
+            expect(converted.ingredients[0]).toEqual(recipe.ingredients[0]);
+            expect(converted.units.unknownUnits).toEqual(['poignées']);
+        });
+    });
+});